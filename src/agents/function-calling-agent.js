@@ -1,5 +1,7 @@
 import { createAIClient } from '../clients/client-factory.js';
 import { createLogger } from '../utils/logger.js';
+import { createAssistantMessage } from '../clients/message-format.js';
+import { withCostTags, withCostTagsIterable } from '../utils/cost-attribution.js';
 
 /**
  * @typedef {Object} FunctionDefinition
@@ -11,23 +13,28 @@ import { createLogger } from '../utils/logger.js';
 
 /**
  * Function Calling Agent - Can use tools/functions to perform actions
- * Supports both OpenAI and Claude
+ * Works with any provider: history is kept in the provider-neutral message
+ * format (see clients/message-format.js) and each client translates it.
  */
 export class FunctionCallingAgent {
   /**
    * Create a function calling agent
-   * @param {'openai'|'claude'} [provider='openai'] - AI provider to use
+   * @param {string} [provider='openai'] - AI provider to use (any registered provider)
    * @param {import('../clients/ai-client-interface.js').AIClientInterface} [client] - Optional client instance (for testing)
+   * @param {Object} [options={}] - Agent options
+   * @param {Object<string, string>} [options.costTags={agent: 'function-calling-agent'}] - Cost
+   *   attribution tags for every model call the agent makes (see utils/cost-attribution.js)
    */
-  constructor(provider = 'openai', client = null) {
+  constructor(provider = 'openai', client = null, options = {}) {
     this.provider = provider;
     /** @type {Map<string, Function>} */
     this.functions = new Map(); // Store function implementations
-    /** @type {Array<Object>} */
+    /** @type {import('../clients/ai-client-interface.js').ToolDefinition[]} */
     this.functionDefinitions = []; // Store function schemas
-    /** @type {import('../clients/ai-client-interface.js').ChatMessage[]} */
+    /** @type {import('../clients/message-format.js').Message[]} */
     this.conversationHistory = [];
     this.client = client || createAIClient(provider);
+    this.costTags = options.costTags ?? { agent: 'function-calling-agent' };
     this.logger = createLogger('FunctionCallingAgent');
   }
 
@@ -41,20 +48,7 @@ export class FunctionCallingAgent {
   registerFunction(name, description, parameters, implementation) {
     this.logger.info('Function registered', { name, description });
     this.functions.set(name, implementation);
-
-    if (this.provider === 'openai') {
-      this.functionDefinitions.push({
-        name,
-        description,
-        parameters,
-      });
-    } else if (this.provider === 'claude') {
-      this.functionDefinitions.push({
-        name,
-        description,
-        input_schema: parameters,
-      });
-    }
+    this.functionDefinitions.push({ name, description, parameters });
   }
 
   /**
@@ -83,9 +77,19 @@ export class FunctionCallingAgent {
    * @param {string} userMessage - User's message
    * @param {Object} options - Additional options
    * @param {number} [options.maxToolCallIterations=50] - Maximum number of tool call iterations to prevent infinite loops
+   * @param {AbortSignal} [options.signal] - Cancels the pending model call (rejects with AbortError)
+   * @param {number} [options.timeoutMs] - Deadline for each model call (rejects with TimeoutError)
    * @returns {Promise<string>} Agent's response
    */
   async chat(userMessage, options = {}) {
+    return withCostTags(this.costTags, () => this._chat(userMessage, options));
+  }
+
+  /**
+   * Run one chat turn (see chat())
+   * @private
+   */
+  async _chat(userMessage, options) {
     const { client } = this;
     const maxIterations = options.maxToolCallIterations || 50;
 
@@ -99,99 +103,97 @@ export class FunctionCallingAgent {
     while (iterationCount < maxIterations) {
       iterationCount++;
 
-      // Use unified interface method
       const response = await client.chatWithTools(
         this.conversationHistory,
         this.functionDefinitions,
         options
       );
+      const message = client.getMessage(response);
+      this.conversationHistory.push(message);
 
-      // Handle tool use using interface methods
-      if (client.hasToolUse(response)) {
-        const toolUseBlocks = client.getToolUseBlocks(response);
-
-        // Execute all tool calls
-        const toolResults = [];
-
-        for (const block of toolUseBlocks) {
-          let functionName, functionArgs;
-
-          // Handle OpenAI format (tool_calls)
-          if (block.function) {
-            functionName = block.function.name;
-            functionArgs = JSON.parse(block.function.arguments);
-          }
-          // Handle Claude format (tool_use)
-          else {
-            functionName = block.name;
-            functionArgs = block.input;
-          }
-
-          console.log(`Calling function: ${functionName}`, functionArgs);
-          const result = await this.executeFunction(functionName, functionArgs);
-
-          // Format tool result based on provider
-          if (this.provider === 'openai') {
-            toolResults.push({
-              role: 'tool',
-              tool_call_id: block.id,
-              content: JSON.stringify(result),
-            });
-          } else {
-            toolResults.push({
-              type: 'tool_result',
-              tool_use_id: block.id,
-              content: JSON.stringify(result),
-            });
-          }
-        }
+      const toolCalls = message.content.filter((part) => part.type === 'tool_call');
+      if (toolCalls.length === 0) {
+        return client.getTextContent(response);
+      }
+
+      // Execute all tool calls, then continue loop to check for more
+      const toolResults = [];
+      for (const call of toolCalls) {
+        console.log(`Calling function: ${call.name}`, call.arguments);
+        const result = await this.executeFunction(call.name, call.arguments);
+        toolResults.push({
+          type: 'tool_result',
+          toolCallId: call.id,
+          content: JSON.stringify(result),
+        });
+      }
+      this.conversationHistory.push({ role: 'tool', content: toolResults });
+    }
+
+    // If we've exceeded max iterations, throw an error
+    throw new Error(
+      `Maximum tool call iterations (${maxIterations}) exceeded. This may indicate an infinite loop in function calling.`
+    );
+  }
 
-        // Add assistant message and tool results to conversation
-        if (this.provider === 'openai') {
-          // OpenAI format: add message with tool_calls, then tool results
-          const message = response.choices?.[0]?.message || {
-            role: 'assistant',
-            content: client.getTextContent(response),
-          };
-          this.conversationHistory.push(message);
-          this.conversationHistory.push(...toolResults);
-        } else {
-          // Claude format: add assistant content, then user with tool results
-          this.conversationHistory.push({
-            role: 'assistant',
-            content: response.content,
-          });
-          this.conversationHistory.push({
-            role: 'user',
-            content: toolResults,
-          });
+  /**
+   * Stream a tool-using conversation turn
+   * Yields the client's normalized stream events for every model turn, plus a
+   * `tool_result` event ({ id, name, result }) after each function runs. The
+   * final turn's `done` event carries the answer text.
+   * @param {string} userMessage - User's message
+   * @param {Object} options - Additional options
+   * @param {number} [options.maxToolCallIterations=50] - Maximum number of tool call iterations
+   * @returns {AsyncGenerator<import('../clients/stream-events.js').StreamEvent|{type: 'tool_result', id: string, name: string, result: *}>}
+   *   Stream events
+   */
+  stream(userMessage, options = {}) {
+    return withCostTagsIterable(this.costTags, () => this._stream(userMessage, options));
+  }
+
+  /**
+   * Stream one chat turn (see stream())
+   * @private
+   */
+  async *_stream(userMessage, options) {
+    const { maxToolCallIterations, ...streamOptions } = options;
+    const maxIterations = maxToolCallIterations || 50;
+
+    this.conversationHistory.push({
+      role: 'user',
+      content: userMessage,
+    });
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      let done = null;
+      for await (const event of this.client.stream(this.conversationHistory, {
+        ...streamOptions,
+        tools: this.functionDefinitions,
+      })) {
+        if (event.type === 'done') {
+          done = event;
         }
+        yield event;
+      }
 
-        // Continue loop to check for more tool calls
-        continue;
+      this.conversationHistory.push(createAssistantMessage(done?.text || '', done?.toolCalls));
+      if (!done?.toolCalls.length) {
+        return;
       }
 
-      // No tool use - return text content
-      const textContent = client.getTextContent(response);
-
-      // Add response to conversation
-      if (this.provider === 'openai') {
-        const message = response.choices?.[0]?.message || {
-          role: 'assistant',
-          content: textContent,
-        };
-        this.conversationHistory.push(message);
-      } else {
-        this.conversationHistory.push({
-          role: 'assistant',
-          content: response.content,
+      const toolResults = [];
+      for (const call of done.toolCalls) {
+        const result = await this.executeFunction(call.name, call.arguments);
+        toolResults.push({
+          type: 'tool_result',
+          toolCallId: call.id,
+          content: JSON.stringify(result),
         });
+        yield { type: 'tool_result', id: call.id, name: call.name, result };
       }
-
-      return textContent;
+      this.conversationHistory.push({ role: 'tool', content: toolResults });
     }
 
-    // If we've exceeded max iterations, throw an error
     throw new Error(
       `Maximum tool call iterations (${maxIterations}) exceeded. This may indicate an infinite loop in function calling.`
     );
@@ -1,5 +1,6 @@
 import { SimpleVectorStore } from '../utils/simple-vector-store.js';
 import { createAIClient } from '../clients/client-factory.js';
+import { withCostTags } from '../utils/cost-attribution.js';
 
 /**
  * RAG (Retrieval-Augmented Generation) Agent
@@ -11,9 +12,13 @@ export class RAGAgent {
    * Create a RAG agent
    * @param {string} [collectionName='knowledge_base'] - Collection name for vector store
    * @param {import('../clients/ai-client-interface.js').AIClientInterface} [client] - Optional client instance (for testing)
+   * @param {Object} [options={}] - Agent options
+   * @param {Object<string, string>} [options.costTags={agent: 'rag-agent'}] - Cost attribution
+   *   tags for every embedding and chat call the agent makes
    */
-  constructor(collectionName = 'knowledge_base', client = null) {
+  constructor(collectionName = 'knowledge_base', client = null, options = {}) {
     this.openaiClient = client || createAIClient('openai');
+    this.costTags = options.costTags ?? { agent: 'rag-agent' };
 
     // Use simple in-memory vector store (no server required)
     // For production with persistence, consider using a vector database service
@@ -43,7 +48,7 @@ export class RAGAgent {
     const client = this.openaiClient;
 
     // Generate embeddings
-    const embeddings = await client.getEmbeddings(documents);
+    const embeddings = await withCostTags(this.costTags, () => client.getEmbeddings(documents));
 
     // Generate IDs if not provided
     const documentIds = ids || documents.map((_, i) => `doc_${Date.now()}_${i}`);
@@ -74,7 +79,9 @@ export class RAGAgent {
     const client = this.openaiClient;
 
     // Get embedding for the question
-    const [questionEmbedding] = await client.getEmbeddings(question);
+    const [questionEmbedding] = await withCostTags(this.costTags, () =>
+      client.getEmbeddings(question)
+    );
 
     // Query the vector store
     const results = this.vectorStore.query([questionEmbedding], topK);
@@ -98,7 +105,7 @@ Use the context to provide accurate and detailed answers.`,
       },
     ];
 
-    const response = await client.chat(messages, options);
+    const response = await withCostTags(this.costTags, () => client.chat(messages, options));
     return client.getTextContent(response);
   }
 
@@ -114,7 +121,9 @@ Use the context to provide accurate and detailed answers.`,
     const client = this.openaiClient;
 
     // Get embedding for the question
-    const [questionEmbedding] = await client.getEmbeddings(question);
+    const [questionEmbedding] = await withCostTags(this.costTags, () =>
+      client.getEmbeddings(question)
+    );
 
     // Query the vector store
     const results = this.vectorStore.query([questionEmbedding], topK);
@@ -136,7 +145,7 @@ Use the context to provide accurate and detailed answers.`,
       },
     ];
 
-    return await client.chatStream(messages, onChunk);
+    return await withCostTags(this.costTags, () => client.chatStream(messages, onChunk));
   }
 
   /**
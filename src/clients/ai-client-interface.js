@@ -5,10 +5,14 @@
  * This ensures consistent API across different providers.
  */
 
+import { responseToMessage } from './message-format.js';
+
 /**
  * @typedef {Object} ChatMessage
+ * Provider wire format; every method taking messages also accepts canonical
+ * messages (see message-format.js) and translates them for the provider.
  * @property {'system'|'user'|'assistant'|'tool'} role - Message role
- * @property {string} content - Message content
+ * @property {string|Array} content - Message content
  * @property {string} [name] - Optional name for tool/function messages
  * @property {Array} [tool_calls] - Optional tool calls (OpenAI format)
  * @property {string} [tool_call_id] - Optional tool call ID (OpenAI format)
@@ -23,6 +27,10 @@
  * @property {number} [presence_penalty] - Presence penalty (-2 to 2)
  * @property {Array} [stop] - Stop sequences
  * @property {Object} [response_format] - Response format (e.g., { type: 'json_object' })
+ * @property {AbortSignal} [signal] - Cancels the request (rejects with AbortError)
+ * @property {number} [timeoutMs] - Deadline for the call (rejects with TimeoutError)
+ * @property {(headers: Headers) => void} [onResponseHeaders] - Receives the provider's
+ *   response headers (see response-headers.js)
  */
 
 /**
@@ -59,6 +67,18 @@ export class AIClientInterface {
     throw new Error('chatStream() method must be implemented by subclass');
   }
 
+  /**
+   * Streaming chat with normalized events - text, tool calls, usage and stop reason
+   * Pass `options.tools` (OpenAI or Claude format) to stream tool-using turns.
+   * @param {ChatMessage[]} messages - Array of message objects
+   * @param {ChatOptions & {tools?: ToolDefinition[]}} [_options={}] - Additional options
+   * @returns {AsyncIterable<import('./stream-events.js').StreamEvent>} Event stream
+   */
+  // eslint-disable-next-line require-yield
+  async *stream(_messages, _options = {}) {
+    throw new Error('stream() method must be implemented by subclass');
+  }
+
   /**
    * @typedef {Object} ToolDefinition
    * @property {string} name - Tool name
@@ -113,6 +133,17 @@ export class AIClientInterface {
     throw new Error('getToolUseBlocks() method must be implemented by subclass');
   }
 
+  /**
+   * Get the assistant turn of a response as a provider-neutral message
+   * Append it to a history of canonical messages; every client accepts them.
+   * The default detects the response format from its shape.
+   * @param {ChatResponse} response - API response object
+   * @returns {import('./message-format.js').Message} Assistant message with text and tool call parts
+   */
+  getMessage(response) {
+    return responseToMessage(response);
+  }
+
   /**
    * @typedef {number[]} EmbeddingVector - Array of numbers representing embedding
    */
@@ -1,6 +1,8 @@
 import { OpenAI } from 'openai';
-import { config } from '../config.js';
+import { config } from '../config-values.js';
 import { BaseOpenAIClient } from './base-openai-client.js';
+import { withCancellation } from './cancellation.js';
+import { withResponseHeaders } from './response-headers.js';
 
 /**
  * Azure OpenAI Client
@@ -69,14 +71,19 @@ export class AzureOpenAIClient extends BaseOpenAIClient {
   async chat(messages, options = {}) {
     // For Azure OpenAI with deployment in baseURL, we may not need model parameter
     // But some Azure setups require it, so we'll include it
-    const requestOptions = {
-      model: this.model,
-      messages,
-      ...options,
-    };
-
-    const response = await this.client.chat.completions.create(requestOptions);
-    return response;
+    return withCancellation(options, ({ onResponseHeaders, ...chatOptions }, signal) =>
+      withResponseHeaders(
+        this.client.chat.completions.create(
+          {
+            model: this.model,
+            messages: this.toProviderMessages(messages),
+            ...chatOptions,
+          },
+          { signal }
+        ),
+        onResponseHeaders
+      )
+    );
   }
 
   /**
@@ -87,28 +94,33 @@ export class AzureOpenAIClient extends BaseOpenAIClient {
    * @returns {Promise<string>} Full response text
    */
   async chatStream(messages, onChunk = null, options = {}) {
-    const requestOptions = {
-      messages,
-      stream: true,
-      ...options,
-    };
+    return withCancellation(options, async ({ onResponseHeaders, ...chatOptions }, signal) => {
+      const requestOptions = {
+        messages: this.toProviderMessages(messages),
+        stream: true,
+        ...chatOptions,
+      };
 
-    // Include model parameter
-    requestOptions.model = this.model;
+      // Include model parameter
+      requestOptions.model = this.model;
 
-    const stream = await this.client.chat.completions.create(requestOptions);
+      const stream = await withResponseHeaders(
+        this.client.chat.completions.create(requestOptions, { signal }),
+        onResponseHeaders
+      );
 
-    let fullText = '';
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        fullText += content;
-        if (onChunk) {
-          onChunk(content);
+      let fullText = '';
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content || '';
+        if (content) {
+          fullText += content;
+          if (onChunk) {
+            onChunk(content);
+          }
         }
       }
-    }
-    return fullText;
+      return fullText;
+    });
   }
 
   /**
@@ -124,15 +136,21 @@ export class AzureOpenAIClient extends BaseOpenAIClient {
       function: func,
     }));
 
-    const response = await this.client.chat.completions.create({
-      model: this.model,
-      messages,
-      tools,
-      tool_choice: 'auto',
-      ...options,
-    });
-
-    return response;
+    return withCancellation(options, ({ onResponseHeaders, ...chatOptions }, signal) =>
+      withResponseHeaders(
+        this.client.chat.completions.create(
+          {
+            model: this.model,
+            messages: this.toProviderMessages(messages),
+            tools,
+            tool_choice: 'auto',
+            ...chatOptions,
+          },
+          { signal }
+        ),
+        onResponseHeaders
+      )
+    );
   }
 
   /**
@@ -150,14 +168,18 @@ export class AzureOpenAIClient extends BaseOpenAIClient {
       );
     }
 
-    const assistant = await this.client.beta.assistants.create({
-      name: options.name || 'AI Agent',
-      instructions,
-      model: options.model || this.model,
-      tools,
-      ...options,
-    });
-    return assistant;
+    return withCancellation(options, (assistantOptions, signal) =>
+      this.client.beta.assistants.create(
+        {
+          name: options.name || 'AI Agent',
+          instructions,
+          model: options.model || this.model,
+          tools,
+          ...assistantOptions,
+        },
+        { signal }
+      )
+    );
   }
 
   /**
@@ -209,7 +231,9 @@ export class AzureOpenAIClient extends BaseOpenAIClient {
       );
     }
 
-    const messages = await this.client.beta.threads.messages.list(threadId, options);
+    const messages = await withCancellation(options, (listOptions, signal) =>
+      this.client.beta.threads.messages.list(threadId, listOptions, { signal })
+    );
     return messages.data;
   }
 
@@ -228,12 +252,16 @@ export class AzureOpenAIClient extends BaseOpenAIClient {
       );
     }
 
-    const run = await this.client.beta.threads.runs.create(threadId, {
-      assistant_id: assistantId,
-      ...options,
-    });
-
-    return run;
+    return withCancellation(options, (runOptions, signal) =>
+      this.client.beta.threads.runs.create(
+        threadId,
+        {
+          assistant_id: assistantId,
+          ...runOptions,
+        },
+        { signal }
+      )
+    );
   }
 
   /**
@@ -316,12 +344,22 @@ export class AzureOpenAIClient extends BaseOpenAIClient {
     ];
 
     const model = options.model || config.openai.visionModel || 'gpt-4o';
-    const response = await this.client.chat.completions.create({
-      model,
-      messages,
-      max_tokens: options.max_tokens || 300,
-      ...options,
-    });
+    const response = await withCancellation(
+      options,
+      ({ onResponseHeaders, ...visionOptions }, signal) =>
+        withResponseHeaders(
+          this.client.chat.completions.create(
+            {
+              model,
+              messages,
+              max_tokens: options.max_tokens || 300,
+              ...visionOptions,
+            },
+            { signal }
+          ),
+          onResponseHeaders
+        )
+    );
 
     return response.choices[0].message.content;
   }
@@ -6,8 +6,13 @@
  */
 
 import { AIClientInterface } from './ai-client-interface.js';
-import { PRICING } from '../utils/pricing.js';
-import { config } from '../config.js';
+import { getModelPricing } from '../utils/pricing.js';
+import { calculateTokenCost } from '../utils/cost-utils.js';
+import { config } from '../config-values.js';
+import { StreamEventBuilder } from './stream-events.js';
+import { withCancellableStream } from './cancellation.js';
+import { withResponseHeaders } from './response-headers.js';
+import { fromCanonicalMessages, responseToMessage } from './message-format.js';
 
 /**
  * Base class for OpenAI-compatible clients
@@ -53,15 +58,31 @@ export class BaseOpenAIClient extends AIClientInterface {
   }
 
   /**
-   * Chat with tools - Unified interface method
-   * @param {Array} messages - Array of message objects
+   * Get the assistant turn of an OpenAI response as a canonical message
+   * @param {Object} response - OpenAI API response
+   * @returns {import('./message-format.js').Message} Assistant message
+   */
+  getMessage(response) {
+    return responseToMessage(response, 'openai');
+  }
+
+  /**
+   * Translate canonical messages to the OpenAI chat format
+   * @param {Array} messages - Canonical or OpenAI-format messages
+   * @returns {import('./ai-client-interface.js').ChatMessage[]} OpenAI-format messages
+   */
+  toProviderMessages(messages) {
+    return fromCanonicalMessages(messages, 'openai');
+  }
+
+  /**
+   * Convert tool definitions (OpenAI tool, Claude tool or plain function format)
+   * to OpenAI function definitions
    * @param {Array} tools - Array of tool/function definitions
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Response with tool calls
+   * @returns {Array} OpenAI function definitions
    */
-  async chatWithTools(messages, tools, options = {}) {
-    // Convert tools to OpenAI function format if needed
-    const functions = tools.map((tool) => {
+  toFunctionDefinitions(tools) {
+    return tools.map((tool) => {
       // If already in OpenAI format, use as-is
       if (tool.function) {
         return tool.function;
@@ -77,8 +98,94 @@ export class BaseOpenAIClient extends AIClientInterface {
       // Otherwise assume it's already a function definition
       return tool;
     });
+  }
+
+  /**
+   * Chat with tools - Unified interface method
+   * @param {Array} messages - Array of message objects
+   * @param {Array} tools - Array of tool/function definitions
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Response with tool calls
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    return this.chatWithFunctions(messages, this.toFunctionDefinitions(tools), options);
+  }
+
+  /**
+   * Streaming chat with normalized events
+   * Shared by Standard, Azure and local OpenAI-compatible clients.
+   * @param {Array} messages - Array of message objects
+   * @param {Object} [options={}] - Additional options; `tools` enables tool call events
+   * @returns {AsyncIterable<import('./stream-events.js').StreamEvent>} Event stream
+   */
+  async *stream(messages, options = {}) {
+    yield* withCancellableStream(options, (streamOptions, signal) =>
+      this._streamEvents(messages, streamOptions, signal)
+    );
+  }
+
+  /**
+   * Translate OpenAI chunks to normalized events
+   * @private
+   */
+  async *_streamEvents(messages, options, signal) {
+    const { tools, onResponseHeaders, ...rest } = options;
+    const requestOptions = {
+      messages: this.toProviderMessages(messages),
+      stream: true,
+      stream_options: { include_usage: true },
+      ...(tools?.length && {
+        tools: this.toFunctionDefinitions(tools).map((func) => ({
+          type: 'function',
+          function: func,
+        })),
+        tool_choice: 'auto',
+      }),
+      ...rest,
+      model: rest.model ?? this.model,
+    };
+
+    const stream = await withResponseHeaders(
+      this.client.chat.completions.create(requestOptions, { signal }),
+      onResponseHeaders
+    );
+    const builder = new StreamEventBuilder();
+    // OpenAI identifies tool call deltas by position in the choice, not by ID
+    const toolIndexes = new Map();
+    let finishReason = null;
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        builder.addUsage({
+          inputTokens: chunk.usage.prompt_tokens,
+          outputTokens: chunk.usage.completion_tokens,
+        });
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+
+      if (choice.delta?.content) {
+        yield builder.textDelta(choice.delta.content);
+      }
+
+      for (const delta of choice.delta?.tool_calls || []) {
+        if (!toolIndexes.has(delta.index)) {
+          const start = builder.startToolCall(delta.id, delta.function?.name || '');
+          toolIndexes.set(delta.index, start.index);
+          yield start;
+        }
+        if (delta.function?.arguments) {
+          yield builder.toolCallDelta(toolIndexes.get(delta.index), delta.function.arguments);
+        }
+      }
 
-    return this.chatWithFunctions(messages, functions, options);
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    }
+
+    yield* builder.finish(finishReason);
   }
 
   /**
@@ -100,22 +207,18 @@ export class BaseOpenAIClient extends AIClientInterface {
       };
     }
 
-    const modelName = model || this.model;
-    const pricing =
-      PRICING.openai[modelName] ||
-      PRICING.openai[config.openai.model] ||
-      PRICING.openai['gpt-4-turbo-preview'];
-
-    const inputCost = (usage.prompt_tokens / 1_000_000) * pricing.input;
-    const outputCost = (usage.completion_tokens / 1_000_000) * pricing.output;
-
-    return {
-      inputTokens: usage.prompt_tokens,
-      outputTokens: usage.completion_tokens,
-      totalTokens: usage.total_tokens,
-      inputCost,
-      outputCost,
-      totalCost: inputCost + outputCost,
-    };
+    const pricing = getModelPricing('openai', model || this.model, {
+      fallbackModel: config.openai.model,
+    });
+
+    // Cached prompt tokens are billed at the model's cached input rate
+    return calculateTokenCost(
+      {
+        inputTokens: usage.prompt_tokens,
+        outputTokens: usage.completion_tokens,
+        cacheReadTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+      },
+      pricing
+    );
   }
 }
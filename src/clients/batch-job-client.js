@@ -0,0 +1,469 @@
+/**
+ * Batch Job Client
+ * Runs many chat requests through a provider's asynchronous batch API
+ * (OpenAI Batch, Anthropic Message Batches) at half the price of live calls.
+ * Requests are serialized to the provider format (a JSONL file for OpenAI, a
+ * message batch for Claude), submitted as one job, polled until the job ends,
+ * and the results are mapped back to the inputs by custom id.
+ *
+ * Jobs finish within 24 hours (usually minutes), so this suits offline work
+ * such as nightly scoring, not interactive chat.
+ *
+ * @example
+ * import { createAIClient } from './client-factory.js';
+ * import { BatchJobClient } from './batch-job-client.js';
+ *
+ * const batches = new BatchJobClient(createAIClient('claude'));
+ * const results = await batches.run(
+ *   reviews.map((review) => ({
+ *     customId: `review-${review.id}`,
+ *     messages: [{ role: 'user', content: `Sentiment of: ${review.text}` }],
+ *   }))
+ * );
+ *
+ * for (const { customId, response, error } of results) {
+ *   console.log(customId, error ? error.message : batches.client.getTextContent(response));
+ * }
+ */
+
+import { toFile } from 'openai';
+import { ClaudeClient } from './claude-client.js';
+import { StandardOpenAIClient } from './standard-openai-client.js';
+import { createCancellation, withCancellation } from './cancellation.js';
+import { getModelPricing } from '../utils/pricing.js';
+
+/**
+ * Share of the live price charged for batch requests (both providers)
+ */
+export const BATCH_DISCOUNT = 0.5;
+
+/**
+ * Ratio of a batch price to its live price, or BATCH_DISCOUNT when the
+ * catalogue has no batch price for the model
+ */
+function batchRatio(batchPrice, livePrice) {
+  return batchPrice !== undefined && livePrice ? batchPrice / livePrice : BATCH_DISCOUNT;
+}
+
+const CUSTOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'expired', 'cancelled']);
+
+/**
+ * @typedef {Object} BatchRequest
+ * @property {string} [customId] - Unique id of 1-64 letters, digits, `_` or `-`
+ *   (defaults to `request-<index>`)
+ * @property {Array} messages - Chat messages (canonical or provider format)
+ * @property {Array} [tools] - Tool definitions in any supported format
+ * @property {Object} [options] - Request options (temperature, max_tokens, response_format, ...)
+ */
+
+/**
+ * @typedef {Object} BatchJob
+ * @property {string} id - Provider job ID
+ * @property {'openai'|'claude'} provider - Provider running the job
+ * @property {'in_progress'|'completed'|'failed'|'expired'|'cancelled'} status - Normalized status
+ * @property {{total: number, succeeded: number, failed: number}} counts - Request counts
+ * @property {Object} raw - Provider job object
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {string} customId - Custom id of the request
+ * @property {Object} [response] - Chat response in the provider format; read it with the
+ *   client helpers (getTextContent, getToolUseBlocks, ...)
+ * @property {{type: string, message: string, status?: number}} [error] - Why the request failed
+ */
+
+/**
+ * Parse a JSONL document
+ * @param {string} text - One JSON value per line
+ * @returns {Array} Parsed lines
+ */
+function parseJsonl(text) {
+  return text
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Sleep unless the signal aborts first
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Rejects with the abort reason when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+const OPENAI_STATUSES = {
+  validating: 'in_progress',
+  in_progress: 'in_progress',
+  finalizing: 'in_progress',
+  cancelling: 'in_progress',
+  completed: 'completed',
+  failed: 'failed',
+  expired: 'expired',
+  cancelled: 'cancelled',
+};
+
+/**
+ * OpenAI Batch API: a JSONL input file of /v1/chat/completions requests
+ * @private
+ */
+const openaiBatches = {
+  toRequest(client, { customId, messages, tools, options = {} }) {
+    return {
+      custom_id: customId,
+      method: 'POST',
+      url: '/v1/chat/completions',
+      body: {
+        model: client.model,
+        messages: client.toProviderMessages(messages),
+        ...(tools?.length && {
+          tools: client
+            .toFunctionDefinitions(tools)
+            .map((fn) => ({ type: 'function', function: fn })),
+        }),
+        ...options,
+      },
+    };
+  },
+
+  async create(sdk, requests, signal) {
+    const jsonl = requests.map((request) => JSON.stringify(request)).join('\n');
+    const file = await sdk.files.create(
+      { file: await toFile(Buffer.from(jsonl), 'batch.jsonl'), purpose: 'batch' },
+      { signal }
+    );
+    return sdk.batches.create(
+      { input_file_id: file.id, endpoint: '/v1/chat/completions', completion_window: '24h' },
+      { signal }
+    );
+  },
+
+  retrieve: (sdk, id, signal) => sdk.batches.retrieve(id, { signal }),
+
+  cancel: (sdk, id, signal) => sdk.batches.cancel(id, { signal }),
+
+  toJob(raw) {
+    const counts = raw.request_counts || {};
+    return {
+      id: raw.id,
+      provider: 'openai',
+      status: OPENAI_STATUSES[raw.status] || 'in_progress',
+      counts: {
+        total: counts.total || 0,
+        succeeded: counts.completed || 0,
+        failed: counts.failed || 0,
+      },
+      raw,
+    };
+  },
+
+  failure(raw) {
+    return raw.errors?.data?.map((error) => error.message).join('; ');
+  },
+
+  async results(sdk, raw, signal) {
+    const lines = [];
+    for (const fileId of [raw.output_file_id, raw.error_file_id].filter(Boolean)) {
+      const content = await sdk.files.content(fileId, { signal });
+      lines.push(...parseJsonl(await content.text()));
+    }
+
+    return lines.map((line) => {
+      const status = line.response?.status_code;
+      if (status === 200) {
+        return { customId: line.custom_id, response: line.response.body };
+      }
+      const error = line.response?.body?.error || line.error || {};
+      return {
+        customId: line.custom_id,
+        error: {
+          type: error.type || error.code || 'error',
+          message: error.message || 'Batch request failed',
+          ...(status && { status }),
+        },
+      };
+    });
+  },
+};
+
+/**
+ * Anthropic Message Batches API: Messages API params per request
+ * SDK 0.20 has no batches resource, so the generic request methods are used.
+ * @private
+ */
+const claudeBatches = {
+  toRequest(client, { customId, messages, tools, options = {} }) {
+    const { filteredMessages, systemContent } = client.extractSystemMessages(messages);
+    // Claude doesn't support response_format parameter - remove it if present
+    const { response_format: _response_format, promptCache, ...claudeOptions } = options;
+    const system = options.system || systemContent;
+
+    return {
+      custom_id: customId,
+      params: client.applyPromptCache(
+        {
+          model: client.model,
+          max_tokens: options.max_tokens || 4096,
+          messages: filteredMessages,
+          ...(tools?.length && { tools: client.toClaudeTools(tools) }),
+          ...(system && { system }),
+          ...claudeOptions,
+        },
+        promptCache
+      ),
+    };
+  },
+
+  create: (sdk, requests, signal) =>
+    sdk.post('/v1/messages/batches', { body: { requests }, signal }),
+
+  retrieve: (sdk, id, signal) => sdk.get(`/v1/messages/batches/${id}`, { signal }),
+
+  cancel: (sdk, id, signal) => sdk.post(`/v1/messages/batches/${id}/cancel`, { signal }),
+
+  toJob(raw) {
+    const counts = raw.request_counts || {};
+    const failed = (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0);
+    let status = 'in_progress';
+    if (raw.processing_status === 'ended') {
+      status = raw.cancel_initiated_at ? 'cancelled' : 'completed';
+    }
+    return {
+      id: raw.id,
+      provider: 'claude',
+      status,
+      counts: {
+        total: (counts.processing || 0) + (counts.succeeded || 0) + failed,
+        succeeded: counts.succeeded || 0,
+        failed,
+      },
+      raw,
+    };
+  },
+
+  failure: () => null,
+
+  async results(sdk, raw, signal) {
+    const content = await sdk.get(`/v1/messages/batches/${raw.id}/results`, {
+      signal,
+      __binaryResponse: true,
+    });
+
+    return parseJsonl(await content.text()).map(({ custom_id: customId, result }) => {
+      if (result.type === 'succeeded') {
+        return { customId, response: result.message };
+      }
+      const error = result.error?.error || {};
+      return {
+        customId,
+        error: {
+          type: result.type === 'errored' ? error.type || 'error' : result.type,
+          message: error.message || `Batch request ${result.type}`,
+        },
+      };
+    });
+  },
+};
+
+/**
+ * Submits chat requests as provider batch jobs and collects their results
+ */
+export class BatchJobClient {
+  /**
+   * @param {StandardOpenAIClient|ClaudeClient} client - Provider client (not wrapped);
+   *   its model and message/tool conversion are used for every request
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.pollIntervalMs=30000] - Delay between status checks
+   * @throws {Error} If the client has no batch API support here (Azure, local, mock, wrappers)
+   */
+  constructor(client, options = {}) {
+    if (client instanceof ClaudeClient) {
+      this.provider = 'claude';
+      this.batches = claudeBatches;
+    } else if (client instanceof StandardOpenAIClient && !client.isAzure) {
+      this.provider = 'openai';
+      this.batches = openaiBatches;
+    } else {
+      throw new Error(
+        `BatchJobClient supports StandardOpenAIClient and ClaudeClient, got ${client?.constructor?.name}`
+      );
+    }
+    this.client = client;
+    this.pollIntervalMs = options.pollIntervalMs ?? 30_000;
+  }
+
+  /**
+   * Serialize requests to the provider batch format
+   * @param {BatchRequest[]} requests - Requests
+   * @returns {Array} Provider batch requests
+   * @throws {Error} On invalid or duplicate custom ids
+   */
+  toBatchRequests(requests) {
+    if (requests.length === 0) {
+      throw new Error('A batch needs at least one request');
+    }
+    const seen = new Set();
+    return requests.map((request, index) => {
+      const customId = request.customId ?? `request-${index}`;
+      if (!CUSTOM_ID_PATTERN.test(customId)) {
+        throw new Error(
+          `Invalid batch customId "${customId}": use 1-64 letters, digits, "_" or "-"`
+        );
+      }
+      if (seen.has(customId)) {
+        throw new Error(`Duplicate batch customId "${customId}"`);
+      }
+      seen.add(customId);
+      return this.batches.toRequest(this.client, { ...request, customId });
+    });
+  }
+
+  /**
+   * Submit requests as one batch job
+   * @param {BatchRequest[]} requests - Requests
+   * @param {Object} [options={}] - Options (signal, timeoutMs)
+   * @returns {Promise<BatchJob>} Submitted job
+   */
+  async submit(requests, options = {}) {
+    const batchRequests = this.toBatchRequests(requests);
+    return withCancellation(options, async (_requestOptions, signal) =>
+      this.batches.toJob(await this.batches.create(this.client.client, batchRequests, signal))
+    );
+  }
+
+  /**
+   * Get the current state of a job
+   * @param {string} jobId - Job ID
+   * @param {Object} [options={}] - Options (signal, timeoutMs)
+   * @returns {Promise<BatchJob>} Job
+   */
+  async retrieve(jobId, options = {}) {
+    return withCancellation(options, async (_requestOptions, signal) =>
+      this.batches.toJob(await this.batches.retrieve(this.client.client, jobId, signal))
+    );
+  }
+
+  /**
+   * Ask the provider to cancel a job; requests already finished keep their results
+   * @param {string} jobId - Job ID
+   * @param {Object} [options={}] - Options (signal, timeoutMs)
+   * @returns {Promise<BatchJob>} Job
+   */
+  async cancel(jobId, options = {}) {
+    return withCancellation(options, async (_requestOptions, signal) =>
+      this.batches.toJob(await this.batches.cancel(this.client.client, jobId, signal))
+    );
+  }
+
+  /**
+   * Poll a job until it completes, fails, expires or is cancelled
+   * @param {string} jobId - Job ID
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.pollIntervalMs] - Delay between status checks
+   * @param {(job: BatchJob) => void} [options.onProgress] - Called after every status check
+   * @param {AbortSignal} [options.signal] - Stops waiting (the job keeps running)
+   * @param {number} [options.timeoutMs] - Stops waiting after this long
+   * @returns {Promise<BatchJob>} Finished job
+   */
+  async wait(jobId, options = {}) {
+    const { pollIntervalMs = this.pollIntervalMs, onProgress } = options;
+    const cancellation = createCancellation(options);
+    try {
+      for (;;) {
+        cancellation.throwIfAborted();
+        const job = await cancellation.race(this.retrieve(jobId, { signal: cancellation.signal }));
+        onProgress?.(job);
+        if (TERMINAL_STATUSES.has(job.status)) {
+          return job;
+        }
+        await sleep(pollIntervalMs, cancellation.signal);
+      }
+    } finally {
+      cancellation.dispose();
+    }
+  }
+
+  /**
+   * Download the results of a finished job
+   * @param {string|BatchJob} job - Job or job ID
+   * @param {Object} [options={}] - Options (signal, timeoutMs)
+   * @returns {Promise<BatchResult[]>} Results in provider order
+   */
+  async results(job, options = {}) {
+    const finished = typeof job === 'string' ? await this.retrieve(job, options) : job;
+    return withCancellation(options, (_requestOptions, signal) =>
+      this.batches.results(this.client.client, finished.raw, signal)
+    );
+  }
+
+  /**
+   * Submit requests, wait for the job and return results in input order
+   * Requests without a result (expired or cancelled jobs) get an error entry.
+   * @param {BatchRequest[]} requests - Requests
+   * @param {Object} [options={}] - Options for wait() (pollIntervalMs, onProgress, signal, timeoutMs)
+   * @returns {Promise<BatchResult[]>} One result per request, in input order
+   * @throws {Error} If the provider rejects the whole job
+   */
+  async run(requests, options = {}) {
+    const { signal } = options;
+    const submitted = await this.submit(requests, { signal });
+    const job = await this.wait(submitted.id, options);
+    if (job.status === 'failed') {
+      const reason = this.batches.failure(job.raw);
+      throw new Error(`Batch job ${job.id} failed${reason ? `: ${reason}` : ''}`);
+    }
+
+    const byId = new Map((await this.results(job, { signal })).map((r) => [r.customId, r]));
+    return requests.map((request, index) => {
+      const customId = request.customId ?? `request-${index}`;
+      return (
+        byId.get(customId) || {
+          customId,
+          error: {
+            type: job.status === 'completed' ? 'missing' : job.status,
+            message: `No result for this request (job ${job.status})`,
+          },
+        }
+      );
+    });
+  }
+
+  /**
+   * Calculate the discounted cost of a batch response
+   * Uses the catalogue's batchInput/batchOutput prices where the model has them,
+   * otherwise BATCH_DISCOUNT.
+   * @param {Object} response - Response from a batch result
+   * @param {string} [model] - Optional model name (defaults to client model)
+   * @returns {Object} Cost calculation result, with batchDiscount set to the input-side ratio
+   */
+  calculateCost(response, model = null) {
+    const cost = this.client.calculateCost(response, model);
+    const pricing = getModelPricing(this.provider, model || this.client.model);
+    const inputRatio = batchRatio(pricing.batchInput, pricing.input);
+    const outputRatio = batchRatio(pricing.batchOutput, pricing.output);
+
+    const discounted = { ...cost, batchDiscount: inputRatio };
+    for (const key of Object.keys(cost)) {
+      if (key.endsWith('Cost') && key !== 'totalCost') {
+        discounted[key] = cost[key] * (key === 'outputCost' ? outputRatio : inputRatio);
+      }
+    }
+    discounted.totalCost =
+      (cost.totalCost - cost.outputCost) * inputRatio + cost.outputCost * outputRatio;
+    return discounted;
+  }
+}
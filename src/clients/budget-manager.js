@@ -0,0 +1,467 @@
+/**
+ * Budget Manager
+ *
+ * Spending limits for CostTrackingClient. A budget caps the USD spent by one
+ * scope over an optional time window:
+ *
+ *   scope  - 'global' (all spend), 'session' (one CostTrackingClient),
+ *            'request' (a single call's estimate), or any attribution tag
+ *            such as 'agent' or 'tenant' (each tag value gets its own limit)
+ *   window - 'hour', 'day' or 'month' (UTC calendar periods); omit for no reset
+ *
+ * Hard budgets reject requests whose estimated cost would take spend over the
+ * limit; soft budgets only warn. Both report crossing their warnAt thresholds.
+ * A request in flight holds its estimate with reserve() until it is released,
+ * so concurrent requests cannot all fit into the same remaining budget.
+ *
+ * Budgets from config.budgets (AI_BUDGET_DAILY_USD, AI_BUDGET_MONTHLY_USD or a
+ * config profile) live in a manager shared across the process through
+ * getBudgetManager(), so every tracked client draws from the same limits.
+ *
+ * By default spend is counted in memory and starts from zero in each process.
+ * Give the manager a CostLedger to count everything in the ledger instead:
+ * budgets then hold across restarts and across processes sharing the file.
+ * The shared manager uses the ledger from AI_COST_LEDGER when it is set.
+ * Spend recorded without being appended to that ledger (a client with
+ * `ledger: null`) is still counted, in memory.
+ *
+ * @example
+ * const budgets = new BudgetManager({
+ *   budgets: [
+ *     { name: 'tenant-daily', scope: 'tenant', window: 'day', limitUsd: 5 },
+ *     { name: 'support-agent', scope: 'agent', match: 'support', limitUsd: 20, hard: false },
+ *   ],
+ * });
+ * const reservation = budgets.reserve(0.02, { tenant: 'acme', agent: 'support' }); // may throw
+ * budgets.record(0.018, { tenant: 'acme', agent: 'support' }); // returns crossed warnings
+ * budgets.release(reservation);
+ */
+
+import { config } from '../config.js';
+import { getCostLedger } from '../utils/cost-ledger.js';
+
+const WINDOW_PERIOD_LENGTH = { hour: 13, day: 10, month: 7 };
+
+/**
+ * Window period a time falls in ('day' -> '2026-10-19'), or null for budgets without a window
+ * @param {Budget} budget - Budget
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string|null} Period
+ */
+function periodOf(budget, timestamp) {
+  return budget.window ? timestamp.slice(0, WINDOW_PERIOD_LENGTH[budget.window]) : null;
+}
+
+/**
+ * @typedef {Object} Budget
+ * @property {string} [name] - Budget name used in errors and warnings (default: scope and window)
+ * @property {number} limitUsd - Spending limit in USD
+ * @property {string} [scope='global'] - 'global', 'session', 'request' or a tag name
+ * @property {string} [match] - Only apply to this tag value (default: every value separately)
+ * @property {'hour'|'day'|'month'} [window] - Calendar period the limit resets after
+ * @property {boolean} [hard=true] - Reject requests that would exceed the limit
+ * @property {number[]} [warnAt] - Fractions of the limit that trigger a warning
+ */
+
+/**
+ * @typedef {Object} BudgetWarning
+ * @property {string} budget - Budget name
+ * @property {string} scope - Budget scope
+ * @property {string|null} key - Tag value the spend belongs to (null for global budgets)
+ * @property {string|null} period - Current window period (e.g. '2026-10-19'), or null
+ * @property {number} threshold - Fraction of the limit that was crossed
+ * @property {number} spentUsd - Spend in the period
+ * @property {number} limitUsd - Spending limit
+ * @property {boolean} hard - Whether the budget is hard
+ * @property {boolean} exceeded - Whether spend is over the limit
+ */
+
+/**
+ * @typedef {Object} BudgetReservation
+ * @property {number} estimatedUsd - Estimated cost held against the budgets
+ * @property {Object[]} entries - Spend entries holding it
+ */
+
+/**
+ * Thrown when a request would take spend over a hard budget
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {Object} details - What was exceeded
+   * @param {string} details.budget - Budget name
+   * @param {string} details.scope - Budget scope
+   * @param {string|null} details.key - Tag value the spend belongs to
+   * @param {number} details.limitUsd - Spending limit
+   * @param {number} details.spentUsd - Spend so far in the period, including reservations
+   * @param {number} details.estimatedUsd - Estimated cost of the rejected request
+   */
+  constructor({ budget, scope, key, limitUsd, spentUsd, estimatedUsd }) {
+    super(
+      `Budget '${budget}'${key ? ` for ${key}` : ''} exceeded: $${spentUsd.toFixed(4)} of ` +
+        `$${limitUsd.toFixed(2)} spent, request needs ~$${estimatedUsd.toFixed(4)}`
+    );
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.budget = budget;
+    this.scope = scope;
+    this.key = key;
+    this.limitUsd = limitUsd;
+    this.spentUsd = spentUsd;
+    this.estimatedUsd = estimatedUsd;
+  }
+}
+
+/**
+ * Build budgets from the config.budgets section
+ * @param {Object} [budgets=config.budgets] - Budget settings (perRequestUsd, sessionUsd, dailyUsd,
+ *   monthlyUsd, warnAt)
+ * @returns {Budget[]} Hard budgets for each configured limit
+ */
+export function budgetsFromConfig(budgets = config.budgets) {
+  const warnAt = budgets.warnAt === undefined ? undefined : [budgets.warnAt];
+  return [
+    ['perRequestUsd', { name: 'per-request', scope: 'request' }],
+    ['sessionUsd', { name: 'session', scope: 'session' }],
+    ['dailyUsd', { name: 'daily', window: 'day' }],
+    ['monthlyUsd', { name: 'monthly', window: 'month' }],
+  ]
+    .filter(([setting]) => budgets[setting] !== undefined)
+    .map(([setting, budget]) => ({ ...budget, limitUsd: budgets[setting], warnAt }));
+}
+
+/**
+ * Tracks spend against a set of budgets
+ */
+export class BudgetManager {
+  /**
+   * @param {Object} [options={}] - Manager options
+   * @param {Budget[]} [options.budgets=[]] - Budgets to enforce
+   * @param {number[]} [options.warnAt=[0.8]] - Default warning thresholds
+   * @param {() => number} [options.now=Date.now] - Clock, for tests
+   * @param {import('../utils/cost-ledger.js').CostLedger} [options.ledger] - Ledger to count spend
+   *   from; record() then only reports warnings for spend already in the ledger
+   */
+  constructor({ budgets = [], warnAt = [0.8], now = Date.now, ledger = null } = {}) {
+    this.warnAt = warnAt;
+    this.now = now;
+    this.ledger = ledger;
+    /** @type {Budget[]} */
+    this.budgets = [];
+    // budget name -> tag value -> { period, spentUsd, reservedUsd, offLedgerUsd, warned }, for
+    // the latest period only
+    // (with a ledger, spentUsd is the ledger's spend, updated as entries are appended, plus
+    // offLedgerUsd recorded without being appended to it)
+    this.spend = new Map();
+    // Ledger bytes already counted into this.spend
+    this.ledgerOffset = 0;
+    budgets.forEach((budget) => this.addBudget(budget));
+  }
+
+  /**
+   * Add a budget
+   * @param {Budget} budget - Budget to enforce
+   * @returns {BudgetManager} This manager, for chaining
+   * @throws {Error} If the budget is invalid or its name is already used
+   */
+  addBudget(budget) {
+    const scope = budget.scope ?? 'global';
+    const name = budget.name ?? [scope, budget.match, budget.window].filter(Boolean).join('-');
+    if (!(budget.limitUsd >= 0)) {
+      throw new Error(`Budget '${name}' needs a non-negative limitUsd`);
+    }
+    if (budget.window && !WINDOW_PERIOD_LENGTH[budget.window]) {
+      throw new Error(
+        `Budget '${name}' has unknown window '${budget.window}' (hour, day or month)`
+      );
+    }
+    if (this.budgets.some((existing) => existing.name === name)) {
+      throw new Error(`Budget '${name}' already exists`);
+    }
+
+    this.budgets.push({ ...budget, name, scope, hard: budget.hard !== false });
+    this.spend.set(name, new Map());
+    // Count the ledger again so the new budget includes its earlier entries
+    this._recountLedger();
+    return this;
+  }
+
+  /**
+   * Remove a budget and its recorded spend
+   * @param {string} name - Budget name
+   */
+  removeBudget(name) {
+    this.budgets = this.budgets.filter((budget) => budget.name !== name);
+    this.spend.delete(name);
+  }
+
+  /**
+   * Tag value a budget tracks for a request, or undefined if it does not apply
+   * @private
+   */
+  _keyFor(budget, context) {
+    if (budget.scope === 'global' || budget.scope === 'request') {
+      return null;
+    }
+    const value = context[budget.scope];
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    return budget.match === undefined || budget.match === value ? String(value) : undefined;
+  }
+
+  /**
+   * Spend entry for a budget and key in the current period
+   * @private
+   */
+  _entry(budget, key) {
+    return this._entryIn(budget, key, periodOf(budget, new Date(this.now()).toISOString()));
+  }
+
+  /**
+   * Spend entry for a budget and key in a period; an earlier period's entry is replaced
+   * @private
+   */
+  _entryIn(budget, key, period) {
+    const byKey = this.spend.get(budget.name);
+    let entry = byKey.get(key);
+    if (!entry || entry.period !== period) {
+      entry = { period, spentUsd: 0, reservedUsd: 0, offLedgerUsd: 0, warned: new Set() };
+      byKey.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Add the ledger entries appended since the last sync to the spend entries
+   * Ledger entries are attributed like live requests: by their tags plus
+   * their sessionId as the 'session' tag.
+   * @private
+   */
+  _syncLedger() {
+    const { entries, offset, reset } = this.ledger.read(this.ledgerOffset);
+    if (reset) {
+      this._recountLedger();
+    }
+    this.ledgerOffset = offset;
+
+    for (const request of entries) {
+      const context = { ...request.tags, session: request.sessionId };
+      for (const budget of this.budgets) {
+        const key = this._keyFor(budget, context);
+        if (key === undefined || budget.scope === 'request') continue;
+        const period = periodOf(budget, request.timestamp);
+        const current = this.spend.get(budget.name).get(key)?.period;
+        // Entries from before the latest period no longer count
+        if (current === undefined || period === null || period >= current) {
+          this._entryIn(budget, key, period).spentUsd += request.totalCost || 0;
+        }
+      }
+    }
+  }
+
+  /**
+   * Count the ledger from the start on the next sync (warnings already given are kept)
+   * @private
+   */
+  _recountLedger() {
+    if (!this.ledger) {
+      return;
+    }
+    this.ledgerOffset = 0;
+    for (const byKey of this.spend.values()) {
+      for (const entry of byKey.values()) {
+        entry.spentUsd = entry.offLedgerUsd;
+      }
+    }
+  }
+
+  /**
+   * Budgets that apply to a request, with their current spend
+   * @private
+   */
+  _applicable(context) {
+    if (this.ledger) {
+      this._syncLedger();
+    }
+    return this.budgets.flatMap((budget) => {
+      const key = this._keyFor(budget, context);
+      if (key === undefined) {
+        return [];
+      }
+      if (budget.scope === 'request') {
+        return [{ budget, key, spentUsd: 0, reservedUsd: 0 }];
+      }
+      const { spentUsd, reservedUsd } = this._entry(budget, key);
+      return [{ budget, key, spentUsd, reservedUsd }];
+    });
+  }
+
+  /**
+   * Find the hard budget a request would exceed
+   * Estimates reserved by requests still in flight count as spent.
+   * @param {number} estimatedUsd - Estimated cost of the request
+   * @param {Object} [context={}] - Attribution: session plus tags such as agent and tenant
+   * @returns {BudgetExceededError|null} Error describing the exceeded budget, or null if it fits
+   */
+  findViolation(estimatedUsd, context = {}) {
+    const violation = this._applicable(context).find(
+      ({ budget, spentUsd, reservedUsd }) =>
+        budget.hard && spentUsd + reservedUsd + estimatedUsd > budget.limitUsd
+    );
+    if (!violation) {
+      return null;
+    }
+    const { budget, key, spentUsd, reservedUsd } = violation;
+    return new BudgetExceededError({
+      budget: budget.name,
+      scope: budget.scope,
+      key,
+      limitUsd: budget.limitUsd,
+      spentUsd: spentUsd + reservedUsd,
+      estimatedUsd,
+    });
+  }
+
+  /**
+   * Check that a request fits every hard budget
+   * @param {number} estimatedUsd - Estimated cost of the request
+   * @param {Object} [context={}] - Attribution: session plus tags such as agent and tenant
+   * @throws {BudgetExceededError} If the request would exceed a hard budget
+   */
+  check(estimatedUsd, context = {}) {
+    const violation = this.findViolation(estimatedUsd, context);
+    if (violation) {
+      throw violation;
+    }
+  }
+
+  /**
+   * Check that a request fits every hard budget and hold its estimate until it finishes
+   * Like RateLimiter.acquire(), this stops concurrent requests from all passing
+   * the check against the same remaining budget. Release the reservation once
+   * the request's actual cost has been recorded, or once it has failed.
+   * @param {number} estimatedUsd - Estimated cost of the request
+   * @param {Object} [context={}] - Attribution: session plus tags such as agent and tenant
+   * @returns {BudgetReservation} Reservation to pass to release()
+   * @throws {BudgetExceededError} If the request would exceed a hard budget
+   */
+  reserve(estimatedUsd, context = {}) {
+    this.check(estimatedUsd, context);
+    const entries = this._applicable(context)
+      .filter(({ budget }) => budget.scope !== 'request')
+      .map(({ budget, key }) => this._entry(budget, key));
+    entries.forEach((entry) => (entry.reservedUsd += estimatedUsd));
+    return { estimatedUsd, entries };
+  }
+
+  /**
+   * Drop a reservation (releasing it twice has no effect)
+   * @param {BudgetReservation} reservation - Reservation from reserve()
+   */
+  release(reservation) {
+    reservation.entries.forEach((entry) => (entry.reservedUsd -= reservation.estimatedUsd));
+    reservation.entries = [];
+  }
+
+  /**
+   * Record spend and report the warning thresholds it crossed
+   * Each threshold is reported once per budget, tag value and period.
+   * @param {number} costUsd - Actual cost of a request
+   * @param {Object} [context={}] - Attribution: session plus tags such as agent and tenant
+   * @param {Object} [options={}] - Record options
+   * @param {boolean} [options.inLedger] - Whether the request was appended to this manager's
+   *   ledger, so its spend is counted from there (default: whether the manager has a ledger)
+   * @returns {BudgetWarning[]} Thresholds crossed by this spend
+   */
+  record(costUsd, context = {}, { inLedger = Boolean(this.ledger) } = {}) {
+    const warnings = [];
+    for (const { budget, key } of this._applicable(context)) {
+      if (budget.scope === 'request') {
+        continue;
+      }
+      const entry = this._entry(budget, key);
+      if (!inLedger) {
+        entry.spentUsd += costUsd;
+        entry.offLedgerUsd += costUsd;
+      }
+
+      const thresholds = [...(budget.warnAt ?? this.warnAt), 1];
+      for (const threshold of thresholds) {
+        if (entry.spentUsd >= budget.limitUsd * threshold && !entry.warned.has(threshold)) {
+          entry.warned.add(threshold);
+          warnings.push({
+            budget: budget.name,
+            scope: budget.scope,
+            key,
+            period: entry.period,
+            threshold,
+            spentUsd: entry.spentUsd,
+            limitUsd: budget.limitUsd,
+            hard: budget.hard,
+            exceeded: entry.spentUsd > budget.limitUsd,
+          });
+        }
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Current spend against every budget that applies to a context
+   * @param {Object} [context={}] - Attribution: session plus tags such as agent and tenant
+   * @returns {Array<{budget: string, scope: string, key: string|null, period: string|null, hard: boolean, limitUsd: number, spentUsd: number, remainingUsd: number}>}
+   *   Budget status
+   */
+  getStatus(context = {}) {
+    return this._applicable(context)
+      .filter(({ budget }) => budget.scope !== 'request')
+      .map(({ budget, key, spentUsd }) => ({
+        budget: budget.name,
+        scope: budget.scope,
+        key,
+        period: this._entry(budget, key).period,
+        hard: budget.hard,
+        limitUsd: budget.limitUsd,
+        spentUsd,
+        remainingUsd: Math.max(0, budget.limitUsd - spentUsd),
+      }));
+  }
+
+  /**
+   * Forget all recorded spend (budgets are kept; a ledger's spend is counted again)
+   * Reservations of requests still in flight are kept, so releasing them stays balanced.
+   */
+  reset() {
+    for (const byKey of this.spend.values()) {
+      for (const [key, entry] of byKey) {
+        if (entry.reservedUsd > 0) {
+          Object.assign(entry, { spentUsd: 0, offLedgerUsd: 0, warned: new Set() });
+        } else {
+          byKey.delete(key);
+        }
+      }
+    }
+    this.ledgerOffset = 0;
+  }
+}
+
+let sharedManager = null;
+
+/**
+ * Get the process-wide budget manager
+ * Created on first use with the budgets from config.budgets, counting spend
+ * from the configured cost ledger if there is one.
+ * @returns {BudgetManager} Shared manager
+ */
+export function getBudgetManager() {
+  sharedManager ??= new BudgetManager({ budgets: budgetsFromConfig(), ledger: getCostLedger() });
+  return sharedManager;
+}
+
+/**
+ * Replace the process-wide budget manager, or pass null to rebuild it from configuration
+ * @param {BudgetManager|null} manager - Manager to share
+ */
+export function setBudgetManager(manager) {
+  sharedManager = manager;
+}
@@ -0,0 +1,127 @@
+/**
+ * Built-in Providers
+ *
+ * Definitions of the providers that ship with this repo. The provider registry
+ * registers them on first use, so config.js and providerUtils can check
+ * availability whichever module was imported first.
+ *
+ * The registry imports this module, which imports the client classes. They,
+ * and this module, read settings from config-values.js rather than config.js,
+ * which imports the registry, so no client module imports the registry back.
+ */
+
+import { config } from '../config-values.js';
+import { AzureOpenAIClient } from './azure-openai-client.js';
+import { StandardOpenAIClient } from './standard-openai-client.js';
+import { ClaudeClient } from './claude-client.js';
+import { LocalAIClient } from './local-client.js';
+import { MockAIClient } from './mock-client.js';
+
+/**
+ * Build a provider status from [value, envVarName] pairs
+ * @param {Array<[unknown, string]>} requirements - Config values and the env vars that set them
+ * @returns {import('./provider-registry.js').ProviderStatus} Provider status
+ */
+function missingStatus(requirements) {
+  const missing = requirements.filter(([value]) => !value).map(([, envVar]) => envVar);
+  return {
+    available: missing.length === 0,
+    missing,
+  };
+}
+
+/**
+ * Built-in provider definitions, in the order getDefaultProvider() and
+ * getDefaultVisionProvider() consider them
+ * @type {Array<[string, import('./provider-registry.js').ProviderDefinition]>}
+ */
+export const builtInProviders = [
+  [
+    'openai',
+    {
+      // 'openai' routes based on config.openai.defaultProvider
+      // Set OPENAI_DEFAULT_PROVIDER env var to 'azure-openai' or 'openai-standard'
+      create: (model) =>
+        config.openai.defaultProvider === 'azure-openai'
+          ? new AzureOpenAIClient(model)
+          : new StandardOpenAIClient(model),
+      isAvailable: () => !!(config.openai.standardApiKey || config.openai.azureApiKey),
+      defaultModel: () => config.openai.model,
+      visionModel: () => config.openai.visionModel,
+      displayName: 'OpenAI (default routing)',
+    },
+  ],
+  [
+    'openai-standard',
+    {
+      create: (model) => new StandardOpenAIClient(model),
+      isAvailable: () => !!config.openai.standardApiKey,
+      validateEnv: () => missingStatus([[config.openai.standardApiKey, 'OPENAI_API_KEY']]),
+      defaultModel: () => config.openai.model,
+      visionModel: () => config.openai.visionModel,
+      // Vision works best with standard OpenAI, so it is preferred whichever OpenAI key is set
+      isVisionAvailable: () => !!(config.openai.azureApiKey || config.openai.standardApiKey),
+      displayName: 'Standard OpenAI',
+      autoSelect: false,
+    },
+  ],
+  [
+    'azure-openai',
+    {
+      create: (model) => new AzureOpenAIClient(model),
+      // An Azure key alone is not enough: requests need AZURE_OPENAI_ENDPOINT too
+      isAvailable: () => !!(config.openai.azureApiKey && config.openai.azure.endpoint),
+      validateEnv: () =>
+        missingStatus([
+          [config.openai.azureApiKey, 'AZURE_OPENAI_API_KEY'],
+          [config.openai.azure.endpoint, 'AZURE_OPENAI_ENDPOINT'],
+        ]),
+      defaultModel: () => config.openai.model,
+      visionModel: () => config.openai.visionModel,
+      displayName: 'Azure OpenAI',
+      autoSelect: false,
+    },
+  ],
+  [
+    'claude',
+    {
+      create: (model) => new ClaudeClient(model),
+      isAvailable: () => !!config.claude?.apiKey,
+      validateEnv: () => missingStatus([[config.claude?.apiKey, 'ANTHROPIC_API_KEY']]),
+      defaultModel: () => config.claude.model,
+      // Claude uses the same model for vision
+      visionModel: () => config.claude.model,
+      isVisionAvailable: () => !!config.claude?.apiKey,
+      displayName: 'Claude (Anthropic)',
+    },
+  ],
+  [
+    'local',
+    {
+      create: (model) => new LocalAIClient(model),
+      isAvailable: () => !!config.local?.baseUrl,
+      validateEnv: () => missingStatus([[config.local?.baseUrl, 'LOCAL_AI_BASE_URL']]),
+      defaultModel: () => config.local.model,
+      visionModel: () => {
+        if (!config.local.visionModel) {
+          throw new Error(
+            'No vision model configured for local provider (set LOCAL_AI_VISION_MODEL)'
+          );
+        }
+        return config.local.visionModel;
+      },
+      isVisionAvailable: () => !!(config.local?.baseUrl && config.local?.visionModel),
+      displayName: 'Local (OpenAI-compatible)',
+    },
+  ],
+  [
+    'mock',
+    {
+      create: (model) => new MockAIClient(model ? { model } : {}),
+      isAvailable: () => true, // Mock is always available
+      defaultModel: 'mock-model',
+      displayName: 'Mock (testing)',
+      autoSelect: false,
+    },
+  ],
+];
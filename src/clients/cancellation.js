@@ -0,0 +1,231 @@
+/**
+ * Request Cancellation and Timeouts
+ *
+ * Every client method that takes options honours two provider-neutral fields:
+ *
+ *   options.signal     - AbortSignal; aborting rejects the call with AbortError
+ *   options.timeoutMs  - Deadline for the whole call; expiry rejects with TimeoutError
+ *
+ * Both fields are stripped before the request reaches the provider SDK, and the
+ * combined signal is forwarded to the SDK so the HTTP request is torn down too.
+ * Wrappers (ResilientClient, FallbackClient) treat timeoutMs as a deadline that
+ * covers all of their retries and failovers.
+ *
+ * @example
+ * const controller = new AbortController();
+ * setTimeout(() => controller.abort(), 1000);
+ *
+ * try {
+ *   await client.chat(messages, { signal: controller.signal, timeoutMs: 30000 });
+ * } catch (error) {
+ *   if (error instanceof AbortError) console.log('Cancelled');
+ *   if (error instanceof TimeoutError) console.log('Timed out');
+ * }
+ */
+
+/**
+ * Thrown when a request is cancelled through options.signal
+ */
+export class AbortError extends Error {
+  /**
+   * @param {string} [message='Request was aborted'] - Error message
+   * @param {{cause?: *}} [options] - Error options (cause is the abort reason)
+   */
+  constructor(message = 'Request was aborted', options = undefined) {
+    super(message, options);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+
+/**
+ * Thrown when a request exceeds options.timeoutMs
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {number} timeoutMs - Deadline that was exceeded
+   */
+  constructor(timeoutMs) {
+    super(`Request exceeded its ${timeoutMs}ms deadline`);
+    this.name = 'TimeoutError';
+    this.code = 'REQUEST_TIMEOUT';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Check whether an error came from cancellation or a request deadline
+ * These must never be retried: the caller has given up on the request.
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for AbortError, TimeoutError and SDK abort errors
+ */
+export function isCancellationError(error) {
+  return (
+    error instanceof AbortError ||
+    error instanceof TimeoutError ||
+    error?.name === 'AbortError' ||
+    error?.name === 'APIUserAbortError'
+  );
+}
+
+/**
+ * Convert a signal's abort reason to an AbortError (TimeoutErrors pass through)
+ * @param {*} reason - AbortSignal reason
+ * @returns {AbortError|TimeoutError} Error to reject with
+ */
+function toCancellationError(reason) {
+  if (reason instanceof AbortError || reason instanceof TimeoutError) {
+    return reason;
+  }
+  return new AbortError('Request was aborted', { cause: reason });
+}
+
+const NO_CANCELLATION = {
+  signal: undefined,
+  throwIfAborted() {},
+  race: (promise) => promise,
+  dispose() {},
+};
+
+/**
+ * @typedef {Object} Cancellation
+ * @property {AbortSignal} [signal] - Combined signal to forward to SDK calls
+ * @property {() => void} throwIfAborted - Throw if already cancelled
+ * @property {<T>(promise: Promise<T>) => Promise<T>} race - Reject as soon as the call is cancelled
+ * @property {() => void} dispose - Clear the deadline timer and listeners
+ */
+
+/**
+ * Combine a caller signal and a deadline into one cancellation scope
+ * @param {{signal?: AbortSignal, timeoutMs?: number}} [options={}] - Cancellation options
+ * @returns {Cancellation} Cancellation scope (a no-op when neither is set)
+ */
+export function createCancellation({ signal, timeoutMs } = {}) {
+  if (!signal && !timeoutMs) {
+    return NO_CANCELLATION;
+  }
+
+  const controller = new AbortController();
+  const abort = (reason) => {
+    if (!controller.signal.aborted) {
+      controller.abort(reason);
+    }
+  };
+  const onCallerAbort = () => abort(toCancellationError(signal.reason));
+
+  if (signal?.aborted) {
+    onCallerAbort();
+  } else {
+    signal?.addEventListener('abort', onCallerAbort, { once: true });
+  }
+  const timer = timeoutMs ? setTimeout(() => abort(new TimeoutError(timeoutMs)), timeoutMs) : null;
+
+  return {
+    signal: controller.signal,
+
+    throwIfAborted() {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+    },
+
+    race(promise) {
+      return new Promise((resolve, reject) => {
+        // Providers that ignore the signal must not keep the caller waiting
+        const onAbort = () => reject(controller.signal.reason);
+        if (controller.signal.aborted) {
+          onAbort();
+        } else {
+          controller.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        promise
+          .then(resolve, (error) =>
+            reject(controller.signal.aborted ? controller.signal.reason : error)
+          )
+          .finally(() => controller.signal.removeEventListener('abort', onAbort));
+      });
+    },
+
+    dispose() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onCallerAbort);
+    },
+  };
+}
+
+/**
+ * Split the cancellation fields from request options
+ * @param {Object} [options={}] - Method options
+ * @returns {{signal?: AbortSignal, timeoutMs?: number, requestOptions: Object}} Split options
+ */
+export function splitCancellationOptions(options = {}) {
+  const { signal, timeoutMs, ...requestOptions } = options;
+  return { signal, timeoutMs, requestOptions };
+}
+
+/**
+ * Add a signal to request options, leaving them untouched when there is none
+ * @param {Object} options - Request options without cancellation fields
+ * @param {AbortSignal} [signal] - Signal to forward
+ * @returns {Object} Options for the next client in a chain
+ */
+export function withSignal(options, signal) {
+  return signal ? { ...options, signal } : options;
+}
+
+/**
+ * Run a request under options.signal and options.timeoutMs
+ * @template T
+ * @param {Object} options - Method options (may contain signal and timeoutMs)
+ * @param {(requestOptions: Object, signal?: AbortSignal) => Promise<T>} run - Performs the
+ *   request with the remaining options; forward `signal` to the SDK
+ * @returns {Promise<T>} Result of the request
+ * @throws {AbortError|TimeoutError} When cancelled or past the deadline
+ */
+export async function withCancellation(options, run) {
+  const { signal, timeoutMs, requestOptions } = splitCancellationOptions(options);
+  const cancellation = createCancellation({ signal, timeoutMs });
+  try {
+    cancellation.throwIfAborted();
+    return await cancellation.race(run(requestOptions, cancellation.signal));
+  } finally {
+    cancellation.dispose();
+  }
+}
+
+/**
+ * Stream events under options.signal and options.timeoutMs
+ * The deadline covers the whole stream, not just the first event.
+ * @param {Object} options - Method options (may contain signal and timeoutMs)
+ * @param {(requestOptions: Object, signal?: AbortSignal) => AsyncIterable<*>} open - Opens the
+ *   underlying stream with the remaining options
+ * @yields {*} Events of the underlying stream
+ * @throws {AbortError|TimeoutError} When cancelled or past the deadline
+ */
+export async function* withCancellableStream(options, open) {
+  const { signal, timeoutMs, requestOptions } = splitCancellationOptions(options);
+  const cancellation = createCancellation({ signal, timeoutMs });
+  let iterator;
+  let pending = false;
+
+  try {
+    cancellation.throwIfAborted();
+    iterator = open(requestOptions, cancellation.signal)[Symbol.asyncIterator]();
+    for (;;) {
+      pending = true;
+      const { done, value } = await cancellation.race(iterator.next());
+      pending = false;
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    cancellation.dispose();
+    // Release the underlying stream on abort, error or early exit. A stream still
+    // producing its next event (abort or timeout) may hang, so never wait on one.
+    const closing = Promise.resolve(iterator?.return?.()).catch(() => {});
+    if (!pending) {
+      await closing;
+    }
+  }
+}
@@ -1,14 +1,38 @@
 import Anthropic from '@anthropic-ai/sdk';
-import { config } from '../config.js';
+import { config } from '../config-values.js';
 import { AIClientInterface } from './ai-client-interface.js';
-import { PRICING } from '../utils/pricing.js';
+import { getModelPricing } from '../utils/pricing.js';
+import { calculateTokenCost, fromClaudeUsage } from '../utils/cost-utils.js';
+import { StreamEventBuilder } from './stream-events.js';
+import { withCancellableStream, withCancellation } from './cancellation.js';
+import { withResponseHeaders } from './response-headers.js';
+import { fromCanonicalMessages, responseToMessage } from './message-format.js';
+
+const EPHEMERAL_CACHE = { type: 'ephemeral' };
+
+/**
+ * Add a cache_control breakpoint to the last block of a list
+ * @param {Array} blocks - Content blocks, system blocks or tools
+ * @returns {Array} Copy with the last block marked
+ */
+function markLastBlock(blocks) {
+  return blocks.map((block, index) =>
+    index === blocks.length - 1 ? { ...block, cache_control: EPHEMERAL_CACHE } : block
+  );
+}
 
 /**
  * Claude Client
  * Implements AIClientInterface for consistent API across providers
  */
 export class ClaudeClient extends AIClientInterface {
-  constructor(model = null) {
+  /**
+   * @param {string} [model] - Model name (defaults to config.claude.model)
+   * @param {Object} [options={}] - Client options
+   * @param {boolean|Object} [options.promptCache] - Default prompt caching for chat calls
+   *   (see applyPromptCache; defaults to config.claude.promptCache)
+   */
+  constructor(model = null, options = {}) {
     super();
     if (!config.claude.apiKey) {
       throw new Error('ANTHROPIC_API_KEY is not set in environment variables');
@@ -19,11 +43,53 @@ export class ClaudeClient extends AIClientInterface {
       apiVersion: config.claude.apiVersion,
     });
     this.model = model || config.claude.model;
+    this.promptCache = options.promptCache ?? config.claude.promptCache;
+  }
+
+  /**
+   * Mark the stable parts of a request as cacheable with cache_control breakpoints
+   * Claude caches the prompt prefix up to each breakpoint: the tool definitions,
+   * then the system prompt, then the conversation so far (its last block), so
+   * the next turn of the same conversation reads that prefix from the cache.
+   * Prefixes shorter than the model's minimum cacheable length are not cached.
+   * Chat methods call this with `options.promptCache`.
+   * @param {Object} params - Messages API request parameters
+   * @param {boolean|{system?: boolean, tools?: boolean, messages?: boolean}} [promptCache] -
+   *   true to mark all three, or the parts to mark (defaults to the client setting)
+   * @returns {Object} Request parameters with cache_control breakpoints
+   */
+  applyPromptCache(params, promptCache = this.promptCache) {
+    if (!promptCache) {
+      return params;
+    }
+    const parts =
+      promptCache === true ? { system: true, tools: true, messages: true } : promptCache;
+    const cached = { ...params };
+
+    if (parts.tools && params.tools?.length) {
+      cached.tools = markLastBlock(params.tools);
+    }
+    if (parts.system && params.system) {
+      cached.system = markLastBlock(
+        typeof params.system === 'string' ? [{ type: 'text', text: params.system }] : params.system
+      );
+    }
+    const last = params.messages?.at(-1);
+    if (parts.messages && last?.content?.length) {
+      const content =
+        typeof last.content === 'string' ? [{ type: 'text', text: last.content }] : last.content;
+      cached.messages = [
+        ...params.messages.slice(0, -1),
+        { ...last, content: markLastBlock(content) },
+      ];
+    }
+    return cached;
   }
 
   /**
    * Extract system messages from messages array and convert to Claude format
-   * Claude API requires system content as a top-level parameter, not as a message role
+   * Claude API requires system content as a top-level parameter, not as a message role.
+   * Canonical messages are translated to Claude content blocks on the way.
    * @param {Array} messages - Array of message objects
    * @returns {Object} Object with filteredMessages (without system) and systemContent (combined system messages)
    */
@@ -31,7 +97,7 @@ export class ClaudeClient extends AIClientInterface {
     const systemMessages = [];
     const filteredMessages = [];
 
-    for (const message of messages) {
+    for (const message of fromCanonicalMessages(messages, 'claude')) {
       if (message.role === 'system') {
         // Extract content from system message
         // Handle both string content and structured content
@@ -78,17 +144,32 @@ export class ClaudeClient extends AIClientInterface {
     // Use system from options if provided, otherwise use extracted system content
     const systemParam = options.system || systemContent;
 
-    // Claude doesn't support response_format parameter - remove it if present
-    const { response_format: _response_format, ...claudeOptions } = options;
-
-    const response = await this.client.messages.create({
-      model: this.model,
-      max_tokens: options.max_tokens || 4096,
-      messages: filteredMessages,
-      ...(systemParam && { system: systemParam }),
-      ...claudeOptions,
+    return withCancellation(options, (requestOptions, signal) => {
+      // Claude doesn't support response_format parameter - remove it if present
+      const {
+        response_format: _response_format,
+        promptCache,
+        onResponseHeaders,
+        ...claudeOptions
+      } = requestOptions;
+
+      return withResponseHeaders(
+        this.client.messages.create(
+          this.applyPromptCache(
+            {
+              model: this.model,
+              max_tokens: options.max_tokens || 4096,
+              messages: filteredMessages,
+              ...(systemParam && { system: systemParam }),
+              ...claudeOptions,
+            },
+            promptCache
+          ),
+          { signal }
+        ),
+        onResponseHeaders
+      );
     });
-    return response;
   }
 
   /**
@@ -106,46 +187,151 @@ export class ClaudeClient extends AIClientInterface {
     // Use system from options if provided, otherwise use extracted system content
     const systemParam = options.system || systemContent;
 
-    // Claude doesn't support response_format parameter - remove it if present
-    const { response_format: _response_format, ...claudeOptions } = options;
-
-    const stream = await this.client.messages.stream({
-      model: this.model,
-      max_tokens: options.max_tokens || 4096,
-      messages: filteredMessages,
-      ...(systemParam && { system: systemParam }),
-      ...claudeOptions,
-    });
-
-    let fullText = '';
-    for await (const event of stream) {
-      if (event.type === 'content_block_delta') {
-        const content = event.delta.text || '';
-        if (content) {
-          fullText += content;
-          if (onChunk) {
-            onChunk(content);
+    return withCancellation(options, async (requestOptions, signal) => {
+      // Claude doesn't support response_format parameter - remove it if present
+      const {
+        response_format: _response_format,
+        promptCache,
+        onResponseHeaders,
+        ...claudeOptions
+      } = requestOptions;
+
+      const stream = await withResponseHeaders(
+        this.client.messages.create(
+          this.applyPromptCache(
+            {
+              model: this.model,
+              max_tokens: options.max_tokens || 4096,
+              messages: filteredMessages,
+              ...(systemParam && { system: systemParam }),
+              ...claudeOptions,
+              stream: true,
+            },
+            promptCache
+          ),
+          { signal }
+        ),
+        onResponseHeaders
+      );
+
+      let fullText = '';
+      for await (const event of stream) {
+        if (event.type === 'content_block_delta') {
+          const content = event.delta.text || '';
+          if (content) {
+            fullText += content;
+            if (onChunk) {
+              onChunk(content);
+            }
           }
         }
       }
-    }
-    return fullText;
+      return fullText;
+    });
   }
 
   /**
-   * Tool use (function calling) - Latest trend for tool use
+   * Streaming chat with normalized events
    * @param {Array} messages - Array of message objects
-   * @param {Array} tools - Array of tool definitions
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Response with tool use
+   * @param {Object} [options={}] - Additional options; `tools` enables tool call events
+   * @returns {AsyncIterable<import('./stream-events.js').StreamEvent>} Event stream
    */
-  async chatWithTools(messages, tools, options = {}) {
+  async *stream(messages, options = {}) {
+    yield* withCancellableStream(options, (streamOptions, signal) =>
+      this._streamEvents(messages, streamOptions, signal)
+    );
+  }
+
+  /**
+   * Translate Claude stream events to normalized events
+   * @private
+   */
+  async *_streamEvents(messages, options, signal) {
     // Extract system messages and convert to top-level system parameter
     // Claude API doesn't accept "system" as a message role
     const { filteredMessages, systemContent } = this.extractSystemMessages(messages);
+    const systemParam = options.system || systemContent;
+
+    // Claude doesn't support response_format parameter - remove it if present
+    const {
+      response_format: _response_format,
+      tools,
+      promptCache,
+      onResponseHeaders,
+      ...claudeOptions
+    } = options;
+
+    const stream = await withResponseHeaders(
+      this.client.messages.create(
+        this.applyPromptCache(
+          {
+            model: this.model,
+            max_tokens: options.max_tokens || 4096,
+            messages: filteredMessages,
+            ...(tools?.length && { tools: this.toClaudeTools(tools) }),
+            ...(systemParam && { system: systemParam }),
+            ...claudeOptions,
+            stream: true,
+          },
+          promptCache
+        ),
+        { signal }
+      ),
+      onResponseHeaders
+    );
+
+    const builder = new StreamEventBuilder();
+    // Claude numbers content blocks across text and tool_use; map to tool call indexes
+    const toolIndexes = new Map();
+    let stopReason = null;
+
+    for await (const event of stream) {
+      switch (event.type) {
+        case 'message_start':
+          if (event.message.usage) {
+            builder.addUsage(fromClaudeUsage(event.message.usage));
+          }
+          break;
+        case 'content_block_start':
+          if (event.content_block.type === 'tool_use') {
+            const start = builder.startToolCall(event.content_block.id, event.content_block.name);
+            toolIndexes.set(event.index, start.index);
+            yield start;
+          }
+          break;
+        case 'content_block_delta':
+          if (event.delta.type === 'text_delta' && event.delta.text) {
+            yield builder.textDelta(event.delta.text);
+          } else if (event.delta.type === 'input_json_delta' && toolIndexes.has(event.index)) {
+            yield builder.toolCallDelta(toolIndexes.get(event.index), event.delta.partial_json);
+          }
+          break;
+        case 'content_block_stop':
+          if (toolIndexes.has(event.index)) {
+            yield builder.endToolCall(toolIndexes.get(event.index));
+          }
+          break;
+        case 'message_delta':
+          stopReason = event.delta?.stop_reason ?? stopReason;
+          if (event.usage?.output_tokens !== undefined) {
+            builder.addUsage({ outputTokens: event.usage.output_tokens });
+          }
+          break;
+        default:
+          break;
+      }
+    }
 
-    // Convert OpenAI function format to Claude tool format if needed
-    const claudeTools = tools.map((tool) => {
+    yield* builder.finish(stopReason);
+  }
+
+  /**
+   * Convert tool definitions (OpenAI tool, plain function or Claude format) to Claude tools
+   * @param {Array} tools - Array of tool definitions
+   * @returns {Array} Claude tool definitions
+   */
+  toClaudeTools(tools) {
+    return tools.map((tool) => {
       // If already in Claude format, use as-is
       if (tool.input_schema) {
         return tool;
@@ -169,23 +355,52 @@ export class ClaudeClient extends AIClientInterface {
       // Otherwise assume it's already in Claude format
       return tool;
     });
+  }
+
+  /**
+   * Tool use (function calling) - Latest trend for tool use
+   * @param {Array} messages - Array of message objects
+   * @param {Array} tools - Array of tool definitions
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Response with tool use
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    // Extract system messages and convert to top-level system parameter
+    // Claude API doesn't accept "system" as a message role
+    const { filteredMessages, systemContent } = this.extractSystemMessages(messages);
+
+    const claudeTools = this.toClaudeTools(tools);
 
     // Use system from options if provided, otherwise use extracted system content
     const systemParam = options.system || systemContent;
 
-    // Claude doesn't support response_format parameter - remove it if present
-    const { response_format: _response_format, ...claudeOptions } = options;
-
-    const response = await this.client.messages.create({
-      model: this.model,
-      max_tokens: options.max_tokens || 4096,
-      messages: filteredMessages,
-      tools: claudeTools,
-      ...(systemParam && { system: systemParam }),
-      ...claudeOptions,
+    return withCancellation(options, (requestOptions, signal) => {
+      // Claude doesn't support response_format parameter - remove it if present
+      const {
+        response_format: _response_format,
+        promptCache,
+        onResponseHeaders,
+        ...claudeOptions
+      } = requestOptions;
+
+      return withResponseHeaders(
+        this.client.messages.create(
+          this.applyPromptCache(
+            {
+              model: this.model,
+              max_tokens: options.max_tokens || 4096,
+              messages: filteredMessages,
+              tools: claudeTools,
+              ...(systemParam && { system: systemParam }),
+              ...claudeOptions,
+            },
+            promptCache
+          ),
+          { signal }
+        ),
+        onResponseHeaders
+      );
     });
-
-    return response;
   }
 
   /**
@@ -227,6 +442,15 @@ export class ClaudeClient extends AIClientInterface {
     return response.content.filter((block) => block.type === 'tool_use');
   }
 
+  /**
+   * Get the assistant turn of a Claude response as a canonical message
+   * @param {Object} response - Claude API response
+   * @returns {import('./message-format.js').Message} Assistant message
+   */
+  getMessage(response) {
+    return responseToMessage(response, 'claude');
+  }
+
   /**
    * Get embeddings for RAG
    * Note: Claude doesn't have a native embeddings API
@@ -250,30 +474,40 @@ export class ClaudeClient extends AIClientInterface {
    * @returns {Promise<string>} Analysis result
    */
   async analyzeImage(imageBase64, prompt, options = {}) {
-    const response = await this.client.messages.create({
-      model: this.model,
-      max_tokens: options.max_tokens || 1024,
-      messages: [
-        {
-          role: 'user',
-          content: [
+    const response = await withCancellation(
+      options,
+      ({ onResponseHeaders, ...visionOptions }, signal) =>
+        withResponseHeaders(
+          this.client.messages.create(
             {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/png',
-                data: imageBase64,
-              },
+              model: this.model,
+              max_tokens: options.max_tokens || 1024,
+              messages: [
+                {
+                  role: 'user',
+                  content: [
+                    {
+                      type: 'image',
+                      source: {
+                        type: 'base64',
+                        media_type: 'image/png',
+                        data: imageBase64,
+                      },
+                    },
+                    {
+                      type: 'text',
+                      text: prompt,
+                    },
+                  ],
+                },
+              ],
+              ...visionOptions,
             },
-            {
-              type: 'text',
-              text: prompt,
-            },
-          ],
-        },
-      ],
-      ...options,
-    });
+            { signal }
+          ),
+          onResponseHeaders
+        )
+    );
 
     return this.getTextContent(response);
   }
@@ -346,6 +580,8 @@ export class ClaudeClient extends AIClientInterface {
 
   /**
    * Calculate cost for Claude response
+   * Prompt cache writes and reads are priced at their own rates; inputTokens
+   * includes them, and cacheCreation/cacheRead fields break them out.
    * @param {Object} response - Claude API response with usage information
    * @param {string} [model] - Optional model name (defaults to client model)
    * @returns {Object} Cost calculation result with inputTokens, outputTokens, totalTokens, inputCost, outputCost, totalCost
@@ -363,24 +599,10 @@ export class ClaudeClient extends AIClientInterface {
       };
     }
 
-    const modelName = model || this.model;
-    const defaultModel = config.claude.model;
-    const pricing =
-      PRICING.claude[modelName] ||
-      PRICING.claude[defaultModel] ||
-      PRICING.claude['claude-sonnet-4-5-20250929'];
-
-    const inputCost = (usage.input_tokens / 1_000_000) * pricing.input;
-    const outputCost = (usage.output_tokens / 1_000_000) * pricing.output;
-    const totalCost = inputCost + outputCost;
+    const pricing = getModelPricing('claude', model || this.model, {
+      fallbackModel: config.claude.model,
+    });
 
-    return {
-      inputTokens: usage.input_tokens,
-      outputTokens: usage.output_tokens,
-      totalTokens: usage.input_tokens + usage.output_tokens,
-      inputCost,
-      outputCost,
-      totalCost,
-    };
+    return calculateTokenCost(fromClaudeUsage(usage), pricing);
   }
 }
@@ -3,27 +3,17 @@
  *
  * Factory function to create AI clients. This is in a separate file to avoid
  * circular dependencies between the interface and concrete implementations.
+ * Providers, built-in and registered, come from the provider registry.
  */
 
-import { AzureOpenAIClient } from './azure-openai-client.js';
-import { StandardOpenAIClient } from './standard-openai-client.js';
-import { ClaudeClient } from './claude-client.js';
-import { MockAIClient } from './mock-client.js';
-import { config } from '../config.js';
+import { config, defaultOptions, providerUtils } from '../config.js';
+import { getProvider, getRegisteredProviders } from './provider-registry.js';
 
 /**
- * @typedef {'openai'|'openai-standard'|'azure-openai'|'claude'|'mock'} Provider - AI provider name
+ * @typedef {'openai'|'openai-standard'|'azure-openai'|'claude'|'local'|'mock'} BuiltInProvider - Built-in AI provider name
+ * @typedef {BuiltInProvider|string} Provider - AI provider name (built-in or registered at runtime)
  */
 
-/** @type {ReadonlyArray<Provider>} */
-const VALID_PROVIDERS = Object.freeze([
-  'openai',
-  'openai-standard',
-  'azure-openai',
-  'claude',
-  'mock',
-]);
-
 /**
  * Create a unified client factory
  * Returns the appropriate client based on provider
@@ -32,37 +22,21 @@ const VALID_PROVIDERS = Object.freeze([
  *   - 'openai-standard': Always uses StandardOpenAIClient (non-Azure)
  *   - 'azure-openai': Always uses AzureOpenAIClient
  *   - 'claude': Uses ClaudeClient
+ *   - 'local': Uses LocalAIClient (OpenAI-compatible server at LOCAL_AI_BASE_URL)
  *   - 'mock': Uses MockAIClient for testing
+ *   - Any provider added with registerProvider()
  * @param {string|null} [model=null] - Optional model name
  * @returns {import('./ai-client-interface.js').AIClientInterface} Client instance
  * @throws {Error} If provider is not supported
  */
 export function createAIClient(provider = 'azure-openai', model = null) {
-  switch (provider) {
-    case 'openai':
-      // 'openai' routes based on config.openai.defaultProvider
-      // Set OPENAI_DEFAULT_PROVIDER env var to 'azure-openai' or 'openai-standard'
-      return config.openai.defaultProvider === 'azure-openai'
-        ? new AzureOpenAIClient(model)
-        : new StandardOpenAIClient(model);
-
-    case 'openai-standard':
-      return new StandardOpenAIClient(model);
-
-    case 'azure-openai':
-      return new AzureOpenAIClient(model);
-
-    case 'claude':
-      return new ClaudeClient(model);
-
-    case 'mock':
-      return new MockAIClient(model ? { model } : {});
-
-    default:
-      throw new Error(
-        `Unsupported provider: ${provider}. Valid providers: ${VALID_PROVIDERS.join(', ')}`
-      );
+  const registered = getProvider(provider);
+  if (!registered) {
+    throw new Error(
+      `Unsupported provider: ${provider}. Valid providers: ${getRegisteredProviders().join(', ')}`
+    );
   }
+  return registered.create(model);
 }
 
 /**
@@ -71,7 +45,7 @@ export function createAIClient(provider = 'azure-openai', model = null) {
  * @returns {provider is Provider} True if valid provider
  */
 export function isValidProvider(provider) {
-  return VALID_PROVIDERS.includes(/** @type {Provider} */ (provider));
+  return !!getProvider(provider);
 }
 
 /**
@@ -80,20 +54,8 @@ export function isValidProvider(provider) {
  * @returns {boolean} True if provider is configured and available
  */
 export function isProviderAvailable(provider) {
-  switch (provider) {
-    case 'openai':
-      return !!(config.openai.standardApiKey || config.openai.azureApiKey);
-    case 'openai-standard':
-      return !!config.openai.standardApiKey;
-    case 'azure-openai':
-      return !!(config.openai.azureApiKey && config.openai.azure.endpoint);
-    case 'claude':
-      return !!config.claude?.apiKey;
-    case 'mock':
-      return true; // Mock is always available
-    default:
-      return false;
-  }
+  const registered = getProvider(provider);
+  return registered ? !!registered.isAvailable() : false;
 }
 
 /**
@@ -102,23 +64,21 @@ export function isProviderAvailable(provider) {
  * Attempts to create a client using the preferred provider. If that fails
  * (e.g., missing API key), falls back to other available providers in order.
  *
- * @param {Provider[]} [preferredOrder=['openai', 'claude', 'mock']] - Order of preference
+ * @param {Provider[]} [preferredOrder=config.fallbackOrder] - Order of preference (defaults to
+ *   the profile's fallbackOrder or AI_FALLBACK_ORDER, else ['openai', 'claude', 'mock'])
  * @param {string|null} [model=null] - Optional model name
  * @returns {import('./ai-client-interface.js').AIClientInterface} Client instance
  * @throws {Error} If no provider is available
  *
  * @example
- * // Try OpenAI first, then Claude, then mock
+ * // Use the configured fallback order (OpenAI, Claude, then mock by default)
  * const client = createAIClientWithFallback();
  *
  * @example
  * // Prefer Claude, fallback to OpenAI
  * const client = createAIClientWithFallback(['claude', 'openai']);
  */
-export function createAIClientWithFallback(
-  preferredOrder = ['openai', 'claude', 'mock'],
-  model = null
-) {
+export function createAIClientWithFallback(preferredOrder = config.fallbackOrder, model = null) {
   const attemptedProviders = [];
 
   for (const provider of preferredOrder) {
@@ -152,5 +112,19 @@ export function createAIClientWithFallback(
  * @returns {Provider[]} List of available provider names
  */
 export function getAvailableProviders() {
-  return VALID_PROVIDERS.filter((p) => isProviderAvailable(p));
+  return getRegisteredProviders().filter((p) => isProviderAvailable(p));
+}
+
+/**
+ * Create a client for a use case, using the model the config profile assigns to it
+ * @param {string} useCase - Use case name ('creative', 'precise', or one defined in the profile)
+ * @param {Provider} [provider] - Provider name (default: the default provider)
+ * @returns {import('./ai-client-interface.js').AIClientInterface} Client instance
+ *
+ * @example
+ * const client = createUseCaseClient('creative');
+ * await client.chat(messages, defaultOptions.getUseCaseOptions('creative'));
+ */
+export function createUseCaseClient(useCase, provider = providerUtils.getDefaultProvider()) {
+  return createAIClient(provider, defaultOptions.getUseCaseModel(useCase, provider));
 }
@@ -0,0 +1,446 @@
+/**
+ * Coalescing Client Wrapper
+ *
+ * Deduplicates identical requests that are in flight at the same time. When
+ * several callers (SupervisorAgent workers, ModelComparisonService runs) send
+ * the same request concurrently, only the first one reaches the provider; the
+ * others wait on the same promise or stream and get a copy of the same result
+ * (structuredClone), so a caller that modifies its response does not affect
+ * the others.
+ *
+ * Requests are keyed on the method, the wrapped client's model, the normalized
+ * messages (see normalizeMessages) and the remaining arguments. Nothing is
+ * cached: once a request settles, the next identical call goes to the provider
+ * again. Wrap a client with the cache() middleware for that.
+ *
+ * Cancellation is per caller: an aborted or timed-out caller stops waiting,
+ * and the shared request is only aborted once every caller has given up.
+ *
+ * @example
+ * import { createAIClient } from './client-factory.js';
+ * import { CoalescingClient } from './coalescing-client.js';
+ *
+ * const client = new CoalescingClient(createAIClient('openai'));
+ * const supervisor = new SupervisorAgent('openai', client);
+ *
+ * // Later: how much traffic was saved
+ * console.log(client.getStats()); // { calls: 12, executed: 7, coalesced: 5, ... }
+ */
+
+import { AIClientInterface } from './ai-client-interface.js';
+import { AbortError, createCancellation, splitCancellationOptions } from './cancellation.js';
+import { hashRequest, normalizeMessages } from '../utils/request-hash.js';
+
+const COALESCED_METHODS = [
+  'chat',
+  'chatStream',
+  'stream',
+  'chatWithTools',
+  'chatWithFunctions',
+  'getEmbeddings',
+  'analyzeImage',
+];
+
+/**
+ * @typedef {Object} CoalescingClientOptions
+ * @property {string[]} [methods] - Methods to coalesce (default: chat, chatStream, stream,
+ *   chatWithTools, chatWithFunctions, getEmbeddings, analyzeImage). Assistants calls are
+ *   never coalesced because they change thread state.
+ * @property {(method: string, request: Object) => string} [keyFn] - Override the request key;
+ *   `request` holds the call's arguments with cancellation options removed
+ * @property {Function} [onCoalesce] - Called with ({ method, key, waiters }) when a call
+ *   joins an in-flight request
+ */
+
+/**
+ * @typedef {Object} InFlightRequest
+ * @property {number} waiters - Callers still waiting on the request
+ * @property {boolean} settled - Whether the shared request has finished
+ * @property {AbortController} controller - Aborts the shared request
+ * @property {Promise<*>} [promise] - Shared result (promise-based methods)
+ * @property {string[]} [chunks] - Chunks received so far (chatStream)
+ * @property {Set<Function>} [listeners] - Callers' onChunk handlers (chatStream)
+ * @property {SharedStream} [stream] - Multicast event stream (stream)
+ */
+
+/**
+ * Buffers an async iterable so any number of subscribers can read it from
+ * the start, including subscribers that join after events have arrived
+ */
+class SharedStream {
+  /**
+   * @param {AsyncIterable<*>} source - Stream to read once
+   * @param {() => void} onDone - Called when the source ends or fails
+   */
+  constructor(source, onDone) {
+    this.events = [];
+    this.done = false;
+    this.error = null;
+    this.pending = [];
+    this.pump(source, onDone);
+  }
+
+  /**
+   * Read the source to the end, waking subscribers on each event
+   * @param {AsyncIterable<*>} source - Stream to read
+   * @param {() => void} onDone - Called when the source ends or fails
+   */
+  async pump(source, onDone) {
+    try {
+      for await (const event of source) {
+        this.events.push(event);
+        this.notify();
+      }
+    } catch (error) {
+      this.error = error;
+    } finally {
+      this.done = true;
+      onDone();
+      this.notify();
+    }
+  }
+
+  notify() {
+    const { pending } = this;
+    this.pending = [];
+    pending.forEach((wake) => wake());
+  }
+
+  /**
+   * Iterate every event from the first one
+   * @yields {*} Source events
+   */
+  async *subscribe() {
+    for (let index = 0; ; ) {
+      if (index < this.events.length) {
+        yield this.events[index++];
+      } else if (this.error) {
+        throw this.error;
+      } else if (this.done) {
+        return;
+      } else {
+        await new Promise((resolve) => this.pending.push(resolve));
+      }
+    }
+  }
+}
+
+/**
+ * In-flight request deduplication wrapper for AI clients
+ */
+export class CoalescingClient extends AIClientInterface {
+  /**
+   * Create a coalescing client wrapper
+   * @param {AIClientInterface} client - Base client to wrap
+   * @param {CoalescingClientOptions} [options={}] - Configuration options
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.methods = new Set(options.methods ?? COALESCED_METHODS);
+    this.keyFn = options.keyFn;
+    this.onCoalesce = options.onCoalesce;
+
+    /** @type {Map<string, InFlightRequest>} */
+    this.inFlight = new Map();
+    this.stats = { calls: 0, executed: 0, coalesced: 0, byMethod: {} };
+  }
+
+  /**
+   * Build the key shared by identical requests
+   * @param {string} method - Client method name
+   * @param {Object} request - Call arguments without cancellation options
+   * @returns {string} Request key
+   */
+  keyFor(method, request) {
+    if (this.keyFn) {
+      return this.keyFn(method, request);
+    }
+    const { messages, ...rest } = request;
+    return hashRequest({
+      method,
+      model: this.client.model,
+      ...rest,
+      messages: messages && normalizeMessages(messages),
+    });
+  }
+
+  /**
+   * Find the in-flight request for a key, or start one
+   * @private
+   * @param {string} method - Client method name
+   * @param {string} key - Request key
+   * @param {(entry: InFlightRequest) => void} start - Starts the shared request on the entry
+   * @returns {InFlightRequest} Entry the caller should wait on
+   */
+  _join(method, key, start) {
+    const methodStats = (this.stats.byMethod[method] ??= { calls: 0, coalesced: 0 });
+    this.stats.calls++;
+    methodStats.calls++;
+
+    let entry = this.inFlight.get(key);
+    if (entry) {
+      entry.waiters++;
+      this.stats.coalesced++;
+      methodStats.coalesced++;
+      this.onCoalesce?.({ method, key, waiters: entry.waiters });
+      return entry;
+    }
+
+    entry = { waiters: 1, settled: false, controller: new AbortController() };
+    this.inFlight.set(key, entry);
+    this.stats.executed++;
+    start(entry);
+    return entry;
+  }
+
+  /**
+   * Mark an entry as finished so the next identical call starts a new request
+   * @private
+   */
+  _settle(key, entry) {
+    entry.settled = true;
+    if (this.inFlight.get(key) === entry) {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Drop a caller from an entry, aborting the shared request once nobody waits on it
+   * @private
+   */
+  _leave(key, entry) {
+    entry.waiters--;
+    if (entry.waiters === 0 && !entry.settled) {
+      this._settle(key, entry);
+      entry.controller.abort(new AbortError('All coalesced callers aborted'));
+    }
+  }
+
+  /**
+   * Run a promise-based method, sharing the call with identical in-flight requests
+   * @private
+   * @param {string} method - Client method name
+   * @param {Object} request - Call arguments; `options` may carry signal and timeoutMs
+   * @param {(requestOptions: Object, signal: AbortSignal, entry: InFlightRequest) => Promise<*>} run -
+   *   Calls the wrapped client
+   * @param {(entry: InFlightRequest) => Function} [subscribe] - Attaches the caller to the
+   *   entry; returns a function that detaches it
+   * @returns {Promise<*>} Shared result
+   */
+  async _coalesce(method, request, run, subscribe) {
+    const { signal, timeoutMs, requestOptions } = splitCancellationOptions(request.options);
+    const cancellation = createCancellation({ signal, timeoutMs });
+    cancellation.throwIfAborted();
+
+    const key = this.keyFor(method, { ...request, options: requestOptions });
+    const entry = this._join(method, key, (created) => {
+      created.promise = Promise.resolve()
+        .then(() => run(requestOptions, created.controller.signal, created))
+        .finally(() => this._settle(key, created));
+      // Callers may all have left; the rejection must not go unhandled
+      created.promise.catch(() => {});
+    });
+    const unsubscribe = subscribe?.(entry);
+
+    try {
+      return structuredClone(await cancellation.race(entry.promise));
+    } finally {
+      cancellation.dispose();
+      unsubscribe?.();
+      this._leave(key, entry);
+    }
+  }
+
+  /**
+   * Get coalescing statistics
+   * @returns {{calls: number, executed: number, coalesced: number, inFlight: number,
+   *   coalesceRate: number, byMethod: Object<string, {calls: number, coalesced: number}>}} Stats
+   */
+  getStats() {
+    const byMethod = {};
+    for (const [method, stats] of Object.entries(this.stats.byMethod)) {
+      byMethod[method] = { ...stats };
+    }
+    return {
+      calls: this.stats.calls,
+      executed: this.stats.executed,
+      coalesced: this.stats.coalesced,
+      inFlight: this.inFlight.size,
+      coalesceRate: this.stats.calls > 0 ? this.stats.coalesced / this.stats.calls : 0,
+      byMethod,
+    };
+  }
+
+  /**
+   * Reset statistics (in-flight requests are unaffected)
+   */
+  resetStats() {
+    this.stats = { calls: 0, executed: 0, coalesced: 0, byMethod: {} };
+  }
+
+  // ============================================================
+  // AIClientInterface implementation
+  // ============================================================
+
+  async chat(messages, options = {}) {
+    if (!this.methods.has('chat')) {
+      return this.client.chat(messages, options);
+    }
+    return this._coalesce('chat', { messages, options }, (requestOptions, signal) =>
+      this.client.chat(messages, { ...requestOptions, signal })
+    );
+  }
+
+  async chatStream(messages, onChunk, options = {}) {
+    if (!this.methods.has('chatStream')) {
+      return this.client.chatStream(messages, onChunk, options);
+    }
+
+    const listener = (chunk) => onChunk?.(chunk);
+    return this._coalesce(
+      'chatStream',
+      { messages, options },
+      (requestOptions, signal, entry) =>
+        this.client.chatStream(
+          messages,
+          (chunk) => {
+            entry.chunks.push(chunk);
+            entry.listeners.forEach((notify) => notify(chunk));
+          },
+          { ...requestOptions, signal }
+        ),
+      (entry) => {
+        entry.chunks ??= [];
+        entry.listeners ??= new Set();
+        // Late joiners first catch up on the chunks already sent
+        entry.chunks.forEach(listener);
+        entry.listeners.add(listener);
+        return () => entry.listeners.delete(listener);
+      }
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    if (!this.methods.has('stream')) {
+      yield* this.client.stream(messages, options);
+      return;
+    }
+
+    const { signal, timeoutMs, requestOptions } = splitCancellationOptions(options);
+    const cancellation = createCancellation({ signal, timeoutMs });
+    cancellation.throwIfAborted();
+
+    const key = this.keyFor('stream', { messages, options: requestOptions });
+    const entry = this._join('stream', key, (created) => {
+      created.stream = new SharedStream(
+        this.client.stream(messages, { ...requestOptions, signal: created.controller.signal }),
+        () => this._settle(key, created)
+      );
+    });
+    const iterator = entry.stream.subscribe();
+
+    try {
+      for (;;) {
+        const { done, value } = await cancellation.race(iterator.next());
+        if (done) return;
+        yield structuredClone(value);
+      }
+    } finally {
+      cancellation.dispose();
+      this._leave(key, entry);
+    }
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    if (!this.methods.has('chatWithTools')) {
+      return this.client.chatWithTools(messages, tools, options);
+    }
+    return this._coalesce('chatWithTools', { messages, tools, options }, (requestOptions, signal) =>
+      this.client.chatWithTools(messages, tools, { ...requestOptions, signal })
+    );
+  }
+
+  async chatWithFunctions(messages, functions, options = {}) {
+    if (!this.methods.has('chatWithFunctions')) {
+      return this.client.chatWithFunctions(messages, functions, options);
+    }
+    return this._coalesce(
+      'chatWithFunctions',
+      { messages, functions, options },
+      (requestOptions, signal) =>
+        this.client.chatWithFunctions(messages, functions, { ...requestOptions, signal })
+    );
+  }
+
+  async getEmbeddings(input, embeddingModel = null) {
+    if (!this.methods.has('getEmbeddings')) {
+      return this.client.getEmbeddings(input, embeddingModel);
+    }
+    return this._coalesce('getEmbeddings', { input, embeddingModel }, () =>
+      this.client.getEmbeddings(input, embeddingModel)
+    );
+  }
+
+  async analyzeImage(imageBase64, prompt, options = {}) {
+    if (!this.methods.has('analyzeImage')) {
+      return this.client.analyzeImage(imageBase64, prompt, options);
+    }
+    return this._coalesce(
+      'analyzeImage',
+      { imageBase64, prompt, options },
+      (requestOptions, signal) =>
+        this.client.analyzeImage(imageBase64, prompt, { ...requestOptions, signal })
+    );
+  }
+
+  async createAssistant(instructions, tools = [], options = {}) {
+    return this.client.createAssistant(instructions, tools, options);
+  }
+
+  async createThread() {
+    return this.client.createThread();
+  }
+
+  async addMessage(threadId, content, role = 'user') {
+    return this.client.addMessage(threadId, content, role);
+  }
+
+  async getMessages(threadId, options = {}) {
+    return this.client.getMessages(threadId, options);
+  }
+
+  async runAssistant(threadId, assistantId, options = {}) {
+    return this.client.runAssistant(threadId, assistantId, options);
+  }
+
+  async retrieveRun(threadId, runId) {
+    return this.client.retrieveRun(threadId, runId);
+  }
+
+  // Passthrough methods
+  getTextContent(response) {
+    return this.client.getTextContent(response);
+  }
+
+  hasToolUse(response) {
+    return this.client.hasToolUse(response);
+  }
+
+  getToolUseBlocks(response) {
+    return this.client.getToolUseBlocks(response);
+  }
+
+  getMessage(response) {
+    return this.client.getMessage(response);
+  }
+
+  calculateCost(response, model = null) {
+    return this.client.calculateCost(response, model);
+  }
+
+  // Expose client properties
+  get model() {
+    return this.client.model;
+  }
+}
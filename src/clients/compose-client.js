@@ -0,0 +1,339 @@
+/**
+ * Composable Client Middleware Pipeline
+ *
+ * Stacks cross-cutting behaviour (logging, retries, cost tracking, caching,
+ * guardrails) around any AI client without hand-nesting wrapper classes.
+ * Every AIClientInterface method is routed through the same pipeline, so no
+ * middleware can drop a method such as chatWithFunctions.
+ *
+ * Middleware run in array order on the way in and reverse order on the way
+ * out, so the first entry is the outermost layer.
+ *
+ * @example
+ * import { createAIClient } from './client-factory.js';
+ * import { composeClient } from './compose-client.js';
+ * import { logging, retry, cost, cache } from './middleware.js';
+ *
+ * const costs = cost();
+ * const client = composeClient(createAIClient('openai'), [
+ *   logging(),
+ *   retry({ maxRetries: 3 }),
+ *   costs,
+ *   cache({ ttlMs: 60_000 }),
+ * ]);
+ *
+ * await client.chat(messages);
+ * console.log(costs.getStats().totalCost);
+ *
+ * @example
+ * // Custom middleware: observe, mutate or short-circuit
+ * const forceJson = {
+ *   name: 'forceJson',
+ *   methods: ['chat'],
+ *   handle: (request, next) =>
+ *     next({ ...request, options: { ...request.options, response_format: { type: 'json_object' } } }),
+ * };
+ */
+
+import { AIClientInterface } from './ai-client-interface.js';
+
+/**
+ * Parameter names of each pipelined client method, in call order
+ * @type {Object<string, string[]>}
+ */
+export const CLIENT_METHOD_PARAMS = {
+  chat: ['messages', 'options'],
+  chatStream: ['messages', 'onChunk', 'options'],
+  stream: ['messages', 'options'],
+  chatWithTools: ['messages', 'tools', 'options'],
+  chatWithFunctions: ['messages', 'functions', 'options'],
+  getEmbeddings: ['input', 'embeddingModel'],
+  analyzeImage: ['imageBase64', 'prompt', 'options'],
+  createAssistant: ['instructions', 'tools', 'options'],
+  createThread: [],
+  addMessage: ['threadId', 'content', 'role'],
+  getMessages: ['threadId', 'options'],
+  runAssistant: ['threadId', 'assistantId', 'options'],
+  retrieveRun: ['threadId', 'runId'],
+};
+
+/**
+ * @typedef {Object} ClientRequest
+ * Normalized request seen by middleware. Besides the fields below it carries
+ * the named parameters of the method (see CLIENT_METHOD_PARAMS), e.g.
+ * `messages`, `options`, `tools`, `input` or `onChunk`.
+ * @property {string} method - Client method name
+ * @property {AIClientInterface} client - Base client (for getTextContent, calculateCost, ...)
+ * @property {Object} metadata - Scratch space shared by middleware for this call
+ * @property {(chunk: string) => void} [emitChunk] - For chatStream, delivers a chunk to
+ *   the caller through the onChunk observers; for middleware that answer without
+ *   calling `next` (e.g. a cache hit)
+ */
+
+/**
+ * @typedef {Object} ClientMiddleware
+ * @property {string} [name] - Name used in error messages and debugging
+ * @property {string[]} [methods] - Methods the middleware applies to (default: all)
+ * @property {(request: ClientRequest, next: (request?: ClientRequest) => Promise<*>) => Promise<*>} [handle] -
+ *   Wraps the call. Call `next(request)` to continue (possibly with a modified
+ *   request), or return a value without calling it to short-circuit.
+ * @property {(chunk: string, request: ClientRequest) => string|null|void} [onChunk] -
+ *   Observes chatStream chunks (and stream() text deltas) before they reach the
+ *   caller. Return a string to replace the chunk, null to drop it, or nothing to
+ *   pass it through.
+ * @property {(event: import('./stream-events.js').StreamEvent, request: ClientRequest) => Object|null|void} [onEvent] -
+ *   Observes stream() events with the same replace/drop/pass-through contract.
+ * @property {(request: ClientRequest) => void|Promise<void>} [beforeCall] - Runs right before
+ *   the base client is called (once per attempt), so not for calls another middleware
+ *   answered. Throw to reject the call.
+ */
+
+/**
+ * Normalize a middleware entry
+ * @param {ClientMiddleware|Function} middleware - Middleware object or bare handle function
+ * @returns {ClientMiddleware} Middleware object
+ */
+function toMiddleware(middleware) {
+  if (typeof middleware === 'function') {
+    return { name: middleware.name || 'anonymous', handle: middleware };
+  }
+  if (
+    !middleware ||
+    (!middleware.handle && !middleware.onChunk && !middleware.onEvent && !middleware.beforeCall)
+  ) {
+    throw new Error(
+      'Middleware must be a function or an object with handle(), onChunk(), onEvent() or beforeCall()'
+    );
+  }
+  return middleware;
+}
+
+/**
+ * Client that routes every interface method through a middleware pipeline
+ */
+export class ComposedClient extends AIClientInterface {
+  /**
+   * Create a composed client
+   * @param {AIClientInterface} client - Base client to wrap
+   * @param {Array<ClientMiddleware|Function>} [middleware=[]] - Middleware, outermost first
+   */
+  constructor(client, middleware = []) {
+    super();
+    if (!client) {
+      throw new Error('composeClient requires a base client');
+    }
+    this.client = client;
+    this.middleware = middleware.map(toMiddleware);
+  }
+
+  /**
+   * Append a middleware as the new innermost layer
+   * @param {ClientMiddleware|Function} middleware - Middleware to add
+   * @returns {ComposedClient} This client, for chaining
+   */
+  use(middleware) {
+    this.middleware.push(toMiddleware(middleware));
+    return this;
+  }
+
+  /**
+   * Run a method call through the middleware pipeline
+   * @param {string} method - Client method name
+   * @param {Object} params - Named call parameters
+   * @returns {Promise<*>} Result of the call (or of a short-circuiting middleware)
+   */
+  async execute(method, params) {
+    const chain = this.middleware.filter((mw) => !mw.methods || mw.methods.includes(method));
+    const request = { method, ...params, client: this.client, metadata: {} };
+    if (method === 'chatStream') {
+      request.emitChunk = (chunk) => this._emitChunk(chunk, request, chain);
+    }
+
+    const dispatch = async (index, current) => {
+      if (index === chain.length) {
+        return this._invoke(current, chain);
+      }
+      const middleware = chain[index];
+      if (!middleware.handle) {
+        return dispatch(index + 1, current);
+      }
+      return middleware.handle(current, (next = current) => dispatch(index + 1, next));
+    };
+
+    return dispatch(0, request);
+  }
+
+  /**
+   * Call the base client with the (possibly modified) request
+   * @private
+   */
+  async _invoke(request, chain) {
+    const { method } = request;
+    if (typeof this.client[method] !== 'function') {
+      throw new Error(`${method}() is not implemented by ${this.client.constructor.name}`);
+    }
+
+    for (const middleware of chain) {
+      if (middleware.beforeCall) {
+        await middleware.beforeCall(request);
+      }
+    }
+
+    const args = CLIENT_METHOD_PARAMS[method].map((name) => request[name]);
+
+    if (method === 'chatStream') {
+      args[1] = (chunk) => this._emitChunk(chunk, request, chain);
+    }
+
+    if (method === 'stream') {
+      return this._observeStream(this.client.stream(...args), request, chain);
+    }
+
+    return this.client[method](...args);
+  }
+
+  /**
+   * Pass a chatStream chunk through the onChunk observers to the caller
+   * @private
+   */
+  _emitChunk(chunk, request, chain) {
+    // Chunks travel outward, so the innermost middleware sees them first
+    let value = chunk;
+    for (const middleware of chain.filter((mw) => mw.onChunk).reverse()) {
+      const replaced = middleware.onChunk(value, request);
+      if (replaced === null) return;
+      if (replaced !== undefined) value = replaced;
+    }
+    if (request.onChunk) {
+      request.onChunk(value);
+    }
+  }
+
+  /**
+   * Pass stream() events through onChunk (text deltas) and onEvent observers
+   * @private
+   */
+  async *_observeStream(events, request, chain) {
+    // Events travel outward, so the innermost middleware sees them first
+    const chunkObservers = chain.filter((mw) => mw.onChunk).reverse();
+    const eventObservers = chain.filter((mw) => mw.onEvent).reverse();
+
+    for await (const original of events) {
+      let event = original;
+
+      if (event.type === 'text_delta') {
+        for (const middleware of chunkObservers) {
+          const replaced = middleware.onChunk(event.text, request);
+          if (replaced === null) {
+            event = null;
+            break;
+          }
+          if (replaced !== undefined) event = { ...event, text: replaced };
+        }
+      }
+
+      for (const middleware of eventObservers) {
+        if (!event) break;
+        const replaced = middleware.onEvent(event, request);
+        if (replaced === null) event = null;
+        else if (replaced !== undefined) event = replaced;
+      }
+
+      if (event) {
+        yield event;
+      }
+    }
+  }
+
+  // ============================================================
+  // AIClientInterface implementation - routed through middleware
+  // ============================================================
+
+  async chat(messages, options = {}) {
+    return this.execute('chat', { messages, options });
+  }
+
+  async chatStream(messages, onChunk = null, options = {}) {
+    return this.execute('chatStream', { messages, onChunk, options });
+  }
+
+  async *stream(messages, options = {}) {
+    yield* await this.execute('stream', { messages, options });
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    return this.execute('chatWithTools', { messages, tools, options });
+  }
+
+  async chatWithFunctions(messages, functions, options = {}) {
+    return this.execute('chatWithFunctions', { messages, functions, options });
+  }
+
+  async getEmbeddings(input, embeddingModel = null) {
+    return this.execute('getEmbeddings', { input, embeddingModel });
+  }
+
+  async analyzeImage(imageBase64, prompt, options = {}) {
+    return this.execute('analyzeImage', { imageBase64, prompt, options });
+  }
+
+  async createAssistant(instructions, tools = [], options = {}) {
+    return this.execute('createAssistant', { instructions, tools, options });
+  }
+
+  async createThread() {
+    return this.execute('createThread', {});
+  }
+
+  async addMessage(threadId, content, role = 'user') {
+    return this.execute('addMessage', { threadId, content, role });
+  }
+
+  async getMessages(threadId, options = {}) {
+    return this.execute('getMessages', { threadId, options });
+  }
+
+  async runAssistant(threadId, assistantId, options = {}) {
+    return this.execute('runAssistant', { threadId, assistantId, options });
+  }
+
+  async retrieveRun(threadId, runId) {
+    return this.execute('retrieveRun', { threadId, runId });
+  }
+
+  // Passthrough methods (pure response parsing, no middleware)
+  getTextContent(response) {
+    return this.client.getTextContent(response);
+  }
+
+  hasToolUse(response) {
+    return this.client.hasToolUse(response);
+  }
+
+  getToolUseBlocks(response) {
+    return this.client.getToolUseBlocks(response);
+  }
+
+  getMessage(response) {
+    return this.client.getMessage(response);
+  }
+
+  calculateCost(response, model = null) {
+    return this.client.calculateCost(response, model);
+  }
+
+  // Expose client properties
+  get model() {
+    return this.client.model;
+  }
+}
+
+/**
+ * Wrap a client in a middleware pipeline
+ * @param {AIClientInterface} client - Base client to wrap
+ * @param {Array<ClientMiddleware|Function>} [middleware=[]] - Middleware, outermost first
+ * @returns {ComposedClient} Composed client
+ */
+export function composeClient(client, middleware = []) {
+  return new ComposedClient(client, middleware);
+}
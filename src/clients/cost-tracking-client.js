@@ -1,7 +1,14 @@
+import { resolve } from 'path';
 import { AIClientInterface } from './ai-client-interface.js';
-import { estimateTokens } from '../utils/token-utils.js';
-import { PRICING } from '../utils/pricing.js';
+import { estimateRequestTokens, estimateTokens } from '../utils/token-utils.js';
+import { getModelPricing, getPricingCatalogue } from '../utils/pricing.js';
+import { calculateTokenCost } from '../utils/cost-utils.js';
+import { createLogger } from '../utils/logger.js';
 import { config } from '../config.js';
+import { BudgetManager, getBudgetManager } from './budget-manager.js';
+import { getCostTags } from '../utils/cost-attribution.js';
+import { summarizeCosts, writeCostReport } from '../utils/cost-report.js';
+import { getCostLedger } from '../utils/cost-ledger.js';
 
 /**
  * Cost Tracking Client
@@ -20,6 +27,30 @@ import { config } from '../config.js';
  * // Get cost statistics
  * const stats = trackedClient.getStats();
  * console.log(`Total cost: $${stats.totalCost.toFixed(4)}`);
+ *
+ * @example
+ * // Enforce budgets: each tenant may spend $5 a day, and requests that would
+ * // exceed it are retried on a cheaper model before being rejected
+ * const budgeted = new CostTrackingClient(createAIClient('openai', 'gpt-4o'), {
+ *   budgets: [{ scope: 'tenant', window: 'day', limitUsd: 5 }],
+ *   downgradeTo: createAIClient('openai', 'gpt-4o-mini'),
+ *   tags: { agent: 'support-bot' },
+ *   onBudgetWarning: (warning) => notifyFinance(warning),
+ * });
+ * await budgeted.chat(messages, { tags: { tenant: 'acme' } }); // may throw BudgetExceededError
+ *
+ * @example
+ * // Attribute spend with withCostTags() and export it for chargeback
+ * await withCostTags({ tenant: 'acme', feature: 'search' }, () => trackedClient.chat(messages));
+ * await trackedClient.exportReport('reports/ai-spend.html'); // or .csv / .jsonl
+ *
+ * @example
+ * // Keep spend in a ledger file, so budgets hold across restarts and processes
+ * const ledger = new CostLedger('data/cost-ledger.jsonl');
+ * const persistent = new CostTrackingClient(baseClient, {
+ *   ledger,
+ *   budgets: [{ name: 'daily', window: 'day', limitUsd: 50 }],
+ * });
  */
 export class CostTrackingClient extends AIClientInterface {
   /**
@@ -27,6 +58,21 @@ export class CostTrackingClient extends AIClientInterface {
    * @param {Object} [options={}] - Options for cost tracking
    * @param {boolean} [options.autoTrack=true] - Automatically track all requests
    * @param {Function} [options.onRequestTracked] - Callback when a request is tracked
+   * @param {import('./budget-manager.js').Budget[]} [options.budgets] - Budgets for this client
+   *   only (default: the shared manager with the budgets from config.budgets)
+   * @param {BudgetManager} [options.budgetManager] - Manager to check and record spend with
+   * @param {Function} [options.onBudgetWarning] - Called with each BudgetWarning
+   *   (default: log a warning)
+   * @param {AIClientInterface|AIClientInterface[]} [options.downgradeTo] - Cheaper clients to
+   *   try, in order, when a request would exceed a hard budget
+   * @param {Object<string, string>} [options.tags] - Attribution tags (e.g. agent, tenant) for
+   *   every request; withCostTags() scopes and `options.tags` on a call add more
+   * @param {string} [options.sessionId] - Session key for session budgets (default: generated)
+   * @param {number} [options.expectedOutputTokens=500] - Output tokens assumed when estimating
+   *   a call that does not set max_tokens
+   * @param {import('../utils/cost-ledger.js').CostLedger|null} [options.ledger] - Ledger every
+   *   tracked request is appended to, and that `budgets` count spend from (default: the ledger
+   *   from AI_COST_LEDGER, if set; null disables it)
    */
   constructor(client, options = {}) {
     super();
@@ -40,6 +86,21 @@ export class CostTrackingClient extends AIClientInterface {
 
     // Determine provider from client
     this.provider = this._detectProvider(client);
+
+    // Persistent ledger and budget enforcement
+    this.ledger = options.ledger === undefined ? getCostLedger() : options.ledger;
+    this.budgetManager =
+      options.budgetManager ??
+      (options.budgets
+        ? new BudgetManager({ budgets: options.budgets, ledger: this.ledger })
+        : getBudgetManager());
+    this.onBudgetWarning = options.onBudgetWarning;
+    this.downgradeTo = [options.downgradeTo ?? []].flat();
+    this.tags = options.tags || {};
+    this.sessionId =
+      options.sessionId ?? `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    this.expectedOutputTokens = options.expectedOutputTokens ?? 500;
+    this.logger = createLogger('CostTrackingClient');
   }
 
   /**
@@ -81,9 +142,17 @@ export class CostTrackingClient extends AIClientInterface {
    * @returns {Object} Cost calculation result
    */
   calculateCost(response, model = null) {
+    return this._calculateCost(this.client, response, model);
+  }
+
+  /**
+   * Calculate cost with a specific client (the wrapped one or a downgrade)
+   * @private
+   */
+  _calculateCost(client, response, model) {
     // Use the client's calculateCost method if available
-    if (this.client && typeof this.client.calculateCost === 'function') {
-      return this.client.calculateCost(response, model);
+    if (client && typeof client.calculateCost === 'function') {
+      return client.calculateCost(response, model);
     }
 
     // Fallback for clients that don't have calculateCost method
@@ -104,6 +173,8 @@ export class CostTrackingClient extends AIClientInterface {
    * @param {string} model - Model name
    * @param {Object} costData - Cost data
    * @param {Object} [metadata={}] - Additional metadata
+   * @param {Object<string, string>} [metadata.tags] - Attribution tags, added to the client's
+   *   tags and those of the current withCostTags() scope
    * @returns {Object} Tracked request
    */
   trackRequest(provider, model, costData, metadata = {}) {
@@ -115,39 +186,61 @@ export class CostTrackingClient extends AIClientInterface {
       const completionTokens = costData.completionTokens || costData.outputTokens || 0;
 
       if (provider === 'openai') {
-        const defaultModel = config.openai.model;
-        const pricing =
-          PRICING.openai[model] ||
-          PRICING.openai[defaultModel] ||
-          PRICING.openai['gpt-4-turbo-preview'];
+        const pricing = getModelPricing('openai', model, { fallbackModel: config.openai.model });
         const inputCost = (promptTokens / 1_000_000) * pricing.input;
         const outputCost = (completionTokens / 1_000_000) * pricing.output;
         totalCost = inputCost + outputCost;
       } else if (provider === 'claude') {
-        const defaultModel = config.claude.model;
-        const pricing =
-          PRICING.claude[model] ||
-          PRICING.claude[defaultModel] ||
-          PRICING.claude['claude-sonnet-4-5-20250929'];
-        const inputCost = (promptTokens / 1_000_000) * pricing.input;
-        const outputCost = (completionTokens / 1_000_000) * pricing.output;
-        totalCost = inputCost + outputCost;
+        const pricing = getModelPricing('claude', model, { fallbackModel: config.claude.model });
+        ({ totalCost } = calculateTokenCost(
+          {
+            inputTokens: promptTokens,
+            outputTokens: completionTokens,
+            cacheCreationTokens: costData.cacheCreationTokens,
+            cacheReadTokens: costData.cacheReadTokens,
+          },
+          pricing
+        ));
       } else {
         totalCost = 0;
       }
     }
 
+    const { tags, ...rest } = metadata;
+    const context = this._budgetContext(tags);
     const request = {
       timestamp: new Date().toISOString(),
       provider,
       model,
       ...costData,
       totalCost,
-      ...metadata,
+      sessionId: this.sessionId,
+      tags: this._tags(tags),
+      ...rest,
     };
 
     this.requests.push(request);
     this.totalCost += totalCost;
+    // Append before recording, so ledger-backed budgets count this request
+    this.ledger?.append(request);
+    // Spend the manager's ledger will not show is counted by the manager itself
+    const managerLedger = this.budgetManager.ledger;
+    const inLedger =
+      Boolean(this.ledger && managerLedger) &&
+      (this.ledger === managerLedger || resolve(this.ledger.path) === resolve(managerLedger.path));
+
+    for (const warning of this.budgetManager.record(totalCost, context, { inLedger })) {
+      if (this.onBudgetWarning) {
+        this.onBudgetWarning(warning, request);
+      } else {
+        this.logger.warn(
+          `Budget '${warning.budget}'${warning.key ? ` for ${warning.key}` : ''} at ` +
+            `${Math.round((warning.spentUsd / warning.limitUsd) * 100)}% ` +
+            `($${warning.spentUsd.toFixed(4)} of $${warning.limitUsd.toFixed(2)})`,
+          warning
+        );
+      }
+    }
 
     // Call callback if provided
     if (this.onRequestTracked) {
@@ -157,6 +250,275 @@ export class CostTrackingClient extends AIClientInterface {
     return request;
   }
 
+  /**
+   * Track usage for a completed client call
+   * Used by the wrapper methods below and by the cost() middleware
+   * @param {string} method - Client method name
+   * @param {Object} params - Named call parameters (messages, tools, functions, input, embeddingModel, prompt, tags)
+   * @param {*} result - Value returned by the wrapped client (the done event for stream())
+   * @param {AIClientInterface} [client=this.client] - Client that served the call (a downgrade
+   *   client when the request was moved to a cheaper model)
+   * @returns {Object|null} Tracked request, or null if the method is not billed
+   */
+  trackCall(method, params, result, client = this.client) {
+    const { messages = [] } = params;
+    const provider = client === this.client ? this.provider : this._detectProvider(client);
+    const track = (model, costData, metadata) =>
+      this.trackRequest(provider, model, costData, {
+        ...metadata,
+        tags: params.tags,
+        ...(client !== this.client && { downgradedFrom: this.client.model }),
+      });
+
+    switch (method) {
+      case 'chat':
+      case 'chatWithTools':
+      case 'chatWithFunctions': {
+        const model = client.model || config.openai.model || config.claude.model;
+        const costData = this._calculateCost(client, result, model);
+        const metadata = { requestType: method, messages: messages.length };
+        if (params.tools) metadata.toolsCount = params.tools.length;
+        if (params.functions) metadata.functionsCount = params.functions.length;
+        return track(model, costData, metadata);
+      }
+
+      case 'chatStream': {
+        // For streaming, we need to track tokens differently
+        // We'll estimate from the full response
+        const model = client.model || config.openai.model || config.claude.model;
+        const inputTokens = this.estimateTokens(messages.map((m) => m.content).join(' '));
+        const outputTokens = this.estimateTokens(result);
+        const costData = {
+          inputTokens,
+          outputTokens,
+          totalTokens: inputTokens + outputTokens,
+        };
+        return track(model, costData, {
+          requestType: 'chatStream',
+          messages: messages.length,
+        });
+      }
+
+      case 'stream': {
+        // Result is the final done event; providers report usage on most streams
+        if (result?.type !== 'done') return null;
+        const model = client.model || config.openai.model || config.claude.model;
+        const inputTokens =
+          result.usage?.inputTokens ??
+          this.estimateTokens(messages.map((m) => m.content).join(' '));
+        const outputTokens = result.usage?.outputTokens ?? this.estimateTokens(result.text);
+        const { cacheCreationTokens, cacheReadTokens } = result.usage || {};
+        return track(
+          model,
+          {
+            inputTokens,
+            outputTokens,
+            totalTokens: inputTokens + outputTokens,
+            ...(cacheCreationTokens && { cacheCreationTokens }),
+            ...(cacheReadTokens && { cacheReadTokens }),
+          },
+          { requestType: 'stream', messages: messages.length }
+        );
+      }
+
+      case 'getEmbeddings': {
+        const model = params.embeddingModel || client.model || 'text-embedding-ada-002';
+        const inputArray = Array.isArray(params.input) ? params.input : [params.input];
+        const totalTokens = inputArray.reduce((sum, text) => sum + this.estimateTokens(text), 0);
+
+        // Embeddings typically have fixed pricing
+        const pricing = getModelPricing('openai', model, {
+          fallbackModel: 'text-embedding-ada-002',
+        });
+        const cost = (totalTokens / 1_000_000) * pricing.input;
+
+        return track(
+          model,
+          {
+            inputTokens: totalTokens,
+            outputTokens: 0,
+            totalTokens,
+            totalCost: cost,
+          },
+          {
+            requestType: 'embeddings',
+            embeddingsCount: result.length,
+          }
+        );
+      }
+
+      case 'analyzeImage': {
+        const model = client.model || config.openai.visionModel || config.openai.model;
+        // Estimate tokens for vision (approximate)
+        const promptTokens = this.estimateTokens(params.prompt);
+        const outputTokens = this.estimateTokens(result);
+        const costData = {
+          inputTokens: promptTokens + 1000, // Approximate image tokens
+          outputTokens,
+          totalTokens: promptTokens + 1000 + outputTokens,
+        };
+        return track(model, costData, { requestType: 'analyzeImage' });
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Estimate the cost of a call before it is made
+   * Prompt tokens are estimated from the request; output tokens are the call's
+   * max_tokens or expectedOutputTokens. Models without a known price estimate $0.
+   * @param {string} method - Client method name
+   * @param {Object} params - Named call parameters (messages, tools, functions, input, embeddingModel, prompt, options)
+   * @param {AIClientInterface} [client=this.client] - Client that would serve the call
+   * @returns {number} Estimated cost in USD
+   */
+  estimateCost(method, params, client = this.client) {
+    const { messages = [], options = {} } = params;
+    const provider = this._detectProvider(client);
+    const outputTokens =
+      options.max_tokens ?? options.max_completion_tokens ?? this.expectedOutputTokens;
+    let { model } = client;
+    let inputTokens;
+
+    switch (method) {
+      case 'chat':
+      case 'chatStream':
+      case 'stream':
+      case 'chatWithTools':
+      case 'chatWithFunctions':
+        inputTokens = estimateRequestTokens(messages, {
+          tools: params.tools || params.functions || options.tools || [],
+        });
+        break;
+      case 'getEmbeddings': {
+        model = params.embeddingModel || model || 'text-embedding-ada-002';
+        const inputArray = Array.isArray(params.input) ? params.input : [params.input];
+        const tokens = inputArray.reduce((sum, text) => sum + this.estimateTokens(text), 0);
+        const pricing = getModelPricing('openai', model, {
+          fallbackModel: 'text-embedding-ada-002',
+        });
+        return (tokens / 1_000_000) * pricing.input;
+      }
+      case 'analyzeImage':
+        // Approximate image tokens, as in trackCall()
+        inputTokens = this.estimateTokens(params.prompt) + 1000;
+        break;
+      default:
+        return 0;
+    }
+
+    const pricing = ['openai', 'claude'].includes(provider)
+      ? getModelPricing(provider, model, { fallbackModel: config[provider].model })
+      : getPricingCatalogue().getPrice(null, model);
+    if (!pricing) {
+      return 0;
+    }
+    return (inputTokens / 1_000_000) * pricing.input + (outputTokens / 1_000_000) * pricing.output;
+  }
+
+  /**
+   * Check that a call fits every hard budget, without making it
+   * @param {string} method - Client method name
+   * @param {Object} params - Named call parameters, as for estimateCost()
+   * @throws {BudgetExceededError} If the call would exceed a hard budget
+   */
+  checkBudget(method, params) {
+    this.budgetManager.check(this.estimateCost(method, params), this._budgetContext(params.tags));
+  }
+
+  /**
+   * Hold a call's estimated cost against the hard budgets until it is released
+   * Release the reservation with budgetManager.release() once the call has been tracked or
+   * has failed.
+   * @param {string} method - Client method name
+   * @param {Object} params - Named call parameters, as for estimateCost()
+   * @returns {import('./budget-manager.js').BudgetReservation} Reservation
+   * @throws {BudgetExceededError} If the call would exceed a hard budget
+   */
+  reserveBudget(method, params) {
+    return this.budgetManager.reserve(
+      this.estimateCost(method, params),
+      this._budgetContext(params.tags)
+    );
+  }
+
+  /**
+   * Current spend against the budgets that apply to this client
+   * @param {Object<string, string>} [tags] - Extra attribution tags (e.g. a tenant)
+   * @returns {Object[]} Budget status from BudgetManager.getStatus()
+   */
+  getBudgetStatus(tags) {
+    return this.budgetManager.getStatus(this._budgetContext(tags));
+  }
+
+  /**
+   * Attribution context budgets are checked against
+   * @private
+   */
+  _budgetContext(tags) {
+    return { ...this._tags(tags), session: this.sessionId };
+  }
+
+  /**
+   * Attribution tags for a call: the client's, the withCostTags() scope's, then the call's own
+   * @private
+   */
+  _tags(tags) {
+    return { ...this.tags, ...getCostTags(), ...tags };
+  }
+
+  /**
+   * Pick the client for a call: the wrapped client if it fits the budgets,
+   * otherwise the first downgrade client that does, and reserve its estimate
+   * @private
+   * @param {string} method - Client method name
+   * @param {Object} params - Named call parameters
+   * @param {Object} options - Method options (tags are consumed here)
+   * @returns {{client: AIClientInterface, requestOptions: Object, params: Object,
+   *   reservation: import('./budget-manager.js').BudgetReservation}} Call plan
+   * @throws {BudgetExceededError} If no client fits
+   */
+  _prepare(method, params, options = {}) {
+    const { tags, ...requestOptions } = options;
+    const callParams = { ...params, options: requestOptions, tags };
+    const context = this._budgetContext(tags);
+
+    let firstViolation = null;
+    for (const client of [this.client, ...this.downgradeTo]) {
+      const estimate = this.estimateCost(method, callParams, client);
+      const violation = this.budgetManager.findViolation(estimate, context);
+      if (!violation) {
+        const reservation = this.budgetManager.reserve(estimate, context);
+        return { client, requestOptions, params: callParams, reservation };
+      }
+      firstViolation ??= violation;
+    }
+    throw firstViolation;
+  }
+
+  /**
+   * Make a prepared call and track it, releasing its reservation once the
+   * actual cost is recorded (or the call fails)
+   * @private
+   * @param {string} method - Client method name
+   * @param {Object} plan - Call plan from _prepare()
+   * @param {(client: AIClientInterface, requestOptions: Object) => Promise<*>} call - Makes the call
+   * @returns {Promise<*>} Result of the call
+   */
+  async _run(method, { client, requestOptions, params, reservation }, call) {
+    try {
+      const result = await call(client, requestOptions);
+      if (this.autoTrack) {
+        this.trackCall(method, params, result, client);
+      }
+      return result;
+    } finally {
+      this.budgetManager.release(reservation);
+    }
+  }
+
   /**
    * Get statistics
    * @returns {Object} Cost statistics
@@ -166,9 +528,12 @@ export class CostTrackingClient extends AIClientInterface {
       totalRequests: this.requests.length,
       totalCost: this.totalCost,
       totalTokens: this.requests.reduce((sum, r) => sum + (r.totalTokens || 0), 0),
+      cacheCreationTokens: this.requests.reduce((sum, r) => sum + (r.cacheCreationTokens || 0), 0),
+      cacheReadTokens: this.requests.reduce((sum, r) => sum + (r.cacheReadTokens || 0), 0),
       byProvider: {},
       byModel: {},
     };
+    const { byTag, byDay } = summarizeCosts(this.requests);
 
     this.requests.forEach((req) => {
       // By provider
@@ -188,7 +553,7 @@ export class CostTrackingClient extends AIClientInterface {
       stats.byModel[req.model].tokens += req.totalTokens || 0;
     });
 
-    return stats;
+    return { ...stats, byTag, byDay };
   }
 
   /**
@@ -202,6 +567,12 @@ export class CostTrackingClient extends AIClientInterface {
     console.log(`Total Requests: ${stats.totalRequests}`);
     console.log(`Total Tokens: ${stats.totalTokens.toLocaleString()}`);
     console.log(`Total Cost: $${stats.totalCost.toFixed(4)}`);
+    if (stats.cacheCreationTokens || stats.cacheReadTokens) {
+      console.log(
+        `Prompt Cache: ${stats.cacheReadTokens.toLocaleString()} tokens read, ` +
+          `${stats.cacheCreationTokens.toLocaleString()} tokens written`
+      );
+    }
     console.log('\nBy Provider:');
     Object.entries(stats.byProvider).forEach(([provider, data]) => {
       console.log(
@@ -214,6 +585,35 @@ export class CostTrackingClient extends AIClientInterface {
         `  ${model}: ${data.count} requests, $${data.cost.toFixed(4)}, ${data.tokens.toLocaleString()} tokens`
       );
     });
+    Object.entries(stats.byTag).forEach(([tag, values]) => {
+      console.log(`\nBy ${tag}:`);
+      Object.entries(values).forEach(([value, data]) => {
+        console.log(
+          `  ${value}: ${data.count} requests, $${data.cost.toFixed(4)}, ${data.tokens.toLocaleString()} tokens`
+        );
+      });
+    });
+    const budgets = this.getBudgetStatus();
+    if (budgets.length > 0) {
+      console.log('\nBudgets:');
+      budgets.forEach((budget) => {
+        console.log(
+          `  ${budget.budget}${budget.key ? ` (${budget.key})` : ''}: ` +
+            `$${budget.spentUsd.toFixed(4)} of $${budget.limitUsd.toFixed(2)}` +
+            `${budget.period ? ` in ${budget.period}` : ''}${budget.hard ? '' : ' (soft)'}`
+        );
+      });
+    }
+  }
+
+  /**
+   * Export the tracked requests as a cost report
+   * @param {string} path - Output file; .csv, .jsonl or .html picks the format
+   * @param {Object} [options={}] - HTML report options (title, daysPerMonth)
+   * @returns {Promise<string>} The path written
+   */
+  async exportReport(path, options = {}) {
+    return writeCostReport(this.requests, path, options);
   }
 
   /**
@@ -230,72 +630,65 @@ export class CostTrackingClient extends AIClientInterface {
    * @inheritDoc
    */
   async chat(messages, options = {}) {
-    const response = await this.client.chat(messages, options);
-
-    if (this.autoTrack) {
-      const model = this.client.model || config.openai.model || config.claude.model;
-      const costData = this.calculateCost(response, model);
-      this.trackRequest(this.provider, model, costData, {
-        requestType: 'chat',
-        messages: messages.length,
-      });
-    }
-
-    return response;
+    return this._run(
+      'chat',
+      this._prepare('chat', { messages }, options),
+      (client, requestOptions) => client.chat(messages, requestOptions)
+    );
   }
 
   /**
    * @inheritDoc
    */
   async chatStream(messages, onChunk, options = {}) {
-    // For streaming, we need to track tokens differently
-    // We'll estimate from the full response
-    let fullResponse = '';
-    const streamOnChunk = (chunk) => {
-      fullResponse += chunk;
-      if (onChunk) {
-        onChunk(chunk);
-      }
-    };
+    return this._run(
+      'chatStream',
+      this._prepare('chatStream', { messages }, options),
+      (client, requestOptions) => client.chatStream(messages, onChunk, requestOptions)
+    );
+  }
 
-    await this.client.chatStream(messages, streamOnChunk, options);
-
-    if (this.autoTrack) {
-      const model = this.client.model || config.openai.model || config.claude.model;
-      // Estimate tokens for streaming (approximate)
-      const inputTokens = this.estimateTokens(messages.map((m) => m.content).join(' '));
-      const outputTokens = this.estimateTokens(fullResponse);
-      const costData = {
-        inputTokens,
-        outputTokens,
-        totalTokens: inputTokens + outputTokens,
-      };
-      this.trackRequest(this.provider, model, costData, {
-        requestType: 'chatStream',
-        messages: messages.length,
-      });
+  /**
+   * @inheritDoc
+   */
+  async *stream(messages, options = {}) {
+    const { client, requestOptions, params, reservation } = this._prepare(
+      'stream',
+      { messages },
+      options
+    );
+    try {
+      for await (const event of client.stream(messages, requestOptions)) {
+        if (event.type === 'done' && this.autoTrack) {
+          this.trackCall('stream', params, event, client);
+        }
+        yield event;
+      }
+    } finally {
+      this.budgetManager.release(reservation);
     }
-
-    return fullResponse;
   }
 
   /**
    * @inheritDoc
    */
   async chatWithTools(messages, tools, options = {}) {
-    const response = await this.client.chatWithTools(messages, tools, options);
-
-    if (this.autoTrack) {
-      const model = this.client.model || config.openai.model || config.claude.model;
-      const costData = this.calculateCost(response, model);
-      this.trackRequest(this.provider, model, costData, {
-        requestType: 'chatWithTools',
-        messages: messages.length,
-        toolsCount: tools.length,
-      });
-    }
+    return this._run(
+      'chatWithTools',
+      this._prepare('chatWithTools', { messages, tools }, options),
+      (client, requestOptions) => client.chatWithTools(messages, tools, requestOptions)
+    );
+  }
 
-    return response;
+  /**
+   * @inheritDoc
+   */
+  async chatWithFunctions(messages, functions, options = {}) {
+    return this._run(
+      'chatWithFunctions',
+      this._prepare('chatWithFunctions', { messages, functions }, options),
+      (client, requestOptions) => client.chatWithFunctions(messages, functions, requestOptions)
+    );
   }
 
   /**
@@ -319,63 +712,35 @@ export class CostTrackingClient extends AIClientInterface {
     return this.client.getToolUseBlocks(response);
   }
 
+  getMessage(response) {
+    return this.client.getMessage(response);
+  }
+
   /**
    * @inheritDoc
    */
   async getEmbeddings(input, embeddingModel = null) {
-    const embeddings = await this.client.getEmbeddings(input, embeddingModel);
-
-    if (this.autoTrack) {
-      const model = embeddingModel || this.client.model || 'text-embedding-ada-002';
-      const inputArray = Array.isArray(input) ? input : [input];
-      const totalTokens = inputArray.reduce((sum, text) => sum + this.estimateTokens(text), 0);
-
-      // Embeddings typically have fixed pricing
-      const pricing = PRICING.openai[model] ||
-        PRICING.openai['text-embedding-ada-002'] || { input: 0.1, output: 0 };
-      const cost = (totalTokens / 1_000_000) * pricing.input;
-
-      this.trackRequest(
-        this.provider,
-        model,
-        {
-          inputTokens: totalTokens,
-          outputTokens: 0,
-          totalTokens,
-          totalCost: cost,
-        },
-        {
-          requestType: 'embeddings',
-          embeddingsCount: embeddings.length,
-        }
-      );
-    }
-
-    return embeddings;
+    // Embeddings are never downgraded: a different model would change the vectors
+    const params = { input, embeddingModel };
+    const plan = {
+      client: this.client,
+      params,
+      reservation: this.reserveBudget('getEmbeddings', params),
+    };
+    return this._run('getEmbeddings', plan, (client) =>
+      client.getEmbeddings(input, embeddingModel)
+    );
   }
 
   /**
    * @inheritDoc
    */
   async analyzeImage(imageBase64, prompt, options = {}) {
-    const result = await this.client.analyzeImage(imageBase64, prompt, options);
-
-    if (this.autoTrack) {
-      const model = this.client.model || config.openai.visionModel || config.openai.model;
-      // Estimate tokens for vision (approximate)
-      const promptTokens = this.estimateTokens(prompt);
-      const outputTokens = this.estimateTokens(result);
-      const costData = {
-        inputTokens: promptTokens + 1000, // Approximate image tokens
-        outputTokens,
-        totalTokens: promptTokens + 1000 + outputTokens,
-      };
-      this.trackRequest(this.provider, model, costData, {
-        requestType: 'analyzeImage',
-      });
-    }
-
-    return result;
+    return this._run(
+      'analyzeImage',
+      this._prepare('analyzeImage', { prompt }, options),
+      (client, requestOptions) => client.analyzeImage(imageBase64, prompt, requestOptions)
+    );
   }
 
   /**
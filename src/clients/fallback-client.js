@@ -0,0 +1,410 @@
+/**
+ * Fallback AI Client
+ *
+ * Tries an ordered list of clients and transparently fails over to the next
+ * one on retryable errors (rate limits, 5xx, network errors), open circuit
+ * breakers from ResilientClient, or per-attempt timeouts. Non-retryable errors
+ * (bad requests, invalid tools) are thrown immediately.
+ *
+ * Conversations are kept in the primary (first) client's message format:
+ * history is translated into the fallback provider's shape before the call and
+ * responses are translated back, so agents built for one provider keep
+ * working when another one answers.
+ *
+ * @example
+ * import { createAIClient } from './client-factory.js';
+ * import { ResilientClient } from './resilient-client.js';
+ * import { FallbackClient } from './fallback-client.js';
+ *
+ * const client = new FallbackClient(
+ *   [
+ *     new ResilientClient(createAIClient('azure-openai')),
+ *     createAIClient('openai-standard'),
+ *     createAIClient('claude'),
+ *     createAIClient('local'),
+ *   ],
+ *   { timeoutMs: 30000 }
+ * );
+ *
+ * // Or build the chain from whichever providers are configured
+ * const chain = FallbackClient.fromProviders(['azure-openai', 'openai-standard', 'claude', 'local']);
+ *
+ * const agent = new FunctionCallingAgent('openai', client);
+ */
+
+import { AIClientInterface } from './ai-client-interface.js';
+import { BaseOpenAIClient } from './base-openai-client.js';
+import { ClaudeClient } from './claude-client.js';
+import { MockAIClient } from './mock-client.js';
+import { createAIClient, isProviderAvailable } from './client-factory.js';
+import { isRetryableError } from './resilient-client.js';
+import { convertMessages, convertResponse } from './message-format.js';
+import { openStream, resumeStream } from './stream-events.js';
+import { withCancellableStream, withCancellation, withSignal } from './cancellation.js';
+import { createLogger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} FallbackEntry
+ * @property {AIClientInterface} client - Client to call
+ * @property {string} [name] - Name used in logs and stats (default: class name)
+ * @property {'openai'|'claude'} [format] - Message format (default: detected from the client)
+ */
+
+/**
+ * @typedef {Object} FallbackClientOptions
+ * @property {number} [timeoutMs] - Per-attempt timeout; a timed-out attempt is aborted and fails over
+ *   (a call's own options.timeoutMs is a deadline for the whole chain and never fails over)
+ * @property {(error: Error) => boolean} [shouldFallback] - Override which errors fail over
+ * @property {Function} [onFallback] - Called with ({ method, from, to, error }) before each failover
+ */
+
+/**
+ * Detect the message format a client speaks, looking through wrapper clients
+ * @param {AIClientInterface} client - Client to inspect
+ * @returns {'openai'|'claude'} Message format
+ */
+export function detectFormat(client) {
+  let current = client;
+  while (current && typeof current === 'object') {
+    if (current instanceof FallbackClient) return current.format;
+    if (current instanceof ClaudeClient) return 'claude';
+    if (current instanceof MockAIClient) return current.responseFormat;
+    if (current instanceof BaseOpenAIClient) return 'openai';
+    current = current.client;
+  }
+  return 'openai';
+}
+
+/**
+ * Default failover policy
+ * @param {Error} error - Error thrown by a client
+ * @returns {boolean} True if the next client should be tried
+ */
+function defaultShouldFallback(error) {
+  return error.code === 'CIRCUIT_OPEN' || isRetryableError(error);
+}
+
+/**
+ * Client that fails over across an ordered list of providers
+ */
+export class FallbackClient extends AIClientInterface {
+  /**
+   * Create a fallback client
+   * @param {Array<AIClientInterface|FallbackEntry>} clients - Clients in priority order
+   * @param {FallbackClientOptions} [options={}] - Configuration options
+   */
+  constructor(clients, options = {}) {
+    super();
+    if (!Array.isArray(clients) || clients.length === 0) {
+      throw new Error('FallbackClient requires at least one client');
+    }
+
+    this.entries = clients.map((entry) => {
+      const client = entry instanceof AIClientInterface || !entry.client ? entry : entry.client;
+      return {
+        client,
+        name: entry.name || client.constructor.name,
+        format: entry.format || detectFormat(client),
+      };
+    });
+    this.client = this.entries[0].client;
+    this.format = this.entries[0].format;
+
+    this.timeoutMs = options.timeoutMs ?? null;
+    this.shouldFallback = options.shouldFallback || defaultShouldFallback;
+    this.onFallback = options.onFallback;
+    this.logger = createLogger('FallbackClient');
+
+    // Responses translated from a fallback provider, for accurate cost calculation
+    this.origins = new WeakMap();
+
+    this.stats = {
+      totalRequests: 0,
+      fallbacks: 0,
+      servedBy: Object.fromEntries(this.entries.map((e) => [e.name, 0])),
+    };
+  }
+
+  /**
+   * Build a fallback chain from provider names, skipping unconfigured providers
+   * @param {string[]} providers - Provider names in priority order
+   * @param {FallbackClientOptions & {model?: string}} [options={}] - Options (model applies to every provider)
+   * @returns {FallbackClient} Fallback client
+   * @throws {Error} If none of the providers is available
+   */
+  static fromProviders(providers, options = {}) {
+    const entries = providers
+      .filter((provider) => isProviderAvailable(provider))
+      .map((provider) => ({ client: createAIClient(provider, options.model), name: provider }));
+
+    if (entries.length === 0) {
+      throw new Error(
+        `No AI provider available for fallback chain: ${providers.join(', ')}. ` +
+          'Please configure at least one provider in your .env file.'
+      );
+    }
+    return new FallbackClient(entries, options);
+  }
+
+  /**
+   * Run one attempt under the per-attempt timeout, aborting it when the timeout fires
+   * @private
+   */
+  async _attempt(call, entry, signal) {
+    if (!this.timeoutMs) {
+      return call(entry, signal);
+    }
+
+    const controller = new AbortController();
+    const onCallerAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+      onCallerAbort();
+    } else {
+      signal?.addEventListener('abort', onCallerAbort, { once: true });
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Request timed out after ${this.timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        controller.abort(error);
+        reject(error);
+      }, this.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([call(entry, controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onCallerAbort);
+    }
+  }
+
+  /**
+   * Try each client in order until one succeeds
+   * @param {string} method - Client method name (for logs)
+   * @param {(entry: Object, signal?: AbortSignal) => Promise<*>} call - Performs the call on one
+   *   entry; forward `signal` in the call options
+   * @param {() => boolean} [canFallback] - Extra guard checked before failing over
+   * @param {AbortSignal} [signal] - Caller signal; cancellation stops the chain
+   * @returns {Promise<*>} Result of the first successful call
+   */
+  async withFallback(method, call, canFallback = () => true, signal = undefined) {
+    this.stats.totalRequests++;
+    const attempts = [];
+
+    for (let i = 0; i < this.entries.length; i++) {
+      const entry = this.entries[i];
+      try {
+        const result = await this._attempt(call, entry, signal);
+        this.stats.servedBy[entry.name]++;
+        return result;
+      } catch (error) {
+        attempts.push({ client: entry.name, error });
+        const next = this.entries[i + 1];
+
+        if (!next || !this.shouldFallback(error) || !canFallback()) {
+          if (attempts.length === 1) {
+            throw error;
+          }
+          const summary = attempts.map((a) => `  - ${a.client}: ${a.error.message}`).join('\n');
+          const aggregate = new Error(`Fallback chain failed for ${method}:\n${summary}`, {
+            cause: error,
+          });
+          aggregate.attempts = attempts;
+          throw aggregate;
+        }
+
+        this.stats.fallbacks++;
+        this.logger.warn(`${entry.name} failed, falling back to ${next.name}`, {
+          method,
+          error: error.message,
+          status: error.status,
+          code: error.code,
+        });
+        if (this.onFallback) {
+          this.onFallback({ method, from: entry.name, to: next.name, error });
+        }
+      }
+    }
+  }
+
+  /**
+   * Call a chat-style method, translating history and response formats
+   * @private
+   */
+  _chatCall(method, messages, args, options) {
+    return withCancellation(options, (requestOptions, signal) =>
+      this.withFallback(
+        method,
+        async (entry, attemptSignal) => {
+          const response = await entry.client[method](
+            convertMessages(messages, this.format, entry.format),
+            ...args,
+            withSignal(requestOptions, attemptSignal)
+          );
+          if (entry.format === this.format) {
+            return response;
+          }
+
+          const converted = convertResponse(response, entry.format, this.format);
+          this.origins.set(converted, { client: entry.client, response });
+          return converted;
+        },
+        undefined,
+        signal
+      )
+    );
+  }
+
+  /**
+   * Get failover statistics
+   * @returns {{totalRequests: number, fallbacks: number, servedBy: Object<string, number>}} Stats
+   */
+  getStats() {
+    return { ...this.stats, servedBy: { ...this.stats.servedBy } };
+  }
+
+  // ============================================================
+  // AIClientInterface implementation
+  // ============================================================
+
+  async chat(messages, options = {}) {
+    return this._chatCall('chat', messages, [], options);
+  }
+
+  async chatStream(messages, onChunk = null, options = {}) {
+    // Once text has reached the caller, switching providers would duplicate output
+    let streamed = false;
+    const forward = (chunk) => {
+      streamed = true;
+      if (onChunk) {
+        onChunk(chunk);
+      }
+    };
+
+    return withCancellation(options, (requestOptions, signal) =>
+      this.withFallback(
+        'chatStream',
+        (entry, attemptSignal) =>
+          entry.client.chatStream(
+            convertMessages(messages, this.format, entry.format),
+            forward,
+            withSignal(requestOptions, attemptSignal)
+          ),
+        () => !streamed,
+        signal
+      )
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    yield* withCancellableStream(options, (streamOptions, signal) =>
+      this._fallbackStream(messages, streamOptions, signal)
+    );
+  }
+
+  /**
+   * Open a stream on the first client that connects, then pass its events through
+   * Events are provider-neutral, so only the history needs translating;
+   * failover is only possible until the first event has been produced.
+   * @private
+   */
+  async *_fallbackStream(messages, options, signal) {
+    const opened = await this.withFallback(
+      'stream',
+      (entry, attemptSignal) =>
+        openStream(
+          entry.client.stream(
+            convertMessages(messages, this.format, entry.format),
+            withSignal(options, attemptSignal)
+          )
+        ),
+      undefined,
+      signal
+    );
+    yield* resumeStream(opened);
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    return this._chatCall('chatWithTools', messages, [tools], options);
+  }
+
+  async chatWithFunctions(messages, functions, options = {}) {
+    return this._chatCall('chatWithFunctions', messages, [functions], options);
+  }
+
+  async getEmbeddings(input, embeddingModel = null) {
+    // Embedding spaces differ between providers, so never mix them
+    return this.client.getEmbeddings(input, embeddingModel);
+  }
+
+  async analyzeImage(imageBase64, prompt, options = {}) {
+    return withCancellation(options, (requestOptions, signal) =>
+      this.withFallback(
+        'analyzeImage',
+        (entry, attemptSignal) =>
+          entry.client.analyzeImage(imageBase64, prompt, withSignal(requestOptions, attemptSignal)),
+        undefined,
+        signal
+      )
+    );
+  }
+
+  // Assistants state (threads, runs) lives with one provider - no failover
+  async createAssistant(instructions, tools = [], options = {}) {
+    return this.client.createAssistant(instructions, tools, options);
+  }
+
+  async createThread() {
+    return this.client.createThread();
+  }
+
+  async addMessage(threadId, content, role = 'user') {
+    return this.client.addMessage(threadId, content, role);
+  }
+
+  async getMessages(threadId, options = {}) {
+    return this.client.getMessages(threadId, options);
+  }
+
+  async runAssistant(threadId, assistantId, options = {}) {
+    return this.client.runAssistant(threadId, assistantId, options);
+  }
+
+  async retrieveRun(threadId, runId) {
+    return this.client.retrieveRun(threadId, runId);
+  }
+
+  // Responses are always in the primary client's format
+  getTextContent(response) {
+    return this.client.getTextContent(response);
+  }
+
+  hasToolUse(response) {
+    return this.client.hasToolUse(response);
+  }
+
+  getToolUseBlocks(response) {
+    return this.client.getToolUseBlocks(response);
+  }
+
+  getMessage(response) {
+    return this.client.getMessage(response);
+  }
+
+  calculateCost(response, model = null) {
+    const origin = this.origins.get(response);
+    if (origin) {
+      // Price with the provider that actually answered, at its own model's rates
+      return origin.client.calculateCost(origin.response);
+    }
+    return this.client.calculateCost(response, model);
+  }
+
+  // Expose client properties
+  get model() {
+    return this.client.model;
+  }
+}
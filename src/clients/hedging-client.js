@@ -0,0 +1,486 @@
+/**
+ * Hedging Client Wrapper
+ *
+ * Cuts tail latency by sending a duplicate ("hedge") request when the primary
+ * call is slower than usual. The hedge delay is a percentile of the recent
+ * latencies observed per model and kind of call, so the hedge only fires for
+ * the slowest few percent of calls. Streams are timed to their first output,
+ * so they keep a window of their own apart from whole chat responses. Whichever attempt finishes first is returned and the other
+ * is cancelled.
+ *
+ * The hedge can go to the same client or to an alternate provider. Like
+ * FallbackClient, responses from a provider with a different message format
+ * are translated back into the primary client's format.
+ *
+ * Streams (chatStream and stream) commit to the first attempt that produces
+ * output, so text from two attempts is never interleaved.
+ *
+ * Cancelled attempts still cost money: the provider has usually processed the
+ * prompt already. Each cancelled attempt is charged its estimated input tokens
+ * to the CostTrackingClient wrapping the attempt's client (or to the
+ * `costTracker` option). Successful attempts are tracked by their own
+ * CostTrackingClient as usual.
+ *
+ * @example
+ * import { createAIClient } from './client-factory.js';
+ * import { CostTrackingClient } from './cost-tracking-client.js';
+ * import { HedgingClient } from './hedging-client.js';
+ *
+ * const client = new HedgingClient(new CostTrackingClient(createAIClient('openai')), {
+ *   percentile: 95,
+ *   hedgeClient: new CostTrackingClient(createAIClient('claude')),
+ * });
+ * const bot = new CustomerSupportBot(client);
+ */
+
+import { AIClientInterface } from './ai-client-interface.js';
+import { CostTrackingClient } from './cost-tracking-client.js';
+import { detectFormat } from './fallback-client.js';
+import { convertMessages, convertResponse } from './message-format.js';
+import { openStream, resumeStream } from './stream-events.js';
+import { AbortError, withCancellableStream, withCancellation, withSignal } from './cancellation.js';
+
+/**
+ * @typedef {Object} HedgingClientOptions
+ * @property {AIClientInterface} [hedgeClient] - Client for the hedge request (default: the primary)
+ * @property {number} [percentile=95] - Latency percentile of the primary model that triggers a hedge
+ * @property {number} [delayMs] - Fixed hedge delay; overrides the percentile
+ * @property {number} [initialDelayMs=1000] - Hedge delay until `minSamples` latencies are known
+ * @property {number} [minSamples=20] - Latencies needed per model before the percentile is used
+ * @property {number} [windowSize=100] - Recent latencies kept per model
+ * @property {CostTrackingClient} [costTracker] - Charged for cancelled attempts whose client is
+ *   not wrapped in a CostTrackingClient
+ * @property {Function} [onHedge] - Called with ({ method, delayMs }) when a hedge is sent
+ */
+
+/**
+ * @typedef {Object} HedgeEntry
+ * @property {AIClientInterface} client - Client to call
+ * @property {'primary'|'hedge'} name - Role of the client
+ * @property {'openai'|'claude'} format - Message format the client speaks
+ */
+
+/**
+ * Latency window of each method; methods not listed use their own name
+ * @type {Object<string, string>}
+ */
+const LATENCY_KIND = {
+  chatWithTools: 'chat',
+  chatWithFunctions: 'chat',
+  chatStream: 'stream',
+};
+
+/**
+ * Find the CostTrackingClient in a chain of wrapper clients
+ * @param {AIClientInterface} client - Client to inspect
+ * @returns {CostTrackingClient|null} Tracker, if the client is wrapped in one
+ */
+function findCostTracker(client) {
+  for (let current = client; current && typeof current === 'object'; current = current.client) {
+    if (current instanceof CostTrackingClient) return current;
+  }
+  return null;
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} values - Samples
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+function percentileOf(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+/**
+ * Prompt text of a conversation, for token estimates
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string} Concatenated message content
+ */
+function promptOf(messages) {
+  return messages
+    .map((m) => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? '')))
+    .join(' ');
+}
+
+/**
+ * Start a chatStream call that can be committed to once it produces output
+ * Chunks that arrive before the commit are buffered and replayed by resume().
+ * @param {(onChunk: Function) => Promise<string>} start - Starts the call with a chunk handler
+ * @returns {Promise<{done: Promise<string>, resume: (onChunk?: Function) => Promise<string>}>}
+ *   Resolves on the first chunk or when the call completes
+ */
+function openChatStream(start) {
+  return new Promise((ready, fail) => {
+    const buffered = [];
+    let forward = null;
+    const opened = {
+      resume(onChunk) {
+        forward = (chunk) => onChunk?.(chunk);
+        buffered.forEach(forward);
+        return opened.done;
+      },
+    };
+
+    opened.done = start((chunk) => {
+      if (forward) {
+        forward(chunk);
+      } else {
+        buffered.push(chunk);
+        ready(opened);
+      }
+    });
+    opened.done.then(() => ready(opened), fail);
+  });
+}
+
+/**
+ * Tail-latency hedging wrapper for AI clients
+ */
+export class HedgingClient extends AIClientInterface {
+  /**
+   * Create a hedging client wrapper
+   * @param {AIClientInterface} client - Primary client
+   * @param {HedgingClientOptions} [options={}] - Configuration options
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.format = detectFormat(client);
+    this.primary = { client, name: 'primary', format: this.format };
+    const hedgeClient = options.hedgeClient ?? client;
+    this.hedge = { client: hedgeClient, name: 'hedge', format: detectFormat(hedgeClient) };
+
+    this.percentile = options.percentile ?? 95;
+    this.delayMs = options.delayMs ?? null;
+    this.initialDelayMs = options.initialDelayMs ?? 1000;
+    this.minSamples = options.minSamples ?? 20;
+    this.windowSize = options.windowSize ?? 100;
+    this.costTracker = options.costTracker ?? null;
+    this.onHedge = options.onHedge;
+
+    // Recent successful latencies per kind of call and model, as PerformanceMonitor records them
+    this.latencies = new Map();
+    // Responses translated from the hedge provider, for accurate cost calculation
+    this.origins = new WeakMap();
+    this.stats = { requests: 0, hedged: 0, hedgeWins: 0, cancelled: 0 };
+  }
+
+  /**
+   * Latency key for a client
+   * @private
+   */
+  _modelOf(client) {
+    return client.model || client.constructor.name;
+  }
+
+  /**
+   * Record the latency of a successful attempt, keeping the most recent samples
+   * @param {string} model - Model (or client name) that answered
+   * @param {number} latencyMs - Time from sending the attempt to its result (its first
+   *   output for streams)
+   * @param {string} [kind='chat'] - Latency window: 'chat', 'stream', or a method name
+   */
+  recordLatency(model, latencyMs, kind = 'chat') {
+    const key = `${kind}:${model}`;
+    const samples = this.latencies.get(key) ?? [];
+    samples.push(latencyMs);
+    if (samples.length > this.windowSize) {
+      samples.shift();
+    }
+    this.latencies.set(key, samples);
+  }
+
+  /**
+   * Delay after which the primary call is hedged
+   * @param {string} [model] - Model to look up (default: the primary client's model)
+   * @param {string} [kind='chat'] - Latency window: 'chat', 'stream', or a method name
+   * @returns {number} Delay in milliseconds
+   */
+  getHedgeDelay(model = this._modelOf(this.client), kind = 'chat') {
+    if (this.delayMs !== null) {
+      return this.delayMs;
+    }
+    const samples = this.latencies.get(`${kind}:${model}`);
+    if (!samples || samples.length < this.minSamples) {
+      return this.initialDelayMs;
+    }
+    return percentileOf(samples, this.percentile);
+  }
+
+  /**
+   * Get hedging statistics
+   * @returns {{requests: number, hedged: number, hedgeWins: number, cancelled: number,
+   *   hedgeRate: number, hedgeDelayMs: number}} Stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      hedgeRate: this.stats.requests > 0 ? this.stats.hedged / this.stats.requests : 0,
+      hedgeDelayMs: this.getHedgeDelay(),
+    };
+  }
+
+  /**
+   * Charge a cancelled attempt's estimated prompt tokens
+   * @private
+   */
+  _chargeCancelled(method, prompt, entry) {
+    const tracker = findCostTracker(entry.client) ?? this.costTracker;
+    if (!tracker) return;
+
+    const inputTokens = tracker.estimateTokens(prompt);
+    tracker.trackRequest(
+      tracker.provider,
+      tracker.model || entry.client.model,
+      { inputTokens, outputTokens: 0, totalTokens: inputTokens },
+      { requestType: method, hedge: 'cancelled' }
+    );
+  }
+
+  /**
+   * Send the primary attempt, hedge it after the delay, and settle with the first success
+   * A failure only rejects once no other attempt is still running.
+   * @param {string} method - Client method name
+   * @param {string} prompt - Request text, used to estimate the cost of cancelled attempts
+   * @param {(entry: HedgeEntry, signal: AbortSignal) => Promise<*>} launch - Starts one attempt;
+   *   forward `signal` in the call options
+   * @param {AbortSignal} [signal] - Caller signal; aborting it cancels every attempt
+   * @returns {Promise<*>} Result of the winning attempt
+   */
+  hedged(method, prompt, launch, signal = undefined) {
+    this.stats.requests++;
+    const kind = LATENCY_KIND[method] ?? method;
+    const delayMs = this.getHedgeDelay(undefined, kind);
+
+    return new Promise((resolve, reject) => {
+      const attempts = [];
+      let settled = false;
+      let timer = null;
+
+      const settle = (winner, outcome) => {
+        settled = true;
+        clearTimeout(timer);
+        for (const attempt of attempts) {
+          if (attempt !== winner && attempt.pending) {
+            attempt.controller.abort(new AbortError('Hedged request lost the race'));
+            this.stats.cancelled++;
+            this._chargeCancelled(method, prompt, attempt.entry);
+          }
+        }
+        outcome();
+      };
+
+      const start = (entry) => {
+        const attempt = { entry, pending: true, controller: new AbortController() };
+        const startedAt = Date.now();
+        const onAbort = () => attempt.controller.abort(signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const finish = () => {
+          attempt.pending = false;
+          signal?.removeEventListener('abort', onAbort);
+        };
+        attempts.push(attempt);
+
+        Promise.resolve()
+          .then(() => launch(entry, attempt.controller.signal))
+          .then(
+            (result) => {
+              finish();
+              if (settled) {
+                // A late finisher: release an opened stream nobody will read
+                Promise.resolve(result?.iterator?.return?.()).catch(() => {});
+                return;
+              }
+              this.recordLatency(this._modelOf(entry.client), Date.now() - startedAt, kind);
+              if (entry === this.hedge) {
+                this.stats.hedgeWins++;
+              }
+              settle(attempt, () => resolve(result));
+            },
+            (error) => {
+              finish();
+              if (!settled && !attempts.some((other) => other.pending)) {
+                settle(null, () => reject(error));
+              }
+            }
+          );
+      };
+
+      start(this.primary);
+      timer = setTimeout(() => {
+        if (settled || signal?.aborted) return;
+        this.stats.hedged++;
+        if (this.onHedge) {
+          this.onHedge({ method, delayMs });
+        }
+        start(this.hedge);
+      }, delayMs);
+    });
+  }
+
+  /**
+   * Call a chat-style method with hedging, translating history and response formats
+   * @private
+   */
+  _chatCall(method, messages, args, options) {
+    return withCancellation(options, (requestOptions, signal) =>
+      this.hedged(
+        method,
+        promptOf(messages),
+        async (entry, attemptSignal) => {
+          const response = await entry.client[method](
+            convertMessages(messages, this.format, entry.format),
+            ...args,
+            withSignal(requestOptions, attemptSignal)
+          );
+          if (entry.format === this.format) {
+            return response;
+          }
+
+          const converted = convertResponse(response, entry.format, this.format);
+          this.origins.set(converted, { client: entry.client, response });
+          return converted;
+        },
+        signal
+      )
+    );
+  }
+
+  // ============================================================
+  // AIClientInterface implementation
+  // ============================================================
+
+  async chat(messages, options = {}) {
+    return this._chatCall('chat', messages, [], options);
+  }
+
+  async chatStream(messages, onChunk = null, options = {}) {
+    return withCancellation(options, async (requestOptions, signal) => {
+      const opened = await this.hedged(
+        'chatStream',
+        promptOf(messages),
+        (entry, attemptSignal) =>
+          openChatStream((forward) =>
+            entry.client.chatStream(
+              convertMessages(messages, this.format, entry.format),
+              forward,
+              withSignal(requestOptions, attemptSignal)
+            )
+          ),
+        signal
+      );
+      return opened.resume(onChunk);
+    });
+  }
+
+  async *stream(messages, options = {}) {
+    yield* withCancellableStream(options, (streamOptions, signal) =>
+      this._hedgedStream(messages, streamOptions, signal)
+    );
+  }
+
+  /**
+   * Hedge until one attempt produces its first event, then pass that stream through
+   * Events are provider-neutral, so only the history needs translating.
+   * @private
+   */
+  async *_hedgedStream(messages, options, signal) {
+    const opened = await this.hedged(
+      'stream',
+      promptOf(messages),
+      (entry, attemptSignal) =>
+        openStream(
+          entry.client.stream(
+            convertMessages(messages, this.format, entry.format),
+            withSignal(options, attemptSignal)
+          )
+        ),
+      signal
+    );
+    yield* resumeStream(opened);
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    return this._chatCall('chatWithTools', messages, [tools], options);
+  }
+
+  async chatWithFunctions(messages, functions, options = {}) {
+    return this._chatCall('chatWithFunctions', messages, [functions], options);
+  }
+
+  async getEmbeddings(input, embeddingModel = null) {
+    // Embedding calls cannot be cancelled and embedding spaces differ between providers
+    return this.client.getEmbeddings(input, embeddingModel);
+  }
+
+  async analyzeImage(imageBase64, prompt, options = {}) {
+    return withCancellation(options, (requestOptions, signal) =>
+      this.hedged(
+        'analyzeImage',
+        prompt,
+        (entry, attemptSignal) =>
+          entry.client.analyzeImage(imageBase64, prompt, withSignal(requestOptions, attemptSignal)),
+        signal
+      )
+    );
+  }
+
+  // Assistants calls change thread state, so they are never duplicated
+  async createAssistant(instructions, tools = [], options = {}) {
+    return this.client.createAssistant(instructions, tools, options);
+  }
+
+  async createThread() {
+    return this.client.createThread();
+  }
+
+  async addMessage(threadId, content, role = 'user') {
+    return this.client.addMessage(threadId, content, role);
+  }
+
+  async getMessages(threadId, options = {}) {
+    return this.client.getMessages(threadId, options);
+  }
+
+  async runAssistant(threadId, assistantId, options = {}) {
+    return this.client.runAssistant(threadId, assistantId, options);
+  }
+
+  async retrieveRun(threadId, runId) {
+    return this.client.retrieveRun(threadId, runId);
+  }
+
+  // Responses are always in the primary client's format
+  getTextContent(response) {
+    return this.client.getTextContent(response);
+  }
+
+  hasToolUse(response) {
+    return this.client.hasToolUse(response);
+  }
+
+  getToolUseBlocks(response) {
+    return this.client.getToolUseBlocks(response);
+  }
+
+  getMessage(response) {
+    return this.client.getMessage(response);
+  }
+
+  calculateCost(response, model = null) {
+    const origin = this.origins.get(response);
+    if (origin) {
+      // Price with the provider that actually answered, at its own model's rates
+      return origin.client.calculateCost(origin.response);
+    }
+    return this.client.calculateCost(response, model);
+  }
+
+  // Expose client properties
+  get model() {
+    return this.client.model;
+  }
+}
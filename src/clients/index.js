@@ -10,13 +10,51 @@ export {
   isValidProvider,
   isProviderAvailable,
   createAIClientWithFallback,
+  createUseCaseClient,
   getAvailableProviders,
 } from './client-factory.js';
+export {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  getRegisteredProviders,
+} from './provider-registry.js';
 export { AzureOpenAIClient } from './azure-openai-client.js';
 export { StandardOpenAIClient } from './standard-openai-client.js';
 export { ClaudeClient } from './claude-client.js';
+export { LocalAIClient } from './local-client.js';
 export { MockAIClient } from './mock-client.js';
+export { FaultInjector, createProviderError, sampleLatency } from './mock-faults.js';
+export { MockScript, ScriptMismatchError } from './mock-script.js';
 export { BaseOpenAIClient } from './base-openai-client.js';
-export { ResilientClient } from './resilient-client.js';
+export { ResilientClient, isRetryableError } from './resilient-client.js';
+export { AbortError, TimeoutError, isCancellationError } from './cancellation.js';
 export { LoggingClient } from './logging-client.js';
 export { CostTrackingClient } from './cost-tracking-client.js';
+export {
+  BudgetManager,
+  BudgetExceededError,
+  budgetsFromConfig,
+  getBudgetManager,
+  setBudgetManager,
+} from './budget-manager.js';
+export { RecordReplayClient } from './record-replay-client.js';
+export { FallbackClient, detectFormat } from './fallback-client.js';
+export { CoalescingClient } from './coalescing-client.js';
+export { HedgingClient } from './hedging-client.js';
+export { RateLimitedClient } from './rate-limited-client.js';
+export { RateLimiter, getRateLimiter, parseRateLimitHeaders } from './rate-limiter.js';
+export { BatchJobClient, BATCH_DISCOUNT } from './batch-job-client.js';
+export {
+  convertMessages,
+  convertResponse,
+  toClaudeMessages,
+  toOpenAIMessages,
+  fromCanonicalMessages,
+  toCanonicalMessages,
+  responseToMessage,
+  createAssistantMessage,
+} from './message-format.js';
+export { StreamEventBuilder, normalizeStopReason } from './stream-events.js';
+export { ComposedClient, composeClient } from './compose-client.js';
+export { logging, retry, cost, cache, guardrails } from './middleware.js';
@@ -0,0 +1,296 @@
+import { OpenAI } from 'openai';
+import { config } from '../config-values.js';
+import { BaseOpenAIClient } from './base-openai-client.js';
+import { withCancellation } from './cancellation.js';
+import { withResponseHeaders } from './response-headers.js';
+
+/**
+ * Local OpenAI-compatible Client
+ * Implements AIClientInterface for self-hosted model servers that expose the
+ * OpenAI wire format (`/v1/chat/completions`, `/v1/embeddings`), such as
+ * Ollama, llama.cpp server, vLLM or LM Studio.
+ *
+ * @example
+ * // .env
+ * // LOCAL_AI_BASE_URL=http://localhost:11434/v1
+ * // LOCAL_AI_MODEL=llama3.1
+ * const client = createAIClient('local');
+ *
+ * @extends {BaseOpenAIClient}
+ */
+export class LocalAIClient extends BaseOpenAIClient {
+  /**
+   * Create local OpenAI-compatible client instance
+   * @param {string} [model] - Optional model name (overrides config)
+   * @param {Object} [options={}] - Connection overrides
+   * @param {string} [options.baseUrl] - Server base URL including `/v1` (overrides LOCAL_AI_BASE_URL)
+   * @param {string} [options.apiKey] - API key, if the server requires one (overrides LOCAL_AI_API_KEY)
+   */
+  constructor(model = null, options = {}) {
+    super();
+
+    const baseURL = options.baseUrl || config.local.baseUrl;
+    if (!baseURL) {
+      throw new Error(
+        'LOCAL_AI_BASE_URL is not set in environment variables. Point it at an OpenAI-compatible server, e.g. http://localhost:11434/v1'
+      );
+    }
+
+    this.model = model || config.local.model;
+    this.isAzure = false;
+    this.baseUrl = baseURL.replace(/\/$/, '');
+
+    // Most local servers ignore the key, but the SDK requires a non-empty value
+    this.client = new OpenAI({
+      apiKey: options.apiKey || config.local.apiKey,
+      baseURL: this.baseUrl,
+    });
+  }
+
+  /**
+   * Basic chat completion
+   * @param {import('./ai-client-interface.js').ChatMessage[]} messages - Array of message objects with role and content
+   * @param {import('./ai-client-interface.js').ChatOptions} [options={}] - Additional options (temperature, max_tokens, etc.)
+   * @returns {Promise<import('./ai-client-interface.js').ChatResponse>} Chat completion response
+   */
+  async chat(messages, options = {}) {
+    return withCancellation(options, ({ onResponseHeaders, ...chatOptions }, signal) =>
+      withResponseHeaders(
+        this.client.chat.completions.create(
+          {
+            model: this.model,
+            messages: this.toProviderMessages(messages),
+            ...chatOptions,
+          },
+          { signal }
+        ),
+        onResponseHeaders
+      )
+    );
+  }
+
+  /**
+   * Streaming chat completion
+   * @param {Array} messages - Array of message objects
+   * @param {Function} onChunk - Callback function for each chunk
+   * @param {Object} options - Additional options
+   * @returns {Promise<string>} Full response text
+   */
+  async chatStream(messages, onChunk = null, options = {}) {
+    return withCancellation(options, async ({ onResponseHeaders, ...chatOptions }, signal) => {
+      const requestOptions = {
+        model: this.model,
+        messages: this.toProviderMessages(messages),
+        stream: true,
+        ...chatOptions,
+      };
+
+      const stream = await withResponseHeaders(
+        this.client.chat.completions.create(requestOptions, { signal }),
+        onResponseHeaders
+      );
+
+      let fullText = '';
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content || '';
+        if (content) {
+          fullText += content;
+          if (onChunk) {
+            onChunk(content);
+          }
+        }
+      }
+      return fullText;
+    });
+  }
+
+  /**
+   * Function calling
+   * Note: The served model must support tool calling (e.g. llama3.1, qwen2.5, mistral-nemo)
+   * @param {Array} messages - Array of message objects
+   * @param {Array} functions - Array of function definitions
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Response with function calls
+   */
+  async chatWithFunctions(messages, functions, options = {}) {
+    const tools = functions.map((func) => ({
+      type: 'function',
+      function: func,
+    }));
+
+    return withCancellation(options, ({ onResponseHeaders, ...chatOptions }, signal) =>
+      withResponseHeaders(
+        this.client.chat.completions.create(
+          {
+            model: this.model,
+            messages: this.toProviderMessages(messages),
+            tools,
+            tool_choice: 'auto',
+            ...chatOptions,
+          },
+          { signal }
+        ),
+        onResponseHeaders
+      )
+    );
+  }
+
+  /**
+   * Get embeddings for RAG
+   * @param {string|Array} input - Text or array of texts to embed
+   * @param {string} embeddingModel - Optional embedding model name
+   * @returns {Promise<Array>} Embedding vectors
+   */
+  async getEmbeddings(input, embeddingModel = null) {
+    const model = embeddingModel || config.local.embeddingModel;
+
+    const response = await this.client.embeddings.create({
+      model,
+      input: Array.isArray(input) ? input : [input],
+    });
+    return response.data.map((item) => item.embedding);
+  }
+
+  /**
+   * Analyze an image with a text prompt
+   * Only available when a multimodal model is served (e.g. llava, llama3.2-vision)
+   * @param {string} imageBase64 - Base64 encoded image
+   * @param {string} prompt - Text prompt for analysis
+   * @param {Object} options - Additional options (model, max_tokens, etc.)
+   * @returns {Promise<string>} Analysis result
+   * @throws {Error} If no vision model is configured
+   */
+  async analyzeImage(imageBase64, prompt, options = {}) {
+    const model = options.model || config.local.visionModel;
+    if (!model) {
+      throw new Error(
+        'Vision is not configured for the local provider. Set LOCAL_AI_VISION_MODEL to a multimodal model (e.g. llava).'
+      );
+    }
+
+    const messages = [
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: prompt,
+          },
+          {
+            type: 'image_url',
+            image_url: {
+              url: `data:image/png;base64,${imageBase64}`,
+            },
+          },
+        ],
+      },
+    ];
+
+    const response = await withCancellation(
+      options,
+      ({ onResponseHeaders, ...visionOptions }, signal) =>
+        withResponseHeaders(
+          this.client.chat.completions.create(
+            {
+              max_tokens: options.max_tokens || 300,
+              ...visionOptions,
+              model,
+              messages,
+            },
+            { signal }
+          ),
+          onResponseHeaders
+        )
+    );
+
+    return response.choices[0].message.content;
+  }
+
+  /**
+   * Create an assistant
+   * Note: Local servers don't implement the OpenAI Assistants API
+   * @throws {Error} Local provider doesn't support assistants
+   */
+  async createAssistant(_instructions, _tools = [], _options = {}) {
+    throw new Error(
+      'The local provider does not support OpenAI Assistants API. Please use OpenAI for assistants functionality.'
+    );
+  }
+
+  /**
+   * Create a thread
+   * Note: Local servers don't implement the OpenAI Assistants API
+   * @throws {Error} Local provider doesn't support assistants
+   */
+  async createThread() {
+    throw new Error(
+      'The local provider does not support OpenAI Assistants API. Please use OpenAI for assistants functionality.'
+    );
+  }
+
+  /**
+   * Add message to thread
+   * Note: Local servers don't implement the OpenAI Assistants API
+   * @throws {Error} Local provider doesn't support assistants
+   */
+  async addMessage(_threadId, _content, _role = 'user') {
+    throw new Error(
+      'The local provider does not support OpenAI Assistants API. Please use OpenAI for assistants functionality.'
+    );
+  }
+
+  /**
+   * Get messages from thread
+   * Note: Local servers don't implement the OpenAI Assistants API
+   * @throws {Error} Local provider doesn't support assistants
+   */
+  async getMessages(_threadId, _options = {}) {
+    throw new Error(
+      'The local provider does not support OpenAI Assistants API. Please use OpenAI for assistants functionality.'
+    );
+  }
+
+  /**
+   * Run assistant on thread
+   * Note: Local servers don't implement the OpenAI Assistants API
+   * @throws {Error} Local provider doesn't support assistants
+   */
+  async runAssistant(_threadId, _assistantId, _options = {}) {
+    throw new Error(
+      'The local provider does not support OpenAI Assistants API. Please use OpenAI for assistants functionality.'
+    );
+  }
+
+  /**
+   * Retrieve run status
+   * Note: Local servers don't implement the OpenAI Assistants API
+   * @throws {Error} Local provider doesn't support assistants
+   */
+  async retrieveRun(_threadId, _runId) {
+    throw new Error(
+      'The local provider does not support OpenAI Assistants API. Please use OpenAI for assistants functionality.'
+    );
+  }
+
+  /**
+   * Calculate cost for local response
+   * Self-hosted inference has no per-token price, so token counts are reported with zero cost
+   * @param {Object} response - API response with usage information
+   * @param {string} [_model] - Optional model name (unused)
+   * @returns {Object} Cost calculation result
+   */
+  calculateCost(response, _model = null) {
+    const usage = response?.usage || {};
+    const inputTokens = usage.prompt_tokens || 0;
+    const outputTokens = usage.completion_tokens || 0;
+
+    return {
+      inputTokens,
+      outputTokens,
+      totalTokens: usage.total_tokens || inputTokens + outputTokens,
+      inputCost: 0,
+      outputCost: 0,
+      totalCost: 0,
+    };
+  }
+}
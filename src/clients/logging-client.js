@@ -146,6 +146,28 @@ export class LoggingClient extends AIClientInterface {
   summarizeResponse(response) {
     const summary = {};
 
+    // Streams and image analysis resolve to plain text, embeddings to vectors
+    if (typeof response === 'string') {
+      return { contentLength: response.length, contentPreview: this.truncate(response) };
+    }
+    if (Array.isArray(response)) {
+      return { count: response.length };
+    }
+    if (response?.[Symbol.asyncIterator]) {
+      return { stream: true };
+    }
+    if (response?.type === 'done') {
+      return {
+        ...(response.usage && {
+          tokens: { input: response.usage.inputTokens, output: response.usage.outputTokens },
+        }),
+        contentLength: response.text.length,
+        contentPreview: this.truncate(response.text),
+        stopReason: response.stopReason,
+        ...(response.toolCalls.length && { toolCalls: response.toolCalls.map((t) => t.name) }),
+      };
+    }
+
     if (response?.usage) {
       summary.tokens = {
         input: response.usage.prompt_tokens || response.usage.input_tokens,
@@ -168,20 +190,83 @@ export class LoggingClient extends AIClientInterface {
   }
 
   /**
-   * Log a method call with timing
+   * Summarize request parameters for logging
+   * @param {string} method - Client method name
+   * @param {Object} [params={}] - Named call parameters (messages, tools, options, ...)
+   * @returns {Object} Summary
+   */
+  summarizeRequest(method, params = {}) {
+    const { messages, options } = params;
+
+    switch (method) {
+      case 'chat':
+      case 'chatStream':
+      case 'stream':
+        return { messages: this.summarizeMessages(messages), options: this.redact(options) };
+      case 'chatWithTools':
+        return {
+          messages: this.summarizeMessages(messages),
+          tools: params.tools.map((t) => t.name || t.function?.name),
+          options: this.redact(options),
+        };
+      case 'chatWithFunctions':
+        return {
+          messages: this.summarizeMessages(messages),
+          functions: params.functions.map((f) => f.name),
+          options: this.redact(options),
+        };
+      case 'getEmbeddings':
+        return {
+          input: Array.isArray(params.input)
+            ? { count: params.input.length, sample: this.truncate(params.input[0]) }
+            : { text: this.truncate(params.input) },
+          embeddingModel: params.embeddingModel,
+        };
+      case 'analyzeImage':
+        return {
+          imageSize: params.imageBase64.length,
+          prompt: this.truncate(params.prompt),
+          options: this.redact(options),
+        };
+      case 'createAssistant':
+        return {
+          instructionsLength: params.instructions.length,
+          toolCount: params.tools.length,
+          options: this.redact(options),
+        };
+      case 'addMessage':
+        return {
+          threadId: params.threadId,
+          contentLength: params.content.length,
+          role: params.role,
+        };
+      case 'getMessages':
+        return { threadId: params.threadId, options: this.redact(options) };
+      case 'runAssistant':
+        return {
+          threadId: params.threadId,
+          assistantId: params.assistantId,
+          options: this.redact(options),
+        };
+      case 'retrieveRun':
+        return { threadId: params.threadId, runId: params.runId };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Log the start of a call
    * @param {string} method - Method name
-   * @param {Function} fn - Async function to execute
    * @param {Object} [requestData={}] - Request data to log
-   * @returns {Promise<any>} Function result
+   * @returns {{requestId: string, method: string, startTime: number}} Call context
    */
-  async loggedCall(method, fn, requestData = {}) {
-    const requestId = this.generateRequestId();
-    const startTime = Date.now();
+  logRequest(method, requestData = {}) {
+    const call = { requestId: this.generateRequestId(), method, startTime: Date.now() };
 
-    // Log request
     if (this.logRequests) {
       const logData = {
-        requestId,
+        requestId: call.requestId,
         method,
         ...this.redact(requestData),
       };
@@ -192,50 +277,77 @@ export class LoggingClient extends AIClientInterface {
       }
     }
 
-    try {
-      const result = await fn();
-      const duration = Date.now() - startTime;
-
-      // Log response
-      if (this.logResponses) {
-        const logData = {
-          requestId,
-          method,
-          durationMs: duration,
-          response: this.summarizeResponse(result),
-        };
-        this.logger.info(`Response: ${method}`, logData);
+    return call;
+  }
 
-        if (this.onResponse) {
-          this.onResponse(logData, result);
-        }
-      } else if (this.logTiming) {
-        this.logger.debug(`Completed: ${method}`, { requestId, durationMs: duration });
-      }
+  /**
+   * Log a successful call
+   * @param {{requestId: string, method: string, startTime: number}} call - Context from logRequest()
+   * @param {*} result - Call result
+   */
+  logResponse({ requestId, method, startTime }, result) {
+    const duration = Date.now() - startTime;
 
-      return result;
-    } catch (error) {
-      const duration = Date.now() - startTime;
-
-      // Log error
-      if (this.logErrors) {
-        const logData = {
-          requestId,
-          method,
-          durationMs: duration,
-          error: {
-            message: error.message,
-            status: error.status,
-            code: error.code,
-          },
-        };
-        this.logger.error(`Error: ${method}`, logData);
+    if (this.logResponses) {
+      const logData = {
+        requestId,
+        method,
+        durationMs: duration,
+        response: this.summarizeResponse(result),
+      };
+      this.logger.info(`Response: ${method}`, logData);
 
-        if (this.onError) {
-          this.onError(logData, error);
-        }
+      if (this.onResponse) {
+        this.onResponse(logData, result);
       }
+    } else if (this.logTiming) {
+      this.logger.debug(`Completed: ${method}`, { requestId, durationMs: duration });
+    }
+  }
+
+  /**
+   * Log a failed call
+   * @param {{requestId: string, method: string, startTime: number}} call - Context from logRequest()
+   * @param {Error} error - Error thrown by the call
+   */
+  logError({ requestId, method, startTime }, error) {
+    if (!this.logErrors) {
+      return;
+    }
+
+    const logData = {
+      requestId,
+      method,
+      durationMs: Date.now() - startTime,
+      error: {
+        message: error.message,
+        status: error.status,
+        code: error.code,
+      },
+    };
+    this.logger.error(`Error: ${method}`, logData);
+
+    if (this.onError) {
+      this.onError(logData, error);
+    }
+  }
 
+  /**
+   * Log a method call with timing
+   * @param {string} method - Method name
+   * @param {Function} fn - Async function to execute
+   * @param {Object} [requestData={}] - Request data to log
+   * @returns {Promise<any>} Function result
+   */
+  async loggedCall(method, fn, requestData = {}) {
+    const call = this.logRequest(method, requestData);
+
+    try {
+      const result = await fn();
+      this.logResponse(call, result);
+      return result;
+    } catch (error) {
+      this.logError(call, error);
       throw error;
     }
   }
@@ -245,28 +357,43 @@ export class LoggingClient extends AIClientInterface {
   // ============================================================
 
   async chat(messages, options = {}) {
-    return this.loggedCall('chat', () => this.client.chat(messages, options), {
-      messages: this.summarizeMessages(messages),
-      options: this.redact(options),
-    });
+    return this.loggedCall(
+      'chat',
+      () => this.client.chat(messages, options),
+      this.summarizeRequest('chat', { messages, options })
+    );
   }
 
   async chatStream(messages, onChunk, options = {}) {
-    return this.loggedCall('chatStream', () => this.client.chatStream(messages, onChunk, options), {
-      messages: this.summarizeMessages(messages),
-      options: this.redact(options),
-    });
+    return this.loggedCall(
+      'chatStream',
+      () => this.client.chatStream(messages, onChunk, options),
+      this.summarizeRequest('chatStream', { messages, options })
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    // The final done event carries the aggregated turn, so it is logged as the response
+    const call = this.logRequest('stream', this.summarizeRequest('stream', { messages, options }));
+
+    try {
+      for await (const event of this.client.stream(messages, options)) {
+        if (event.type === 'done') {
+          this.logResponse(call, event);
+        }
+        yield event;
+      }
+    } catch (error) {
+      this.logError(call, error);
+      throw error;
+    }
   }
 
   async chatWithTools(messages, tools, options = {}) {
     return this.loggedCall(
       'chatWithTools',
       () => this.client.chatWithTools(messages, tools, options),
-      {
-        messages: this.summarizeMessages(messages),
-        tools: tools.map((t) => t.name || t.function?.name),
-        options: this.redact(options),
-      }
+      this.summarizeRequest('chatWithTools', { messages, tools, options })
     );
   }
 
@@ -274,23 +401,15 @@ export class LoggingClient extends AIClientInterface {
     return this.loggedCall(
       'chatWithFunctions',
       () => this.client.chatWithFunctions(messages, functions, options),
-      {
-        messages: this.summarizeMessages(messages),
-        functions: functions.map((f) => f.name),
-        options: this.redact(options),
-      }
+      this.summarizeRequest('chatWithFunctions', { messages, functions, options })
     );
   }
 
   async getEmbeddings(input, embeddingModel = null) {
-    const inputSummary = Array.isArray(input)
-      ? { count: input.length, sample: this.truncate(input[0]) }
-      : { text: this.truncate(input) };
-
     return this.loggedCall(
       'getEmbeddings',
       () => this.client.getEmbeddings(input, embeddingModel),
-      { input: inputSummary, embeddingModel }
+      this.summarizeRequest('getEmbeddings', { input, embeddingModel })
     );
   }
 
@@ -298,11 +417,7 @@ export class LoggingClient extends AIClientInterface {
     return this.loggedCall(
       'analyzeImage',
       () => this.client.analyzeImage(imageBase64, prompt, options),
-      {
-        imageSize: imageBase64.length,
-        prompt: this.truncate(prompt),
-        options: this.redact(options),
-      }
+      this.summarizeRequest('analyzeImage', { imageBase64, prompt, options })
     );
   }
 
@@ -310,11 +425,7 @@ export class LoggingClient extends AIClientInterface {
     return this.loggedCall(
       'createAssistant',
       () => this.client.createAssistant(instructions, tools, options),
-      {
-        instructionsLength: instructions.length,
-        toolCount: tools.length,
-        options: this.redact(options),
-      }
+      this.summarizeRequest('createAssistant', { instructions, tools, options })
     );
   }
 
@@ -323,33 +434,35 @@ export class LoggingClient extends AIClientInterface {
   }
 
   async addMessage(threadId, content, role = 'user') {
-    return this.loggedCall('addMessage', () => this.client.addMessage(threadId, content, role), {
-      threadId,
-      contentLength: content.length,
-      role,
-    });
+    return this.loggedCall(
+      'addMessage',
+      () => this.client.addMessage(threadId, content, role),
+      this.summarizeRequest('addMessage', { threadId, content, role })
+    );
   }
 
   async getMessages(threadId, options = {}) {
-    return this.loggedCall('getMessages', () => this.client.getMessages(threadId, options), {
-      threadId,
-      options: this.redact(options),
-    });
+    return this.loggedCall(
+      'getMessages',
+      () => this.client.getMessages(threadId, options),
+      this.summarizeRequest('getMessages', { threadId, options })
+    );
   }
 
   async runAssistant(threadId, assistantId, options = {}) {
     return this.loggedCall(
       'runAssistant',
       () => this.client.runAssistant(threadId, assistantId, options),
-      { threadId, assistantId, options: this.redact(options) }
+      this.summarizeRequest('runAssistant', { threadId, assistantId, options })
     );
   }
 
   async retrieveRun(threadId, runId) {
-    return this.loggedCall('retrieveRun', () => this.client.retrieveRun(threadId, runId), {
-      threadId,
-      runId,
-    });
+    return this.loggedCall(
+      'retrieveRun',
+      () => this.client.retrieveRun(threadId, runId),
+      this.summarizeRequest('retrieveRun', { threadId, runId })
+    );
   }
 
   // Passthrough methods (no logging needed)
@@ -365,6 +478,10 @@ export class LoggingClient extends AIClientInterface {
     return this.client.getToolUseBlocks(response);
   }
 
+  getMessage(response) {
+    return this.client.getMessage(response);
+  }
+
   calculateCost(response, model = null) {
     return this.client.calculateCost(response, model);
   }
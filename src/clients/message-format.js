@@ -0,0 +1,547 @@
+/**
+ * Message Format Translation
+ *
+ * Converts conversation history and responses between the OpenAI chat
+ * completions shape and the Claude messages shape, so a conversation started
+ * against one provider can continue on another (see FallbackClient).
+ *
+ * OpenAI: tool calls live in `message.tool_calls` and results are separate
+ * `{ role: 'tool' }` messages.
+ * Claude: tool calls are `tool_use` content blocks and results are
+ * `tool_result` blocks inside a user message.
+ *
+ * It also defines the provider-neutral (canonical) message model. Messages
+ * hold a list of parts - text, image, tool call and tool result - and every
+ * client accepts them next to its own wire format, so agents can keep one
+ * history for any provider. `client.getMessage(response)` returns the
+ * assistant turn in the same shape.
+ *
+ * @example
+ * const history = [{ role: 'user', content: 'Weather in Oslo?' }];
+ * const response = await client.chatWithTools(history, tools);
+ * const message = client.getMessage(response);
+ * history.push(message);
+ *
+ * for (const call of message.content.filter((part) => part.type === 'tool_call')) {
+ *   const result = await tools[call.name](call.arguments);
+ *   history.push({
+ *     role: 'tool',
+ *     content: [{ type: 'tool_result', toolCallId: call.id, content: result }],
+ *   });
+ * }
+ */
+
+/**
+ * @typedef {'openai'|'claude'} MessageFormat
+ */
+
+/**
+ * @typedef {Object} TextPart
+ * @property {'text'} type
+ * @property {string} text - Text content
+ */
+
+/**
+ * @typedef {Object} ImagePart
+ * @property {'image'} type
+ * @property {string} [data] - Base64 image data
+ * @property {string} [mediaType] - MIME type of `data` (e.g. 'image/png')
+ * @property {string} [url] - Image URL, instead of `data`
+ */
+
+/**
+ * @typedef {Object} ToolCallPart
+ * @property {'tool_call'} type
+ * @property {string} id - Tool call ID
+ * @property {string} name - Tool name
+ * @property {Object} arguments - Parsed tool arguments
+ */
+
+/**
+ * @typedef {Object} ToolResultPart
+ * @property {'tool_result'} type
+ * @property {string} toolCallId - ID of the tool call this answers
+ * @property {*} content - Result; anything but a string is sent as JSON
+ */
+
+/**
+ * @typedef {TextPart|ImagePart|ToolCallPart|ToolResultPart} MessagePart
+ */
+
+/**
+ * @typedef {Object} Message
+ * @property {'system'|'user'|'assistant'|'tool'} role - Message role (`tool` holds tool results)
+ * @property {string|MessagePart[]} content - Message parts (a string is a single text part)
+ */
+
+const DATA_URL = /^data:([^;]+);base64,(.*)$/;
+
+const PART_CHECKS = {
+  text: (part) => typeof part.text === 'string',
+  image: (part) => !part.source && Boolean(part.data || part.url),
+  tool_call: (part) => typeof part.name === 'string' && !part.function,
+  tool_result: (part) => 'toolCallId' in part,
+};
+
+/**
+ * Check whether a message uses canonical parts that neither provider accepts as-is
+ * Text-only messages are valid in every format and never need translating.
+ * @param {Object} message - Message in any format
+ * @returns {boolean} True if the message must be translated before sending
+ */
+function hasCanonicalParts(message) {
+  const { content } = message;
+  return (
+    Array.isArray(content) &&
+    content.some((part) => part?.type !== 'text') &&
+    content.every((part) => PART_CHECKS[part?.type]?.(part))
+  );
+}
+
+/**
+ * Parse a JSON tool-call argument string, tolerating empty or invalid input
+ * @param {string} value - Arguments string
+ * @returns {Object} Parsed arguments (invalid JSON is kept under `_raw`)
+ */
+export function parseToolArguments(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return { _raw: value };
+  }
+}
+
+/**
+ * Flatten a tool result / content value to a string
+ * @param {string|Array|Object} content - Content value
+ * @returns {string} Text
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('\n');
+  }
+  return content == null ? '' : JSON.stringify(content);
+}
+
+/**
+ * Convert OpenAI content parts (text / image_url) to Claude content blocks
+ * @param {string|Array} content - OpenAI message content
+ * @returns {string|Array} Claude message content
+ */
+function toClaudeContent(content) {
+  if (!Array.isArray(content)) return content ?? '';
+
+  return content.map((part) => {
+    if (part.type === 'image_url') {
+      const url = part.image_url?.url || '';
+      const match = url.match(DATA_URL);
+      return match
+        ? { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
+        : { type: 'image', source: { type: 'url', url } };
+    }
+    return part;
+  });
+}
+
+/**
+ * Convert Claude content blocks (text / image) to OpenAI content parts
+ * @param {string|Array} content - Claude message content
+ * @returns {string|Array} OpenAI message content
+ */
+function toOpenAIContent(content) {
+  if (!Array.isArray(content)) return content ?? '';
+
+  return content.map((block) => {
+    if (block.type === 'image') {
+      const { source } = block;
+      const url =
+        source.type === 'base64' ? `data:${source.media_type};base64,${source.data}` : source.url;
+      return { type: 'image_url', image_url: { url } };
+    }
+    return block;
+  });
+}
+
+/**
+ * Convert an OpenAI-format conversation to Claude format
+ * System messages are kept; ClaudeClient lifts them into the `system` parameter.
+ * @param {import('./ai-client-interface.js').ChatMessage[]} messages - OpenAI-format messages
+ * @returns {Array} Claude-format messages
+ */
+export function toClaudeMessages(messages) {
+  const result = [];
+
+  for (const message of messages) {
+    if (hasCanonicalParts(message)) {
+      result.push(message);
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: message.tool_call_id,
+        content: contentToText(message.content),
+      };
+      // Consecutive tool results belong in a single user turn
+      const previous = result.at(-1);
+      if (previous?.role === 'user' && previous.content?.[0]?.type === 'tool_result') {
+        previous.content.push(block);
+      } else {
+        result.push({ role: 'user', content: [block] });
+      }
+      continue;
+    }
+
+    if (message.role === 'assistant' && message.tool_calls?.length) {
+      const text = contentToText(message.content);
+      result.push({
+        role: 'assistant',
+        content: [
+          ...(text ? [{ type: 'text', text }] : []),
+          ...message.tool_calls.map((call) => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function.name,
+            input: parseToolArguments(call.function.arguments),
+          })),
+        ],
+      });
+      continue;
+    }
+
+    result.push({ role: message.role, content: toClaudeContent(message.content) });
+  }
+
+  return result;
+}
+
+/**
+ * Convert a Claude-format conversation to OpenAI format
+ * @param {Array} messages - Claude-format messages
+ * @returns {import('./ai-client-interface.js').ChatMessage[]} OpenAI-format messages
+ */
+export function toOpenAIMessages(messages) {
+  const result = [];
+
+  for (const message of messages) {
+    if (!Array.isArray(message.content) || hasCanonicalParts(message)) {
+      result.push(
+        Array.isArray(message.content)
+          ? message
+          : { role: message.role, content: message.content ?? '' }
+      );
+      continue;
+    }
+
+    if (message.role === 'assistant') {
+      const toolUses = message.content.filter((block) => block.type === 'tool_use');
+      const text = contentToText(message.content);
+      result.push({
+        role: 'assistant',
+        content: text || (toolUses.length ? null : ''),
+        ...(toolUses.length && {
+          tool_calls: toolUses.map((block) => ({
+            id: block.id,
+            type: 'function',
+            function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) },
+          })),
+        }),
+      });
+      continue;
+    }
+
+    const toolResults = message.content.filter((block) => block.type === 'tool_result');
+    const rest = message.content.filter((block) => block.type !== 'tool_result');
+
+    for (const block of toolResults) {
+      result.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: contentToText(block.content),
+      });
+    }
+    if (rest.length) {
+      result.push({ role: message.role, content: toOpenAIContent(rest) });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert a canonical message to OpenAI chat messages
+ * Tool results become one `{ role: 'tool' }` message each.
+ * @param {Message} message - Canonical message
+ * @returns {import('./ai-client-interface.js').ChatMessage[]} OpenAI-format messages
+ */
+function canonicalToOpenAI(message) {
+  const parts = message.content;
+  const text = contentToText(parts);
+
+  const toolResults = parts.filter((part) => part.type === 'tool_result');
+  if (toolResults.length) {
+    return toolResults.map((part) => ({
+      role: 'tool',
+      tool_call_id: part.toolCallId,
+      content:
+        typeof part.content === 'string' ? part.content : JSON.stringify(part.content ?? null),
+    }));
+  }
+
+  const toolCalls = parts.filter((part) => part.type === 'tool_call');
+  if (toolCalls.length) {
+    return [
+      {
+        role: 'assistant',
+        content: text || null,
+        tool_calls: toolCalls.map((part) => ({
+          id: part.id,
+          type: 'function',
+          function: { name: part.name, arguments: JSON.stringify(part.arguments ?? {}) },
+        })),
+      },
+    ];
+  }
+
+  return [
+    {
+      role: message.role,
+      content: parts.map((part) =>
+        part.type === 'image'
+          ? {
+              type: 'image_url',
+              image_url: {
+                url: part.data ? `data:${part.mediaType};base64,${part.data}` : part.url,
+              },
+            }
+          : { type: 'text', text: part.text }
+      ),
+    },
+  ];
+}
+
+/**
+ * Convert canonical messages to a provider's wire format
+ * Messages already in the wire format pass through untouched, so histories
+ * can mix both; the array is returned as-is when nothing needs translating.
+ * @param {Array<Message|Object>} messages - Canonical (or wire-format) messages
+ * @param {MessageFormat} format - Target wire format
+ * @returns {Array} Messages in the target format
+ */
+export function fromCanonicalMessages(messages, format) {
+  if (!messages.some(hasCanonicalParts)) return messages;
+
+  const result = [];
+  let run = [];
+  const flush = () => {
+    // Translate consecutive canonical messages together so tool results share a turn
+    result.push(...(format === 'claude' ? toClaudeMessages(run) : run));
+    run = [];
+  };
+
+  for (const message of messages) {
+    if (hasCanonicalParts(message)) {
+      run.push(...canonicalToOpenAI(message));
+    } else {
+      flush();
+      result.push(message);
+    }
+  }
+  flush();
+
+  return result;
+}
+
+/**
+ * Convert OpenAI / Claude content to canonical parts
+ * @param {string|Array} content - Message content
+ * @returns {MessagePart[]} Canonical parts
+ */
+function toCanonicalParts(content) {
+  if (!content) return [];
+  if (typeof content === 'string') return [{ type: 'text', text: content }];
+
+  return toOpenAIContent(content).flatMap((part) => {
+    if (part.type === 'text') return [{ type: 'text', text: part.text }];
+    if (part.type === 'image_url') {
+      const url = part.image_url?.url || '';
+      const match = url.match(DATA_URL);
+      return [
+        match ? { type: 'image', mediaType: match[1], data: match[2] } : { type: 'image', url },
+      ];
+    }
+    return [];
+  });
+}
+
+/**
+ * Convert a provider conversation to canonical messages
+ * Consecutive tool results are grouped into a single `tool` message.
+ * @param {Array} messages - Messages in the given wire format
+ * @param {MessageFormat} format - Source wire format
+ * @returns {Message[]} Canonical messages
+ */
+export function toCanonicalMessages(messages, format) {
+  const openai = format === 'claude' ? toOpenAIMessages(messages) : messages;
+  const result = [];
+
+  for (const message of openai) {
+    if (hasCanonicalParts(message)) {
+      result.push(message);
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      const part = {
+        type: 'tool_result',
+        toolCallId: message.tool_call_id,
+        content: contentToText(message.content),
+      };
+      const previous = result.at(-1);
+      if (previous?.role === 'tool') {
+        previous.content.push(part);
+      } else {
+        result.push({ role: 'tool', content: [part] });
+      }
+      continue;
+    }
+
+    result.push({
+      role: message.role,
+      content: [
+        ...toCanonicalParts(message.content),
+        ...(message.tool_calls || []).map((call) => ({
+          type: 'tool_call',
+          id: call.id,
+          name: call.function.name,
+          arguments: parseToolArguments(call.function.arguments),
+        })),
+      ],
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Get the assistant turn of a chat response as a canonical message
+ * @param {Object} response - OpenAI chat completion or Claude messages response
+ * @param {MessageFormat} [format] - Response format (detected from the shape when omitted)
+ * @returns {Message} Assistant message with text and tool call parts
+ */
+export function responseToMessage(response, format = response?.choices ? 'openai' : 'claude') {
+  const message =
+    format === 'claude'
+      ? { role: 'assistant', content: response?.content || [] }
+      : { ...response?.choices?.[0]?.message, role: 'assistant' };
+  return toCanonicalMessages([message], format)[0];
+}
+
+/**
+ * Build a canonical assistant message, e.g. from a stream's `done` event
+ * @param {string} text - Assistant text
+ * @param {Array<{id: string, name: string, arguments: Object}>} [toolCalls=[]] - Tool calls
+ * @returns {Message} Assistant message
+ */
+export function createAssistantMessage(text, toolCalls = []) {
+  return {
+    role: 'assistant',
+    content: [
+      ...(text ? [{ type: 'text', text }] : []),
+      ...toolCalls.map((call) => ({
+        type: 'tool_call',
+        id: call.id,
+        name: call.name,
+        arguments: call.arguments,
+      })),
+    ],
+  };
+}
+
+/**
+ * Convert a conversation between formats
+ * Canonical messages are accepted by every client and pass through untouched.
+ * @param {Array} messages - Messages in the `from` format
+ * @param {MessageFormat} from - Source format
+ * @param {MessageFormat} to - Target format
+ * @returns {Array} Messages in the `to` format
+ */
+export function convertMessages(messages, from, to) {
+  if (from === to) return messages;
+  return to === 'claude' ? toClaudeMessages(messages) : toOpenAIMessages(messages);
+}
+
+/**
+ * Convert a Claude messages response to an OpenAI chat completion
+ * @param {Object} response - Claude API response
+ * @returns {import('./ai-client-interface.js').ChatResponse} OpenAI-format response
+ */
+export function toOpenAIResponse(response) {
+  const [message] = toOpenAIMessages([{ role: 'assistant', content: response.content || [] }]);
+  const finishReasons = { tool_use: 'tool_calls', max_tokens: 'length' };
+  const inputTokens = response.usage?.input_tokens || 0;
+  const outputTokens = response.usage?.output_tokens || 0;
+
+  return {
+    id: response.id,
+    object: 'chat.completion',
+    model: response.model,
+    choices: [
+      {
+        index: 0,
+        message,
+        finish_reason: finishReasons[response.stop_reason] || 'stop',
+      },
+    ],
+    usage: {
+      prompt_tokens: inputTokens,
+      completion_tokens: outputTokens,
+      total_tokens: inputTokens + outputTokens,
+    },
+  };
+}
+
+/**
+ * Convert an OpenAI chat completion to a Claude messages response
+ * @param {import('./ai-client-interface.js').ChatResponse} response - OpenAI API response
+ * @returns {Object} Claude-format response
+ */
+export function toClaudeResponse(response) {
+  const choice = response.choices?.[0] || {};
+  const [message] = toClaudeMessages([{ role: 'assistant', ...choice.message }]);
+  const stopReasons = { tool_calls: 'tool_use', length: 'max_tokens' };
+  const content = Array.isArray(message.content)
+    ? message.content
+    : [{ type: 'text', text: message.content || '' }];
+
+  return {
+    id: response.id,
+    type: 'message',
+    role: 'assistant',
+    model: response.model,
+    content,
+    stop_reason: stopReasons[choice.finish_reason] || 'end_turn',
+    usage: {
+      input_tokens: response.usage?.prompt_tokens || 0,
+      output_tokens: response.usage?.completion_tokens || 0,
+    },
+  };
+}
+
+/**
+ * Convert a chat response between formats
+ * @param {Object} response - Response in the `from` format
+ * @param {MessageFormat} from - Source format
+ * @param {MessageFormat} to - Target format
+ * @returns {Object} Response in the `to` format
+ */
+export function convertResponse(response, from, to) {
+  if (from === to) return response;
+  return to === 'claude' ? toClaudeResponse(response) : toOpenAIResponse(response);
+}
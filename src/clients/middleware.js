@@ -0,0 +1,364 @@
+/**
+ * Built-in Client Middleware
+ *
+ * Middleware factories for composeClient(). Each call returns a fresh
+ * middleware instance that keeps its own state (metrics, cache entries,
+ * tracked costs), so create one per pipeline unless you want to share it.
+ *
+ * @example
+ * import { composeClient } from './compose-client.js';
+ * import { logging, retry, cost, cache, guardrails } from './middleware.js';
+ *
+ * const client = composeClient(createAIClient('openai'), [
+ *   logging(),
+ *   retry({ maxRetries: 2 }),
+ *   cost(),
+ *   cache({ ttlMs: 10 * 60 * 1000 }),
+ *   guardrails({ validator: GuardrailsEngine.createDefault() }),
+ * ]);
+ */
+
+import { LoggingClient } from './logging-client.js';
+import { ResilientClient } from './resilient-client.js';
+import { CostTrackingClient } from './cost-tracking-client.js';
+import { hashRequest } from '../utils/request-hash.js';
+import { splitCancellationOptions, withCancellableStream, withSignal } from './cancellation.js';
+import { openStream, resumeStream } from './stream-events.js';
+import { config } from '../config.js';
+
+const CACHEABLE_METHODS = ['chat', 'chatWithTools', 'chatWithFunctions', 'getEmbeddings'];
+const GUARDED_METHODS = [
+  'chat',
+  'chatStream',
+  'chatWithTools',
+  'chatWithFunctions',
+  'analyzeImage',
+];
+
+/**
+ * Request/response logging, backed by LoggingClient
+ * @param {import('./logging-client.js').LoggingClientOptions & {methods?: string[]}} [options={}] -
+ *   LoggingClient options
+ * @returns {import('./compose-client.js').ClientMiddleware} Middleware
+ */
+export function logging(options = {}) {
+  // LoggingClient summarizes responses with the base client's parsing helpers
+  const loggers = new WeakMap();
+
+  const loggerFor = (client) => {
+    if (!loggers.has(client)) {
+      loggers.set(client, new LoggingClient(client, options));
+    }
+    return loggers.get(client);
+  };
+
+  return {
+    name: 'logging',
+    methods: options.methods,
+    handle(request, next) {
+      const logger = loggerFor(request.client);
+      const requestData = logger.summarizeRequest(request.method, request);
+
+      // stream() resolves before any event arrives; its response is logged from the done event
+      if (request.method === 'stream') {
+        request.metadata.loggingCall = logger.logRequest('stream', requestData);
+        return next(request);
+      }
+      return logger.loggedCall(request.method, () => next(request), requestData);
+    },
+    onEvent(event, request) {
+      if (event.type === 'done' && request.metadata.loggingCall) {
+        loggerFor(request.client).logResponse(request.metadata.loggingCall, event);
+      }
+    },
+  };
+}
+
+/**
+ * Retries with exponential backoff and a circuit breaker, backed by ResilientClient
+ * @param {import('./resilient-client.js').ResilientClientOptions & {methods?: string[]}} [options={}] -
+ *   ResilientClient options
+ * @returns {import('./compose-client.js').ClientMiddleware & {getMetrics: Function, reset: Function}}
+ *   Middleware with access to retry metrics
+ */
+export function retry(options = {}) {
+  const resilient = new ResilientClient(null, options);
+
+  const attempt = (request, next, attemptOptions) =>
+    next(request.options ? { ...request, options: attemptOptions } : request);
+
+  return {
+    name: 'retry',
+    methods: options.methods,
+    // The deadline in options.timeoutMs spans every attempt
+    handle(request, next) {
+      if (request.method !== 'stream') {
+        return resilient.withRetry(
+          (attemptOptions) => attempt(request, next, attemptOptions),
+          request.options
+        );
+      }
+
+      // Connection errors surface with the first event, so each attempt opens the
+      // stream; retries stop once it has started, as in ResilientClient.stream()
+      return withCancellableStream(request.options, async function* (streamOptions, signal) {
+        const opened = await resilient.withRetry(
+          async (attemptOptions) => openStream(await attempt(request, next, attemptOptions)),
+          withSignal(streamOptions, signal)
+        );
+        yield* resumeStream(opened);
+      });
+    },
+    getMetrics: () => resilient.getMetrics(),
+    reset: () => resilient.reset(),
+  };
+}
+
+/**
+ * Pass a stream through, calling onDone once it ends, fails or is closed early
+ * @param {AsyncIterable<*>} events - Stream events
+ * @param {() => void} onDone - Called when iteration stops
+ */
+async function* releaseAfter(events, onDone) {
+  try {
+    yield* events;
+  } finally {
+    onDone();
+  }
+}
+
+/**
+ * Token usage and cost tracking, backed by CostTrackingClient
+ * Responses served by the cache() middleware are not tracked. Calls that would
+ * exceed a hard budget are rejected with BudgetExceededError just before they
+ * reach the provider, so cached answers are never rejected (downgradeTo is not
+ * supported here); calls in flight reserve their estimate. A call's own
+ * `options.tags` attribute its cost and are not sent to the provider.
+ * @param {Object} [options={}] - CostTrackingClient options
+ * @param {CostTrackingClient} [options.tracker] - Existing tracker to record into
+ * @param {Function} [options.onRequestTracked] - Callback when a request is tracked
+ * @param {string[]} [options.methods] - Methods to track (default: all billed methods)
+ * @returns {import('./compose-client.js').ClientMiddleware & {getStats: Function, printReport: Function, reset: Function}}
+ *   Middleware with access to cost statistics
+ */
+export function cost(options = {}) {
+  // Created on first use so provider detection sees the base client
+  let tracker = options.tracker || null;
+  // Budget reservations of the calls in flight, by request metadata
+  const reservations = new WeakMap();
+
+  const trackerFor = (request) => (tracker ??= new CostTrackingClient(request.client, options));
+  const paramsOf = (request) => ({ ...request, tags: request.metadata.costTags });
+  const track = (request, result) =>
+    trackerFor(request).trackCall(request.method, paramsOf(request), result);
+
+  return {
+    name: 'cost',
+    methods: options.methods,
+    async handle(request, next) {
+      const { tags, ...requestOptions } = request.options ?? {};
+      let forwarded = request;
+      if (tags !== undefined) {
+        request.metadata.costTags = tags;
+        forwarded = { ...request, options: requestOptions };
+      }
+      const release = () => {
+        const reservation = reservations.get(request.metadata);
+        if (reservation) {
+          reservations.delete(request.metadata);
+          trackerFor(request).budgetManager.release(reservation);
+        }
+      };
+
+      let result;
+      try {
+        result = await next(forwarded);
+      } catch (error) {
+        release();
+        throw error;
+      }
+
+      // stream() usage arrives with the done event instead
+      if (request.method === 'stream') {
+        return releaseAfter(result, release);
+      }
+      try {
+        if (!request.metadata.cacheHit) {
+          track(request, result);
+        }
+      } finally {
+        release();
+      }
+      return result;
+    },
+    beforeCall(request) {
+      // Retries of the call keep its first reservation
+      if (!reservations.has(request.metadata)) {
+        reservations.set(
+          request.metadata,
+          trackerFor(request).reserveBudget(request.method, paramsOf(request))
+        );
+      }
+    },
+    onEvent(event, request) {
+      if (event.type === 'done') {
+        track(request, event);
+      }
+    },
+    getStats: () =>
+      tracker
+        ? tracker.getStats()
+        : { totalRequests: 0, totalCost: 0, totalTokens: 0, byProvider: {}, byModel: {} },
+    printReport: () => tracker?.printReport(),
+    reset: () => tracker?.reset(),
+    get tracker() {
+      return tracker;
+    },
+  };
+}
+
+/**
+ * In-memory response cache with TTL and LRU eviction
+ * Keys are derived from the method, model and normalized request parameters.
+ * @param {Object} [options={}] - Cache options
+ * @param {number} [options.ttlMs=3600000] - Entry lifetime in milliseconds (0 disables expiry)
+ * @param {number} [options.maxEntries=1000] - Maximum number of cached responses
+ * @param {string[]} [options.methods] - Methods to cache (default: chat, chatWithTools,
+ *   chatWithFunctions, getEmbeddings). Cached chatStream results are replayed as one chunk,
+ *   through the pipeline's onChunk observers.
+ * @returns {import('./compose-client.js').ClientMiddleware & {getStats: Function, clear: Function}}
+ *   Middleware with access to cache statistics
+ */
+export function cache(options = {}) {
+  const ttlMs = options.ttlMs ?? 60 * 60 * 1000;
+  const maxEntries = options.maxEntries ?? 1000;
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  const keyFor = (request) => {
+    const params = {
+      ...request,
+      // Cancellation options never change the response
+      options: request.options && splitCancellationOptions(request.options).requestOptions,
+      model: request.client.model,
+    };
+    delete params.client;
+    delete params.metadata;
+    return hashRequest(params);
+  };
+
+  return {
+    name: 'cache',
+    // stream() returns a single-use iterator, so it is never cached
+    methods: (options.methods ?? CACHEABLE_METHODS).filter((method) => method !== 'stream'),
+    async handle(request, next) {
+      const key = keyFor(request);
+      const entry = entries.get(key);
+
+      if (entry && (!entry.expiresAt || entry.expiresAt > Date.now())) {
+        stats.hits++;
+        request.metadata.cacheHit = true;
+
+        // Refresh recency for LRU eviction
+        entries.delete(key);
+        entries.set(key, entry);
+
+        if (request.method === 'chatStream') {
+          request.emitChunk(entry.value);
+        }
+        return entry.value;
+      }
+
+      stats.misses++;
+      const value = await next(request);
+
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0 });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+
+      return value;
+    },
+    getStats: () => {
+      const total = stats.hits + stats.misses;
+      return { ...stats, size: entries.size, hitRate: total > 0 ? stats.hits / total : 0 };
+    },
+    clear: () => {
+      entries.clear();
+      stats.hits = 0;
+      stats.misses = 0;
+    },
+  };
+}
+
+/**
+ * Validate inputs and outputs with guardrails
+ * Works with any validator exposing `validate(text, context)` that resolves to
+ * `{ valid, issues? }` or `{ valid, results }`, such as GuardrailsEngine or a
+ * single Guardrail from the guardrails strategy example.
+ * @param {Object} options - Guardrail options
+ * @param {{validate: Function}} options.validator - Validator to run
+ * @param {boolean} [options.checkInput] - Also validate the last user message / prompt
+ *   (default: the config profile's guardrails.checkInput, else false)
+ * @param {'block'|'warn'} [options.action] - Throw on violations, or only report them
+ *   (default: the config profile's guardrails.action, else 'block')
+ * @param {Function} [options.onResult] - Called with (result, { stage, method }) after each check
+ * @param {string[]} [options.methods] - Methods to guard (default: chat and vision methods)
+ * @returns {import('./compose-client.js').ClientMiddleware} Middleware
+ */
+export function guardrails(options = {}) {
+  const {
+    validator,
+    checkInput = config.guardrails.checkInput,
+    action = config.guardrails.action,
+    onResult,
+  } = options;
+  if (!validator || typeof validator.validate !== 'function') {
+    throw new Error('guardrails() requires a validator with validate(text, context)');
+  }
+
+  const enforce = (result, stage, request) => {
+    request.metadata.guardrails = { ...request.metadata.guardrails, [stage]: result };
+    if (onResult) {
+      onResult(result, { stage, method: request.method });
+    }
+
+    if (!result.valid && action === 'block') {
+      const issues = (result.results || [result]).flatMap((r) => r.issues || []);
+      const error = new Error(
+        `Guardrails blocked ${stage}: ${issues.join('; ') || 'validation failed'}`
+      );
+      error.guardrails = result;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'guardrails',
+    methods: options.methods ?? GUARDED_METHODS,
+    async handle(request, next) {
+      if (checkInput) {
+        const lastUser = request.messages?.findLast((m) => m.role === 'user');
+        const input = lastUser?.content ?? request.prompt;
+        if (typeof input === 'string' && input) {
+          enforce(await validator.validate(input, { stage: 'input' }), 'input', request);
+        }
+      }
+
+      const result = await next(request);
+
+      // Tool-call responses carry no text to validate
+      const output = typeof result === 'string' ? result : request.client.getTextContent(result);
+      if (output) {
+        enforce(
+          await validator.validate(output, { previousMessages: request.messages }),
+          'output',
+          request
+        );
+      }
+
+      return result;
+    },
+  };
+}
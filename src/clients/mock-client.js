@@ -1,5 +1,17 @@
 import { AIClientInterface } from './ai-client-interface.js';
-import { PRICING } from '../utils/pricing.js';
+import { getModelPricing } from '../utils/pricing.js';
+import { calculateTokenCost, fromClaudeUsage } from '../utils/cost-utils.js';
+import { StreamEventBuilder } from './stream-events.js';
+import { withCancellableStream, withCancellation, withSignal } from './cancellation.js';
+import { fromCanonicalMessages, responseToMessage } from './message-format.js';
+import {
+  FaultInjector,
+  createProviderError,
+  corruptToolCallResponse,
+  corruptToolCallStream,
+  truncateStream,
+} from './mock-faults.js';
+import { MockScript, scriptedText } from './mock-script.js';
 
 /**
  * Mock AI Client for Testing
@@ -15,10 +27,13 @@ export class MockAIClient extends AIClientInterface {
    * @param {string} [config.defaultResponse='Mock response'] - Default text response
    * @param {Function} [config.chatHandler] - Custom handler for chat() calls
    * @param {Function} [config.chatStreamHandler] - Custom handler for chatStream() calls
+   * @param {Function} [config.streamHandler] - Custom async generator of stream events for stream() calls
    * @param {Function} [config.chatWithToolsHandler] - Custom handler for chatWithTools() calls
    * @param {Function} [config.getEmbeddingsHandler] - Custom handler for getEmbeddings() calls
    * @param {Function} [config.analyzeImageHandler] - Custom handler for analyzeImage() calls
    * @param {boolean} [config.simulateErrors=false] - Whether to simulate errors
+   * @param {import('./mock-faults.js').FaultProfile} [config.faults] - Provider-like errors,
+   *   latency, truncated streams and malformed tool calls to inject (see mock-faults.js)
    * @param {string} [config.responseFormat='openai'] - Response format: 'openai' or 'claude'
    */
   constructor(config = {}) {
@@ -27,74 +42,296 @@ export class MockAIClient extends AIClientInterface {
     this.defaultResponse = config.defaultResponse || 'Mock response';
     this.chatHandler = config.chatHandler;
     this.chatStreamHandler = config.chatStreamHandler;
+    this.streamHandler = config.streamHandler;
     this.chatWithToolsHandler = config.chatWithToolsHandler;
     this.getEmbeddingsHandler = config.getEmbeddingsHandler;
     this.analyzeImageHandler = config.analyzeImageHandler;
     this.simulateErrors = config.simulateErrors || false;
     this.responseFormat = config.responseFormat || 'openai';
     this.callHistory = []; // Track all method calls for testing
+    this.setFaults(config.faults);
+    /** @type {MockScript|null} */
+    this.script = null;
+  }
+
+  /**
+   * Create a mock that answers from a script of expected calls
+   * Each chat(), chatWithTools(), chatStream() or stream() call consumes the
+   * next step; see mock-script.js for matchers and response shapes.
+   * @param {import('./mock-script.js').ScriptStep[]} steps - Expected calls and responses, in order
+   * @param {Object} [config={}] - Other MockAIClient options (e.g. responseFormat, faults)
+   * @returns {MockAIClient} Scripted mock; call assertScriptConsumed() at the end of the test
+   */
+  static fromScript(steps, config = {}) {
+    const client = new MockAIClient(config);
+    client.script = new MockScript(steps);
+    const next = (method, messages, tools) =>
+      client.script.next({ method, messages, tools, format: client.responseFormat });
+
+    client.chatHandler = async (messages) => client._scriptedResponse(next('chat', messages));
+    client.chatWithToolsHandler = async (messages, tools) =>
+      client._scriptedResponse(next('chatWithTools', messages, tools));
+    client.chatStreamHandler = async (messages, onChunk) => {
+      const respond = next('chatStream', messages);
+      const chunks = respond.stream || [scriptedText(respond)];
+      for (const chunk of chunks) {
+        onChunk?.(chunk);
+      }
+      return chunks.join('');
+    };
+    client.streamHandler = (messages, options) =>
+      client._scriptedEvents(next('stream', messages, options.tools));
+    return client;
+  }
+
+  /**
+   * Assert that every step of the script was called and matched
+   * @throws {import('./mock-script.js').ScriptMismatchError} On the first deviation or unused steps
+   */
+  assertScriptConsumed() {
+    if (!this.script) {
+      throw new Error(
+        'assertScriptConsumed() requires a client created with MockAIClient.fromScript()'
+      );
+    }
+    this.script.assertConsumed();
+  }
+
+  /**
+   * Replace the fault profile (null disables fault injection)
+   * @param {import('./mock-faults.js').FaultProfile|null} [profile] - Fault profile
+   */
+  setFaults(profile) {
+    this.faults = profile ? new FaultInjector(profile, this.responseFormat) : null;
+  }
+
+  /**
+   * Counts of calls and injected faults since the profile was set
+   * @returns {{calls: number, injected: Object<string, number>}} Fault statistics
+   */
+  getFaultStats() {
+    return this.faults ? this.faults.stats : { calls: 0, injected: {} };
   }
 
   /**
    * Basic chat completion
-   * @param {import('./ai-client-interface.js').ChatMessage[]} messages - Array of message objects
+   * @param {import('./ai-client-interface.js').ChatMessage[]} history - Messages (canonical or wire format)
    * @param {import('./ai-client-interface.js').ChatOptions} [options={}] - Additional options
    * @returns {Promise<import('./ai-client-interface.js').ChatResponse>} Chat completion response
    */
-  async chat(messages, options = {}) {
+  async chat(history, options = {}) {
+    const messages = this._toWireMessages(history);
     this.callHistory.push({ method: 'chat', messages, options, timestamp: Date.now() });
 
     if (this.simulateErrors) {
       throw new Error('Mock error: Simulated API error');
     }
 
-    if (this.chatHandler) {
-      return await this.chatHandler(messages, options);
-    }
+    return withCancellation(options, async (_chatOptions, signal) => {
+      await this._injectFaults('chat', signal);
+      if (this.chatHandler) {
+        return await this.chatHandler(messages, withSignal(options, signal));
+      }
 
-    return this._createResponse(this.defaultResponse);
+      return this._createResponse(this.defaultResponse);
+    });
   }
 
   /**
    * Streaming chat completion
-   * @param {Array} messages - Array of message objects
+   * @param {Array} history - Messages (canonical or wire format)
    * @param {Function} onChunk - Callback function for each chunk
    * @param {Object} options - Additional options
    * @returns {Promise<string>} Full response text
    */
-  async chatStream(messages, onChunk = null, options = {}) {
+  async chatStream(history, onChunk = null, options = {}) {
+    const messages = this._toWireMessages(history);
     this.callHistory.push({ method: 'chatStream', messages, options, timestamp: Date.now() });
 
     if (this.simulateErrors) {
       throw new Error('Mock error: Simulated streaming error');
     }
 
-    if (this.chatStreamHandler) {
-      return await this.chatStreamHandler(messages, onChunk, options);
+    return withCancellation(options, async (_chatOptions, signal) => {
+      const fault = await this._injectFaults('chatStream', signal);
+      if (fault?.type === 'truncate_stream') {
+        onChunk = this._truncateChunks(onChunk, fault.after ?? 1);
+      }
+
+      if (this.chatStreamHandler) {
+        return await this.chatStreamHandler(messages, onChunk, withSignal(options, signal));
+      }
+
+      // Simulate streaming by breaking response into chunks
+      const response = this.defaultResponse;
+      const chunks = response.split(' ');
+
+      for (const [i, chunk] of chunks.entries()) {
+        await new Promise((resolve) => setTimeout(resolve, 10)); // Simulate delay
+        if (signal?.aborted) {
+          return response;
+        }
+        if (onChunk) {
+          onChunk(i < chunks.length - 1 ? `${chunk} ` : chunk);
+        }
+      }
+
+      return response;
+    });
+  }
+
+  /**
+   * Streaming chat with normalized events
+   * Without a handler, streams a tool call for the first of `options.tools` (like
+   * chatWithTools) or the default response word by word.
+   * @param {Array} history - Messages (canonical or wire format)
+   * @param {Object} [options={}] - Additional options; `tools` enables tool call events
+   * @returns {AsyncIterable<import('./stream-events.js').StreamEvent>} Event stream
+   */
+  async *stream(history, options = {}) {
+    const messages = this._toWireMessages(history);
+    this.callHistory.push({ method: 'stream', messages, options, timestamp: Date.now() });
+
+    if (this.simulateErrors) {
+      throw new Error('Mock error: Simulated streaming error');
+    }
+
+    yield* withCancellableStream(options, (_streamOptions, signal) =>
+      this._streamEvents(messages, withSignal(options, signal))
+    );
+  }
+
+  /**
+   * Build a chat response from a scripted response
+   * @private
+   */
+  _scriptedResponse(respond) {
+    const text = scriptedText(respond);
+    if (!respond.toolCalls?.length) {
+      return this._createResponse(text);
     }
+    return this._createToolCallsResponse(this._scriptedToolCalls(respond), text);
+  }
+
+  /**
+   * Stream a scripted response as normalized events
+   * @private
+   */
+  async *_scriptedEvents(respond) {
+    const builder = new StreamEventBuilder();
+    for (const chunk of respond.stream || [scriptedText(respond)]) {
+      if (chunk) {
+        yield builder.textDelta(chunk);
+      }
+    }
+    for (const call of this._scriptedToolCalls(respond)) {
+      const start = builder.startToolCall(call.id, call.name);
+      yield start;
+      yield builder.toolCallDelta(start.index, JSON.stringify(call.arguments));
+    }
+    yield* builder.finish(respond.toolCalls?.length ? 'tool_calls' : 'stop');
+  }
+
+  /**
+   * Fill in IDs (call_<step>_<n>) and arguments of scripted tool calls
+   * @private
+   */
+  _scriptedToolCalls(respond) {
+    return (respond.toolCalls || []).map((call, i) => ({
+      id: call.id || `call_${this.script.position}_${i + 1}`,
+      name: call.name,
+      arguments: call.arguments || {},
+    }));
+  }
 
-    // Simulate streaming by breaking response into chunks
-    const response = this.defaultResponse;
-    const chunks = response.split(' ');
+  /**
+   * Wait for injected latency and throw any injected error
+   * @private
+   * @returns {Promise<import('./mock-faults.js').FaultSpec|null>} Stream or tool-call fault to apply
+   */
+  async _injectFaults(method, signal) {
+    return this.faults ? await this.faults.apply(method, signal) : null;
+  }
 
-    for (const chunk of chunks) {
-      await new Promise((resolve) => setTimeout(resolve, 10)); // Simulate delay
-      if (onChunk) {
-        onChunk(`${chunk} `);
+  /**
+   * Wrap a chatStream chunk callback so the stream breaks after `after` chunks
+   * @private
+   */
+  _truncateChunks(onChunk, after) {
+    let delivered = 0;
+    return (chunk) => {
+      if (delivered >= after) {
+        throw createProviderError('connection_reset');
       }
+      delivered++;
+      onChunk?.(chunk);
+    };
+  }
+
+  /**
+   * Translate canonical messages to the mock's response format, as a real provider client would
+   * Handlers and the call history see the wire format.
+   * @private
+   */
+  _toWireMessages(messages) {
+    return fromCanonicalMessages(messages, this.responseFormat);
+  }
+
+  /**
+   * Produce stream events from the handler or the default response
+   * @private
+   */
+  async *_streamEvents(messages, options) {
+    const fault = await this._injectFaults('stream', options.signal);
+    let events = this.streamHandler
+      ? this.streamHandler(messages, options)
+      : this._defaultStreamEvents(options);
+
+    if (fault?.type === 'malformed_tool_call') {
+      events = corruptToolCallStream(events);
+    } else if (fault?.type === 'truncate_stream') {
+      events = truncateStream(events, fault.after ?? 1);
     }
+    yield* events;
+  }
 
-    return response;
+  /**
+   * Stream a tool call for the first tool, or the default response word by word
+   * @private
+   */
+  async *_defaultStreamEvents(options) {
+    const builder = new StreamEventBuilder();
+
+    if (options.tools?.length) {
+      const tool = options.tools[0];
+      const start = builder.startToolCall(
+        `call_${Date.now()}`,
+        tool.name || tool.function?.name || 'mock_tool'
+      );
+      yield start;
+      yield builder.toolCallDelta(start.index, JSON.stringify({ query: 'mock query' }));
+      builder.addUsage({ inputTokens: 10, outputTokens: 5 });
+      yield* builder.finish('tool_calls');
+      return;
+    }
+
+    const words = this.defaultResponse.split(' ');
+    for (const [i, word] of words.entries()) {
+      yield builder.textDelta(i < words.length - 1 ? `${word} ` : word);
+    }
+    builder.addUsage({ inputTokens: 10, outputTokens: words.length });
+    yield* builder.finish('stop');
   }
 
   /**
    * Chat with tools/functions
-   * @param {Array} messages - Array of message objects
+   * @param {Array} history - Messages (canonical or wire format)
    * @param {Array} tools - Array of tool/function definitions
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} Response with tool calls
    */
-  async chatWithTools(messages, tools, options = {}) {
+  async chatWithTools(history, tools, options = {}) {
+    const messages = this._toWireMessages(history);
     this.callHistory.push({
       method: 'chatWithTools',
       messages,
@@ -107,6 +344,18 @@ export class MockAIClient extends AIClientInterface {
       throw new Error('Mock error: Simulated tool calling error');
     }
 
+    return withCancellation(options, async (_chatOptions, signal) => {
+      const fault = await this._injectFaults('chatWithTools', signal);
+      const response = await this._toolResponse(messages, tools, withSignal(options, signal));
+      return fault?.type === 'malformed_tool_call' ? corruptToolCallResponse(response) : response;
+    });
+  }
+
+  /**
+   * Produce a chatWithTools response from the handler or the defaults
+   * @private
+   */
+  async _toolResponse(messages, tools, options) {
     if (this.chatWithToolsHandler) {
       return await this.chatWithToolsHandler(messages, tools, options);
     }
@@ -136,6 +385,7 @@ export class MockAIClient extends AIClientInterface {
     if (this.simulateErrors) {
       throw new Error('Mock error: Simulated embeddings error');
     }
+    await this._injectFaults('getEmbeddings');
 
     if (this.getEmbeddingsHandler) {
       return await this.getEmbeddingsHandler(input, embeddingModel);
@@ -172,12 +422,15 @@ export class MockAIClient extends AIClientInterface {
       throw new Error('Mock error: Simulated vision error');
     }
 
-    if (this.analyzeImageHandler) {
-      return await this.analyzeImageHandler(imageBase64, prompt, options);
-    }
+    return withCancellation(options, async (_visionOptions, signal) => {
+      await this._injectFaults('analyzeImage', signal);
+      if (this.analyzeImageHandler) {
+        return await this.analyzeImageHandler(imageBase64, prompt, withSignal(options, signal));
+      }
 
-    // Default mock response
-    return 'This is a test image analysis result';
+      // Default mock response
+      return 'This is a test image analysis result';
+    });
   }
 
   /**
@@ -432,6 +685,15 @@ export class MockAIClient extends AIClientInterface {
     }
   }
 
+  /**
+   * Get the assistant turn of a response as a canonical message
+   * @param {Object} response - API response object
+   * @returns {import('./message-format.js').Message} Assistant message
+   */
+  getMessage(response) {
+    return responseToMessage(response, this.responseFormat);
+  }
+
   /**
    * Create a mock OpenAI-style response
    * @private
@@ -493,19 +755,34 @@ export class MockAIClient extends AIClientInterface {
    * @returns {Object} Mock response with tool calls
    */
   _createToolResponse(tool) {
-    const toolName = tool.name || tool.function?.name || 'mock_tool';
-    const toolId = `call_${Date.now()}`;
+    return this._createToolCallsResponse([
+      {
+        id: `call_${Date.now()}`,
+        name: tool.name || tool.function?.name || 'mock_tool',
+        arguments: { query: 'mock query' },
+      },
+    ]);
+  }
 
+  /**
+   * Create a mock response carrying the given tool calls
+   * @private
+   * @param {Array<{id: string, name: string, arguments: Object}>} toolCalls - Tool calls
+   * @param {string} [text=''] - Text accompanying the tool calls
+   * @returns {Object} Mock response in the client's response format
+   */
+  _createToolCallsResponse(toolCalls, text = '') {
     if (this.responseFormat === 'claude') {
       return {
         id: `msg_${Date.now()}`,
         content: [
-          {
+          ...(text ? [{ type: 'text', text }] : []),
+          ...toolCalls.map((call) => ({
             type: 'tool_use',
-            id: toolId,
-            name: toolName,
-            input: { query: 'mock query' },
-          },
+            id: call.id,
+            name: call.name,
+            input: call.arguments,
+          })),
         ],
         model: this.model,
         role: 'assistant',
@@ -527,17 +804,15 @@ export class MockAIClient extends AIClientInterface {
             index: 0,
             message: {
               role: 'assistant',
-              content: null,
-              tool_calls: [
-                {
-                  id: toolId,
-                  type: 'function',
-                  function: {
-                    name: toolName,
-                    arguments: JSON.stringify({ query: 'mock query' }),
-                  },
+              content: text || null,
+              tool_calls: toolCalls.map((call) => ({
+                id: call.id,
+                type: 'function',
+                function: {
+                  name: call.name,
+                  arguments: JSON.stringify(call.arguments),
                 },
-              ],
+              })),
             },
             finish_reason: 'tool_calls',
           },
@@ -572,8 +847,11 @@ export class MockAIClient extends AIClientInterface {
   reset() {
     this.callHistory = [];
     this.simulateErrors = false;
+    this.faults = null;
+    this.script = null;
     this.chatHandler = null;
     this.chatStreamHandler = null;
+    this.streamHandler = null;
     this.chatWithToolsHandler = null;
     this.getEmbeddingsHandler = null;
     this.analyzeImageHandler = null;
@@ -620,28 +898,14 @@ export class MockAIClient extends AIClientInterface {
 
     // Determine provider based on response format or model
     const isClaude = this.responseFormat === 'claude' || modelName.includes('claude');
-    const pricingSource = isClaude ? PRICING.claude : PRICING.openai;
-
     // Get pricing - use mock pricing as fallback
-    const defaultPricing = pricingSource['mock-model'] || { input: 0.1, output: 0.1 };
-    const pricing = pricingSource[modelName] || defaultPricing;
+    const pricing = getModelPricing(isClaude ? 'claude' : 'openai', modelName, {
+      fallbackModel: 'mock-model',
+    });
 
     // Calculate costs based on format
     if (isClaude) {
-      const inputTokens = usage.input_tokens || 0;
-      const outputTokens = usage.output_tokens || 0;
-      const inputCost = (inputTokens / 1_000_000) * pricing.input;
-      const outputCost = (outputTokens / 1_000_000) * pricing.output;
-      const totalCost = inputCost + outputCost;
-
-      return {
-        inputTokens,
-        outputTokens,
-        totalTokens: inputTokens + outputTokens,
-        inputCost,
-        outputCost,
-        totalCost,
-      };
+      return calculateTokenCost(fromClaudeUsage(usage), pricing);
     } else {
       // OpenAI format
       const inputTokens = usage.prompt_tokens || 0;
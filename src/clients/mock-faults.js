@@ -0,0 +1,441 @@
+/**
+ * Fault Injection for MockAIClient
+ *
+ * A fault profile makes the mock fail the way real providers do, so retry,
+ * circuit-breaker and batch code can be exercised without a live API:
+ *
+ *   - HTTP errors shaped like the OpenAI and Anthropic SDK errors (status,
+ *     headers with `retry-after`, provider error body)
+ *   - network failures (timeouts, connection resets)
+ *   - latency drawn from a fixed, uniform, normal or exponential distribution
+ *   - streams that break off part-way and tool calls with malformed JSON
+ *
+ * Faults are either scripted per call (`sequence`) or drawn at random
+ * (`rates`); pass `seed` to make random faults and latency reproducible.
+ *
+ * @example
+ * const client = new MockAIClient({
+ *   faults: {
+ *     sequence: ['rate_limit', 'server_error', null],
+ *     rates: { timeout: 0.05 },
+ *     latency: { type: 'normal', meanMs: 200, stdDevMs: 50 },
+ *     seed: 42,
+ *   },
+ * });
+ */
+
+/**
+ * @typedef {'rate_limit'|'server_error'|'overloaded'|'timeout'|'connection_reset'|'bad_request'|'auth'|'truncate_stream'|'malformed_tool_call'} FaultType
+ */
+
+/**
+ * @typedef {Object} FaultSpec
+ * @property {FaultType} type - Fault to inject
+ * @property {number} [retryAfterSeconds] - `retry-after` header for rate_limit and overloaded
+ * @property {number} [after=1] - truncate_stream: events (or chunks) delivered before the break
+ */
+
+/**
+ * @typedef {Object} LatencySpec
+ * @property {'fixed'|'uniform'|'normal'|'exponential'} type - Distribution
+ * @property {number} [ms] - fixed: delay
+ * @property {number} [minMs] - uniform: lower bound
+ * @property {number} [maxMs] - uniform: upper bound
+ * @property {number} [meanMs] - normal and exponential: mean delay
+ * @property {number} [stdDevMs] - normal: standard deviation
+ */
+
+/**
+ * @typedef {Object} FaultProfile
+ * @property {Array<FaultType|FaultSpec|null>} [sequence] - Fault for each successive call
+ *   (null lets the call succeed); used up before `rates` apply
+ * @property {Object<string, number>} [rates] - Probability of each fault type per call
+ * @property {number|LatencySpec} [latency] - Delay before every call (a number is fixed ms)
+ * @property {string[]} [methods] - Methods faults apply to (default: all model calls)
+ * @property {number} [retryAfterSeconds=1] - Default `retry-after` header value
+ * @property {number} [seed] - Seed for reproducible random faults and latency
+ */
+
+const DEFAULT_METHODS = [
+  'chat',
+  'chatStream',
+  'stream',
+  'chatWithTools',
+  'getEmbeddings',
+  'analyzeImage',
+];
+
+// Faults that only make sense for some methods; the rest apply everywhere
+const FAULT_METHODS = {
+  truncate_stream: ['chatStream', 'stream'],
+  malformed_tool_call: ['chatWithTools', 'stream'],
+};
+
+const HTTP_ERRORS = {
+  rate_limit: {
+    status: 429,
+    name: 'RateLimitError',
+    retryAfter: true,
+    openai: {
+      message: 'Rate limit reached for requests. Please try again later.',
+      type: 'requests',
+      code: 'rate_limit_exceeded',
+    },
+    claude: {
+      type: 'rate_limit_error',
+      message: 'Number of requests has exceeded your rate limit. Please try again later.',
+    },
+  },
+  server_error: {
+    status: 500,
+    name: 'InternalServerError',
+    openai: {
+      message: 'The server had an error while processing your request. Sorry about that!',
+      type: 'server_error',
+      code: null,
+    },
+    claude: { type: 'api_error', message: 'Internal server error' },
+  },
+  overloaded: {
+    status: { openai: 503, claude: 529 },
+    name: 'InternalServerError',
+    retryAfter: true,
+    openai: {
+      message: 'The engine is currently overloaded, please try again later.',
+      type: 'server_error',
+      code: null,
+    },
+    claude: { type: 'overloaded_error', message: 'Overloaded' },
+  },
+  bad_request: {
+    status: 400,
+    name: 'BadRequestError',
+    openai: {
+      message: "Invalid value for 'messages': the request could not be parsed.",
+      type: 'invalid_request_error',
+      code: null,
+    },
+    claude: { type: 'invalid_request_error', message: 'messages: field required' },
+  },
+  auth: {
+    status: 401,
+    name: 'AuthenticationError',
+    openai: {
+      message: 'Incorrect API key provided.',
+      type: 'invalid_request_error',
+      code: 'invalid_api_key',
+    },
+    claude: { type: 'authentication_error', message: 'invalid x-api-key' },
+  },
+};
+
+const NETWORK_ERRORS = {
+  timeout: { name: 'APIConnectionTimeoutError', message: 'Request timed out.', code: 'ETIMEDOUT' },
+  connection_reset: {
+    name: 'APIConnectionError',
+    message: 'Connection error.',
+    code: 'ECONNRESET',
+  },
+};
+
+/**
+ * Create an error shaped like the one a provider SDK throws
+ * HTTP errors carry `status`, lowercase `headers` and the provider's error
+ * body in `error`; network errors carry a Node-style `code`.
+ * @param {FaultType} type - Error fault type
+ * @param {Object} [options={}] - Options
+ * @param {'openai'|'claude'} [options.format='openai'] - Provider whose error shape to mimic
+ * @param {number} [options.retryAfterSeconds=1] - `retry-after` header value
+ * @returns {Error} Provider-style error
+ */
+export function createProviderError(type, { format = 'openai', retryAfterSeconds = 1 } = {}) {
+  if (NETWORK_ERRORS[type]) {
+    const { name, message, code } = NETWORK_ERRORS[type];
+    const error = new Error(message);
+    error.name = name;
+    error.code = code;
+    return error;
+  }
+
+  const shape = HTTP_ERRORS[type];
+  if (!shape) {
+    throw new Error(`Unknown error fault: ${type}`);
+  }
+
+  const status = typeof shape.status === 'object' ? shape.status[format] : shape.status;
+  const headers = { 'content-type': 'application/json' };
+  if (shape.retryAfter) {
+    headers['retry-after'] = String(retryAfterSeconds);
+  }
+
+  let error;
+  if (format === 'claude') {
+    headers['request-id'] = `req_mock_${Date.now()}`;
+    const body = { type: 'error', error: shape.claude };
+    error = new Error(`${status} ${JSON.stringify(body)}`);
+    error.error = body;
+  } else {
+    headers['x-request-id'] = `req_mock_${Date.now()}`;
+    error = new Error(`${status} ${shape.openai.message}`);
+    error.error = { ...shape.openai, param: null };
+    error.code = shape.openai.code;
+    error.type = shape.openai.type;
+  }
+  error.name = shape.name;
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Deterministic PRNG (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {() => number} Generator of numbers in [0, 1)
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a delay from a latency distribution
+ * @param {number|LatencySpec} spec - Fixed delay in ms or a distribution
+ * @param {() => number} [random=Math.random] - Source of uniform numbers
+ * @returns {number} Delay in ms (never negative)
+ */
+export function sampleLatency(spec, random = Math.random) {
+  if (typeof spec === 'number') return Math.max(0, spec);
+
+  switch (spec.type) {
+    case 'fixed':
+      return Math.max(0, spec.ms ?? 0);
+    case 'uniform': {
+      const min = spec.minMs ?? 0;
+      return min + random() * ((spec.maxMs ?? min) - min);
+    }
+    case 'normal': {
+      // Box-Muller transform
+      const u = 1 - random();
+      const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+      return Math.max(0, (spec.meanMs ?? 0) + z * (spec.stdDevMs ?? 0));
+    }
+    case 'exponential':
+      return -Math.log(1 - random()) * (spec.meanMs ?? 0);
+    default:
+      throw new Error(`Unknown latency distribution: ${spec.type}`);
+  }
+}
+
+/**
+ * Wait, rejecting early if the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Decides which fault, if any, each call of a MockAIClient suffers
+ */
+export class FaultInjector {
+  /**
+   * @param {FaultProfile} profile - Fault profile
+   * @param {'openai'|'claude'} [format='openai'] - Provider error shape to mimic
+   */
+  constructor(profile, format = 'openai') {
+    this.profile = profile;
+    this.format = format;
+    this.sequence = [...(profile.sequence || [])];
+    this.random = profile.seed === undefined ? Math.random : seededRandom(profile.seed);
+    this.stats = { calls: 0, injected: {} };
+  }
+
+  /**
+   * @param {string} method - Client method
+   * @returns {boolean} True if the profile applies to the method
+   */
+  covers(method) {
+    return (this.profile.methods || DEFAULT_METHODS).includes(method);
+  }
+
+  /**
+   * Pick the fault for the next call
+   * Every call to a covered method consumes one sequence entry, even if the
+   * scripted fault does not apply to that method.
+   * @param {string} method - Client method being called
+   * @returns {FaultSpec|null} Fault to inject, or null
+   */
+  next(method) {
+    if (!this.covers(method)) {
+      return null;
+    }
+    this.stats.calls++;
+
+    let fault = null;
+    if (this.sequence.length > 0) {
+      const entry = this.sequence.shift();
+      fault = typeof entry === 'string' ? { type: entry } : entry;
+    } else if (this.profile.rates) {
+      fault = this._drawFault(method);
+    }
+
+    if (!fault || !appliesTo(fault.type, method)) {
+      return null;
+    }
+    this.stats.injected[fault.type] = (this.stats.injected[fault.type] || 0) + 1;
+    return fault;
+  }
+
+  /**
+   * Wait for the injected latency, then throw the call's error fault if it has one
+   * @param {string} method - Client method being called
+   * @param {AbortSignal} [signal] - Cancellation signal (cuts the delay short)
+   * @returns {Promise<FaultSpec|null>} Fault the method must apply itself
+   *   (truncate_stream, malformed_tool_call), or null
+   */
+  async apply(method, signal) {
+    const fault = this.next(method);
+
+    if (this.profile.latency !== undefined && this.covers(method)) {
+      await delay(sampleLatency(this.profile.latency, this.random), signal);
+    }
+
+    if (fault && !FAULT_METHODS[fault.type]) {
+      throw createProviderError(fault.type, {
+        format: this.format,
+        retryAfterSeconds: fault.retryAfterSeconds ?? this.profile.retryAfterSeconds ?? 1,
+      });
+    }
+    return fault;
+  }
+
+  /**
+   * Draw one of the applicable faults according to `rates`
+   * @private
+   */
+  _drawFault(method) {
+    const roll = this.random();
+    let cumulative = 0;
+    for (const [type, rate] of Object.entries(this.profile.rates)) {
+      if (!appliesTo(type, method)) continue;
+      cumulative += rate;
+      if (roll < cumulative) {
+        return { type };
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * @param {FaultType} type - Fault type
+ * @param {string} method - Client method
+ * @returns {boolean} True if the fault can happen on the method
+ */
+function appliesTo(type, method) {
+  return !FAULT_METHODS[type] || FAULT_METHODS[type].includes(method);
+}
+
+/**
+ * Cut a JSON string off half-way, as a dropped stream would
+ * @param {string} json - Complete JSON
+ * @returns {string} Unparseable prefix
+ */
+function truncateJson(json) {
+  return json.slice(0, Math.max(1, Math.floor(json.length / 2)));
+}
+
+/**
+ * Break a normalized event stream after `after` events with a connection error
+ * @param {AsyncIterable<import('./stream-events.js').StreamEvent>} events - Event stream
+ * @param {number} [after=1] - Events delivered before the break
+ * @yields {import('./stream-events.js').StreamEvent}
+ */
+export async function* truncateStream(events, after = 1) {
+  let delivered = 0;
+  for await (const event of events) {
+    if (delivered >= after || event.type === 'done') {
+      break;
+    }
+    delivered++;
+    yield event;
+  }
+  throw createProviderError('connection_reset');
+}
+
+/**
+ * Corrupt the tool-call arguments of a normalized event stream
+ * Argument deltas are cut short, so `tool_call_end` and `done` report the
+ * unparseable JSON as `{ _raw }`, exactly as for a real malformed tool call.
+ * @param {AsyncIterable<import('./stream-events.js').StreamEvent>} events - Event stream
+ * @yields {import('./stream-events.js').StreamEvent}
+ */
+export async function* corruptToolCallStream(events) {
+  const raw = new Map();
+  for await (const event of events) {
+    if (event.type === 'tool_call_delta') {
+      raw.set(event.index, (raw.get(event.index) || '') + event.argumentsDelta);
+      continue;
+    }
+    if (event.type === 'tool_call_end') {
+      const argumentsDelta = truncateJson(raw.get(event.index) || '{}');
+      yield { type: 'tool_call_delta', index: event.index, id: event.id, argumentsDelta };
+      yield { ...event, arguments: { _raw: argumentsDelta } };
+      continue;
+    }
+    if (event.type === 'done') {
+      yield {
+        ...event,
+        toolCalls: event.toolCalls.map((call, index) => ({
+          ...call,
+          arguments: { _raw: truncateJson(raw.get(index) || '{}') },
+        })),
+      };
+      continue;
+    }
+    yield event;
+  }
+}
+
+/**
+ * Corrupt the tool-call arguments of a chatWithTools response
+ * OpenAI-format calls get truncated `function.arguments`; Claude-format
+ * `tool_use` blocks get their `input` replaced by `{ _raw }` holding the
+ * truncated JSON, as the streams report unparseable arguments.
+ * @param {Object} response - chatWithTools response
+ * @returns {Object} Copy of the response with corrupted tool-call arguments
+ */
+export function corruptToolCallResponse(response) {
+  const corrupted = structuredClone(response);
+  for (const call of corrupted?.choices?.[0]?.message?.tool_calls ?? []) {
+    call.function.arguments = truncateJson(call.function.arguments || '{}');
+  }
+  if (Array.isArray(corrupted?.content)) {
+    for (const block of corrupted.content.filter((part) => part.type === 'tool_use')) {
+      block.input = { _raw: truncateJson(JSON.stringify(block.input ?? {})) };
+    }
+  }
+  return corrupted;
+}
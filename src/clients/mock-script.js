@@ -0,0 +1,256 @@
+/**
+ * Scripted Conversations for MockAIClient
+ *
+ * A script is the ordered list of model calls an agent is expected to make.
+ * Each step pairs an optional `expect` matcher with the canned `respond`
+ * value for that call. A call that does not match its step (or arrives after
+ * the script ran out) throws a ScriptMismatchError that shows expected and
+ * received values side by side; the first mismatch is also rethrown by
+ * assertScriptConsumed(), so agents that swallow errors cannot hide it.
+ *
+ * Matchers (all optional):
+ *   method       - 'chat', 'chatWithTools', 'stream' or 'chatStream'
+ *   userMessage  - text of the last user message
+ *   system       - text of the system prompt
+ *   tools        - tool names offered with the call (order-insensitive)
+ *
+ * String matchers match substrings, RegExps are tested, and functions are
+ * called with the value and must return true.
+ *
+ * Responses:
+ *   text         - assistant text
+ *   json         - value sent back as JSON text
+ *   toolCalls    - [{ name, arguments, id? }] tool calls (with optional text)
+ *   stream       - text chunks for stream() and chatStream()
+ *   error        - fault type for createProviderError() or an Error to throw
+ *
+ * @example
+ * const client = MockAIClient.fromScript([
+ *   {
+ *     expect: { userMessage: /weather/, tools: ['get_weather'] },
+ *     respond: { toolCalls: [{ name: 'get_weather', arguments: { city: 'Paris' } }] },
+ *   },
+ *   { expect: { method: 'chatWithTools' }, respond: { text: 'Sunny in Paris' } },
+ * ]);
+ *
+ * await agent.chat('What is the weather in Paris?');
+ * client.assertScriptConsumed();
+ */
+
+import { AssertionError } from 'node:assert';
+import { createProviderError } from './mock-faults.js';
+
+/**
+ * @typedef {string|RegExp|((value: string) => boolean)} TextMatcher
+ */
+
+/**
+ * @typedef {Object} ScriptExpectation
+ * @property {string} [method] - Client method that must be called
+ * @property {TextMatcher} [userMessage] - Matcher for the last user message
+ * @property {TextMatcher} [system] - Matcher for the system prompt
+ * @property {string[]|((names: string[]) => boolean)} [tools] - Tool names offered
+ */
+
+/**
+ * @typedef {Object} ScriptResponse
+ * @property {string} [text] - Assistant text
+ * @property {*} [json] - Value returned as JSON text
+ * @property {Array<{name: string, arguments?: Object, id?: string}>} [toolCalls] - Tool calls
+ * @property {string[]} [stream] - Text chunks for streaming methods
+ * @property {string|Error} [error] - Fault type (see mock-faults.js) or error to throw
+ */
+
+/**
+ * @typedef {Object} ScriptStep
+ * @property {ScriptExpectation} [expect] - What the request must look like
+ * @property {ScriptResponse} respond - Canned response
+ */
+
+/**
+ * @typedef {Object} ScriptedRequest
+ * @property {string} method - Client method called
+ * @property {Array} messages - Wire-format messages
+ * @property {Array} [tools] - Tool definitions
+ */
+
+const MATCHED_FIELDS = ['method', 'userMessage', 'system', 'tools'];
+
+/**
+ * Thrown when a call deviates from the script or the script is left unfinished
+ */
+export class ScriptMismatchError extends AssertionError {
+  /**
+   * @param {string} message - Description including the expected/received diff
+   * @param {Object} details - Details
+   * @param {number} details.step - 1-based script step
+   * @param {Object} [details.expected] - Expected request fields
+   * @param {Object} [details.actual] - Received request fields
+   */
+  constructor(message, { step, expected, actual }) {
+    super({ message, expected, actual, operator: 'fromScript' });
+    this.name = 'ScriptMismatchError';
+    this.step = step;
+  }
+}
+
+/**
+ * Join the text parts of a message
+ * @param {Object} message - Wire-format message
+ * @returns {string} Text content
+ */
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  if (!Array.isArray(message.content)) return '';
+  return message.content
+    .filter((part) => part.type === 'text')
+    .map((part) => part.text)
+    .join('\n');
+}
+
+/**
+ * Summarize a request as the fields scripts match on
+ * @param {ScriptedRequest} request - Request
+ * @returns {{method: string, userMessage: string, system: string, tools: string[]}} Fields
+ */
+function describeRequest({ method, messages, tools }) {
+  const userMessages = messages.filter((m) => m.role === 'user' && messageText(m));
+  return {
+    method,
+    userMessage: userMessages.length ? messageText(userMessages.at(-1)) : '',
+    system: messages
+      .filter((m) => m.role === 'system')
+      .map(messageText)
+      .join('\n'),
+    tools: (tools || []).map((tool) => tool.name || tool.function?.name),
+  };
+}
+
+/**
+ * @param {*} matcher - Script matcher
+ * @param {*} value - Received value
+ * @returns {boolean} True if the value satisfies the matcher
+ */
+function matches(matcher, value) {
+  if (typeof matcher === 'function') return Boolean(matcher(value));
+  if (matcher instanceof RegExp) return matcher.test(value);
+  if (Array.isArray(matcher)) {
+    return JSON.stringify([...matcher].sort()) === JSON.stringify([...value].sort());
+  }
+  return String(value).includes(matcher);
+}
+
+/**
+ * @param {*} value - Matcher or received value
+ * @returns {string} Readable form for error messages
+ */
+function show(value) {
+  if (typeof value === 'function') return `<predicate ${value.name || 'anonymous'}>`;
+  if (value instanceof RegExp) return String(value);
+  const text = JSON.stringify(value);
+  return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+}
+
+/**
+ * Ordered expectations and responses for a MockAIClient
+ */
+export class MockScript {
+  /**
+   * @param {ScriptStep[]} steps - Script steps in call order
+   */
+  constructor(steps) {
+    this.steps = steps;
+    this.position = 0;
+    /** @type {ScriptMismatchError[]} */
+    this.errors = [];
+  }
+
+  /**
+   * Match a request against the next step and consume it
+   * @param {ScriptedRequest} request - Incoming request
+   * @returns {ScriptResponse} Canned response for the request
+   * @throws {ScriptMismatchError} If the request deviates from the script
+   */
+  next(request) {
+    const received = describeRequest(request);
+    const step = this.steps[this.position];
+    const label = `${this.position + 1}/${this.steps.length}`;
+
+    if (!step) {
+      this._fail(
+        new ScriptMismatchError(
+          `Mock script exhausted: unexpected ${request.method}() call after all ` +
+            `${this.steps.length} steps (last user message: ${show(received.userMessage)})`,
+          { step: this.position + 1, actual: received }
+        )
+      );
+    }
+
+    const expect = step.expect || {};
+    const failed = MATCHED_FIELDS.filter(
+      (field) => field in expect && !matches(expect[field], received[field])
+    );
+    if (failed.length > 0) {
+      const lines = failed.map(
+        (field) =>
+          `  ${field}:\n    expected ${show(expect[field])}\n    received ${show(received[field])}`
+      );
+      this._fail(
+        new ScriptMismatchError(
+          `Mock script step ${label} did not match the ${request.method}() call:\n${lines.join('\n')}`,
+          {
+            step: this.position + 1,
+            expected: Object.fromEntries(failed.map((field) => [field, expect[field]])),
+            actual: Object.fromEntries(failed.map((field) => [field, received[field]])),
+          }
+        )
+      );
+    }
+
+    this.position++;
+    if (step.respond?.error) {
+      throw typeof step.respond.error === 'string'
+        ? createProviderError(step.respond.error, { format: request.format })
+        : step.respond.error;
+    }
+    return step.respond || {};
+  }
+
+  /**
+   * Throw the first mismatch seen, or a ScriptMismatchError if steps remain
+   * @throws {ScriptMismatchError}
+   */
+  assertConsumed() {
+    if (this.errors.length > 0) {
+      throw this.errors[0];
+    }
+    if (this.position < this.steps.length) {
+      const remaining = this.steps.slice(this.position);
+      throw new ScriptMismatchError(
+        `Mock script not fully consumed: ${remaining.length} of ${this.steps.length} steps ` +
+          `never called (next expected: ${show(remaining[0].expect || {})})`,
+        { step: this.position + 1, expected: remaining.map((step) => step.expect || {}) }
+      );
+    }
+  }
+
+  /**
+   * Record and throw a mismatch
+   * @private
+   */
+  _fail(error) {
+    this.errors.push(error);
+    throw error;
+  }
+}
+
+/**
+ * Text of a scripted response
+ * @param {ScriptResponse} respond - Scripted response
+ * @returns {string} Text (stream chunks joined, json serialized)
+ */
+export function scriptedText(respond) {
+  if (respond.json !== undefined) return JSON.stringify(respond.json);
+  if (respond.stream) return respond.stream.join('');
+  return respond.text ?? '';
+}
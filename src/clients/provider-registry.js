@@ -0,0 +1,148 @@
+/**
+ * Provider Registry
+ *
+ * Central registry of AI providers used by createAIClient, provider
+ * availability checks and environment validation. The built-in providers
+ * (builtin-providers.js) are registered on first use, whatever was imported
+ * first; third-party clients can be plugged in at runtime with registerProvider().
+ *
+ * @example
+ * import { registerProvider, createAIClient } from './clients/index.js';
+ *
+ * registerProvider('my-gateway', {
+ *   create: (model) => new MyGatewayClient(model),
+ *   isAvailable: () => !!process.env.MY_GATEWAY_URL,
+ *   validateEnv: () => ({
+ *     available: !!process.env.MY_GATEWAY_URL,
+ *     missing: process.env.MY_GATEWAY_URL ? [] : ['MY_GATEWAY_URL'],
+ *   }),
+ *   defaultModel: 'gateway-default',
+ *   displayName: 'My Gateway',
+ * });
+ *
+ * const client = createAIClient('my-gateway');
+ */
+
+import { builtInProviders } from './builtin-providers.js';
+
+/**
+ * @typedef {Object} ProviderStatus
+ * @property {boolean} available - Whether provider is configured
+ * @property {string[]} missing - Missing configuration keys
+ */
+
+/**
+ * @typedef {Object} ProviderDefinition
+ * @property {(model: string|null) => import('./ai-client-interface.js').AIClientInterface} create -
+ *   Client constructor; `model` is null when the caller did not specify one
+ * @property {() => boolean} [isAvailable] - Whether the provider is configured (default: always)
+ * @property {() => ProviderStatus} [validateEnv] - Environment check; providers without one are
+ *   not listed by validateEnvironment/printEnvironmentStatus
+ * @property {string|(() => string)} [defaultModel] - Default model name (or getter for config-driven values)
+ * @property {string} [displayName] - Human-readable name for status output (default: provider name)
+ * @property {boolean} [autoSelect=true] - Whether getDefaultProvider() may pick this provider
+ * @property {string|(() => string)} [visionModel] - Vision model name (or getter); providers
+ *   without one do not support vision
+ * @property {() => boolean} [isVisionAvailable] - Whether getDefaultVisionProvider() may pick
+ *   this provider (default: never)
+ */
+
+/**
+ * @typedef {Object} RegisteredProvider
+ * @property {string} name - Provider name
+ * @property {ProviderDefinition['create']} create - Client constructor
+ * @property {() => boolean} isAvailable - Availability check
+ * @property {(() => ProviderStatus)|null} validateEnv - Environment check
+ * @property {() => string|null} defaultModel - Default model getter
+ * @property {string} displayName - Human-readable name
+ * @property {boolean} autoSelect - Whether getDefaultProvider() may pick this provider
+ * @property {(() => string)|null} visionModel - Vision model getter, or null without vision
+ * @property {() => boolean} isVisionAvailable - Whether getDefaultVisionProvider() may pick it
+ */
+
+/** @type {Map<string, RegisteredProvider>} */
+const providers = new Map();
+let builtInsRegistered = false;
+
+/**
+ * Register the built-in providers ahead of any others, once
+ */
+function ensureBuiltIns() {
+  if (builtInsRegistered) {
+    return;
+  }
+  builtInsRegistered = true;
+  for (const [name, definition] of builtInProviders) {
+    registerProvider(name, definition);
+  }
+}
+
+/**
+ * Register an AI provider
+ * Providers are considered in registration order by getDefaultProvider().
+ * @param {string} name - Provider name used with createAIClient(name)
+ * @param {ProviderDefinition} definition - Provider definition
+ * @param {Object} [options={}] - Registration options
+ * @param {boolean} [options.replace=false] - Replace an existing provider with the same name
+ * @returns {RegisteredProvider} Registered provider
+ * @throws {Error} If the definition is invalid or the name is already taken
+ */
+export function registerProvider(name, definition, options = {}) {
+  ensureBuiltIns();
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Provider name must be a non-empty string');
+  }
+  if (!definition || typeof definition.create !== 'function') {
+    throw new Error(`Provider '${name}' must define a create(model) function`);
+  }
+  if (providers.has(name) && !options.replace) {
+    throw new Error(
+      `Provider '${name}' is already registered. Pass { replace: true } to override it.`
+    );
+  }
+
+  const { defaultModel, visionModel } = definition;
+  const registered = {
+    name,
+    create: definition.create,
+    isAvailable: definition.isAvailable || (() => true),
+    validateEnv: definition.validateEnv || null,
+    defaultModel: typeof defaultModel === 'function' ? defaultModel : () => defaultModel ?? null,
+    displayName: definition.displayName || name,
+    autoSelect: definition.autoSelect ?? true,
+    visionModel: typeof visionModel === 'string' ? () => visionModel : visionModel || null,
+    isVisionAvailable: definition.isVisionAvailable || (() => false),
+  };
+
+  providers.set(name, registered);
+  return registered;
+}
+
+/**
+ * Remove a provider from the registry
+ * @param {string} name - Provider name
+ * @returns {boolean} True if a provider was removed
+ */
+export function unregisterProvider(name) {
+  ensureBuiltIns();
+  return providers.delete(name);
+}
+
+/**
+ * Look up a registered provider
+ * @param {string} name - Provider name
+ * @returns {RegisteredProvider|undefined} Registered provider
+ */
+export function getProvider(name) {
+  ensureBuiltIns();
+  return providers.get(name);
+}
+
+/**
+ * Get the names of all registered providers in registration order
+ * @returns {string[]} Provider names
+ */
+export function getRegisteredProviders() {
+  ensureBuiltIns();
+  return [...providers.keys()];
+}
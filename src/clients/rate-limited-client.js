@@ -0,0 +1,277 @@
+/**
+ * Rate Limited Client Wrapper
+ *
+ * Keeps a client under its provider's requests-per-minute and
+ * tokens-per-minute limits before the provider has to reject anything.
+ * Calls wait in a shared, prioritized queue (see rate-limiter.js); token
+ * usage is estimated up front with token-utils and corrected from the
+ * response's usage afterwards. The rate-limit headers of every response
+ * (received through the `onResponseHeaders` option, see response-headers.js)
+ * update the limiter, so it slows down before the provider starts rejecting.
+ * A 429 pauses the shared limiter for the `retry-after` period and is
+ * rethrown, so wrap this client in a ResilientClient to retry it.
+ *
+ * By default every RateLimitedClient for the same model shares one limiter,
+ * so all agents in the process draw from the same budget.
+ *
+ * @example
+ * import { createAIClient } from './client-factory.js';
+ * import { ResilientClient } from './resilient-client.js';
+ * import { RateLimitedClient } from './rate-limited-client.js';
+ *
+ * const client = new ResilientClient(
+ *   new RateLimitedClient(createAIClient('openai'), {
+ *     requestsPerMinute: 500,
+ *     tokensPerMinute: 200_000,
+ *   })
+ * );
+ *
+ * // Interactive traffic goes ahead of background jobs
+ * await client.chat(messages, { priority: 10 });
+ */
+
+import { AIClientInterface } from './ai-client-interface.js';
+import { getRateLimiter } from './rate-limiter.js';
+import { withCancellableStream, withCancellation, withSignal } from './cancellation.js';
+import { estimateRequestTokens, estimateTokens } from '../utils/token-utils.js';
+
+/**
+ * @typedef {Object} RateLimitedClientOptions
+ * @property {number} [requestsPerMinute] - RPM limit
+ * @property {number} [tokensPerMinute] - TPM limit
+ * @property {string} [key] - Shared limiter key (default: the client's model)
+ * @property {import('./rate-limiter.js').RateLimiter} [limiter] - Use this limiter instead of
+ *   the shared one for `key`
+ * @property {number} [expectedOutputTokens=500] - Output tokens reserved when the call does not
+ *   set max_tokens
+ * @property {number} [maxQueueSize] - Waiting calls before new ones are rejected
+ * @property {number} [defaultRetryAfterMs] - Pause after a 429 without a retry-after header
+ */
+
+/**
+ * RPM/TPM rate limiting wrapper for AI clients
+ */
+export class RateLimitedClient extends AIClientInterface {
+  /**
+   * Create a rate limited client wrapper
+   * @param {AIClientInterface} client - Base client to wrap
+   * @param {RateLimitedClientOptions} [options={}] - Configuration options
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.limiter =
+      options.limiter ??
+      getRateLimiter(options.key ?? client.model ?? client.constructor.name, options);
+    this.expectedOutputTokens = options.expectedOutputTokens ?? 500;
+  }
+
+  /**
+   * Tokens reserved for a chat-style request
+   * @param {Array<Object>} messages - Request messages
+   * @param {Object} [options={}] - Request options (max_tokens is honoured)
+   * @param {Array<Object>} [tools=[]] - Tool or function definitions
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(messages, options = {}, tools = []) {
+    const maxOutputTokens =
+      options.max_tokens ?? options.max_completion_tokens ?? this.expectedOutputTokens;
+    return estimateRequestTokens(messages, { tools, maxOutputTokens });
+  }
+
+  /**
+   * Tokens a response actually used, or undefined if the provider did not report usage
+   * @private
+   */
+  _usedTokens(response) {
+    try {
+      return this.client.calculateCost(response).totalTokens || undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Request options that also report response headers to the limiter
+   * A caller's own onResponseHeaders still receives them.
+   * @private
+   */
+  _observeHeaders(options) {
+    const { onResponseHeaders } = options;
+    return {
+      ...options,
+      onResponseHeaders: (headers) => {
+        this.limiter.updateFromHeaders(headers);
+        onResponseHeaders?.(headers);
+      },
+    };
+  }
+
+  /**
+   * Wait for the limiter, run the call and reconcile its token usage
+   * @private
+   * @param {number} estimate - Tokens to reserve
+   * @param {Object} options - Method options (signal, timeoutMs and priority are consumed here)
+   * @param {(requestOptions: Object) => Promise<*>} run - Calls the wrapped client
+   * @param {(result: *) => number|undefined} [usedTokens] - Actual tokens used by the result
+   * @returns {Promise<*>} Result of the call
+   */
+  _limited(estimate, options, run, usedTokens = (result) => this._usedTokens(result)) {
+    return withCancellation(options, async ({ priority, ...requestOptions }, signal) => {
+      const permit = await this.limiter.acquire(estimate, { priority, signal });
+      try {
+        const result = await run(withSignal(this._observeHeaders(requestOptions), signal));
+        this.limiter.settle(permit, usedTokens(result) ?? estimate);
+        return result;
+      } catch (error) {
+        // Rejected requests do not count against the token budget
+        this.limiter.settle(permit, 0);
+        this.limiter.observeError(error);
+        throw error;
+      }
+    });
+  }
+
+  // ============================================================
+  // AIClientInterface implementation
+  // ============================================================
+
+  async chat(messages, options = {}) {
+    return this._limited(this.estimateTokens(messages, options), options, (requestOptions) =>
+      this.client.chat(messages, requestOptions)
+    );
+  }
+
+  async chatStream(messages, onChunk, options = {}) {
+    const promptTokens = estimateRequestTokens(messages);
+    return this._limited(
+      this.estimateTokens(messages, options),
+      options,
+      (requestOptions) => this.client.chatStream(messages, onChunk, requestOptions),
+      (text) => promptTokens + estimateTokens(text)
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    yield* withCancellableStream(options, (streamOptions, signal) =>
+      this._limitedStream(messages, streamOptions, signal)
+    );
+  }
+
+  /**
+   * Stream under the limiter, reconciling with the usage on the done event
+   * @private
+   */
+  async *_limitedStream(messages, { priority, ...options }, signal) {
+    const estimate = this.estimateTokens(messages, options, options.tools);
+    const permit = await this.limiter.acquire(estimate, { priority, signal });
+    let used = estimate;
+
+    try {
+      for await (const event of this.client.stream(
+        messages,
+        withSignal(this._observeHeaders(options), signal)
+      )) {
+        if (event.type === 'done') {
+          used =
+            event.usage?.totalTokens ??
+            estimateRequestTokens(messages) + estimateTokens(event.text);
+        }
+        yield event;
+      }
+    } catch (error) {
+      used = 0;
+      this.limiter.observeError(error);
+      throw error;
+    } finally {
+      this.limiter.settle(permit, used);
+    }
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    return this._limited(this.estimateTokens(messages, options, tools), options, (requestOptions) =>
+      this.client.chatWithTools(messages, tools, requestOptions)
+    );
+  }
+
+  async chatWithFunctions(messages, functions, options = {}) {
+    return this._limited(
+      this.estimateTokens(messages, options, functions),
+      options,
+      (requestOptions) => this.client.chatWithFunctions(messages, functions, requestOptions)
+    );
+  }
+
+  async getEmbeddings(input, embeddingModel = null) {
+    const inputs = Array.isArray(input) ? input : [input];
+    const estimate = inputs.reduce((sum, text) => sum + estimateTokens(text), 0);
+    return this._limited(
+      estimate,
+      {},
+      () => this.client.getEmbeddings(input, embeddingModel),
+      () => estimate
+    );
+  }
+
+  async analyzeImage(imageBase64, prompt, options = {}) {
+    // Images are billed by size; reserve a typical image's tokens on top of the prompt
+    const estimate = estimateTokens(prompt) + 1000 + this.expectedOutputTokens;
+    return this._limited(
+      estimate,
+      options,
+      (requestOptions) => this.client.analyzeImage(imageBase64, prompt, requestOptions),
+      (text) => estimate - this.expectedOutputTokens + estimateTokens(text)
+    );
+  }
+
+  // The Assistants API is metered separately from chat completions
+  async createAssistant(instructions, tools = [], options = {}) {
+    return this.client.createAssistant(instructions, tools, options);
+  }
+
+  async createThread() {
+    return this.client.createThread();
+  }
+
+  async addMessage(threadId, content, role = 'user') {
+    return this.client.addMessage(threadId, content, role);
+  }
+
+  async getMessages(threadId, options = {}) {
+    return this.client.getMessages(threadId, options);
+  }
+
+  async runAssistant(threadId, assistantId, options = {}) {
+    return this.client.runAssistant(threadId, assistantId, options);
+  }
+
+  async retrieveRun(threadId, runId) {
+    return this.client.retrieveRun(threadId, runId);
+  }
+
+  // Passthrough methods
+  getTextContent(response) {
+    return this.client.getTextContent(response);
+  }
+
+  hasToolUse(response) {
+    return this.client.hasToolUse(response);
+  }
+
+  getToolUseBlocks(response) {
+    return this.client.getToolUseBlocks(response);
+  }
+
+  getMessage(response) {
+    return this.client.getMessage(response);
+  }
+
+  calculateCost(response, model = null) {
+    return this.client.calculateCost(response, model);
+  }
+
+  // Expose client properties
+  get model() {
+    return this.client.model;
+  }
+}
@@ -0,0 +1,376 @@
+/**
+ * Rate Limiter
+ *
+ * Token-bucket limits on requests per minute (RPM) and tokens per minute (TPM),
+ * matching how OpenAI and Anthropic meter traffic. Callers wait in a priority
+ * queue until both buckets have room, so bursts are smoothed out before the
+ * provider answers with 429s.
+ *
+ * Token counts are estimated before a request and reconciled with the actual
+ * usage afterwards. Rate-limit headers (`retry-after`, `x-ratelimit-*`,
+ * `anthropic-ratelimit-*`) pause or drain the buckets so every caller backs off
+ * together.
+ *
+ * Limiters are shared per key (usually the model) across the process through
+ * getRateLimiter(), so all agents using a model draw from the same budget.
+ *
+ * @example
+ * const limiter = getRateLimiter('gpt-4o-mini', { requestsPerMinute: 500, tokensPerMinute: 200_000 });
+ * const permit = await limiter.acquire(1200, { priority: 1 });
+ * try {
+ *   const response = await client.chat(messages);
+ *   limiter.settle(permit, response.usage.total_tokens);
+ * } catch (error) {
+ *   limiter.settle(permit, 0);
+ *   limiter.observeError(error);
+ * }
+ */
+
+import { AbortError } from './cancellation.js';
+
+const RESET_UNITS_MS = { h: 3_600_000, m: 60_000, s: 1000, ms: 1 };
+
+/**
+ * @typedef {Object} RateLimiterOptions
+ * @property {number} [requestsPerMinute] - RPM limit (unlimited when omitted)
+ * @property {number} [tokensPerMinute] - TPM limit (unlimited when omitted)
+ * @property {number} [maxQueueSize=Infinity] - Waiting callers before new ones are rejected
+ * @property {number} [defaultRetryAfterMs=1000] - Pause after a 429 without a retry-after header
+ */
+
+/**
+ * @typedef {Object} Permit
+ * @property {number} tokens - Tokens reserved for the request
+ */
+
+/**
+ * @typedef {Object} RateLimitHeaders
+ * @property {number} [retryAfterMs] - Time to wait before the next request
+ * @property {number} [remainingRequests] - Requests left in the current window
+ * @property {number} [remainingTokens] - Tokens left in the current window
+ * @property {number} [requestsResetMs] - Time until the request limit resets
+ * @property {number} [tokensResetMs] - Time until the token limit resets
+ */
+
+/**
+ * Parse an OpenAI-style duration ("1s", "6m0s", "120ms", "1h2m3.5s")
+ * @param {string} value - Duration
+ * @returns {number|undefined} Milliseconds
+ */
+function parseDuration(value) {
+  const parts = [...value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length === 0) return undefined;
+  return parts.reduce(
+    (total, [, amount, unit]) => total + Number(amount) * RESET_UNITS_MS[unit],
+    0
+  );
+}
+
+/**
+ * Parse a reset header: a duration, a number of seconds or a timestamp
+ * @param {string} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|undefined} Milliseconds until the reset
+ */
+function parseReset(value, now) {
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value) * 1000;
+  const duration = parseDuration(value);
+  if (duration !== undefined && !value.includes('-')) return duration;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Read rate-limit information from provider response headers
+ * Accepts the SDKs' lowercase header objects and fetch Headers instances.
+ * @param {Object|Headers} headers - Response or error headers
+ * @param {number} [now=Date.now()] - Current time, for timestamp headers
+ * @returns {RateLimitHeaders} Parsed values (missing headers are omitted)
+ */
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+  const get = (name) =>
+    (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]) ?? undefined;
+  const first = (...names) => names.map(get).find((value) => value !== undefined);
+  const result = {};
+
+  const retryAfterMs = get('retry-after-ms');
+  const retryAfter = get('retry-after');
+  if (retryAfterMs !== undefined && !Number.isNaN(Number(retryAfterMs))) {
+    result.retryAfterMs = Number(retryAfterMs);
+  } else if (retryAfter !== undefined) {
+    const ms = parseReset(String(retryAfter), now);
+    if (ms !== undefined) result.retryAfterMs = ms;
+  }
+
+  const numbers = {
+    remainingRequests: first(
+      'x-ratelimit-remaining-requests',
+      'anthropic-ratelimit-requests-remaining'
+    ),
+    remainingTokens: first('x-ratelimit-remaining-tokens', 'anthropic-ratelimit-tokens-remaining'),
+  };
+  for (const [field, value] of Object.entries(numbers)) {
+    if (value !== undefined && !Number.isNaN(Number(value))) result[field] = Number(value);
+  }
+
+  const resets = {
+    requestsResetMs: first('x-ratelimit-reset-requests', 'anthropic-ratelimit-requests-reset'),
+    tokensResetMs: first('x-ratelimit-reset-tokens', 'anthropic-ratelimit-tokens-reset'),
+  };
+  for (const [field, value] of Object.entries(resets)) {
+    const ms = value === undefined ? undefined : parseReset(String(value), now);
+    if (ms !== undefined) result[field] = ms;
+  }
+
+  return result;
+}
+
+/**
+ * Bucket refilled continuously at `perMinute / 60s`
+ */
+class TokenBucket {
+  /**
+   * @param {number} perMinute - Capacity and refill per minute
+   * @param {number} now - Current time in milliseconds
+   */
+  constructor(perMinute, now) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.ratePerMs = perMinute / 60_000;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    this.available = Math.min(
+      this.capacity,
+      this.available + (now - this.updatedAt) * this.ratePerMs
+    );
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `amount` fits (amounts above capacity wait for a full bucket)
+   */
+  waitFor(amount, now) {
+    this.refill(now);
+    const missing = Math.min(amount, this.capacity) - this.available;
+    return missing <= 0 ? 0 : Math.ceil(missing / this.ratePerMs);
+  }
+
+  take(amount) {
+    this.available -= amount;
+  }
+
+  /**
+   * Lower the bucket to what the provider reports as remaining
+   */
+  cap(remaining) {
+    this.available = Math.min(this.available, remaining);
+  }
+}
+
+/**
+ * Requests-per-minute and tokens-per-minute limiter with a priority queue
+ */
+export class RateLimiter {
+  /**
+   * @param {RateLimiterOptions} [options={}] - Limits and queue options
+   */
+  constructor(options = {}) {
+    const now = Date.now();
+    this.requests = options.requestsPerMinute
+      ? new TokenBucket(options.requestsPerMinute, now)
+      : null;
+    this.tokens = options.tokensPerMinute ? new TokenBucket(options.tokensPerMinute, now) : null;
+    this.maxQueueSize = options.maxQueueSize ?? Infinity;
+    this.defaultRetryAfterMs = options.defaultRetryAfterMs ?? 1000;
+
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.stats = { granted: 0, waited: 0, totalWaitMs: 0, throttled: 0, rejected: 0 };
+  }
+
+  /**
+   * Wait until the request fits both limits, then reserve it
+   * Higher priorities are served first; equal priorities are served in arrival order.
+   * @param {number} [tokens=0] - Estimated tokens for the request
+   * @param {{priority?: number, signal?: AbortSignal}} [options={}] - Queue options
+   * @returns {Promise<Permit>} Reservation to pass to settle()
+   * @throws {AbortError} When the signal aborts while waiting
+   * @throws {Error} With code RATE_LIMIT_QUEUE_FULL when maxQueueSize callers are waiting
+   */
+  acquire(tokens = 0, { priority = 0, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason ?? new AbortError());
+    }
+    if (this.queue.length >= this.maxQueueSize) {
+      this.stats.rejected++;
+      const error = new Error(`Rate limiter queue is full (${this.maxQueueSize} waiting)`);
+      error.code = 'RATE_LIMIT_QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+      const waiter = { tokens, priority, enqueuedAt: now, resolve };
+
+      if (signal) {
+        const onAbort = () => {
+          this.queue = this.queue.filter((entry) => entry !== waiter);
+          reject(signal.reason ?? new AbortError());
+          this._drain();
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        waiter.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      const index = this.queue.findIndex((entry) => entry.priority < priority);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, waiter);
+      // Same clock reading as enqueuedAt, so a request granted right away never counts as waiting
+      this._drain(now);
+    });
+  }
+
+  /**
+   * Reconcile a reservation with the tokens the request actually used
+   * Unused tokens return to the bucket; extra usage is taken from it.
+   * @param {Permit} permit - Reservation from acquire()
+   * @param {number} actualTokens - Tokens reported by the provider (0 if the request failed)
+   */
+  settle(permit, actualTokens) {
+    if (this.tokens && Number.isFinite(actualTokens)) {
+      this.tokens.refill(Date.now());
+      this.tokens.take(actualTokens - permit.tokens);
+    }
+    this._drain();
+  }
+
+  /**
+   * Stop granting requests for a while
+   * @param {number} ms - Pause length
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this._drain();
+  }
+
+  /**
+   * Apply provider rate-limit headers: honour retry-after and sync the buckets
+   * with the remaining requests and tokens
+   * @param {Object|Headers} headers - Response or error headers
+   */
+  updateFromHeaders(headers) {
+    const now = Date.now();
+    const info = parseRateLimitHeaders(headers, now);
+
+    if (info.retryAfterMs !== undefined) {
+      this.pausedUntil = Math.max(this.pausedUntil, now + info.retryAfterMs);
+    }
+    for (const [bucket, remaining, resetMs] of [
+      [this.requests, info.remainingRequests, info.requestsResetMs],
+      [this.tokens, info.remainingTokens, info.tokensResetMs],
+    ]) {
+      if (remaining === undefined) continue;
+      bucket?.refill(now);
+      bucket?.cap(remaining);
+      if (remaining === 0 && resetMs !== undefined) {
+        this.pausedUntil = Math.max(this.pausedUntil, now + resetMs);
+      }
+    }
+    this._drain();
+  }
+
+  /**
+   * Back off after a provider error: 429s pause every caller until retry-after
+   * @param {Error} error - Error thrown by the provider client
+   * @returns {boolean} True if the error was a rate limit
+   */
+  observeError(error) {
+    if (error?.status !== 429) {
+      return false;
+    }
+    this.stats.throttled++;
+    const info = parseRateLimitHeaders(error.headers);
+    if (info.retryAfterMs === undefined) {
+      this.pauseFor(this.defaultRetryAfterMs);
+    }
+    this.updateFromHeaders(error.headers);
+    return true;
+  }
+
+  /**
+   * Get limiter statistics
+   * @returns {{queued: number, granted: number, waited: number, averageWaitMs: number,
+   *   throttled: number, rejected: number, pausedForMs: number,
+   *   requestsAvailable: number|null, tokensAvailable: number|null}} Stats
+   */
+  getStats() {
+    const now = Date.now();
+    this.requests?.refill(now);
+    this.tokens?.refill(now);
+    return {
+      queued: this.queue.length,
+      granted: this.stats.granted,
+      waited: this.stats.waited,
+      averageWaitMs: this.stats.waited > 0 ? this.stats.totalWaitMs / this.stats.waited : 0,
+      throttled: this.stats.throttled,
+      rejected: this.stats.rejected,
+      pausedForMs: Math.max(0, this.pausedUntil - now),
+      requestsAvailable: this.requests ? Math.floor(this.requests.available) : null,
+      tokensAvailable: this.tokens ? Math.floor(this.tokens.available) : null,
+    };
+  }
+
+  /**
+   * Grant queued requests in order while they fit, then wait for the head to fit
+   * @private
+   * @param {number} [now=Date.now()] - Current time
+   */
+  _drain(now = Date.now()) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length > 0) {
+      const head = this.queue[0];
+      const waitMs = Math.max(
+        this.pausedUntil - now,
+        this.requests?.waitFor(1, now) ?? 0,
+        this.tokens?.waitFor(head.tokens, now) ?? 0
+      );
+
+      if (waitMs > 0) {
+        this.timer = setTimeout(() => this._drain(), waitMs);
+        return;
+      }
+
+      this.queue.shift();
+      this.requests?.take(1);
+      this.tokens?.take(head.tokens);
+      head.cleanup?.();
+      this.stats.granted++;
+      const waitedMs = now - head.enqueuedAt;
+      if (waitedMs > 0) {
+        this.stats.waited++;
+        this.stats.totalWaitMs += waitedMs;
+      }
+      head.resolve({ tokens: head.tokens });
+    }
+  }
+}
+
+const sharedLimiters = new Map();
+
+/**
+ * Get the process-wide limiter for a key, creating it on first use
+ * The first caller's limits apply; later callers share the same buckets.
+ * @param {string} key - Limit scope, usually the model or deployment name
+ * @param {RateLimiterOptions} [options={}] - Limits used if the limiter is created
+ * @returns {RateLimiter} Shared limiter
+ */
+export function getRateLimiter(key, options = {}) {
+  if (!sharedLimiters.has(key)) {
+    sharedLimiters.set(key, new RateLimiter(options));
+  }
+  return sharedLimiters.get(key);
+}
@@ -0,0 +1,450 @@
+/**
+ * Record/Replay Client Wrapper
+ *
+ * Wraps any AI client and persists every request/response pair to a cassette
+ * file. In replay mode the cassette is served back without touching the
+ * network, so tests can run against real model behaviour captured once.
+ *
+ * Modes:
+ * - 'record': Call the wrapped client and write a fresh cassette
+ * - 'replay': Serve responses from the cassette only; unknown requests throw
+ * - 'auto':   Replay known requests, record (and append) unknown ones
+ *
+ * @example
+ * import { createAIClient } from './client-factory.js';
+ * import { RecordReplayClient } from './record-replay-client.js';
+ *
+ * // Capture once against a real provider
+ * const recorder = new RecordReplayClient(createAIClient('openai'), {
+ *   cassettePath: 'tests/cassettes/agent-workflow.json',
+ *   mode: 'record',
+ * });
+ *
+ * // Replay offline in tests - no API key required
+ * const client = new RecordReplayClient(null, {
+ *   cassettePath: 'tests/cassettes/agent-workflow.json',
+ * });
+ * const agent = new FunctionCallingAgent('openai', client);
+ */
+
+import crypto from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { AIClientInterface } from './ai-client-interface.js';
+import { MockAIClient } from './mock-client.js';
+import { normalizeRequest, hashRequest } from '../utils/request-hash.js';
+import { isCancellationError } from './cancellation.js';
+
+const CASSETTE_VERSION = 1;
+const VALID_MODES = ['record', 'replay', 'auto'];
+
+/**
+ * @typedef {Object} RecordReplayClientOptions
+ * @property {string} cassettePath - Path of the cassette JSON file
+ * @property {'record'|'replay'|'auto'} [mode] - Defaults to AI_CASSETTE_MODE env var, then 'replay'
+ * @property {string[]} [ignoreOptions=[]] - Option keys excluded from the request hash
+ *   (`signal` and `timeoutMs` are always excluded)
+ */
+
+/**
+ * @typedef {Object} CassetteInteraction
+ * @property {string} key - Normalized request hash
+ * @property {string} method - Client method name
+ * @property {Object} request - Normalized request (kept for readable diffs)
+ * @property {*} [response] - Recorded response (the event list for stream())
+ * @property {string[]} [chunks] - Recorded stream chunks (chatStream only)
+ * @property {Object} [error] - Recorded error (message, status, code, name)
+ */
+
+/**
+ * Record/replay wrapper for AI clients
+ */
+export class RecordReplayClient extends AIClientInterface {
+  /**
+   * Create a record/replay client wrapper
+   * @param {AIClientInterface|null} client - Base client to wrap (may be null in 'replay' mode)
+   * @param {RecordReplayClientOptions} options - Configuration options
+   */
+  constructor(client, options = {}) {
+    super();
+    if (!options.cassettePath) {
+      throw new Error('RecordReplayClient requires a cassettePath option');
+    }
+
+    const mode = options.mode || process.env.AI_CASSETTE_MODE || 'replay';
+    if (!VALID_MODES.includes(mode)) {
+      throw new Error(`Invalid cassette mode: ${mode}. Valid modes: ${VALID_MODES.join(', ')}`);
+    }
+    if (mode !== 'replay' && !client) {
+      throw new Error(`RecordReplayClient needs a client to wrap in '${mode}' mode`);
+    }
+
+    this.client = client;
+    this.cassettePath = options.cassettePath;
+    this.mode = mode;
+    // Cancellation options never change the response
+    this.ignoreOptions = new Set(['signal', 'timeoutMs', ...(options.ignoreOptions ?? [])]);
+
+    /** @type {CassetteInteraction[]} */
+    this.interactions = [];
+    this.meta = {};
+    // Per-key replay cursor so identical requests replay in recorded order
+    this.replayCursors = new Map();
+    this.loadPromise = null;
+    this.savePromise = Promise.resolve();
+    this.parserClient = null;
+
+    this.stats = { recorded: 0, replayed: 0 };
+  }
+
+  /**
+   * Load the cassette from disk (once)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._readCassette();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * @private
+   */
+  async _readCassette() {
+    // 'record' always starts from an empty cassette
+    if (this.mode === 'record') {
+      return;
+    }
+
+    let raw;
+    try {
+      raw = await readFile(this.cassettePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && this.mode === 'auto') {
+        return;
+      }
+      if (error.code === 'ENOENT') {
+        throw new Error(
+          `Cassette not found: ${this.cassettePath}. Record it first with mode 'record' or AI_CASSETTE_MODE=record`
+        );
+      }
+      throw error;
+    }
+
+    const cassette = JSON.parse(raw);
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new Error(
+        `Unsupported cassette version ${cassette.version} in ${this.cassettePath} (expected ${CASSETTE_VERSION})`
+      );
+    }
+    this.meta = cassette.meta || {};
+    this.interactions = cassette.interactions || [];
+  }
+
+  /**
+   * Write the cassette to disk. Writes are serialized so concurrent
+   * recordings never interleave; a failed write rejects its own save() but
+   * does not stop later ones.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(dirname(this.cassettePath), { recursive: true });
+        const cassette = {
+          version: CASSETTE_VERSION,
+          meta: this.meta,
+          interactions: this.interactions,
+        };
+        await writeFile(this.cassettePath, `${JSON.stringify(cassette, null, 2)}\n`);
+      });
+    return this.savePromise;
+  }
+
+  /**
+   * Build the normalized request and its hash
+   * @param {string} method - Client method name
+   * @param {Object} args - Named request arguments
+   * @returns {{key: string, request: Object}} Hash key and normalized request
+   */
+  generateKey(method, args) {
+    const request = { method, ...args };
+    if (request.options) {
+      request.options = Object.fromEntries(
+        Object.entries(request.options).filter(([key]) => !this.ignoreOptions.has(key))
+      );
+    }
+
+    const normalized = normalizeRequest(request);
+    return { key: hashRequest(normalized), request: normalized };
+  }
+
+  /**
+   * Find the next unplayed recording for a key
+   * @private
+   * @param {string} key - Request hash
+   * @returns {CassetteInteraction|null} Matching interaction
+   */
+  _nextRecording(key) {
+    const cursor = this.replayCursors.get(key) || 0;
+    const matches = this.interactions.filter((interaction) => interaction.key === key);
+    if (cursor >= matches.length) {
+      return null;
+    }
+    this.replayCursors.set(key, cursor + 1);
+    return matches[cursor];
+  }
+
+  /**
+   * Re-create a recorded error
+   * @private
+   */
+  _toError(recorded) {
+    const error = new Error(recorded.message);
+    if (recorded.name) error.name = recorded.name;
+    if (recorded.status !== undefined) error.status = recorded.status;
+    if (recorded.code !== undefined) error.code = recorded.code;
+    return error;
+  }
+
+  /**
+   * Remember the response shape so replay can parse responses without a live client
+   * @private
+   */
+  _updateMeta(response) {
+    if (!this.meta.model && this.client?.model) {
+      this.meta.model = this.client.model;
+    }
+    if (!this.meta.responseFormat && response && typeof response === 'object') {
+      if (Array.isArray(response.choices)) {
+        this.meta.responseFormat = 'openai';
+      } else if (Array.isArray(response.content)) {
+        this.meta.responseFormat = 'claude';
+      }
+    }
+  }
+
+  /**
+   * Replay or record a single call
+   * @param {string} method - Client method name
+   * @param {Object} args - Named request arguments used for hashing
+   * @param {Function} fn - Calls the wrapped client; receives a chunk recorder for streams
+   * @param {Function} [onChunk] - Stream callback to drive during replay
+   * @returns {Promise<any>} Recorded or live result
+   */
+  async intercept(method, args, fn, onChunk = null) {
+    await this.load();
+    const { key, request } = this.generateKey(method, args);
+
+    if (this.mode !== 'record') {
+      const recording = this._nextRecording(key);
+      if (recording) {
+        this.stats.replayed++;
+        if (recording.chunks && onChunk) {
+          recording.chunks.forEach((chunk) => onChunk(chunk));
+        }
+        if (recording.error) {
+          throw this._toError(recording.error);
+        }
+        return recording.response;
+      }
+
+      if (this.mode === 'replay') {
+        throw new Error(
+          `No recorded interaction for ${method} (key ${key.slice(0, 12)}) in ${this.cassettePath}. ` +
+            `Re-record with mode 'record' or 'auto'.\nRequest: ${JSON.stringify(request).slice(0, 500)}`
+        );
+      }
+    }
+
+    const chunks = [];
+    const recordChunk = (chunk) => {
+      chunks.push(chunk);
+      if (onChunk) {
+        onChunk(chunk);
+      }
+    };
+
+    /** @type {CassetteInteraction} */
+    const interaction = { key, method, request };
+    let cancelled = false;
+    let failed = false;
+    try {
+      const result = await fn(recordChunk);
+      interaction.response = result;
+      this._updateMeta(result);
+      return result;
+    } catch (error) {
+      // A cancelled call has no response worth replaying
+      if (isCancellationError(error)) {
+        cancelled = true;
+        throw error;
+      }
+      failed = true;
+      interaction.error = {
+        name: error.name,
+        message: error.message,
+        status: error.status,
+        code: error.code,
+      };
+      throw error;
+    } finally {
+      if (!cancelled) {
+        if (method === 'chatStream') {
+          interaction.chunks = chunks;
+        }
+        this.interactions.push(interaction);
+        this.stats.recorded++;
+        // A failed save must not hide the call's own error
+        await (failed ? this.save().catch(() => {}) : this.save());
+      }
+    }
+  }
+
+  /**
+   * Client used for response parsing helpers. Falls back to a MockAIClient
+   * matching the recorded response format when replaying without a client.
+   * @private
+   */
+  get _parser() {
+    if (this.client) {
+      return this.client;
+    }
+    if (!this.parserClient) {
+      this.parserClient = new MockAIClient({
+        model: this.meta.model,
+        responseFormat: this.meta.responseFormat || 'openai',
+      });
+    }
+    return this.parserClient;
+  }
+
+  /**
+   * Get record/replay statistics
+   * @returns {{recorded: number, replayed: number, mode: string, interactions: number}} Stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      mode: this.mode,
+      interactions: this.interactions.length,
+    };
+  }
+
+  // ============================================================
+  // AIClientInterface implementation - record or replay
+  // ============================================================
+
+  async chat(messages, options = {}) {
+    return this.intercept('chat', { messages, options }, () => this.client.chat(messages, options));
+  }
+
+  async chatStream(messages, onChunk, options = {}) {
+    return this.intercept(
+      'chatStream',
+      { messages, options },
+      (recordChunk) => this.client.chatStream(messages, recordChunk, options),
+      onChunk
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    // Events are recorded once the live stream completes, then replayed in order
+    const events = await this.intercept('stream', { messages, options }, async () => {
+      const recorded = [];
+      for await (const event of this.client.stream(messages, options)) {
+        recorded.push(event);
+      }
+      return recorded;
+    });
+    yield* events;
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    return this.intercept('chatWithTools', { messages, tools, options }, () =>
+      this.client.chatWithTools(messages, tools, options)
+    );
+  }
+
+  async chatWithFunctions(messages, functions, options = {}) {
+    return this.intercept('chatWithFunctions', { messages, functions, options }, () =>
+      this.client.chatWithFunctions(messages, functions, options)
+    );
+  }
+
+  async getEmbeddings(input, embeddingModel = null) {
+    return this.intercept('getEmbeddings', { input, embeddingModel }, () =>
+      this.client.getEmbeddings(input, embeddingModel)
+    );
+  }
+
+  async analyzeImage(imageBase64, prompt, options = {}) {
+    // Hash the image instead of storing it in every request
+    const imageHash = crypto.createHash('sha256').update(imageBase64).digest('hex');
+    return this.intercept('analyzeImage', { imageHash, prompt, options }, () =>
+      this.client.analyzeImage(imageBase64, prompt, options)
+    );
+  }
+
+  async createAssistant(instructions, tools = [], options = {}) {
+    return this.intercept('createAssistant', { instructions, tools, options }, () =>
+      this.client.createAssistant(instructions, tools, options)
+    );
+  }
+
+  async createThread() {
+    return this.intercept('createThread', {}, () => this.client.createThread());
+  }
+
+  async addMessage(threadId, content, role = 'user') {
+    return this.intercept('addMessage', { threadId, content, role }, () =>
+      this.client.addMessage(threadId, content, role)
+    );
+  }
+
+  async getMessages(threadId, options = {}) {
+    return this.intercept('getMessages', { threadId, options }, () =>
+      this.client.getMessages(threadId, options)
+    );
+  }
+
+  async runAssistant(threadId, assistantId, options = {}) {
+    return this.intercept('runAssistant', { threadId, assistantId, options }, () =>
+      this.client.runAssistant(threadId, assistantId, options)
+    );
+  }
+
+  async retrieveRun(threadId, runId) {
+    return this.intercept('retrieveRun', { threadId, runId }, () =>
+      this.client.retrieveRun(threadId, runId)
+    );
+  }
+
+  // Passthrough methods (no recording needed)
+  getTextContent(response) {
+    return this._parser.getTextContent(response);
+  }
+
+  hasToolUse(response) {
+    return this._parser.hasToolUse(response);
+  }
+
+  getToolUseBlocks(response) {
+    return this._parser.getToolUseBlocks(response);
+  }
+
+  getMessage(response) {
+    return this._parser.getMessage(response);
+  }
+
+  calculateCost(response, model = null) {
+    return this._parser.calculateCost(response, model);
+  }
+
+  // Expose client properties
+  get model() {
+    return this.client?.model || this.meta.model;
+  }
+}
@@ -17,10 +17,22 @@
  *
  * // Use normally - retries are automatic
  * const response = await client.chat(messages);
+ *
+ * // options.timeoutMs is a deadline for all attempts and backoff together
+ * await client.chat(messages, { timeoutMs: 60000 });
  */
 
 import { AIClientInterface } from './ai-client-interface.js';
 import { createLogger } from '../utils/logger.js';
+import { openStream, resumeStream } from './stream-events.js';
+import {
+  AbortError,
+  createCancellation,
+  isCancellationError,
+  splitCancellationOptions,
+  withCancellableStream,
+  withSignal,
+} from './cancellation.js';
 
 /**
  * @typedef {Object} ResilientClientOptions
@@ -32,6 +44,33 @@ import { createLogger } from '../utils/logger.js';
  * @property {number} [circuitBreakerTimeoutMs=60000] - Time before half-open state
  */
 
+/**
+ * Check if an error is transient (rate limits, 5xx, network errors, timeouts)
+ * Cancellation (AbortError) and exceeded request deadlines (TimeoutError) are never transient.
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the request may succeed when retried
+ */
+export function isRetryableError(error) {
+  if (isCancellationError(error)) return false;
+
+  // Rate limit errors
+  if (error.status === 429) return true;
+
+  // Server errors (5xx)
+  if (error.status >= 500 && error.status < 600) return true;
+
+  // Network errors
+  if (['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND'].includes(error.code)) {
+    return true;
+  }
+
+  // OpenAI specific
+  if (error.message?.toLowerCase().includes('rate limit')) return true;
+  if (error.message?.toLowerCase().includes('timeout')) return true;
+
+  return false;
+}
+
 /**
  * Resilient wrapper for AI clients with retry and circuit breaker patterns
  */
@@ -77,22 +116,7 @@ export class ResilientClient extends AIClientInterface {
    * @returns {boolean} True if error is retryable
    */
   isRetryableError(error) {
-    // Rate limit errors
-    if (error.status === 429) return true;
-
-    // Server errors (5xx)
-    if (error.status >= 500 && error.status < 600) return true;
-
-    // Network errors
-    if (['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND'].includes(error.code)) {
-      return true;
-    }
-
-    // OpenAI specific
-    if (error.message?.toLowerCase().includes('rate limit')) return true;
-    if (error.message?.toLowerCase().includes('timeout')) return true;
-
-    return false;
+    return isRetryableError(error);
   }
 
   /**
@@ -110,10 +134,21 @@ export class ResilientClient extends AIClientInterface {
   /**
    * Sleep for specified milliseconds
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} [signal] - Rejects with the abort reason when aborted
    * @returns {Promise<void>}
    */
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  sleep(ms, signal = undefined) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -126,9 +161,11 @@ export class ResilientClient extends AIClientInterface {
         this.circuitState = 'HALF_OPEN';
         this.logger.info('Circuit breaker entering HALF_OPEN state');
       } else {
-        throw new Error(
+        const error = new Error(
           `Circuit breaker is OPEN. Retry after ${Math.ceil((this.nextAttemptTime - Date.now()) / 1000)}s`
         );
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
       }
     }
   }
@@ -162,42 +199,55 @@ export class ResilientClient extends AIClientInterface {
 
   /**
    * Execute a function with retry logic
-   * @param {Function} fn - Async function to execute
+   * `options.signal` and `options.timeoutMs` bound the whole call, backoff included;
+   * each attempt receives the remaining options with the combined signal.
+   * @param {(attemptOptions: Object) => Promise<any>} fn - Async function to execute
+   * @param {Object} [options={}] - Call options (may contain signal and timeoutMs)
    * @returns {Promise<any>} Function result
+   * @throws {AbortError|TimeoutError} When cancelled or past the deadline
    */
-  async withRetry(fn) {
+  async withRetry(fn, options = {}) {
     this.metrics.totalRequests++;
     this.checkCircuitBreaker();
 
-    let lastError;
-
-    for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
-      try {
-        const result = await fn();
-        this.onSuccess();
-        return result;
-      } catch (error) {
-        lastError = error;
-
-        if (attempt > this.maxRetries || !this.isRetryableError(error)) {
-          this.onFailure();
-          throw error;
+    const { signal, timeoutMs, requestOptions } = splitCancellationOptions(options);
+    const cancellation = createCancellation({ signal, timeoutMs });
+    const attemptOptions = cancellation.signal
+      ? withSignal(requestOptions, cancellation.signal)
+      : options;
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          cancellation.throwIfAborted();
+          const result = await cancellation.race(fn(attemptOptions));
+          this.onSuccess();
+          return result;
+        } catch (error) {
+          if (attempt > this.maxRetries || !this.isRetryableError(error)) {
+            throw error;
+          }
+
+          this.metrics.retriedRequests++;
+          const delay = this.calculateDelay(attempt);
+
+          this.logger.warn(`Attempt ${attempt} failed, retrying in ${delay}ms`, {
+            error: error.message,
+            status: error.status,
+          });
+
+          await this.sleep(delay, cancellation.signal);
         }
-
-        this.metrics.retriedRequests++;
-        const delay = this.calculateDelay(attempt);
-
-        this.logger.warn(`Attempt ${attempt} failed, retrying in ${delay}ms`, {
-          error: error.message,
-          status: error.status,
-        });
-
-        await this.sleep(delay);
       }
+    } catch (error) {
+      // The caller cancelling says nothing about the provider's health
+      if (!(error instanceof AbortError)) {
+        this.onFailure();
+      }
+      throw error;
+    } finally {
+      cancellation.dispose();
     }
-
-    this.onFailure();
-    throw lastError;
   }
 
   /**
@@ -237,19 +287,47 @@ export class ResilientClient extends AIClientInterface {
   // ============================================================
 
   async chat(messages, options = {}) {
-    return this.withRetry(() => this.client.chat(messages, options));
+    return this.withRetry((attemptOptions) => this.client.chat(messages, attemptOptions), options);
   }
 
   async chatStream(messages, onChunk, options = {}) {
-    return this.withRetry(() => this.client.chatStream(messages, onChunk, options));
+    return this.withRetry(
+      (attemptOptions) => this.client.chatStream(messages, onChunk, attemptOptions),
+      options
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    // The deadline covers the whole stream; retries stop once the first event arrives
+    yield* withCancellableStream(options, (streamOptions, signal) =>
+      this._retryStream(messages, withSignal(streamOptions, signal))
+    );
+  }
+
+  /**
+   * Open a stream with retries, then pass its events through
+   * @private
+   */
+  async *_retryStream(messages, options) {
+    const opened = await this.withRetry(
+      (attemptOptions) => openStream(this.client.stream(messages, attemptOptions)),
+      options
+    );
+    yield* resumeStream(opened);
   }
 
   async chatWithTools(messages, tools, options = {}) {
-    return this.withRetry(() => this.client.chatWithTools(messages, tools, options));
+    return this.withRetry(
+      (attemptOptions) => this.client.chatWithTools(messages, tools, attemptOptions),
+      options
+    );
   }
 
   async chatWithFunctions(messages, functions, options = {}) {
-    return this.withRetry(() => this.client.chatWithFunctions(messages, functions, options));
+    return this.withRetry(
+      (attemptOptions) => this.client.chatWithFunctions(messages, functions, attemptOptions),
+      options
+    );
   }
 
   async getEmbeddings(input, embeddingModel = null) {
@@ -257,11 +335,17 @@ export class ResilientClient extends AIClientInterface {
   }
 
   async analyzeImage(imageBase64, prompt, options = {}) {
-    return this.withRetry(() => this.client.analyzeImage(imageBase64, prompt, options));
+    return this.withRetry(
+      (attemptOptions) => this.client.analyzeImage(imageBase64, prompt, attemptOptions),
+      options
+    );
   }
 
   async createAssistant(instructions, tools = [], options = {}) {
-    return this.withRetry(() => this.client.createAssistant(instructions, tools, options));
+    return this.withRetry(
+      (attemptOptions) => this.client.createAssistant(instructions, tools, attemptOptions),
+      options
+    );
   }
 
   async createThread() {
@@ -273,11 +357,17 @@ export class ResilientClient extends AIClientInterface {
   }
 
   async getMessages(threadId, options = {}) {
-    return this.withRetry(() => this.client.getMessages(threadId, options));
+    return this.withRetry(
+      (attemptOptions) => this.client.getMessages(threadId, attemptOptions),
+      options
+    );
   }
 
   async runAssistant(threadId, assistantId, options = {}) {
-    return this.withRetry(() => this.client.runAssistant(threadId, assistantId, options));
+    return this.withRetry(
+      (attemptOptions) => this.client.runAssistant(threadId, assistantId, attemptOptions),
+      options
+    );
   }
 
   async retrieveRun(threadId, runId) {
@@ -297,6 +387,10 @@ export class ResilientClient extends AIClientInterface {
     return this.client.getToolUseBlocks(response);
   }
 
+  getMessage(response) {
+    return this.client.getMessage(response);
+  }
+
   calculateCost(response, model = null) {
     return this.client.calculateCost(response, model);
   }
@@ -0,0 +1,33 @@
+/**
+ * Response Headers
+ *
+ * Provider clients pass the HTTP headers of each response to an optional
+ * per-call `onResponseHeaders(headers)` option, so wrappers can read
+ * rate-limit headers from successful calls as well as from errors
+ * (RateLimitedClient feeds them to its limiter). Like any request option it
+ * passes through the other wrappers unchanged; the provider clients remove it
+ * before sending the request.
+ *
+ * @example
+ * await client.chat(messages, {
+ *   onResponseHeaders: (headers) => console.log(headers.get('x-ratelimit-remaining-tokens')),
+ * });
+ */
+
+/**
+ * Await an SDK request, reporting its response headers
+ * Uses the SDKs' `withResponse()`; requests without it (test doubles) are awaited as they are.
+ * @template T
+ * @param {Promise<T> & {withResponse?: () => Promise<{data: T, response: Response}>}} request -
+ *   Pending SDK request
+ * @param {(headers: Headers) => void} [onResponseHeaders] - Receives the response headers
+ * @returns {Promise<T>} The request's result
+ */
+export async function withResponseHeaders(request, onResponseHeaders) {
+  if (!onResponseHeaders || typeof request?.withResponse !== 'function') {
+    return request;
+  }
+  const { data, response } = await request.withResponse();
+  onResponseHeaders(response.headers);
+  return data;
+}
@@ -1,6 +1,8 @@
 import { OpenAI } from 'openai';
-import { config } from '../config.js';
+import { config } from '../config-values.js';
 import { BaseOpenAIClient } from './base-openai-client.js';
+import { withCancellation } from './cancellation.js';
+import { withResponseHeaders } from './response-headers.js';
 
 /**
  * Standard OpenAI Client (Non-Azure)
@@ -41,14 +43,19 @@ export class StandardOpenAIClient extends BaseOpenAIClient {
    * @returns {Promise<import('./ai-client-interface.js').ChatResponse>} Chat completion response
    */
   async chat(messages, options = {}) {
-    const requestOptions = {
-      model: this.model,
-      messages,
-      ...options,
-    };
-
-    const response = await this.client.chat.completions.create(requestOptions);
-    return response;
+    return withCancellation(options, ({ onResponseHeaders, ...chatOptions }, signal) =>
+      withResponseHeaders(
+        this.client.chat.completions.create(
+          {
+            model: this.model,
+            messages: this.toProviderMessages(messages),
+            ...chatOptions,
+          },
+          { signal }
+        ),
+        onResponseHeaders
+      )
+    );
   }
 
   /**
@@ -59,26 +66,31 @@ export class StandardOpenAIClient extends BaseOpenAIClient {
    * @returns {Promise<string>} Full response text
    */
   async chatStream(messages, onChunk = null, options = {}) {
-    const requestOptions = {
-      model: this.model,
-      messages,
-      stream: true,
-      ...options,
-    };
-
-    const stream = await this.client.chat.completions.create(requestOptions);
-
-    let fullText = '';
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        fullText += content;
-        if (onChunk) {
-          onChunk(content);
+    return withCancellation(options, async ({ onResponseHeaders, ...chatOptions }, signal) => {
+      const requestOptions = {
+        model: this.model,
+        messages: this.toProviderMessages(messages),
+        stream: true,
+        ...chatOptions,
+      };
+
+      const stream = await withResponseHeaders(
+        this.client.chat.completions.create(requestOptions, { signal }),
+        onResponseHeaders
+      );
+
+      let fullText = '';
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content || '';
+        if (content) {
+          fullText += content;
+          if (onChunk) {
+            onChunk(content);
+          }
         }
       }
-    }
-    return fullText;
+      return fullText;
+    });
   }
 
   /**
@@ -94,15 +106,21 @@ export class StandardOpenAIClient extends BaseOpenAIClient {
       function: func,
     }));
 
-    const response = await this.client.chat.completions.create({
-      model: this.model,
-      messages,
-      tools,
-      tool_choice: 'auto',
-      ...options,
-    });
-
-    return response;
+    return withCancellation(options, ({ onResponseHeaders, ...chatOptions }, signal) =>
+      withResponseHeaders(
+        this.client.chat.completions.create(
+          {
+            model: this.model,
+            messages: this.toProviderMessages(messages),
+            tools,
+            tool_choice: 'auto',
+            ...chatOptions,
+          },
+          { signal }
+        ),
+        onResponseHeaders
+      )
+    );
   }
 
   /**
@@ -114,14 +132,18 @@ export class StandardOpenAIClient extends BaseOpenAIClient {
    * @returns {Promise<Object>} Assistant object
    */
   async createAssistant(instructions, tools = [], options = {}) {
-    const assistant = await this.client.beta.assistants.create({
-      name: options.name || 'AI Agent',
-      instructions,
-      model: options.model || this.model,
-      tools,
-      ...options,
-    });
-    return assistant;
+    return withCancellation(options, (assistantOptions, signal) =>
+      this.client.beta.assistants.create(
+        {
+          name: options.name || 'AI Agent',
+          instructions,
+          model: options.model || this.model,
+          tools,
+          ...assistantOptions,
+        },
+        { signal }
+      )
+    );
   }
 
   /**
@@ -155,7 +177,9 @@ export class StandardOpenAIClient extends BaseOpenAIClient {
    * @returns {Promise<Array>} Array of messages
    */
   async getMessages(threadId, options = {}) {
-    const messages = await this.client.beta.threads.messages.list(threadId, options);
+    const messages = await withCancellation(options, (listOptions, signal) =>
+      this.client.beta.threads.messages.list(threadId, listOptions, { signal })
+    );
     return messages.data;
   }
 
@@ -168,12 +192,16 @@ export class StandardOpenAIClient extends BaseOpenAIClient {
    * @returns {Promise<Object>} Run object
    */
   async runAssistant(threadId, assistantId, options = {}) {
-    const run = await this.client.beta.threads.runs.create(threadId, {
-      assistant_id: assistantId,
-      ...options,
-    });
-
-    return run;
+    return withCancellation(options, (runOptions, signal) =>
+      this.client.beta.threads.runs.create(
+        threadId,
+        {
+          assistant_id: assistantId,
+          ...runOptions,
+        },
+        { signal }
+      )
+    );
   }
 
   /**
@@ -229,12 +257,22 @@ export class StandardOpenAIClient extends BaseOpenAIClient {
     ];
 
     const model = options.model || config.openai.visionModel || 'gpt-4o';
-    const response = await this.client.chat.completions.create({
-      model,
-      messages,
-      max_tokens: options.max_tokens || 300,
-      ...options,
-    });
+    const response = await withCancellation(
+      options,
+      ({ onResponseHeaders, ...visionOptions }, signal) =>
+        withResponseHeaders(
+          this.client.chat.completions.create(
+            {
+              model,
+              messages,
+              max_tokens: options.max_tokens || 300,
+              ...visionOptions,
+            },
+            { signal }
+          ),
+          onResponseHeaders
+        )
+    );
 
     return response.choices[0].message.content;
   }
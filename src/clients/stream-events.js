@@ -0,0 +1,207 @@
+/**
+ * Normalized Stream Events
+ *
+ * Shared event model for `client.stream(messages, options)`. Every provider
+ * emits the same sequence, so consumers never touch provider-specific chunks:
+ *
+ *   text_delta*            - incremental assistant text
+ *   tool_call_start        - a tool call begins (id, name)
+ *   tool_call_delta*       - partial JSON arguments for that call
+ *   tool_call_end          - arguments complete and parsed
+ *   usage                  - token usage, when the provider reports it
+ *   done                   - final event with the aggregated turn
+ *
+ * @example
+ * for await (const event of client.stream(messages, { tools })) {
+ *   if (event.type === 'text_delta') process.stdout.write(event.text);
+ *   if (event.type === 'tool_call_end') console.log(event.name, event.arguments);
+ *   if (event.type === 'done') console.log(event.stopReason, event.usage);
+ * }
+ */
+
+import { parseToolArguments } from './message-format.js';
+
+/**
+ * @typedef {'stop'|'tool_calls'|'length'|'content_filter'} StopReason
+ */
+
+/**
+ * @typedef {Object} StreamToolCall
+ * @property {string} id - Tool call ID
+ * @property {string} name - Tool name
+ * @property {Object} arguments - Parsed arguments
+ */
+
+/**
+ * @typedef {Object} StreamUsage
+ * @property {number} inputTokens - Prompt tokens
+ * @property {number} outputTokens - Completion tokens
+ * @property {number} totalTokens - Total tokens
+ * @property {number} [cacheCreationTokens] - Input tokens written to the prompt cache
+ * @property {number} [cacheReadTokens] - Input tokens read from the prompt cache
+ */
+
+/**
+ * @typedef {{type: 'text_delta', text: string}
+ *   | {type: 'tool_call_start', index: number, id: string, name: string}
+ *   | {type: 'tool_call_delta', index: number, id: string, argumentsDelta: string}
+ *   | {type: 'tool_call_end', index: number, id: string, name: string, arguments: Object}
+ *   | ({type: 'usage'} & StreamUsage)
+ *   | {type: 'done', stopReason: StopReason, text: string, toolCalls: StreamToolCall[], usage: StreamUsage|null}
+ * } StreamEvent
+ */
+
+const STOP_REASONS = {
+  stop: 'stop',
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  tool_calls: 'tool_calls',
+  function_call: 'tool_calls',
+  tool_use: 'tool_calls',
+  length: 'length',
+  max_tokens: 'length',
+  content_filter: 'content_filter',
+};
+
+/**
+ * Map a provider finish/stop reason to a normalized StopReason
+ * @param {string|null} reason - Provider stop reason
+ * @param {boolean} [hasToolCalls=false] - Whether the turn produced tool calls
+ * @returns {StopReason} Normalized stop reason
+ */
+export function normalizeStopReason(reason, hasToolCalls = false) {
+  return STOP_REASONS[reason] || (hasToolCalls ? 'tool_calls' : 'stop');
+}
+
+/**
+ * Builds normalized events while accumulating the turn for the final `done` event
+ * Provider stream() implementations translate raw chunks into calls on this builder.
+ */
+export class StreamEventBuilder {
+  constructor() {
+    this.text = '';
+    /** @type {Array<{id: string, name: string, json: string, open: boolean}>} */
+    this.toolCalls = [];
+    /** @type {StreamUsage|null} */
+    this.usage = null;
+  }
+
+  /**
+   * @param {string} text - Text fragment
+   * @returns {StreamEvent} text_delta event
+   */
+  textDelta(text) {
+    this.text += text;
+    return { type: 'text_delta', text };
+  }
+
+  /**
+   * @param {string} id - Tool call ID
+   * @param {string} name - Tool name
+   * @returns {StreamEvent} tool_call_start event
+   */
+  startToolCall(id, name) {
+    const index = this.toolCalls.length;
+    this.toolCalls.push({ id, name, json: '', open: true });
+    return { type: 'tool_call_start', index, id, name };
+  }
+
+  /**
+   * @param {number} index - Tool call index (order of tool_call_start)
+   * @param {string} argumentsDelta - Partial JSON arguments
+   * @returns {StreamEvent} tool_call_delta event
+   */
+  toolCallDelta(index, argumentsDelta) {
+    const call = this.toolCalls[index];
+    call.json += argumentsDelta;
+    return { type: 'tool_call_delta', index, id: call.id, argumentsDelta };
+  }
+
+  /**
+   * @param {number} index - Tool call index
+   * @returns {StreamEvent} tool_call_end event
+   */
+  endToolCall(index) {
+    const call = this.toolCalls[index];
+    call.open = false;
+    return {
+      type: 'tool_call_end',
+      index,
+      id: call.id,
+      name: call.name,
+      arguments: parseToolArguments(call.json),
+    };
+  }
+
+  /**
+   * Record token usage; providers may report input and output separately
+   * @param {{inputTokens?: number, outputTokens?: number, cacheCreationTokens?: number,
+   *   cacheReadTokens?: number}} usage - Token counts (cache counts are kept only when non-zero)
+   */
+  addUsage({ inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens }) {
+    const current = this.usage || { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+    current.inputTokens = inputTokens ?? current.inputTokens;
+    current.outputTokens = outputTokens ?? current.outputTokens;
+    current.totalTokens = current.inputTokens + current.outputTokens;
+    if (cacheCreationTokens) current.cacheCreationTokens = cacheCreationTokens;
+    if (cacheReadTokens) current.cacheReadTokens = cacheReadTokens;
+    this.usage = current;
+  }
+
+  /**
+   * Close any open tool calls and emit usage and done events
+   * @param {string|null} stopReason - Provider stop reason
+   * @yields {StreamEvent}
+   */
+  *finish(stopReason) {
+    for (let index = 0; index < this.toolCalls.length; index++) {
+      if (this.toolCalls[index].open) {
+        yield this.endToolCall(index);
+      }
+    }
+    if (this.usage) {
+      yield { type: 'usage', ...this.usage };
+    }
+    yield {
+      type: 'done',
+      stopReason: normalizeStopReason(stopReason, this.toolCalls.length > 0),
+      text: this.text,
+      toolCalls: this.toolCalls.map(({ id, name, json }) => ({
+        id,
+        name,
+        arguments: parseToolArguments(json),
+      })),
+      usage: this.usage,
+    };
+  }
+}
+
+/**
+ * Pull the first event of a stream so errors raised while connecting surface
+ * before anything reaches the caller (used by retry and failover wrappers)
+ * @param {AsyncIterable<StreamEvent>} events - Event stream
+ * @returns {Promise<{first: IteratorResult<StreamEvent>, iterator: AsyncIterator<StreamEvent>}>}
+ */
+export async function openStream(events) {
+  const iterator = events[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  return { first, iterator };
+}
+
+/**
+ * Continue an opened stream. The underlying stream is closed when the
+ * consumer breaks out, returns or throws.
+ * @param {{first: IteratorResult<StreamEvent>, iterator: AsyncIterator<StreamEvent>}} opened -
+ *   Result of openStream()
+ * @yields {StreamEvent}
+ */
+export async function* resumeStream({ first, iterator }) {
+  try {
+    for (let result = first; !result.done; result = await iterator.next()) {
+      yield result.value;
+    }
+  } finally {
+    // Close the provider stream when the consumer stops early (no-op once it finished)
+    await iterator.return?.();
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * Configuration Values
+ *
+ * The `config` object and the ai-agents.config.json profile behind it, without
+ * the provider helpers config.js adds. config.js imports the provider registry,
+ * which loads the built-in client classes; those classes and the modules they
+ * import take their settings from here so they do not import config.js back.
+ * Everything else imports from config.js, which re-exports these.
+ */
+
+import dotenv from 'dotenv';
+import { dirname, resolve } from 'path';
+import { loadProfile } from './utils/config-file.js';
+
+dotenv.config();
+
+/** Marks a config section that is built from the profile on first access */
+const PROFILE_SECTION = Symbol('profileSection');
+
+/**
+ * Profile selected from ai-agents.config.json, or the error loading it
+ * @type {{profile: import('./utils/config-file.js').LoadedProfile}|{error: Error}|null}
+ */
+let loaded = null;
+
+/**
+ * Get the profile selected from ai-agents.config.json (see utils/config-file.js)
+ * Its settings sit between environment variables and the built-in defaults.
+ * The profile is loaded on first use rather than at import, so importing this
+ * module never reads the command line or the working directory, and a broken
+ * config file only fails the code that reads profile-backed settings.
+ * @returns {import('./utils/config-file.js').LoadedProfile} Selected profile
+ * @throws {import('./utils/config-file.js').ConfigFileError} If the config file is invalid
+ *   or the requested profile cannot be loaded (the same error on every call)
+ */
+export function getProfile() {
+  if (!loaded) {
+    try {
+      loaded = { profile: loadProfile() };
+    } catch (error) {
+      loaded = { error };
+    }
+    if (loaded.profile) {
+      warnIfNoProvider();
+    }
+  }
+  if (loaded.error) {
+    throw loaded.error;
+  }
+  return loaded.profile;
+}
+
+/**
+ * Config section built from the profile on first access
+ * @param {(file: Object, profile: import('./utils/config-file.js').LoadedProfile) => *} build -
+ *   Builds the section from the profile settings
+ * @returns {Object} Placeholder replaced by a lazy property below
+ */
+function fromProfile(build) {
+  return { [PROFILE_SECTION]: build };
+}
+
+export const config = {
+  profile: fromProfile((_file, profile) => ({ name: profile.name, path: profile.path })),
+  openai: fromProfile((file) => ({
+    /**
+     * Default provider when 'openai' is specified as provider
+     * Can be 'azure-openai' or 'openai-standard'
+     * When createAIClient('openai') is called, it will use this default
+     * Set via OPENAI_DEFAULT_PROVIDER environment variable
+     * @type {'azure-openai'|'openai-standard'}
+     */
+    defaultProvider:
+      process.env.OPENAI_DEFAULT_PROVIDER ||
+      file.openai?.defaultProvider ||
+      (process.env.AZURE_OPENAI_API_KEY ? 'azure-openai' : 'openai-standard'),
+    // Separate access to standard OpenAI API key (for Assistants API which requires non-Azure)
+    standardApiKey: process.env.OPENAI_API_KEY,
+    azureApiKey: process.env.AZURE_OPENAI_API_KEY,
+    model:
+      process.env.OPENAI_MODEL ||
+      process.env.AZURE_OPENAI_DEPLOYMENT ||
+      file.openai?.model ||
+      'gpt-4-turbo-preview',
+    /**
+     * Vision model for image analysis capabilities
+     * Separate from the default chat model as vision requires specific models
+     * @type {string}
+     */
+    visionModel:
+      process.env.OPENAI_VISION_MODEL ||
+      process.env.OPENAI_MODEL ||
+      file.openai?.visionModel ||
+      'gpt-4o',
+    // Azure OpenAI configuration
+    azure: {
+      enabled: !!(process.env.AZURE_OPENAI_ENDPOINT || file.openai?.azure?.endpoint),
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT || file.openai?.azure?.endpoint,
+      apiVersion:
+        process.env.AZURE_OPENAI_API_VERSION ||
+        file.openai?.azure?.apiVersion ||
+        '2024-02-15-preview',
+      deployment:
+        process.env.AZURE_OPENAI_DEPLOYMENT ||
+        process.env.OPENAI_MODEL ||
+        file.openai?.azure?.deployment ||
+        'gpt-4-turbo-preview',
+      embeddingDeployment:
+        process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT ||
+        file.openai?.azure?.embeddingDeployment ||
+        'text-embedding-ada-002',
+    },
+  })),
+  claude: fromProfile((file) => ({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.CLAUDE_MODEL || file.claude?.model || 'claude-sonnet-4-5-20250929',
+    apiVersion: process.env.ANTHROPIC_API_VERSION || file.claude?.apiVersion || '2023-06-01',
+    // Mark system prompts, tools and conversation prefixes as cacheable by default
+    promptCache: process.env.CLAUDE_PROMPT_CACHE
+      ? process.env.CLAUDE_PROMPT_CACHE === 'true'
+      : !!file.claude?.promptCache,
+  })),
+  /**
+   * Local OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio)
+   * The provider is only available when LOCAL_AI_BASE_URL is set
+   */
+  local: fromProfile((file) => ({
+    baseUrl: process.env.LOCAL_AI_BASE_URL || file.local?.baseUrl,
+    // Most local servers ignore the key, but the OpenAI SDK requires one
+    apiKey: process.env.LOCAL_AI_API_KEY || 'local',
+    model: process.env.LOCAL_AI_MODEL || file.local?.model || 'llama3.1',
+    embeddingModel:
+      process.env.LOCAL_AI_EMBEDDING_MODEL || file.local?.embeddingModel || 'nomic-embed-text',
+    // Optional multimodal model; vision is disabled for the local provider when unset
+    visionModel: process.env.LOCAL_AI_VISION_MODEL || file.local?.visionModel,
+  })),
+  chroma: {
+    persistDirectory: process.env.CHROMA_PERSIST_DIR || './chroma_db',
+  },
+  langfuse: {
+    secretKey: process.env.LANGFUSE_SECRET_KEY,
+    publicKey: process.env.LANGFUSE_PUBLIC_KEY,
+    host: process.env.LANGFUSE_HOST || 'https://cloud.langfuse.com',
+  },
+  logger: fromProfile((file) => ({
+    level: process.env.LOG_LEVEL || file.logger?.level,
+    format: process.env.LOG_FORMAT || file.logger?.format,
+  })),
+  /**
+   * Provider order for createAIClientWithFallback (comma-separated AI_FALLBACK_ORDER)
+   * @type {string[]}
+   */
+  fallbackOrder: fromProfile((file) =>
+    process.env.AI_FALLBACK_ORDER
+      ? process.env.AI_FALLBACK_ORDER.split(',').map((name) => name.trim())
+      : file.fallbackOrder || ['openai', 'claude', 'mock']
+  ),
+  /**
+   * Per-use-case request options and models, merged over the built-in presets
+   * in defaultOptions.getUseCaseOptions
+   * @type {Object<string, Object>}
+   */
+  useCases: fromProfile((file) => file.useCases || {}),
+  /**
+   * Spending limits in USD (perRequestUsd, sessionUsd, dailyUsd, monthlyUsd, warnAt)
+   * @type {Object}
+   */
+  budgets: fromProfile((file) => ({
+    ...file.budgets,
+    ...(process.env.AI_BUDGET_DAILY_USD && {
+      dailyUsd: Number(process.env.AI_BUDGET_DAILY_USD),
+    }),
+    ...(process.env.AI_BUDGET_MONTHLY_USD && {
+      monthlyUsd: Number(process.env.AI_BUDGET_MONTHLY_USD),
+    }),
+  })),
+  /**
+   * Pricing catalogue overrides for negotiated rates (see utils/pricing.js)
+   * A path in the config profile is relative to the config file.
+   * @type {{overridesFile: string|undefined}}
+   */
+  pricing: fromProfile((file, profile) => ({
+    overridesFile:
+      process.env.AI_PRICING_OVERRIDES ||
+      (file.pricing?.overridesFile && resolve(dirname(profile.path), file.pricing.overridesFile)),
+  })),
+  /**
+   * Append-only ledger of tracked requests, shared by every CostTrackingClient
+   * and the budgets from config.budgets (see utils/cost-ledger.js)
+   * A path in the config profile is relative to the config file.
+   * @type {{file: string|undefined}}
+   */
+  costLedger: fromProfile((file, profile) => ({
+    file:
+      process.env.AI_COST_LEDGER ||
+      (file.costLedger?.file && resolve(dirname(profile.path), file.costLedger.file)),
+  })),
+  /**
+   * Guardrail preset used by GuardrailsEngine.fromConfig() in the guardrails example
+   * @type {{preset: 'off'|'default'|'strict', action: 'block'|'warn', checkInput: boolean}}
+   */
+  guardrails: fromProfile((file) => ({
+    preset: process.env.GUARDRAILS_PRESET || file.guardrails?.preset || 'default',
+    action: file.guardrails?.action || 'block',
+    checkInput: !!file.guardrails?.checkInput,
+  })),
+};
+
+// Build each profile-backed section on first access; it is a plain property from then on
+for (const [key, value] of Object.entries(config)) {
+  if (value?.[PROFILE_SECTION]) {
+    const setValue = (section) =>
+      Object.defineProperty(config, key, {
+        value: section,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    Object.defineProperty(config, key, {
+      get: () => {
+        const profile = getProfile();
+        const section = value[PROFILE_SECTION](profile.settings, profile);
+        setValue(section);
+        return section;
+      },
+      set: setValue,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+}
+
+/**
+ * Warn when no provider is configured, once the profile has been loaded
+ */
+function warnIfNoProvider() {
+  if (
+    !config.openai.azureApiKey &&
+    !config.openai.standardApiKey &&
+    !config.claude.apiKey &&
+    !config.local.baseUrl
+  ) {
+    console.warn(
+      'Warning: No API keys found. Please set AZURE_OPENAI_API_KEY, OPENAI_API_KEY, ANTHROPIC_API_KEY or LOCAL_AI_BASE_URL in .env file'
+    );
+  }
+}
@@ -1,58 +1,7 @@
-import dotenv from 'dotenv';
+import { getProvider, getRegisteredProviders } from './clients/provider-registry.js';
+import { config, getProfile } from './config-values.js';
 
-dotenv.config();
-
-export const config = {
-  openai: {
-    /**
-     * Default provider when 'openai' is specified as provider
-     * Can be 'azure-openai' or 'openai-standard'
-     * When createAIClient('openai') is called, it will use this default
-     * Set via OPENAI_DEFAULT_PROVIDER environment variable
-     * @type {'azure-openai'|'openai-standard'}
-     */
-    defaultProvider:
-      process.env.OPENAI_DEFAULT_PROVIDER ||
-      (process.env.AZURE_OPENAI_API_KEY ? 'azure-openai' : 'openai-standard'),
-    // Separate access to standard OpenAI API key (for Assistants API which requires non-Azure)
-    standardApiKey: process.env.OPENAI_API_KEY,
-    azureApiKey: process.env.AZURE_OPENAI_API_KEY,
-    model: process.env.OPENAI_MODEL || process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4-turbo-preview',
-    /**
-     * Vision model for image analysis capabilities
-     * Separate from the default chat model as vision requires specific models
-     * @type {string}
-     */
-    visionModel: process.env.OPENAI_VISION_MODEL || process.env.OPENAI_MODEL || 'gpt-4o',
-    // Azure OpenAI configuration
-    azure: {
-      enabled: !!process.env.AZURE_OPENAI_ENDPOINT,
-      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview',
-      deployment:
-        process.env.AZURE_OPENAI_DEPLOYMENT || process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
-      embeddingDeployment:
-        process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || 'text-embedding-ada-002',
-    },
-  },
-  claude: {
-    apiKey: process.env.ANTHROPIC_API_KEY,
-    model: process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929',
-    apiVersion: process.env.ANTHROPIC_API_VERSION || '2023-06-01',
-  },
-  chroma: {
-    persistDirectory: process.env.CHROMA_PERSIST_DIR || './chroma_db',
-  },
-  langfuse: {
-    secretKey: process.env.LANGFUSE_SECRET_KEY,
-    publicKey: process.env.LANGFUSE_PUBLIC_KEY,
-    host: process.env.LANGFUSE_HOST || 'https://cloud.langfuse.com',
-  },
-  logger: {
-    level: process.env.LOG_LEVEL,
-    format: process.env.LOG_FORMAT,
-  },
-};
+export { config, getProfile };
 
 /**
  * Check if running in a test environment
@@ -69,7 +18,9 @@ function isTestEnvironment() {
 
 /**
  * Provider Detection Utilities
- * Centralized logic for determining the default AI provider
+ * Centralized logic for determining the default AI provider.
+ * Driven by the provider registry, which registers the built-in providers
+ * on first use.
  */
 export const providerUtils = {
   /**
@@ -80,16 +31,17 @@ export const providerUtils = {
 
   /**
    * Get the default provider with smart routing
-   * Returns 'openai' which routes to Azure or Standard based on config
-   * @returns {string} Provider name ('openai', 'claude')
+   * Returns the first available registered provider that allows auto-selection,
+   * in registration order ('openai' routes to Azure or Standard based on config)
+   * @returns {string} Provider name ('openai', 'claude', 'local', or a registered provider)
    * @throws {Error} If no provider is configured (unless in test mode)
    */
   getDefaultProvider() {
-    if (config.openai.azureApiKey || config.openai.standardApiKey) {
-      return 'openai'; // Smart routing based on config.openai.defaultProvider
-    }
-    if (config.claude.apiKey) {
-      return 'claude';
+    for (const name of getRegisteredProviders()) {
+      const provider = getProvider(name);
+      if (provider.autoSelect && provider.isAvailable()) {
+        return name;
+      }
     }
 
     // In test mode, return a default provider
@@ -102,16 +54,16 @@ export const providerUtils = {
 
   /**
    * Get the default provider for vision tasks
-   * Vision tasks require specific models, so we explicitly use standard OpenAI or Claude
-   * @returns {string} Provider name ('openai-standard', 'claude')
+   * Returns the first registered provider whose isVisionAvailable() passes, in
+   * registration order (standard OpenAI, then Claude, then local for the built-ins)
+   * @returns {string} Provider name ('openai-standard', 'claude', 'local', or a registered provider)
    * @throws {Error} If no provider is configured (unless in test mode)
    */
   getDefaultVisionProvider() {
-    if (config.openai.azureApiKey || config.openai.standardApiKey) {
-      return 'openai-standard'; // Vision works best with standard OpenAI
-    }
-    if (config.claude.apiKey) {
-      return 'claude';
+    for (const name of getRegisteredProviders()) {
+      if (getProvider(name).isVisionAvailable()) {
+        return name;
+      }
     }
 
     // In test mode, return a default provider
@@ -148,20 +100,12 @@ export const providerUtils = {
    * @returns {boolean} True if provider is configured
    */
   isProviderAvailable(provider) {
-    switch (provider) {
-      case 'openai':
-        return !!(config.openai.standardApiKey || config.openai.azureApiKey);
-      case 'openai-standard':
-        return !!config.openai.standardApiKey;
-      case 'azure-openai':
-        return !!config.openai.azureApiKey;
-      case 'claude':
-        return !!config.claude.apiKey;
-      case 'mock':
-        return isTestEnvironment();
-      default:
-        return false;
+    // Mock is only offered outside the client factory when running tests
+    if (provider === 'mock') {
+      return isTestEnvironment();
     }
+    const registered = getProvider(provider);
+    return registered ? !!registered.isAvailable() : false;
   },
 
   /**
@@ -171,18 +115,11 @@ export const providerUtils = {
    * @throws {Error} If provider is not supported
    */
   getDefaultModel(provider) {
-    switch (provider) {
-      case 'openai':
-      case 'openai-standard':
-      case 'azure-openai':
-        return config.openai.model;
-      case 'claude':
-        return config.claude.model;
-      case 'mock':
-        return 'mock-model';
-      default:
-        throw new Error(`Unsupported provider for model: ${provider}`);
+    const registered = getProvider(provider);
+    if (!registered) {
+      throw new Error(`Unsupported provider for model: ${provider}`);
     }
+    return registered.defaultModel();
   },
 
   /**
@@ -192,17 +129,11 @@ export const providerUtils = {
    * @throws {Error} If provider is not supported or doesn't have a separate vision model
    */
   getVisionModel(provider) {
-    switch (provider) {
-      case 'openai':
-      case 'openai-standard':
-      case 'azure-openai':
-        return config.openai.visionModel;
-      case 'claude':
-        // Claude uses the same model for vision
-        return config.claude.model;
-      default:
-        throw new Error(`Unsupported provider for vision model: ${provider}`);
+    const registered = getProvider(provider);
+    if (!registered?.visionModel) {
+      throw new Error(`Unsupported provider for vision model: ${provider}`);
     }
+    return registered.visionModel();
   },
 };
 
@@ -226,7 +157,10 @@ export const defaultOptions = {
 
   /**
    * Get default options for specific use cases
+   * Profile settings from config.useCases are merged over the built-in presets,
+   * and may also define new use cases.
    * @param {string} useCase - Use case name ('creative', 'precise', 'structured', 'streaming')
+   * @param {string|null} provider - Provider the options are for
    * @param {Object} overrides - Options to override defaults
    * @returns {Object} Options object with use-case-specific defaults
    */
@@ -260,17 +194,26 @@ export const defaultOptions = {
       },
     };
 
+    // `models` picks the client's model (see getUseCaseModel); it is not a request option
+    const { models: _models, ...configured } = config.useCases[useCase] || {};
     const defaults = useCaseDefaults[useCase] || useCaseDefaults.default;
     return {
       ...defaults,
+      ...configured,
       ...overrides,
     };
   },
-};
 
-// Validate required API keys
-if (!config.openai.azureApiKey && !config.openai.standardApiKey && !config.claude.apiKey) {
-  console.warn(
-    'Warning: No API keys found. Please set AZURE_OPENAI_API_KEY, OPENAI_API_KEY, or ANTHROPIC_API_KEY in .env file'
-  );
-}
+  /**
+   * Get the model a profile assigns to a use case for a provider
+   * 'openai-standard' and 'azure-openai' fall back to the 'openai' entry.
+   * @param {string} useCase - Use case name
+   * @param {string} provider - Provider name
+   * @returns {string|null} Model name, or null to use the provider's default model
+   */
+  getUseCaseModel(useCase, provider) {
+    const models = config.useCases[useCase]?.models || {};
+    const isOpenAI = provider === 'openai-standard' || provider === 'azure-openai';
+    return models[provider] || (isOpenAI && models.openai) || null;
+  },
+};
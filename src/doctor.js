@@ -0,0 +1,35 @@
+/**
+ * Configuration Doctor
+ *
+ * Checks the environment and config profile: value formats, conflicting
+ * settings and which menu demos can run. Exits with code 1 when it finds errors.
+ *
+ * Usage:
+ *   npm run doctor
+ *   npm run doctor -- --profile prod
+ *   npm run doctor -- --probe                         # Probe LOCAL_AI_BASE_URL
+ *   npm run doctor -- --probe=http://localhost:11434/v1
+ *   npm run doctor -- --json                          # Machine-readable report
+ */
+
+const args = process.argv.slice(2);
+const probeArg = args.find((arg) => arg === '--probe' || arg.startsWith('--probe='));
+
+try {
+  // Loaded dynamically so an invalid config file is reported instead of crashing
+  const { runDoctor, printDoctorReport } = await import('./utils/env-validator.js');
+  const report = await runDoctor({
+    probe: !!probeArg,
+    probeUrl: probeArg?.includes('=') ? probeArg.slice('--probe='.length) : undefined,
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printDoctorReport(report);
+  }
+  process.exitCode = report.valid ? 0 : 1;
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -183,11 +183,17 @@ function extractOrderNumber(message) {
  * USAGE:
  *   const bot = new CustomerSupportBot();
  *   const response = await bot.chat("Hi, I need help with my order");
+ *
+ *   // Customers are waiting: hedge slow replies with a second request
+ *   const fastBot = new CustomerSupportBot(new HedgingClient(createAIClient('openai')));
  */
 class CustomerSupportBot {
-  constructor() {
+  /**
+   * @param {Object} [client] - AI client to use (defaults to the 'openai' provider)
+   */
+  constructor(client = createAIClient('openai')) {
     // Initialize the AI client
-    this.client = createAIClient('openai');
+    this.client = client;
 
     // Store conversation history for context
     this.conversationHistory = [];
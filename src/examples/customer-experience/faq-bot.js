@@ -22,6 +22,7 @@
 
 import { createAIClient } from '../../clients/client-factory.js';
 import { providerUtils } from '../../config.js';
+import { SemanticCache } from '../strategies/caching/semantic-cache.js';
 
 // =============================================================================
 // STEP 1: YOUR KNOWLEDGE BASE
@@ -228,14 +229,17 @@ class FAQBot {
     this.client = createAIClient('openai');
     this.companyName = options.companyName || 'Our Company';
     this.botName = options.botName || 'Helper';
+    // Optional SemanticCache: reworded questions reuse an earlier answer
+    this.cache = options.cache || null;
   }
 
   /**
    * Answer a customer's question
    * @param {string} question - The customer's question
+   * @param {string} [userId] - The customer, so answers about their own account stay theirs
    * @returns {Promise<Object>} Response with answer and sources
    */
-  async answer(question) {
+  async answer(question, userId) {
     // =========================================================================
     // STEP A: Search for relevant FAQ items
     // =========================================================================
@@ -279,11 +283,18 @@ Keep answers clear and easy to understand. Format with bullet points or numbered
     ];
 
     // =========================================================================
-    // STEP C: Get AI response
+    // STEP C: Get AI response (or a cached answer to the same question)
     // =========================================================================
-    const response = await this.client.chat(messages, {
+    const options = {
       temperature: 0.3, // Lower temperature for more consistent, factual answers
-    });
+    };
+    // Match on the question alone: the FAQ context is added to every message
+    const cacheOptions = { userId, query: question };
+    const cached = await this.cache?.lookup(messages, options, cacheOptions);
+    const response = cached?.response ?? (await this.client.chat(messages, options));
+    if (this.cache && !cached) {
+      await this.cache.store(messages, response, options, cacheOptions);
+    }
 
     const answer = this.client.getTextContent(response);
 
@@ -295,6 +306,7 @@ Keep answers clear and easy to understand. Format with bullet points or numbered
         category: faq.category,
       })),
       foundInFAQ: relevantFAQs.length > 0,
+      cached: cached ? { similarity: cached.similarity, question: cached.query } : null,
     };
   }
 }
@@ -313,11 +325,12 @@ async function faqBotDemo() {
     return;
   }
 
-  // Create the FAQ bot
+  // Create the FAQ bot, with a semantic cache for repeated questions
   const bot = new FAQBot({
     companyName: 'TechStore',
     botName: 'FAQ Helper',
   });
+  bot.cache = new SemanticCache(bot.client, { threshold: 0.9 });
 
   // Sample questions to test
   const testQuestions = [
@@ -337,6 +350,10 @@ async function faqBotDemo() {
       question: 'Do you have a store in New York?',
       note: 'Not covered by FAQ - should handle gracefully',
     },
+    {
+      question: 'I forgot my password. What do I do?',
+      note: 'Reworded question - should be answered from the semantic cache',
+    },
   ];
 
   console.log('This bot answers questions using a knowledge base.');
@@ -355,6 +372,12 @@ async function faqBotDemo() {
     console.log(`💬 Answer: ${result.answer}`);
     console.log('');
 
+    if (result.cached) {
+      console.log(
+        `💾 From cache: "${result.cached.question}" (similarity ${result.cached.similarity.toFixed(3)})`
+      );
+    }
+
     if (result.sources.length > 0) {
       console.log(`📎 Sources used:`);
       for (const source of result.sources) {
@@ -21,8 +21,8 @@
  * RUN THIS: npm run demo:sentiment
  */
 
-import { createAIClient } from '../../clients/client-factory.js';
 import { providerUtils } from '../../config.js';
+import { SentimentAnalyzer } from './sentiment-analyzer.js';
 
 // =============================================================================
 // SAMPLE CUSTOMER FEEDBACK
@@ -66,173 +66,6 @@ const SAMPLE_FEEDBACK = [
   },
 ];
 
-// =============================================================================
-// SENTIMENT ANALYZER CLASS
-// =============================================================================
-
-/**
- * SentimentAnalyzer - Analyzes customer feedback using AI
- *
- * Provides:
- * - Sentiment detection (positive/negative/neutral)
- * - Emotion identification
- * - Topic extraction
- * - Priority assessment
- * - Response suggestions
- */
-class SentimentAnalyzer {
-  constructor() {
-    this.client = createAIClient('openai');
-  }
-
-  /**
-   * Analyze a single piece of feedback
-   * @param {string} text - The feedback text to analyze
-   * @param {string} source - Where the feedback came from (optional)
-   * @returns {Promise<Object>} Analysis results
-   */
-  async analyze(text, source = 'Unknown') {
-    const analysisPrompt = `Analyze this customer feedback and provide a detailed assessment.
-
-FEEDBACK SOURCE: ${source}
-FEEDBACK TEXT: "${text}"
-
-Analyze and return a JSON object with:
-{
-  "sentiment": {
-    "label": "positive" | "negative" | "neutral" | "mixed",
-    "score": 0.0 to 1.0 (0 = very negative, 1 = very positive),
-    "confidence": 0.0 to 1.0
-  },
-  "emotions": ["list of detected emotions like happy, frustrated, confused, grateful, angry"],
-  "topics": ["list of main topics mentioned"],
-  "urgency": {
-    "level": "low" | "medium" | "high" | "critical",
-    "reason": "why this urgency level"
-  },
-  "keyPoints": ["bullet points of main customer concerns or praises"],
-  "suggestedAction": "what action should be taken",
-  "suggestedResponse": "a brief suggested response to the customer"
-}
-
-Be accurate and helpful. Return valid JSON only.`;
-
-    const messages = [
-      {
-        role: 'system',
-        content:
-          'You are a customer feedback analyst. Analyze sentiment accurately and provide actionable insights. Always respond with valid JSON.',
-      },
-      { role: 'user', content: analysisPrompt },
-    ];
-
-    const chatOptions = { temperature: 0.2 }; // Low temperature for consistent analysis
-
-    // Use JSON mode if available
-    if (this.client.provider !== 'claude') {
-      chatOptions.response_format = { type: 'json_object' };
-    }
-
-    const response = await this.client.chat(messages, chatOptions);
-    const analysisText = this.client.getTextContent(response);
-
-    try {
-      return JSON.parse(analysisText);
-    } catch {
-      // Fallback if JSON parsing fails
-      return {
-        sentiment: { label: 'unknown', score: 0.5, confidence: 0 },
-        emotions: [],
-        topics: [],
-        urgency: { level: 'medium', reason: 'Unable to analyze' },
-        keyPoints: ['Analysis failed'],
-        suggestedAction: 'Review manually',
-        suggestedResponse: '',
-        parseError: true,
-      };
-    }
-  }
-
-  /**
-   * Analyze multiple pieces of feedback and get summary statistics
-   * @param {Array} feedbackItems - Array of { text, source } objects
-   * @returns {Promise<Object>} Batch analysis with summary
-   */
-  async analyzeBatch(feedbackItems) {
-    console.log(`\n📊 Analyzing ${feedbackItems.length} feedback items...\n`);
-
-    const results = [];
-
-    for (let i = 0; i < feedbackItems.length; i++) {
-      const item = feedbackItems[i];
-      console.log(`   Processing ${i + 1}/${feedbackItems.length}...`);
-
-      const analysis = await this.analyze(item.text, item.source);
-      results.push({
-        ...item,
-        analysis,
-      });
-    }
-
-    // Calculate summary statistics
-    const summary = this.calculateSummary(results);
-
-    return {
-      results,
-      summary,
-    };
-  }
-
-  /**
-   * Calculate summary statistics from analyzed feedback
-   */
-  calculateSummary(results) {
-    const sentiments = results.map((r) => r.analysis.sentiment);
-    const urgencies = results.map((r) => r.analysis.urgency);
-
-    // Count sentiments
-    const sentimentCounts = {
-      positive: sentiments.filter((s) => s.label === 'positive').length,
-      negative: sentiments.filter((s) => s.label === 'negative').length,
-      neutral: sentiments.filter((s) => s.label === 'neutral').length,
-      mixed: sentiments.filter((s) => s.label === 'mixed').length,
-    };
-
-    // Calculate average sentiment score
-    const avgScore = sentiments.reduce((sum, s) => sum + (s.score || 0.5), 0) / sentiments.length;
-
-    // Count urgencies
-    const urgencyCounts = {
-      critical: urgencies.filter((u) => u.level === 'critical').length,
-      high: urgencies.filter((u) => u.level === 'high').length,
-      medium: urgencies.filter((u) => u.level === 'medium').length,
-      low: urgencies.filter((u) => u.level === 'low').length,
-    };
-
-    // Collect all topics
-    const allTopics = results.flatMap((r) => r.analysis.topics || []);
-    const topicCounts = {};
-    for (const topic of allTopics) {
-      const normalizedTopic = topic.toLowerCase();
-      topicCounts[normalizedTopic] = (topicCounts[normalizedTopic] || 0) + 1;
-    }
-
-    // Sort topics by frequency
-    const topTopics = Object.entries(topicCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
-
-    return {
-      totalFeedback: results.length,
-      sentimentBreakdown: sentimentCounts,
-      averageSentimentScore: avgScore,
-      urgencyBreakdown: urgencyCounts,
-      topTopics,
-      needsImmediateAttention: urgencyCounts.critical + urgencyCounts.high,
-    };
-  }
-}
-
 // =============================================================================
 // DEMO
 // =============================================================================
@@ -307,6 +140,8 @@ async function sentimentAnalysisDemo() {
   console.log('📊 PART 2: BATCH ANALYSIS WITH SUMMARY');
   console.log('-'.repeat(60));
 
+  // For thousands of items, analyzeBatch(items, { batchApi: true }) submits one
+  // provider batch job instead of live calls, at half the price
   const batchResults = await analyzer.analyzeBatch(SAMPLE_FEEDBACK);
 
   console.log('');
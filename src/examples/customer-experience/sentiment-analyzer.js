@@ -0,0 +1,221 @@
+import { createAIClient } from '../../clients/client-factory.js';
+import { BatchJobClient } from '../../clients/batch-job-client.js';
+
+/**
+ * SentimentAnalyzer - Analyzes customer feedback using AI
+ *
+ * Provides:
+ * - Sentiment detection (positive/negative/neutral)
+ * - Emotion identification
+ * - Topic extraction
+ * - Priority assessment
+ * - Response suggestions
+ */
+export class SentimentAnalyzer {
+  /**
+   * @param {Object} [client] - AI client (defaults to createAIClient('openai'))
+   */
+  constructor(client = createAIClient('openai')) {
+    this.client = client;
+  }
+
+  /**
+   * Build the analysis request for a piece of feedback
+   * @param {string} text - The feedback text to analyze
+   * @param {string} source - Where the feedback came from
+   * @returns {{messages: Array, options: Object}} Chat messages and options
+   */
+  buildRequest(text, source) {
+    const analysisPrompt = `Analyze this customer feedback and provide a detailed assessment.
+
+FEEDBACK SOURCE: ${source}
+FEEDBACK TEXT: "${text}"
+
+Analyze and return a JSON object with:
+{
+  "sentiment": {
+    "label": "positive" | "negative" | "neutral" | "mixed",
+    "score": 0.0 to 1.0 (0 = very negative, 1 = very positive),
+    "confidence": 0.0 to 1.0
+  },
+  "emotions": ["list of detected emotions like happy, frustrated, confused, grateful, angry"],
+  "topics": ["list of main topics mentioned"],
+  "urgency": {
+    "level": "low" | "medium" | "high" | "critical",
+    "reason": "why this urgency level"
+  },
+  "keyPoints": ["bullet points of main customer concerns or praises"],
+  "suggestedAction": "what action should be taken",
+  "suggestedResponse": "a brief suggested response to the customer"
+}
+
+Be accurate and helpful. Return valid JSON only.`;
+
+    const messages = [
+      {
+        role: 'system',
+        content:
+          'You are a customer feedback analyst. Analyze sentiment accurately and provide actionable insights. Always respond with valid JSON.',
+      },
+      { role: 'user', content: analysisPrompt },
+    ];
+
+    const chatOptions = { temperature: 0.2 }; // Low temperature for consistent analysis
+
+    // Use JSON mode if available
+    if (this.client.provider !== 'claude') {
+      chatOptions.response_format = { type: 'json_object' };
+    }
+
+    return { messages, options: chatOptions };
+  }
+
+  /**
+   * Parse the model's JSON analysis
+   * @param {string} analysisText - Model output
+   * @returns {Object} Analysis results (a placeholder with parseError when invalid)
+   */
+  parseAnalysis(analysisText) {
+    try {
+      return JSON.parse(analysisText);
+    } catch {
+      // Fallback if JSON parsing fails
+      return {
+        sentiment: { label: 'unknown', score: 0.5, confidence: 0 },
+        emotions: [],
+        topics: [],
+        urgency: { level: 'medium', reason: 'Unable to analyze' },
+        keyPoints: ['Analysis failed'],
+        suggestedAction: 'Review manually',
+        suggestedResponse: '',
+        parseError: true,
+      };
+    }
+  }
+
+  /**
+   * Analyze a single piece of feedback
+   * @param {string} text - The feedback text to analyze
+   * @param {string} source - Where the feedback came from (optional)
+   * @returns {Promise<Object>} Analysis results
+   */
+  async analyze(text, source = 'Unknown') {
+    const { messages, options } = this.buildRequest(text, source);
+    const response = await this.client.chat(messages, options);
+    return this.parseAnalysis(this.client.getTextContent(response));
+  }
+
+  /**
+   * Analyze multiple pieces of feedback and get summary statistics
+   * @param {Array} feedbackItems - Array of { text, source } objects
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.batchApi=false] - Submit all items as one provider batch job:
+   *   half the price, but results take minutes to hours (OpenAI and Claude only)
+   * @param {number} [options.pollIntervalMs] - Batch job status check interval
+   * @returns {Promise<Object>} Batch analysis with summary
+   */
+  async analyzeBatch(feedbackItems, options = {}) {
+    console.log(`\n📊 Analyzing ${feedbackItems.length} feedback items...\n`);
+
+    let results = [];
+
+    if (options.batchApi) {
+      results = await this.analyzeWithBatchApi(feedbackItems, options);
+    } else {
+      for (let i = 0; i < feedbackItems.length; i++) {
+        const item = feedbackItems[i];
+        console.log(`   Processing ${i + 1}/${feedbackItems.length}...`);
+
+        const analysis = await this.analyze(item.text, item.source);
+        results.push({
+          ...item,
+          analysis,
+        });
+      }
+    }
+
+    // Calculate summary statistics
+    const summary = this.calculateSummary(results);
+
+    return {
+      results,
+      summary,
+    };
+  }
+
+  /**
+   * Analyze feedback through the provider's batch API
+   * @param {Array} feedbackItems - Array of { text, source } objects
+   * @param {Object} options - Batch options (pollIntervalMs)
+   * @returns {Promise<Array>} Feedback items with their analysis, in input order
+   */
+  async analyzeWithBatchApi(feedbackItems, { pollIntervalMs } = {}) {
+    const batches = new BatchJobClient(this.client, { pollIntervalMs });
+    const requests = feedbackItems.map((item, index) => ({
+      customId: `feedback-${index}`,
+      ...this.buildRequest(item.text, item.source || 'Unknown'),
+    }));
+
+    const batchResults = await batches.run(requests, {
+      onProgress: (job) =>
+        console.log(
+          `   Batch ${job.id}: ${job.status} (${job.counts.succeeded + job.counts.failed}/${job.counts.total})`
+        ),
+    });
+
+    return feedbackItems.map((item, index) => {
+      const { response, error } = batchResults[index];
+      const analysis = this.parseAnalysis(error ? '' : this.client.getTextContent(response));
+      return { ...item, analysis, ...(error && { batchError: error }) };
+    });
+  }
+
+  /**
+   * Calculate summary statistics from analyzed feedback
+   */
+  calculateSummary(results) {
+    const sentiments = results.map((r) => r.analysis.sentiment);
+    const urgencies = results.map((r) => r.analysis.urgency);
+
+    // Count sentiments
+    const sentimentCounts = {
+      positive: sentiments.filter((s) => s.label === 'positive').length,
+      negative: sentiments.filter((s) => s.label === 'negative').length,
+      neutral: sentiments.filter((s) => s.label === 'neutral').length,
+      mixed: sentiments.filter((s) => s.label === 'mixed').length,
+    };
+
+    // Calculate average sentiment score
+    const avgScore = sentiments.reduce((sum, s) => sum + (s.score || 0.5), 0) / sentiments.length;
+
+    // Count urgencies
+    const urgencyCounts = {
+      critical: urgencies.filter((u) => u.level === 'critical').length,
+      high: urgencies.filter((u) => u.level === 'high').length,
+      medium: urgencies.filter((u) => u.level === 'medium').length,
+      low: urgencies.filter((u) => u.level === 'low').length,
+    };
+
+    // Collect all topics
+    const allTopics = results.flatMap((r) => r.analysis.topics || []);
+    const topicCounts = {};
+    for (const topic of allTopics) {
+      const normalizedTopic = topic.toLowerCase();
+      topicCounts[normalizedTopic] = (topicCounts[normalizedTopic] || 0) + 1;
+    }
+
+    // Sort topics by frequency
+    const topTopics = Object.entries(topicCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5);
+
+    return {
+      totalFeedback: results.length,
+      sentimentBreakdown: sentimentCounts,
+      averageSentimentScore: avgScore,
+      urgencyBreakdown: urgencyCounts,
+      topTopics,
+      needsImmediateAttention: urgencyCounts.critical + urgencyCounts.high,
+    };
+  }
+}
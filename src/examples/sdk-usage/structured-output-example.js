@@ -79,20 +79,37 @@ async function structuredOutputExample() {
 
   if (providerUtils.isProviderAvailable('openai')) {
     const chatService = new ChatService('openai');
-    const productPrompt = `Generate a product catalog with 3 products. Each product should have:
-    - name (string)
-    - price (number)
-    - category (string)
-    - description (string)
-    - in_stock (boolean)
-    - tags (array of strings)
+    const productPrompt = 'Generate a product catalog with 3 products.';
 
-    Return as a JSON object with a "products" array.`;
+    // The schema is sent as a native JSON schema and checked locally;
+    // invalid output is sent back to the model with the errors to fix
+    const catalogSchema = {
+      type: 'object',
+      properties: {
+        products: {
+          type: 'array',
+          minItems: 3,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              price: { type: 'number', minimum: 0 },
+              category: { type: 'string' },
+              description: { type: 'string' },
+              in_stock: { type: 'boolean' },
+              tags: { type: 'array', items: { type: 'string' } },
+            },
+            required: ['name', 'price', 'category', 'description', 'in_stock', 'tags'],
+          },
+        },
+      },
+      required: ['products'],
+    };
 
     try {
       const catalog = await chatService.getStructuredOutput(
         [{ role: 'user', content: productPrompt }],
-        defaultOptions.getDefaultOptions()
+        { ...defaultOptions.getDefaultOptions(), schema: catalogSchema, schemaName: 'catalog' }
       );
       console.log(JSON.stringify(catalog, null, 2));
     } catch (error) {
@@ -1,4 +1,6 @@
 import { createAIClient } from '../../../clients/client-factory.js';
+import { BudgetExceededError } from '../../../clients/budget-manager.js';
+import { withCostTags } from '../../../utils/cost-attribution.js';
 
 /**
  * Autonomous Goal-Driven Agent
@@ -121,11 +123,16 @@ export class AutonomousAgent {
    * Create an autonomous agent
    * @param {string} provider - AI provider
    * @param {Object} options - Configuration
+   * @param {import('../../../clients/ai-client-interface.js').AIClientInterface} [options.client] - Optional
+   *   client instance, e.g. a CostTrackingClient with budgets
+   * @param {Object<string, string>} [options.costTags={agent: 'autonomous-agent'}] - Cost
+   *   attribution tags for every model call the agent makes
    */
   constructor(provider = 'openai', options = {}) {
     this.provider = provider;
-    this.client = createAIClient(provider);
+    this.client = options.client || createAIClient(provider);
     this.verbose = options.verbose !== false;
+    this.costTags = options.costTags ?? { agent: 'autonomous-agent' };
 
     // Core components
     this.goals = new Map();
@@ -341,6 +348,8 @@ Respond with JSON:
 
       return task;
     } catch (error) {
+      // Retrying cannot help once the budget is spent; run() stops the agent
+      if (error instanceof BudgetExceededError) throw error;
       task.error = error.message;
       if (task.attempts < task.maxAttempts) {
         this.taskQueue.push(task); // Retry later
@@ -397,6 +406,8 @@ Respond with JSON: { "achieved": true/false, "progress": 0-100, "reasoning": "..
 
   /**
    * Run the autonomous agent loop
+   * Stops early, without failing, when the client throws BudgetExceededError;
+   * the result's budgetExceeded field then holds the error.
    */
   async run(goalDescription) {
     if (this.verbose) {
@@ -409,6 +420,51 @@ Respond with JSON: { "achieved": true/false, "progress": 0-100, "reasoning": "..
     this.isRunning = true;
     this.iterationCount = 0;
 
+    let budgetExceeded = null;
+    try {
+      await withCostTags(this.costTags, () => this._loop());
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) throw error;
+      budgetExceeded = error;
+      if (this.verbose) {
+        console.log(`\n💸 Budget exhausted, stopping: ${error.message}`);
+      }
+    }
+
+    this.isRunning = false;
+
+    // Final evaluation, unless the budget is already spent
+    let finalEval = {
+      achieved: false,
+      progress: this.goals.get(this.memory.workingMemory.mainGoal)?.progress || 0,
+    };
+    if (!budgetExceeded) {
+      try {
+        finalEval = await withCostTags(this.costTags, () => this.evaluateGoal());
+      } catch (error) {
+        if (!(error instanceof BudgetExceededError)) throw error;
+        budgetExceeded = error;
+      }
+    }
+
+    return {
+      goal: goalDescription,
+      achieved: finalEval.achieved,
+      progress: finalEval.progress,
+      iterations: this.iterationCount,
+      actionsExecuted: this.actionHistory.length,
+      tasksCompleted: this.actionHistory.filter((a) => a.action.type === 'task_completed').length,
+      memorySummary: this.memory.summarize(),
+      actionHistory: this.actionHistory,
+      budgetExceeded,
+    };
+  }
+
+  /**
+   * Think, act and evaluate until the goal is reached or the agent stops
+   * @private
+   */
+  async _loop() {
     // Main autonomous loop
     while (this.isRunning && this.iterationCount < this.maxIterations) {
       this.iterationCount++;
@@ -460,22 +516,6 @@ Respond with JSON: { "achieved": true/false, "progress": 0-100, "reasoning": "..
         }
       }
     }
-
-    this.isRunning = false;
-
-    // Final evaluation
-    const finalEval = await this.evaluateGoal();
-
-    return {
-      goal: goalDescription,
-      achieved: finalEval.achieved,
-      progress: finalEval.progress,
-      iterations: this.iterationCount,
-      actionsExecuted: this.actionHistory.length,
-      tasksCompleted: this.actionHistory.filter((a) => a.action.type === 'task_completed').length,
-      memorySummary: this.memory.summarize(),
-      actionHistory: this.actionHistory,
-    };
   }
 
   /**
@@ -1,6 +1,7 @@
 /**
  * Rate Limited Processor
  * Processes items with rate limiting to avoid API throttling
+ * For requests- and tokens-per-minute limits shared by every agent, see RateLimitedClient
  */
 export class RateLimitedProcessor {
   constructor(client, requestsPerSecond = 2) {
@@ -31,7 +31,7 @@ import { createLogger } from '../../../utils/logger.js';
 export class BrowserSearchAgent {
   /**
    * Create a browser search agent
-   * @param {'openai'|'claude'} [provider='openai'] - AI provider to use
+   * @param {string} [provider='openai'] - AI provider to use (any registered provider)
    * @param {Object} [options] - Configuration options
    * @param {WebSearchProvider} [options.searchProvider] - Custom search provider
    * @param {import('../../../clients/ai-client-interface.js').AIClientInterface} [options.client] - Optional client instance
@@ -42,7 +42,7 @@ export class BrowserSearchAgent {
     this.logger = createLogger('BrowserSearchAgent');
     this.searchProvider = options.searchProvider || this._createMockSearchProvider();
 
-    /** @type {import('../../../clients/ai-client-interface.js').ChatMessage[]} */
+    /** @type {import('../../../clients/message-format.js').Message[]} */
     this.conversationHistory = [];
 
     // Build tool definitions
@@ -54,74 +54,41 @@ export class BrowserSearchAgent {
    * @private
    */
   _buildToolDefinitions() {
+    // Every client accepts tools with a JSON schema under `parameters`
     const tools = [
       {
         name: 'web_search',
         description:
           'Search the web for information. Use this when you need to find current information, facts, or data from the internet.',
-        ...(this.provider === 'openai'
-          ? {
-              parameters: {
-                type: 'object',
-                properties: {
-                  query: {
-                    type: 'string',
-                    description: 'The search query. Be specific and include relevant keywords.',
-                  },
-                  num_results: {
-                    type: 'number',
-                    description: 'Number of results to return (default: 5, max: 10)',
-                  },
-                },
-                required: ['query'],
-              },
-            }
-          : {
-              input_schema: {
-                type: 'object',
-                properties: {
-                  query: {
-                    type: 'string',
-                    description: 'The search query. Be specific and include relevant keywords.',
-                  },
-                  num_results: {
-                    type: 'number',
-                    description: 'Number of results to return (default: 5, max: 10)',
-                  },
-                },
-                required: ['query'],
-              },
-            }),
+        parameters: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'The search query. Be specific and include relevant keywords.',
+            },
+            num_results: {
+              type: 'number',
+              description: 'Number of results to return (default: 5, max: 10)',
+            },
+          },
+          required: ['query'],
+        },
       },
       {
         name: 'read_webpage',
         description:
           'Read and extract the main content from a webpage URL. Use this to get detailed information from a specific page found in search results.',
-        ...(this.provider === 'openai'
-          ? {
-              parameters: {
-                type: 'object',
-                properties: {
-                  url: {
-                    type: 'string',
-                    description: 'The full URL of the webpage to read',
-                  },
-                },
-                required: ['url'],
-              },
-            }
-          : {
-              input_schema: {
-                type: 'object',
-                properties: {
-                  url: {
-                    type: 'string',
-                    description: 'The full URL of the webpage to read',
-                  },
-                },
-                required: ['url'],
-              },
-            }),
+        parameters: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              description: 'The full URL of the webpage to read',
+            },
+          },
+          required: ['url'],
+        },
       },
     ];
 
@@ -390,15 +357,11 @@ When answering questions:
 
 Be thorough but concise in your responses.`;
 
-      if (this.provider === 'claude') {
-        // Claude uses system parameter separately
-        this.systemPrompt = systemPrompt;
-      } else {
-        this.conversationHistory.push({
-          role: 'system',
-          content: systemPrompt,
-        });
-      }
+      // Claude clients lift system messages into their system parameter
+      this.conversationHistory.push({
+        role: 'system',
+        content: systemPrompt,
+      });
     }
 
     // Add user message
@@ -413,96 +376,28 @@ Be thorough but concise in your responses.`;
       iterations++;
 
       // Make API call with tools
-      const response = await this.client.chatWithTools(
-        this.conversationHistory,
-        this.tools,
-        this.provider === 'claude' ? { system: this.systemPrompt } : {}
-      );
-
-      // Check for tool use
-      if (this.client.hasToolUse(response)) {
-        const toolBlocks = this.client.getToolUseBlocks(response);
-        const toolResults = [];
-
-        for (const block of toolBlocks) {
-          let toolName, toolArgs;
-
-          // Handle OpenAI format
-          if (block.function) {
-            toolName = block.function.name;
-            toolArgs = JSON.parse(block.function.arguments);
-          }
-          // Handle Claude format
-          else {
-            toolName = block.name;
-            toolArgs = block.input;
-          }
+      const response = await this.client.chatWithTools(this.conversationHistory, this.tools);
+      const message = this.client.getMessage(response);
+      this.conversationHistory.push(message);
 
-          console.log(`\n🔧 [Tool: ${toolName}]`);
-          if (toolName === 'web_search') {
-            console.log(`   Query: "${toolArgs.query}"`);
-          } else if (toolName === 'read_webpage') {
-            console.log(`   URL: ${toolArgs.url}`);
-          }
-
-          const result = await this._executeTool(toolName, toolArgs);
-
-          // Format result based on provider
-          if (this.provider === 'openai') {
-            toolResults.push({
-              role: 'tool',
-              tool_call_id: block.id,
-              content: result,
-            });
-          } else {
-            toolResults.push({
-              type: 'tool_result',
-              tool_use_id: block.id,
-              content: result,
-            });
-          }
-        }
+      const toolCalls = message.content.filter((part) => part.type === 'tool_call');
+      if (toolCalls.length === 0) {
+        return this.client.getTextContent(response);
+      }
 
-        // Add assistant message and tool results
-        if (this.provider === 'openai') {
-          const message = response.choices?.[0]?.message || {
-            role: 'assistant',
-            content: this.client.getTextContent(response),
-          };
-          this.conversationHistory.push(message);
-          this.conversationHistory.push(...toolResults);
-        } else {
-          this.conversationHistory.push({
-            role: 'assistant',
-            content: response.content,
-          });
-          this.conversationHistory.push({
-            role: 'user',
-            content: toolResults,
-          });
+      const toolResults = [];
+      for (const call of toolCalls) {
+        console.log(`\n🔧 [Tool: ${call.name}]`);
+        if (call.name === 'web_search') {
+          console.log(`   Query: "${call.arguments.query}"`);
+        } else if (call.name === 'read_webpage') {
+          console.log(`   URL: ${call.arguments.url}`);
         }
 
-        continue;
+        const result = await this._executeTool(call.name, call.arguments);
+        toolResults.push({ type: 'tool_result', toolCallId: call.id, content: result });
       }
-
-      // No tool use - return final response
-      const textContent = this.client.getTextContent(response);
-
-      // Add to history
-      if (this.provider === 'openai') {
-        const message = response.choices?.[0]?.message || {
-          role: 'assistant',
-          content: textContent,
-        };
-        this.conversationHistory.push(message);
-      } else {
-        this.conversationHistory.push({
-          role: 'assistant',
-          content: response.content,
-        });
-      }
-
-      return textContent;
+      this.conversationHistory.push({ role: 'tool', content: toolResults });
     }
 
     throw new Error(`Maximum iterations (${maxIterations}) exceeded`);
@@ -513,7 +408,6 @@ Be thorough but concise in your responses.`;
    */
   resetConversation() {
     this.conversationHistory = [];
-    this.systemPrompt = null;
   }
 }
 
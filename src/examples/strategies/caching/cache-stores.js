@@ -0,0 +1,329 @@
+import { createRequire } from 'module';
+import {
+  mkdirSync,
+  readFileSync,
+  readdirSync,
+  renameSync,
+  rmSync,
+  unlinkSync,
+  writeFileSync,
+} from 'fs';
+import { dirname, join } from 'path';
+
+/**
+ * Cache Stores
+ * Storage backends for ResponseCache
+ *
+ * A store keeps cache entries by key. It knows nothing about TTLs or
+ * namespaces beyond the `staleUntil` time used by prune() and the key prefixes
+ * used by deletePrefix(), so any of these can back any ResponseCache:
+ *
+ * - MemoryCacheStore: in-process LRU bounded by entry count and/or bytes
+ * - FileCacheStore: one JSON file per entry in a directory, shared by every
+ *   process that uses the same directory and kept across restarts
+ * - SqliteCacheStore: a single SQLite file, shared and persistent (uses the
+ *   better-sqlite3 package, an optional dependency)
+ *
+ * @typedef {Object} CacheEntry
+ * @property {*} response - Cached response
+ * @property {number} cachedAt - When the entry was stored (ms)
+ * @property {number} expiresAt - After this the entry is stale (ms)
+ * @property {number} staleUntil - After this the entry is dropped (ms)
+ *
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => CacheEntry|undefined} get - Read an entry
+ * @property {(key: string, entry: CacheEntry) => number} set - Write an entry;
+ *   returns how many other entries were evicted to make room
+ * @property {(key: string) => boolean} delete - Remove an entry
+ * @property {(prefix: string) => number} deletePrefix - Remove every key starting
+ *   with prefix; returns how many were removed
+ * @property {(now: number) => number} prune - Remove entries whose staleUntil has
+ *   passed; returns how many were removed
+ * @property {() => void} clear - Remove every entry
+ * @property {number} size - Number of entries
+ */
+
+/**
+ * Size of an entry in bytes, as it would be serialized
+ */
+function entryBytes(key, entry) {
+  return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(entry));
+}
+
+/**
+ * In-memory LRU store
+ * Reading an entry marks it as recently used; the least recently used entries
+ * are evicted once maxEntries or maxBytes is exceeded.
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} [options={}] - Store options
+   * @param {number} [options.maxEntries=Infinity] - Most entries kept
+   * @param {number} [options.maxBytes=Infinity] - Most bytes kept (keys plus
+   *   serialized entries); a single entry larger than this is not stored
+   */
+  constructor({ maxEntries = Infinity, maxBytes = Infinity } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return undefined;
+    }
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  set(key, entry) {
+    this.delete(key);
+    const bytes = entryBytes(key, entry);
+    if (bytes > this.maxBytes) {
+      return 0;
+    }
+
+    this.entries.set(key, { entry, bytes });
+    this.bytes += bytes;
+
+    let evicted = 0;
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+      evicted++;
+    }
+    return evicted;
+  }
+
+  delete(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.bytes -= item.bytes;
+    return true;
+  }
+
+  deletePrefix(prefix) {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix) && this.delete(key)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  prune(now) {
+    let removed = 0;
+    for (const [key, { entry }] of [...this.entries]) {
+      if (now > entry.staleUntil && this.delete(key)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+}
+
+/**
+ * Filesystem store
+ * Each entry is a JSON file named after its key. Writes go to a temporary file
+ * that is then renamed into place, so readers in other processes never see a
+ * partly written entry. Unreadable files are treated as missing and removed.
+ */
+export class FileCacheStore {
+  /**
+   * @param {string} dir - Cache directory (created on first write)
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  get size() {
+    return this._keys().length;
+  }
+
+  /**
+   * Path of the file for a key; the key is percent-encoded so any key is a
+   * valid file name
+   * @private
+   */
+  _file(key) {
+    const name = encodeURIComponent(key).replace(
+      /[!'()*~]/g,
+      (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+    );
+    return join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Keys of the entries on disk
+   * @private
+   */
+  _keys() {
+    let names;
+    try {
+      names = readdirSync(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return names
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => decodeURIComponent(name.slice(0, -'.json'.length)));
+  }
+
+  get(key) {
+    const file = this._file(key);
+    try {
+      return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        rmSync(file, { force: true });
+      }
+      return undefined;
+    }
+  }
+
+  set(key, entry) {
+    const file = this._file(key);
+    const temp = `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    mkdirSync(this.dir, { recursive: true });
+    writeFileSync(temp, JSON.stringify(entry));
+    renameSync(temp, file);
+    return 0;
+  }
+
+  delete(key) {
+    try {
+      unlinkSync(this._file(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  deletePrefix(prefix) {
+    return this._keys().filter((key) => key.startsWith(prefix) && this.delete(key)).length;
+  }
+
+  prune(now) {
+    return this._keys().filter((key) => {
+      const entry = this.get(key);
+      return entry !== undefined && now > entry.staleUntil && this.delete(key);
+    }).length;
+  }
+
+  clear() {
+    for (const key of this._keys()) {
+      this.delete(key);
+    }
+  }
+}
+
+/**
+ * SQLite store
+ * Entries are rows in a single database file. WAL mode and a busy timeout let
+ * several processes read and write the same file. better-sqlite3 is an optional
+ * dependency loaded on first use, so the other stores work even where its
+ * native build is missing.
+ */
+export class SqliteCacheStore {
+  /**
+   * @param {string} path - Database file (created with its directory if missing)
+   * @param {Object} [options={}] - Store options
+   * @param {number} [options.busyTimeoutMs=5000] - How long to wait for another
+   *   process's write lock
+   * @throws {Error} If the better-sqlite3 package cannot be loaded
+   */
+  constructor(path, { busyTimeoutMs = 5000 } = {}) {
+    let Database;
+    try {
+      Database = createRequire(import.meta.url)('better-sqlite3');
+    } catch (error) {
+      throw new Error(
+        `SqliteCacheStore needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`
+      );
+    }
+
+    this.path = path;
+    mkdirSync(dirname(path), { recursive: true });
+    this.db = new Database(path, { timeout: busyTimeoutMs });
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        key TEXT PRIMARY KEY,
+        entry TEXT NOT NULL,
+        stale_until INTEGER NOT NULL
+      );
+    `);
+    this.statements = {
+      get: this.db.prepare('SELECT entry FROM cache_entries WHERE key = ?'),
+      set: this.db.prepare(
+        'INSERT OR REPLACE INTO cache_entries (key, entry, stale_until) VALUES (?, ?, ?)'
+      ),
+      delete: this.db.prepare('DELETE FROM cache_entries WHERE key = ?'),
+      // substr() rather than LIKE, so '%' and '_' in prefixes are not wildcards
+      deletePrefix: this.db.prepare(
+        'DELETE FROM cache_entries WHERE substr(key, 1, length(?)) = ?'
+      ),
+      prune: this.db.prepare('DELETE FROM cache_entries WHERE stale_until < ?'),
+      size: this.db.prepare('SELECT COUNT(*) AS count FROM cache_entries'),
+    };
+  }
+
+  get size() {
+    return Number(this.statements.size.get().count);
+  }
+
+  get(key) {
+    const row = this.statements.get.get(key);
+    return row ? JSON.parse(row.entry) : undefined;
+  }
+
+  set(key, entry) {
+    this.statements.set.run(key, JSON.stringify(entry), entry.staleUntil);
+    return 0;
+  }
+
+  delete(key) {
+    return Number(this.statements.delete.run(key).changes) > 0;
+  }
+
+  deletePrefix(prefix) {
+    return Number(this.statements.deletePrefix.run(prefix, prefix).changes);
+  }
+
+  prune(now) {
+    return Number(this.statements.prune.run(now).changes);
+  }
+
+  clear() {
+    this.db.exec('DELETE FROM cache_entries');
+  }
+
+  /**
+   * Close the database file
+   */
+  close() {
+    this.db.close();
+  }
+}
@@ -1,21 +1,43 @@
+import { SemanticCache } from './semantic-cache.js';
+
 /**
  * Cached AI Client wrapper
  * Wraps AI clients with caching functionality
+ *
+ * With a SemanticCache, paraphrased questions are served from the cache too.
+ * Pass `cacheUserId` in the chat options so answers private to a user (see
+ * SemanticCache) are cached for them; it is not sent to the provider.
+ * The last semantic hit ({ similarity, query, ... }) is kept in lastCacheHit.
+ *
+ * With a ResponseCache using staleWhileRevalidate, stale entries are returned
+ * immediately and refreshed in the background, once per key at a time.
  */
 export class CachedAIClient {
   constructor(client, cache) {
     this.client = client;
     this.cache = cache;
+    this.lastCacheHit = null;
+    // Background refreshes of stale entries, by cache key
+    this.revalidations = new Map();
   }
 
   async chat(messages, options = {}) {
+    if (this.cache instanceof SemanticCache) {
+      return this._semanticChat(messages, options);
+    }
+
     const key = this.cache.generateKey(messages, options);
 
     // Check cache
-    const cached = this.cache.get(key);
+    const cached = this.cache.lookup(key);
     if (cached) {
-      console.log('  💾 Cache HIT');
-      return cached;
+      if (cached.stale) {
+        console.log('  💾 Cache HIT (stale - refreshing in background)');
+        this._revalidate(key, messages, options);
+      } else {
+        console.log('  💾 Cache HIT');
+      }
+      return cached.response;
     }
 
     // Cache miss - make API call
@@ -28,6 +50,44 @@ export class CachedAIClient {
     return response;
   }
 
+  /**
+   * Refresh a stale entry unless a refresh for it is already running.
+   * On failure the stale entry keeps being served until it runs out.
+   * @private
+   */
+  _revalidate(key, messages, options) {
+    if (this.revalidations.has(key)) {
+      return this.revalidations.get(key);
+    }
+    const refresh = this.client
+      .chat(messages, options)
+      .then((response) => this.cache.set(key, response))
+      .catch((error) => console.warn(`  ⚠️ Cache refresh failed: ${error.message}`))
+      .finally(() => this.revalidations.delete(key));
+    this.revalidations.set(key, refresh);
+    return refresh;
+  }
+
+  /**
+   * Chat through a SemanticCache
+   * @private
+   */
+  async _semanticChat(messages, options) {
+    const { cacheUserId: userId, ...requestOptions } = options;
+
+    this.lastCacheHit = await this.cache.lookup(messages, requestOptions, { userId });
+    if (this.lastCacheHit) {
+      console.log(`  💾 Cache HIT (similarity ${this.lastCacheHit.similarity.toFixed(3)})`);
+      return this.lastCacheHit.response;
+    }
+
+    console.log('  🔄 Cache MISS - calling API');
+    const response = await this.client.chat(messages, requestOptions);
+    await this.cache.store(messages, response, requestOptions, { userId });
+
+    return response;
+  }
+
   async chatStream(messages, onChunk, options = {}) {
     // Streaming responses typically shouldn't be cached
     // But we can cache the final result if needed
@@ -1,6 +1,12 @@
 import { createAIClient } from '../../clients/client-factory.js';
 import { providerUtils } from '../../config.js';
 import crypto from 'crypto';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SemanticCache } from './semantic-cache.js';
+import { ResponseCache as StoreBackedCache } from './response-cache.js';
+import { FileCacheStore, MemoryCacheStore } from './cache-stores.js';
 
 /**
  * Response Caching Example
@@ -297,6 +303,62 @@ async function cachingExample() {
     console.log(`  Savings: ${savings.savingsPercent}`);
   }
 
+  console.log('\n');
+
+  // Example 5: Semantic Caching
+  console.log('5️⃣ Semantic Caching (reworded questions):');
+  console.log('-'.repeat(60));
+
+  if (providerUtils.isProviderAvailable('openai')) {
+    const openaiClient = createAIClient('openai');
+    const semanticCache = new SemanticCache(openaiClient, { threshold: 0.9 });
+    const system = { role: 'system', content: 'You are a concise support assistant.' };
+
+    for (const question of [
+      'How do I reset my password?',
+      'how can I reset my password',
+      'What payment methods do you accept?',
+    ]) {
+      const messages = [system, { role: 'user', content: question }];
+      const hit = await semanticCache.lookup(messages);
+      if (hit) {
+        console.log(`  💾 "${question}" matched "${hit.query}" (${hit.similarity.toFixed(3)})`);
+        continue;
+      }
+      console.log(`  🔄 "${question}" - calling API`);
+      await semanticCache.store(messages, await openaiClient.chat(messages));
+    }
+    console.log(`  Hit Rate: ${semanticCache.getStats().hitRate}`);
+  }
+
+  console.log('\n');
+
+  // Example 6: Cache Backends
+  console.log('6️⃣ Cache Backends (bounded memory, shared files, namespaces):');
+  console.log('-'.repeat(60));
+
+  // An LRU that keeps at most 2 responses
+  const lru = new StoreBackedCache(60000, { store: new MemoryCacheStore({ maxEntries: 2 }) });
+  ['first', 'second', 'third'].forEach((key) => lru.set(key, `Answer for ${key}`));
+  console.log(`  LRU: kept ${lru.getStats().size}, evicted ${lru.getStats().evictions}`);
+
+  // Two caches on one directory, like two processes or a restart
+  const dir = mkdtempSync(join(tmpdir(), 'ai-agents-cache-'));
+  const writer = new StoreBackedCache(60000, {
+    store: new FileCacheStore(dir),
+    namespace: 'faq-v1',
+  });
+  writer.set('refund-policy', 'Refunds within 30 days.');
+  const reader = new StoreBackedCache(60000, {
+    store: new FileCacheStore(dir),
+    namespace: 'faq-v1',
+  });
+  console.log(`  Shared file store: ${reader.get('refund-policy')}`);
+
+  // The FAQ changed: drop every answer in its namespace
+  console.log(`  Invalidated ${reader.invalidateNamespace()} entry in 'faq-v1'`);
+  console.log(`  After invalidation: ${writer.get('refund-policy')}`);
+
   console.log('\n💡 Caching Best Practices:');
   console.log('-'.repeat(60));
   console.log('1. Cache static content (definitions, explanations)');
@@ -304,9 +366,10 @@ async function cachingExample() {
   console.log('3. Use appropriate TTL based on content type');
   console.log('4. Implement cache invalidation for dynamic content');
   console.log('5. Monitor cache hit rates and adjust strategy');
-  console.log('6. Consider cache size limits for memory management');
-  console.log('7. Use distributed caching for multi-instance deployments');
+  console.log('6. Bound in-memory caches by entries and bytes in long-running servers');
+  console.log('7. Use a shared store (files, SQLite) for multi-instance deployments');
   console.log('8. Cache at multiple levels (application, CDN, database)');
+  console.log('9. Never share personalized or tool-based answers between users');
 }
 
 cachingExample().catch(console.error);
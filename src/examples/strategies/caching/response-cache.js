@@ -1,33 +1,66 @@
 import crypto from 'crypto';
+import { normalizeMessages } from '../../../utils/request-hash.js';
+import { MemoryCacheStore } from './cache-stores.js';
 
 /**
  * Response Cache
  * Caches AI responses to reduce costs and improve latency
+ *
+ * Entries live in a pluggable store (see cache-stores.js): an in-memory LRU by
+ * default, or a FileCacheStore / SqliteCacheStore to share the cache between
+ * processes and keep it across restarts. Keys are prefixed with the cache's
+ * namespace, so several caches can share one store and each namespace can be
+ * invalidated on its own (e.g. when a prompt template or knowledge base changes).
+ *
+ * With staleWhileRevalidate, an expired entry is still served for that long
+ * while it is refreshed; lookup() reports it as stale, and CachedAIClient
+ * refreshes it in the background.
+ *
+ * @example
+ * const cache = new ResponseCache(3600000, {
+ *   store: new FileCacheStore('.cache/responses'),
+ *   namespace: 'faq-v2',
+ *   staleWhileRevalidate: 600000,
+ * });
  */
 export class ResponseCache {
-  constructor(ttl = 3600000) {
+  /**
+   * @param {number} [ttl=3600000] - Time to live in ms (default 1 hour)
+   * @param {Object} [options={}] - Cache options
+   * @param {import('./cache-stores.js').CacheStore} [options.store] - Storage backend
+   *   (default: a MemoryCacheStore bounded by maxEntries and maxBytes)
+   * @param {number} [options.maxEntries=1000] - Most entries kept by the default store
+   * @param {number} [options.maxBytes=Infinity] - Most bytes kept by the default store
+   * @param {string} [options.namespace='default'] - Namespace of this cache's keys
+   * @param {number} [options.staleWhileRevalidate=0] - How long (ms) expired entries
+   *   are still served while they are refreshed
+   */
+  constructor(ttl = 3600000, options = {}) {
     // 1 hour default TTL
-    this.cache = new Map();
+    this.cache =
+      options.store ??
+      new MemoryCacheStore({
+        maxEntries: options.maxEntries ?? 1000,
+        maxBytes: options.maxBytes ?? Infinity,
+      });
     this.ttl = ttl;
+    this.namespace = options.namespace ?? 'default';
+    this.staleWhileRevalidate = options.staleWhileRevalidate ?? 0;
     this.stats = {
       hits: 0,
       misses: 0,
       evictions: 0,
     };
+    this.staleHits = 0;
   }
 
   /**
    * Generate cache key from messages
    */
   generateKey(messages, options = {}) {
-    // Normalize messages (remove timestamps, etc.)
-    const normalized = messages.map((msg) => ({
-      role: msg.role,
-      content: msg.content,
-    }));
-
     const keyData = JSON.stringify({
-      messages: normalized,
+      // Normalize messages (remove timestamps, etc.)
+      messages: normalizeMessages(messages),
       model: options.model || 'default',
       temperature: options.temperature || 0.7,
     });
@@ -36,45 +69,103 @@ export class ResponseCache {
   }
 
   /**
-   * Get cached response
+   * Key in the store for a cache key
+   * @private
    */
-  get(key) {
-    const entry = this.cache.get(key);
+  _storeKey(key, namespace = this.namespace) {
+    return `${namespace}:${key}`;
+  }
+
+  /**
+   * Look up a cached entry, including stale ones
+   * @param {string} key - Cache key
+   * @returns {{response: *, stale: boolean, cachedAt: number}|null} The entry, with
+   *   stale set once its TTL has passed, or null on a miss
+   */
+  lookup(key) {
+    const storeKey = this._storeKey(key);
+    const entry = this.cache.get(storeKey);
 
     if (!entry) {
       this.stats.misses++;
       return null;
     }
 
-    // Check if expired
-    if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
+    // Check if expired, including the stale-while-revalidate window
+    const now = Date.now();
+    if (now > entry.staleUntil) {
+      this.cache.delete(storeKey);
       this.stats.misses++;
       this.stats.evictions++;
       return null;
     }
 
+    const stale = now > entry.expiresAt;
     this.stats.hits++;
-    return entry.response;
+    if (stale) {
+      this.staleHits++;
+    }
+    return { response: entry.response, stale, cachedAt: entry.cachedAt };
+  }
+
+  /**
+   * Get cached response
+   */
+  get(key) {
+    const entry = this.lookup(key);
+    return entry ? entry.response : null;
   }
 
   /**
    * Set cached response
    */
   set(key, response) {
-    this.cache.set(key, {
+    const now = Date.now();
+    this.stats.evictions += this.cache.set(this._storeKey(key), {
       response,
-      expiresAt: Date.now() + this.ttl,
-      cachedAt: Date.now(),
+      expiresAt: now + this.ttl,
+      staleUntil: now + this.ttl + this.staleWhileRevalidate,
+      cachedAt: now,
     });
   }
 
+  /**
+   * Remove a cached response
+   * @param {string} key - Cache key
+   * @returns {boolean} Whether there was an entry
+   */
+  delete(key) {
+    return this.cache.delete(this._storeKey(key));
+  }
+
+  /**
+   * Remove every entry in a namespace, from every process sharing the store
+   * @param {string} [namespace] - Namespace to invalidate (default: this cache's)
+   * @returns {number} Number of entries removed
+   */
+  invalidateNamespace(namespace = this.namespace) {
+    return this.cache.deletePrefix(this._storeKey('', namespace));
+  }
+
+  /**
+   * Remove entries that can no longer be served. Expired entries are otherwise
+   * only removed when they are looked up, so call this periodically for
+   * persistent stores.
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    const removed = this.cache.prune(Date.now());
+    this.stats.evictions += removed;
+    return removed;
+  }
+
   /**
    * Clear cache
    */
   clear() {
-    this.cache.clear();
+    this.invalidateNamespace();
     this.stats = { hits: 0, misses: 0, evictions: 0 };
+    this.staleHits = 0;
   }
 
   /**
@@ -86,6 +177,7 @@ export class ResponseCache {
 
     return {
       ...this.stats,
+      staleHits: this.staleHits,
       hitRate: `${hitRate}%`,
       size: this.cache.size,
     };
@@ -0,0 +1,273 @@
+import { hashRequest, normalizeMessages } from '../../../utils/request-hash.js';
+import { cosineSimilarity } from '../../../utils/similarity-utils.js';
+
+// Emails, phone numbers and long account/order numbers
+const PERSONAL_DATA_PATTERNS = [
+  /[\w.+-]+@[\w-]+\.[\w.-]+/,
+  /\+?\d[\d\s().-]{7,}\d/,
+  /\b[A-Z]{0,4}-?\d{6,}\b/i,
+];
+
+/**
+ * Text of a message's content (string or content parts)
+ */
+function contentText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (content || [])
+    .filter((part) => part.type === 'text')
+    .map((part) => part.text)
+    .join('\n');
+}
+
+/**
+ * Answer text of a raw response (OpenAI or Claude format)
+ */
+function responseText(response) {
+  return contentText(response?.choices?.[0]?.message?.content ?? response?.content);
+}
+
+/**
+ * Whether a raw response (OpenAI or Claude format) asked for tool calls
+ */
+function responseUsesTools(response) {
+  return !!(
+    response?.choices?.[0]?.message?.tool_calls?.length ||
+    (Array.isArray(response?.content) && response.content.some((b) => b.type === 'tool_use'))
+  );
+}
+
+/**
+ * Default personalization check: the question or the answer contains
+ * personal data such as an email address, phone number or account number
+ * @param {string} query - The user's question
+ * @param {Object} response - The response to cache
+ * @returns {boolean} True if the answer may be specific to one user
+ */
+export function containsPersonalData(query, response) {
+  const text = `${query}\n${responseText(response)}`;
+  return PERSONAL_DATA_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+/**
+ * Semantic Cache
+ * Serves a cached answer when a new question means the same as an earlier one,
+ * e.g. "How do I reset my password?" and "how can I reset my password".
+ *
+ * The last user message (or an explicit query) is normalized and embedded with
+ * the client's getEmbeddings(); the nearest cached question above the
+ * similarity threshold is a hit. Entries only match requests with the same
+ * system prompt, earlier turns, model and tool set.
+ *
+ * Answers that may be specific to one user are kept private to that user:
+ * answers to requests with tools or that called tools, answers marked
+ * `personalized`, and answers that fail the isPersonalized check (by default,
+ * ones containing emails, phone or account numbers). Private answers are never
+ * served to another user, and are not cached at all without a userId.
+ *
+ * @example
+ * const cache = new SemanticCache(createAIClient('openai'), { threshold: 0.9 });
+ * const hit = await cache.lookup(messages, {}, { userId: 'u-1' });
+ * if (hit) return hit.response; // hit.similarity, hit.query
+ * const response = await client.chat(messages);
+ * await cache.store(messages, response, {}, { userId: 'u-1' });
+ */
+export class SemanticCache {
+  /**
+   * @param {Object} client - Client with getEmbeddings() (any AIClientInterface)
+   * @param {Object} [options={}] - Cache options
+   * @param {number} [options.threshold=0.9] - Minimum cosine similarity for a hit
+   * @param {number} [options.ttl=3600000] - Time to live in ms (default 1 hour)
+   * @param {number} [options.maxEntries=1000] - Oldest entries are evicted beyond this
+   * @param {string} [options.embeddingModel] - Embedding model (default: the client's)
+   * @param {(query: string, response: Object) => boolean} [options.isPersonalized] - Marks
+   *   answers that must stay private to one user (default: containsPersonalData)
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.threshold = options.threshold ?? 0.9;
+    this.ttl = options.ttl ?? 3600000;
+    this.maxEntries = options.maxEntries ?? 1000;
+    this.embeddingModel = options.embeddingModel ?? null;
+    this.isPersonalized = options.isPersonalized ?? containsPersonalData;
+    this.entries = [];
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      skipped: 0,
+    };
+    // Embedding of the last looked-up query, reused when that query is stored
+    this.lastEmbedding = null;
+  }
+
+  /**
+   * Normalize a question for matching: case, punctuation and whitespace are ignored
+   * @param {string} text - Question text
+   * @returns {string} Normalized text
+   */
+  normalizeQuery(text) {
+    return text
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Key of the context a question is asked in: system prompt, earlier turns,
+   * model (the client's unless options.model is set) and tools. Only entries
+   * with the same scope can match.
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} [options={}] - Request options (model, tools)
+   * @returns {string} Scope key
+   */
+  scopeKey(messages, options = {}) {
+    const lastUser = messages.findLastIndex((message) => message.role === 'user');
+    return hashRequest({
+      context: normalizeMessages(messages.filter((_, index) => index !== lastUser)),
+      model: options.model || this.client.model || 'default',
+      tools: (options.tools || []).map((tool) => tool.function ?? tool),
+    });
+  }
+
+  /**
+   * The question to match: the explicit query, or the last user message
+   * @private
+   */
+  _query(messages, query) {
+    return query ?? contentText(messages.findLast((m) => m.role === 'user')?.content);
+  }
+
+  /**
+   * Embed a normalized question, reusing the last embedding for the same text
+   * @private
+   */
+  async _embed(query) {
+    if (this.lastEmbedding?.query !== query) {
+      const [embedding] = await this.client.getEmbeddings(query, this.embeddingModel);
+      this.lastEmbedding = { query, embedding };
+    }
+    return this.lastEmbedding.embedding;
+  }
+
+  /**
+   * Find a cached answer for a question
+   * @param {Array<Object>} messages - Chat messages; the last user message is the question
+   * @param {Object} [options={}] - Request options (model, tools)
+   * @param {Object} [lookupOptions={}] - Lookup options
+   * @param {string} [lookupOptions.userId] - User asking; private answers only match their owner
+   * @param {string} [lookupOptions.query] - Question to match instead of the last user message
+   * @returns {Promise<{response: Object, similarity: number, query: string, cachedAt: number}|null>}
+   *   The cached answer and how similar its question was, or null on a miss
+   */
+  async lookup(messages, options = {}, { userId, query } = {}) {
+    const normalized = this.normalizeQuery(this._query(messages, query));
+    const scope = this.scopeKey(messages, options);
+    const now = Date.now();
+
+    const expired = this.entries.filter((entry) => now > entry.expiresAt);
+    if (expired.length > 0) {
+      this.entries = this.entries.filter((entry) => now <= entry.expiresAt);
+      this.stats.evictions += expired.length;
+    }
+
+    const candidates = this.entries.filter(
+      (entry) => entry.scope === scope && (entry.owner === null || entry.owner === userId)
+    );
+    let best = null;
+    if (candidates.length > 0 && normalized) {
+      // Identical questions match without an embedding call
+      const exact = candidates.find((entry) => entry.query === normalized);
+      if (exact) {
+        best = { entry: exact, similarity: 1 };
+      } else {
+        const embedding = await this._embed(normalized);
+        for (const entry of candidates) {
+          const similarity = cosineSimilarity(embedding, entry.embedding);
+          if (similarity >= this.threshold && similarity > (best?.similarity ?? -1)) {
+            best = { entry, similarity };
+          }
+        }
+      }
+    }
+
+    if (!best) {
+      this.stats.misses++;
+      return null;
+    }
+    this.stats.hits++;
+    return {
+      response: best.entry.response,
+      similarity: best.similarity,
+      query: best.entry.query,
+      cachedAt: best.entry.cachedAt,
+    };
+  }
+
+  /**
+   * Cache an answer
+   * @param {Array<Object>} messages - Chat messages the answer was generated for
+   * @param {Object} response - The response to cache
+   * @param {Object} [options={}] - Request options (model, tools)
+   * @param {Object} [storeOptions={}] - Store options
+   * @param {string} [storeOptions.userId] - User the answer was generated for
+   * @param {string} [storeOptions.query] - Question to index instead of the last user message
+   * @param {boolean} [storeOptions.personalized] - Whether the answer is specific to the user
+   *   (default: the isPersonalized check)
+   * @returns {Promise<boolean>} False if the answer was private and there was no userId
+   */
+  async store(messages, response, options = {}, { userId, query, personalized } = {}) {
+    const question = this._query(messages, query);
+    const normalized = this.normalizeQuery(question);
+    const isPrivate =
+      (options.tools || []).length > 0 ||
+      responseUsesTools(response) ||
+      (personalized ?? this.isPersonalized(question, response));
+    if (!normalized || (isPrivate && !userId)) {
+      this.stats.skipped++;
+      return false;
+    }
+
+    const now = Date.now();
+    this.entries.push({
+      scope: this.scopeKey(messages, options),
+      owner: isPrivate ? userId : null,
+      query: normalized,
+      embedding: await this._embed(normalized),
+      response,
+      cachedAt: now,
+      expiresAt: now + this.ttl,
+    });
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+      this.stats.evictions++;
+    }
+    return true;
+  }
+
+  /**
+   * Clear cache
+   */
+  clear() {
+    this.entries = [];
+    this.lastEmbedding = null;
+    this.stats = { hits: 0, misses: 0, evictions: 0, skipped: 0 };
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    const hitRate = total > 0 ? ((this.stats.hits / total) * 100).toFixed(2) : 0;
+
+    return {
+      ...this.stats,
+      hitRate: `${hitRate}%`,
+      size: this.entries.length,
+    };
+  }
+}
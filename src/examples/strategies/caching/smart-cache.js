@@ -20,7 +20,7 @@ export class SmartCache extends ResponseCache {
 
   get(key, newMessages = null) {
     if (newMessages && this.shouldInvalidate(key, newMessages)) {
-      this.cache.delete(key);
+      this.delete(key);
       this.stats.evictions++;
       this.stats.misses++;
       return null;
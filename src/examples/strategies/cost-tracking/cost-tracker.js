@@ -1,16 +1,23 @@
 import { estimateTokens } from '../../../utils/token-utils.js';
-import { PRICING } from '../../../utils/pricing.js';
+import { getModelPricing } from '../../../utils/pricing.js';
 import { providerUtils } from '../../../config.js';
 import { createAIClient } from '../../../clients/client-factory.js';
+import { writeCostReport } from '../../../utils/cost-report.js';
 
 /**
  * Cost Tracker
  * Tracks token usage and estimates costs for AI API calls
  */
 export class CostTracker {
-  constructor() {
+  /**
+   * @param {Object} [options={}] - Tracker options
+   * @param {import('../../../utils/cost-ledger.js').CostLedger} [options.ledger] - Ledger every
+   *   tracked request is appended to, so spend survives restarts
+   */
+  constructor(options = {}) {
     this.requests = [];
     this.totalCost = 0;
+    this.ledger = options.ledger ?? null;
   }
 
   /**
@@ -98,11 +105,9 @@ export class CostTracker {
           provider === 'azure-openai' ||
           provider === 'openai-standard'
         ) {
-          const defaultModel = providerUtils.getDefaultModel('openai');
-          const pricing =
-            PRICING.openai[model] ||
-            PRICING.openai[defaultModel] ||
-            PRICING.openai['gpt-4-turbo-preview'];
+          const pricing = getModelPricing('openai', model, {
+            fallbackModel: providerUtils.getDefaultModel('openai'),
+          });
           const inputCost = (promptTokens / 1_000_000) * pricing.input;
           const outputCost = (completionTokens / 1_000_000) * pricing.output;
           totalCost = inputCost + outputCost;
@@ -117,11 +122,9 @@ export class CostTracker {
             totalCost,
           };
         } else if (provider === 'claude') {
-          const defaultModel = providerUtils.getDefaultModel('claude');
-          const pricing =
-            PRICING.claude[model] ||
-            PRICING.claude[defaultModel] ||
-            PRICING.claude['claude-sonnet-4-5-20250929'];
+          const pricing = getModelPricing('claude', model, {
+            fallbackModel: providerUtils.getDefaultModel('claude'),
+          });
           const inputCost = (promptTokens / 1_000_000) * pricing.input;
           const outputCost = (completionTokens / 1_000_000) * pricing.output;
           totalCost = inputCost + outputCost;
@@ -166,6 +169,7 @@ export class CostTracker {
 
     this.requests.push(request);
     this.totalCost += totalCost;
+    this.ledger?.append(request);
 
     return request;
   }
@@ -227,4 +231,14 @@ export class CostTracker {
       );
     });
   }
+
+  /**
+   * Export tracked requests as a .csv, .jsonl or .html cost report
+   * @param {string} path - Output file
+   * @param {Object} [options={}] - HTML report options (title, daysPerMonth)
+   * @returns {Promise<string>} The path written
+   */
+  async exportReport(path, options = {}) {
+    return writeCostReport(this.requests, path, options);
+  }
 }
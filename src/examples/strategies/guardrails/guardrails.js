@@ -1,4 +1,5 @@
 import { createAIClient } from '../../../clients/client-factory.js';
+import { config } from '../../../config.js';
 
 /**
  * Guardrails - Output Validation and Safety
@@ -536,6 +537,21 @@ export class GuardrailsEngine {
 
     return engine;
   }
+
+  /**
+   * Create the engine for the config profile's guardrail preset
+   * @param {string} [provider='openai'] - Provider for model-based guardrails
+   * @param {'off'|'default'|'strict'} [preset=config.guardrails.preset] - Preset name
+   * @returns {GuardrailsEngine} Engine ('off' has no guardrails)
+   */
+  static fromConfig(provider = 'openai', preset = config.guardrails.preset) {
+    if (preset === 'off') {
+      return new GuardrailsEngine({ verbose: false });
+    }
+    return preset === 'strict'
+      ? GuardrailsEngine.createStrict(provider)
+      : GuardrailsEngine.createDefault(provider);
+  }
 }
 
 /**
@@ -545,7 +561,7 @@ export class GuardedAIClient {
   constructor(provider = 'openai', guardrailsEngine = null) {
     this.provider = provider;
     this.client = createAIClient(provider);
-    this.guardrails = guardrailsEngine || GuardrailsEngine.createDefault(provider);
+    this.guardrails = guardrailsEngine || GuardrailsEngine.fromConfig(provider);
   }
 
   /**
@@ -10,15 +10,21 @@ export class MultiAgentSystem {
     const provider = providerUtils.isProviderAvailable('openai') ? 'openai' : 'claude';
 
     // Research Agent - Gathers information
-    this.researchAgent = new FunctionCallingAgent(provider);
+    this.researchAgent = new FunctionCallingAgent(provider, null, {
+      costTags: { agent: 'research' },
+    });
     this.setupResearchAgent();
 
     // Writing Agent - Creates content
-    this.writingAgent = new FunctionCallingAgent(provider);
+    this.writingAgent = new FunctionCallingAgent(provider, null, {
+      costTags: { agent: 'writing' },
+    });
     this.setupWritingAgent();
 
     // Review Agent - Reviews and improves content
-    this.reviewAgent = new FunctionCallingAgent(provider);
+    this.reviewAgent = new FunctionCallingAgent(provider, null, {
+      costTags: { agent: 'review' },
+    });
     this.setupReviewAgent();
   }
 
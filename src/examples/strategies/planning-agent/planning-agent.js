@@ -19,10 +19,12 @@ export class PlanningAgent {
    * Create a planning agent
    * @param {string} provider - AI provider ('openai' or 'claude')
    * @param {Object} options - Configuration options
+   * @param {import('../../../clients/ai-client-interface.js').AIClientInterface} [options.client] -
+   *   Client to use instead of creating one for the provider (e.g. a mock in tests)
    */
   constructor(provider = 'openai', options = {}) {
     this.provider = provider;
-    this.client = createAIClient(provider);
+    this.client = options.client || createAIClient(provider);
     this.verbose = options.verbose !== false;
     this.maxSteps = options.maxSteps || 10;
     this.tools = new Map();
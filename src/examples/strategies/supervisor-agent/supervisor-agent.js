@@ -26,13 +26,15 @@ export class WorkerAgent {
    * @param {string} role - Worker's role description
    * @param {string} specialty - What this worker specializes in
    * @param {string} provider - AI provider
+   * @param {import('../../../clients/ai-client-interface.js').AIClientInterface} [client] - Optional
+   *   client instance (for testing)
    */
-  constructor(name, role, specialty, provider = 'openai') {
+  constructor(name, role, specialty, provider = 'openai', client = null) {
     this.name = name;
     this.role = role;
     this.specialty = specialty;
     this.provider = provider;
-    this.client = createAIClient(provider);
+    this.client = client || createAIClient(provider);
     this.taskHistory = [];
   }
 
@@ -108,10 +110,12 @@ export class SupervisorAgent {
    * Create a supervisor agent
    * @param {string} provider - AI provider
    * @param {Object} options - Configuration options
+   * @param {import('../../../clients/ai-client-interface.js').AIClientInterface} [options.client] -
+   *   Client to use instead of creating one for the provider (e.g. a mock in tests)
    */
   constructor(provider = 'openai', options = {}) {
     this.provider = provider;
-    this.client = createAIClient(provider);
+    this.client = options.client || createAIClient(provider);
     this.workers = new Map();
     this.verbose = options.verbose !== false;
     this.routingHistory = [];
@@ -420,7 +424,8 @@ export function createDefaultSupervisor(provider = 'openai', options = {}) {
       'ResearchWorker',
       'Research and information gathering specialist',
       'Finding, analyzing, and summarizing information from various sources',
-      provider
+      provider,
+      options.client
     )
   );
 
@@ -429,7 +434,8 @@ export function createDefaultSupervisor(provider = 'openai', options = {}) {
       'WritingWorker',
       'Content creation and writing specialist',
       'Creating well-written content, articles, documentation, and creative writing',
-      provider
+      provider,
+      options.client
     )
   );
 
@@ -438,7 +444,8 @@ export function createDefaultSupervisor(provider = 'openai', options = {}) {
       'AnalysisWorker',
       'Data analysis and reasoning specialist',
       'Analyzing data, identifying patterns, and providing insights',
-      provider
+      provider,
+      options.client
     )
   );
 
@@ -447,7 +454,8 @@ export function createDefaultSupervisor(provider = 'openai', options = {}) {
       'CodeWorker',
       'Programming and technical specialist',
       'Writing, reviewing, and debugging code across various languages',
-      provider
+      provider,
+      options.client
     )
   );
 
@@ -456,7 +464,8 @@ export function createDefaultSupervisor(provider = 'openai', options = {}) {
       'ReviewWorker',
       'Quality assurance and review specialist',
       'Reviewing content for quality, accuracy, and completeness',
-      provider
+      provider,
+      options.client
     )
   );
 
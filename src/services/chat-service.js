@@ -1,5 +1,62 @@
 import { createAIClient } from '../clients/client-factory.js';
+import { detectFormat } from '../clients/fallback-client.js';
 import { providerUtils } from '../config.js';
+import { validateJsonSchema } from '../utils/json-schema.js';
+
+/**
+ * Thrown when structured output still fails validation after all repair attempts
+ */
+export class StructuredOutputError extends Error {
+  /**
+   * @param {string} schemaName - Name of the schema that was requested
+   * @param {Array<{output: *, text: string, errors: string[]}>} attempts - Every attempt, in order
+   */
+  constructor(schemaName, attempts) {
+    const { errors } = attempts.at(-1);
+    const summary = errors.map((error) => `  - ${error}`).join('\n');
+    super(
+      `Structured output did not match schema "${schemaName}" after ${attempts.length} attempt(s):\n${summary}`
+    );
+    this.name = 'StructuredOutputError';
+    this.code = 'STRUCTURED_OUTPUT_INVALID';
+    this.schemaName = schemaName;
+    this.attempts = attempts;
+    this.errors = errors;
+    this.output = attempts.at(-1).output;
+  }
+}
+
+/**
+ * Parse JSON model output, tolerating markdown code fences and surrounding prose
+ * @param {string} text - Model output
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If no JSON can be parsed
+ */
+function parseJsonText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const jsonMatch =
+      text.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) || text.match(/(\{[\s\S]*\})/);
+    if (jsonMatch) {
+      return JSON.parse(jsonMatch[1]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the arguments of a forced tool call, rejecting unparseable ones
+ * @param {{arguments: Object}} toolCall - Canonical tool call part
+ * @returns {Object} Tool arguments
+ * @throws {SyntaxError} If the arguments were not valid JSON
+ */
+function parseToolOutput(toolCall) {
+  if (toolCall.arguments && '_raw' in toolCall.arguments) {
+    return JSON.parse(toolCall.arguments._raw);
+  }
+  return toolCall.arguments;
+}
 
 /**
  * Chat Service
@@ -64,17 +121,51 @@ export class ChatService {
 
   /**
    * Get structured JSON output from chat
+   * Without a schema, asks for a JSON object and parses it. With `options.schema`,
+   * uses the provider's native mode (OpenAI `json_schema` response format, Claude
+   * forced tool use), validates the result locally and re-prompts the model with
+   * the validation errors until it conforms or the repair attempts run out.
+   * @template T
    * @param {Array} messages - Array of message objects
    * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Parsed JSON object
+   * @param {Object} [options.schema] - JSON Schema the output must match
+   * @param {string} [options.schemaName='response'] - Schema name (OpenAI schema / Claude tool name)
+   * @param {number} [options.maxRepairAttempts=2] - Re-prompts after an invalid response
+   * @param {boolean} [options.strict=false] - OpenAI strict schema mode (schema must meet its rules)
+   * @returns {Promise<T>} Parsed JSON object (valid against the schema, if given)
+   * @throws {StructuredOutputError} If no attempt produced valid output
    * @example
    * const service = new ChatService();
    * const data = await service.getStructuredOutput([
    *   { role: 'user', content: 'Extract name and age from: John is 30 years old' }
    * ]);
    * console.log(data); // { name: "John", age: 30 }
+   *
+   * const person = await service.getStructuredOutput(messages, {
+   *   schema: {
+   *     type: 'object',
+   *     properties: { name: { type: 'string' }, age: { type: 'integer' } },
+   *     required: ['name', 'age'],
+   *   },
+   * });
    */
   async getStructuredOutput(messages, options = {}) {
+    const {
+      schema,
+      schemaName = 'response',
+      maxRepairAttempts = 2,
+      strict = false,
+      ...requestOptions
+    } = options;
+    if (schema) {
+      return this._getValidatedOutput(messages, requestOptions, {
+        schema,
+        schemaName,
+        maxRepairAttempts,
+        strict,
+      });
+    }
+
     // Claude doesn't support response_format parameter
     // For Claude, we rely on prompt engineering to get JSON output
     const chatOptions = {
@@ -83,7 +174,7 @@ export class ChatService {
     };
 
     // Only add response_format for OpenAI providers
-    if (this.provider !== 'claude') {
+    if (detectFormat(this.client) !== 'claude') {
       chatOptions.response_format = { type: 'json_object' };
     }
 
@@ -91,23 +182,101 @@ export class ChatService {
     const textContent = this.client.getTextContent(response);
 
     try {
-      return JSON.parse(textContent);
+      return parseJsonText(textContent);
     } catch (error) {
-      // For Claude, try to extract JSON from markdown code blocks or plain text
-      const jsonMatch =
-        textContent.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) ||
-        textContent.match(/(\{[\s\S]*\})/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
-      }
       throw new Error(`Failed to parse JSON response: ${error.message}`);
     }
   }
 
+  /**
+   * Request schema-constrained output, repairing invalid responses
+   * @private
+   */
+  async _getValidatedOutput(
+    messages,
+    chatOptions,
+    { schema, schemaName, maxRepairAttempts, strict }
+  ) {
+    const history = [...messages];
+    const attempts = [];
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      const response = await this._requestStructured(
+        history,
+        chatOptions,
+        schema,
+        schemaName,
+        strict
+      );
+      const message = this.client.getMessage(response);
+      const toolCall = message.content.find((part) => part.type === 'tool_call');
+      const text = this.client.getTextContent(response);
+
+      let output;
+      let errors;
+      try {
+        output = toolCall ? parseToolOutput(toolCall) : parseJsonText(text);
+        errors = validateJsonSchema(output, schema);
+      } catch (error) {
+        errors = [`response is not valid JSON: ${error.message}`];
+      }
+      attempts.push({ output, text, errors });
+
+      if (errors.length === 0) {
+        return output;
+      }
+
+      const feedback = `The response did not match the required JSON schema:\n${errors
+        .map((error) => `- ${error}`)
+        .join('\n')}`;
+      history.push(
+        message,
+        toolCall
+          ? {
+              role: 'tool',
+              content: [
+                {
+                  type: 'tool_result',
+                  toolCallId: toolCall.id,
+                  content: `${feedback}\nCall ${schemaName} again with corrected input.`,
+                },
+              ],
+            }
+          : { role: 'user', content: `${feedback}\nReply with the corrected JSON only.` }
+      );
+    }
+
+    throw new StructuredOutputError(schemaName, attempts);
+  }
+
+  /**
+   * Send one structured output request in the provider's native schema mode
+   * @private
+   */
+  async _requestStructured(messages, chatOptions, schema, schemaName, strict) {
+    if (detectFormat(this.client) === 'claude') {
+      // Claude has no JSON schema response format; forcing a tool call gets schema-shaped input
+      return this.client.chatWithTools(
+        messages,
+        [{ name: schemaName, description: 'Respond with the requested data', parameters: schema }],
+        { temperature: 0, ...chatOptions, tool_choice: { type: 'tool', name: schemaName } }
+      );
+    }
+
+    return this.client.chat(messages, {
+      temperature: 0,
+      ...chatOptions,
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: schemaName, schema, strict },
+      },
+    });
+  }
+
   /**
    * Extract structured data from unstructured text
    * @param {string} text - Text to extract data from
-   * @param {string|Array} schema - Schema description or field list
+   * @param {string|Array|Object} schema - Schema description, field list or JSON Schema
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} Extracted structured data
    * @example
@@ -124,13 +293,17 @@ export class ChatService {
    * );
    */
   async extractStructuredData(text, schema, options = {}) {
+    // A JSON Schema object is enforced; field lists and descriptions only guide the prompt
+    const isJsonSchema = typeof schema === 'object' && !Array.isArray(schema);
     const schemaDescription = Array.isArray(schema)
       ? schema.map((field) => `- ${field}`).join('\n')
-      : schema;
+      : isJsonSchema
+        ? `Match this JSON Schema:\n${JSON.stringify(schema, null, 2)}`
+        : schema;
 
     // For Claude, enhance the prompt to ensure JSON output
     const jsonInstruction =
-      this.provider === 'claude'
+      detectFormat(this.client) === 'claude'
         ? 'Return your response as valid JSON only, without any markdown formatting or additional text.'
         : 'Return only valid JSON, no additional text.';
 
@@ -145,6 +318,6 @@ export class ChatService {
       },
     ];
 
-    return this.getStructuredOutput(messages, options);
+    return this.getStructuredOutput(messages, isJsonSchema ? { ...options, schema } : options);
   }
 }
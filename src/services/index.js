@@ -3,7 +3,7 @@
  * Reusable functionality extracted from examples
  */
 
-export { ChatService } from './chat-service.js';
+export { ChatService, StructuredOutputError } from './chat-service.js';
 export { VisionService } from './vision-service.js';
 export { EmbeddingsService } from './embeddings-service.js';
 export { ModelComparisonService } from './model-comparison-service.js';
@@ -35,6 +35,38 @@ export interface ImageSource {
   url?: string;
 }
 
+// =============================================================================
+// Provider-Neutral Message Types
+// =============================================================================
+
+export type MessagePart =
+  | { type: 'text'; text: string }
+  | { type: 'image'; data?: string; mediaType?: string; url?: string }
+  | { type: 'tool_call'; id: string; name: string; arguments: Record<string, unknown> }
+  | { type: 'tool_result'; toolCallId: string; content: unknown };
+
+/** Canonical message accepted by every client; `tool` messages hold tool results */
+export interface Message {
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: string | MessagePart[];
+}
+
+/** Messages in a provider's wire format or the canonical format */
+export type InputMessage = ChatMessage | Message;
+
+export type MessageFormat = 'openai' | 'claude';
+
+export function fromCanonicalMessages(
+  messages: InputMessage[],
+  format: MessageFormat
+): ChatMessage[];
+export function toCanonicalMessages(messages: ChatMessage[], format: MessageFormat): Message[];
+export function responseToMessage(response: ChatResponse, format?: MessageFormat): Message;
+export function createAssistantMessage(
+  text: string,
+  toolCalls?: Array<{ id: string; name: string; arguments: Record<string, unknown> }>
+): Message;
+
 // =============================================================================
 // Tool/Function Types
 // =============================================================================
@@ -121,14 +153,99 @@ export interface ChatOptions {
   response_format?: { type: 'text' | 'json_object' };
   stream?: boolean;
   system?: string;
+  /** Cancels the request; rejects with AbortError */
+  signal?: AbortSignal;
+  /** Deadline for the whole call (retries and failovers included); rejects with TimeoutError */
+  timeoutMs?: number;
+  /** Receives the HTTP headers of the provider's response; not sent to the provider */
+  onResponseHeaders?: (headers: Headers) => void;
   [key: string]: unknown;
 }
 
+// =============================================================================
+// Cancellation Types
+// =============================================================================
+
+export class AbortError extends Error {
+  constructor(message?: string, options?: { cause?: unknown });
+  name: 'AbortError';
+  code: 'ABORT_ERR';
+}
+
+export class TimeoutError extends Error {
+  constructor(timeoutMs: number);
+  name: 'TimeoutError';
+  code: 'REQUEST_TIMEOUT';
+  timeoutMs: number;
+}
+
+export function isCancellationError(error: unknown): boolean;
+
 // =============================================================================
 // Provider Types
 // =============================================================================
 
-export type Provider = 'openai' | 'openai-standard' | 'azure-openai' | 'claude' | 'mock';
+export type BuiltInProvider =
+  | 'openai'
+  | 'openai-standard'
+  | 'azure-openai'
+  | 'claude'
+  | 'local'
+  | 'mock';
+
+/** Built-in provider or any name added with registerProvider() */
+export type Provider = BuiltInProvider | (string & {});
+
+// =============================================================================
+// Stream Event Types
+// =============================================================================
+
+export type StopReason = 'stop' | 'tool_calls' | 'length' | 'content_filter';
+
+export interface StreamUsage {
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+}
+
+export interface StreamToolCall {
+  id: string;
+  name: string;
+  arguments: Record<string, unknown>;
+}
+
+export type StreamEvent =
+  | { type: 'text_delta'; text: string }
+  | { type: 'tool_call_start'; index: number; id: string; name: string }
+  | { type: 'tool_call_delta'; index: number; id: string; argumentsDelta: string }
+  | {
+      type: 'tool_call_end';
+      index: number;
+      id: string;
+      name: string;
+      arguments: Record<string, unknown>;
+    }
+  | ({ type: 'usage' } & StreamUsage)
+  | {
+      type: 'done';
+      stopReason: StopReason;
+      text: string;
+      toolCalls: StreamToolCall[];
+      usage: StreamUsage | null;
+    };
+
+export function normalizeStopReason(reason: string | null, hasToolCalls?: boolean): StopReason;
+
+export class StreamEventBuilder {
+  text: string;
+  usage: StreamUsage | null;
+  textDelta(text: string): StreamEvent;
+  startToolCall(id: string, name: string): StreamEvent & { index: number };
+  toolCallDelta(index: number, argumentsDelta: string): StreamEvent;
+  endToolCall(index: number): StreamEvent;
+  addUsage(usage: { inputTokens?: number; outputTokens?: number }): void;
+  finish(stopReason: string | null): Generator<StreamEvent>;
+}
 
 // =============================================================================
 // AI Client Interface
@@ -136,25 +253,31 @@ export type Provider = 'openai' | 'openai-standard' | 'azure-openai' | 'claude'
 
 export interface AIClientInterface {
   /** Basic chat completion */
-  chat(messages: ChatMessage[], options?: ChatOptions): Promise<ChatResponse>;
+  chat(messages: InputMessage[], options?: ChatOptions): Promise<ChatResponse>;
 
   /** Streaming chat completion */
   chatStream(
-    messages: ChatMessage[],
+    messages: InputMessage[],
     onChunk?: (chunk: string) => void,
     options?: ChatOptions
   ): Promise<string>;
 
+  /** Streaming chat with normalized text, tool call, usage and done events */
+  stream(
+    messages: InputMessage[],
+    options?: ChatOptions & { tools?: ToolDefinition[] }
+  ): AsyncIterable<StreamEvent>;
+
   /** Chat with tool/function calling */
   chatWithTools(
-    messages: ChatMessage[],
+    messages: InputMessage[],
     tools: ToolDefinition[],
     options?: ChatOptions
   ): Promise<ChatResponse>;
 
   /** Chat with functions (OpenAI format) */
   chatWithFunctions(
-    messages: ChatMessage[],
+    messages: InputMessage[],
     functions: FunctionDefinition[],
     options?: ChatOptions
   ): Promise<ChatResponse>;
@@ -200,6 +323,9 @@ export interface AIClientInterface {
   /** Get tool use blocks from response */
   getToolUseBlocks(response: ChatResponse): ToolCall[] | ContentBlock[];
 
+  /** Get the assistant turn of a response as a canonical message */
+  getMessage(response: ChatResponse): Message;
+
   /** Calculate cost for response */
   calculateCost(response: ChatResponse, model?: string): CostCalculation;
 }
@@ -210,12 +336,73 @@ export interface AIClientInterface {
 
 export function createAIClient(provider?: Provider, model?: string | null): AIClientInterface;
 export function isValidProvider(provider: string): provider is Provider;
+export function isProviderAvailable(provider: Provider): boolean;
+export function getAvailableProviders(): Provider[];
+export function createUseCaseClient(useCase: string, provider?: Provider): AIClientInterface;
+
+// =============================================================================
+// Provider Registry
+// =============================================================================
+
+export interface ProviderStatus {
+  available: boolean;
+  missing: string[];
+}
+
+export interface ProviderDefinition {
+  /** `model` is null when the caller did not specify one */
+  create(model: string | null): AIClientInterface;
+  isAvailable?(): boolean;
+  /** Providers without validateEnv are not listed in environment status output */
+  validateEnv?(): ProviderStatus;
+  defaultModel?: string | (() => string);
+  displayName?: string;
+  /** Whether providerUtils.getDefaultProvider() may pick this provider (default true) */
+  autoSelect?: boolean;
+  /** Providers without a vision model do not support vision */
+  visionModel?: string | (() => string);
+  /** Whether providerUtils.getDefaultVisionProvider() may pick this provider (default false) */
+  isVisionAvailable?(): boolean;
+}
+
+export interface RegisteredProvider {
+  name: string;
+  create(model: string | null): AIClientInterface;
+  isAvailable(): boolean;
+  validateEnv: (() => ProviderStatus) | null;
+  defaultModel(): string | null;
+  displayName: string;
+  autoSelect: boolean;
+  visionModel: (() => string) | null;
+  isVisionAvailable(): boolean;
+}
+
+export function registerProvider(
+  name: string,
+  definition: ProviderDefinition,
+  options?: { replace?: boolean }
+): RegisteredProvider;
+export function unregisterProvider(name: string): boolean;
+export function getProvider(name: string): RegisteredProvider | undefined;
+export function getRegisteredProviders(): string[];
 
 // =============================================================================
 // Config Types
 // =============================================================================
 
+export interface ConfigBudgets {
+  perRequestUsd?: number;
+  sessionUsd?: number;
+  dailyUsd?: number;
+  monthlyUsd?: number;
+  warnAt?: number;
+}
+
 export interface Config {
+  profile: {
+    name: string | null;
+    path: string | null;
+  };
   openai: {
     defaultProvider: 'azure-openai' | 'openai-standard';
     standardApiKey?: string;
@@ -234,6 +421,14 @@ export interface Config {
     apiKey?: string;
     model: string;
     apiVersion: string;
+    promptCache: boolean;
+  };
+  local: {
+    baseUrl?: string;
+    apiKey: string;
+    model: string;
+    embeddingModel: string;
+    visionModel?: string;
   };
   chroma: {
     persistDirectory: string;
@@ -247,6 +442,20 @@ export interface Config {
     level?: string;
     format?: string;
   };
+  fallbackOrder: Provider[];
+  useCases: Record<string, ChatOptions & { models?: Record<string, string> }>;
+  budgets: ConfigBudgets;
+  guardrails: {
+    preset: 'off' | 'default' | 'strict';
+    action: 'block' | 'warn';
+    checkInput: boolean;
+  };
+  pricing: {
+    overridesFile?: string;
+  };
+  costLedger: {
+    file?: string;
+  };
 }
 
 export interface ProviderUtils {
@@ -262,13 +471,22 @@ export interface ProviderUtils {
 export interface DefaultOptions {
   getDefaultOptions(overrides?: ChatOptions): ChatOptions;
   getUseCaseOptions(
-    useCase?: 'default' | 'creative' | 'precise' | 'structured' | 'streaming' | 'vision',
+    useCase?: 'default' | 'creative' | 'precise' | 'structured' | 'streaming' | 'vision' | string,
     provider?: string | null,
     overrides?: ChatOptions
   ): ChatOptions;
+  getUseCaseModel(useCase: string, provider: string): string | null;
+}
+
+export interface LoadedProfile {
+  name: string | null;
+  path: string | null;
+  settings: Record<string, unknown>;
 }
 
 export const config: Config;
+/** Loads ai-agents.config.json on first call; throws the same ConfigFileError on every call */
+export function getProfile(): LoadedProfile;
 export const providerUtils: ProviderUtils;
 export const defaultOptions: DefaultOptions;
 
@@ -290,20 +508,49 @@ export class ChatService {
     onChunk?: (chunk: string) => void,
     options?: ChatOptions
   ): Promise<string>;
-  getStructuredOutput(messages: ChatMessage[], options?: ChatOptions): Promise<unknown>;
-  extractStructuredData(
+  getStructuredOutput<T = unknown>(
+    messages: InputMessage[],
+    options?: StructuredOutputOptions
+  ): Promise<T>;
+  extractStructuredData<T = unknown>(
     text: string,
-    schema: string | string[],
+    schema: string | string[] | JSONSchema,
     options?: ChatOptions
-  ): Promise<unknown>;
+  ): Promise<T>;
+}
+
+export interface StructuredOutputOptions extends ChatOptions {
+  /** JSON Schema the output must match; enables native schema mode and repair */
+  schema?: JSONSchema;
+  schemaName?: string;
+  maxRepairAttempts?: number;
+  /** OpenAI strict schema mode */
+  strict?: boolean;
+}
+
+export class StructuredOutputError extends Error {
+  code: 'STRUCTURED_OUTPUT_INVALID';
+  schemaName: string;
+  /** Validation errors of the last attempt */
+  errors: string[];
+  /** Output of the last attempt (undefined if it was not valid JSON) */
+  output: unknown;
+  attempts: Array<{ output: unknown; text: string; errors: string[] }>;
 }
 
+export function validateJsonSchema(value: unknown, schema: JSONSchema | boolean): string[];
+
 // =============================================================================
 // Agent Types
 // =============================================================================
 
 export class FunctionCallingAgent {
-  constructor(provider?: Provider, client?: AIClientInterface | null);
+  constructor(
+    provider?: Provider,
+    client?: AIClientInterface | null,
+    options?: { costTags?: CostTags }
+  );
+  costTags: CostTags;
   registerFunction(
     name: string,
     description: string,
@@ -312,20 +559,31 @@ export class FunctionCallingAgent {
   ): void;
   executeFunction(name: string, args: Record<string, unknown>): Promise<unknown>;
   chat(userMessage: string, options?: { maxToolCallIterations?: number }): Promise<string>;
+  stream(
+    userMessage: string,
+    options?: ChatOptions & { maxToolCallIterations?: number }
+  ): AsyncGenerator<
+    StreamEvent | { type: 'tool_result'; id: string; name: string; result: unknown }
+  >;
   resetConversation(): void;
-  getConversationHistory(): ChatMessage[];
+  getConversationHistory(): Message[];
 }
 
 export class RAGAgent {
-  constructor(provider?: Provider);
+  constructor(
+    collectionName?: string,
+    client?: AIClientInterface | null,
+    options?: { costTags?: CostTags }
+  );
+  costTags: CostTags;
   initialize(): Promise<void>;
-  addDocuments(documents: string[], metadatas?: Record<string, unknown>[], ids?: string[]): Promise<void>;
+  addDocuments(
+    documents: string[],
+    metadatas?: Record<string, unknown>[],
+    ids?: string[]
+  ): Promise<void>;
   query(question: string, topK?: number, options?: ChatOptions): Promise<string>;
-  queryStream(
-    question: string,
-    onChunk?: (chunk: string) => void,
-    topK?: number
-  ): Promise<string>;
+  queryStream(question: string, onChunk?: (chunk: string) => void, topK?: number): Promise<string>;
   deleteDocuments(ids: string[]): Promise<void>;
   getStats(): Promise<{ documentCount: number }>;
 }
@@ -397,6 +655,139 @@ export class ResilientClient implements AIClientInterface {
   calculateCost(response: ChatResponse, model?: string): CostCalculation;
 }
 
+// =============================================================================
+// Fallback Client Types
+// =============================================================================
+
+export type MessageFormat = 'openai' | 'claude';
+
+export interface FallbackEntry {
+  client: AIClientInterface;
+  name?: string;
+  format?: MessageFormat;
+}
+
+export interface FallbackClientOptions {
+  timeoutMs?: number;
+  shouldFallback?: (error: Error) => boolean;
+  onFallback?: (info: { method: string; from: string; to: string; error: Error }) => void;
+}
+
+export interface FallbackClient extends AIClientInterface {
+  readonly format: MessageFormat;
+  getStats(): { totalRequests: number; fallbacks: number; servedBy: Record<string, number> };
+}
+
+export const FallbackClient: {
+  new (
+    clients: Array<AIClientInterface | FallbackEntry>,
+    options?: FallbackClientOptions
+  ): FallbackClient;
+  fromProviders(
+    providers: Provider[],
+    options?: FallbackClientOptions & { model?: string }
+  ): FallbackClient;
+};
+
+/** False for AbortError and TimeoutError */
+export function isRetryableError(error: Error): boolean;
+export function convertMessages(
+  messages: unknown[],
+  from: MessageFormat,
+  to: MessageFormat
+): unknown[];
+export function convertResponse(response: unknown, from: MessageFormat, to: MessageFormat): unknown;
+
+// =============================================================================
+// Middleware Pipeline Types
+// =============================================================================
+
+export type ClientMethod =
+  | 'chat'
+  | 'chatStream'
+  | 'stream'
+  | 'chatWithTools'
+  | 'chatWithFunctions'
+  | 'getEmbeddings'
+  | 'analyzeImage'
+  | 'createAssistant'
+  | 'createThread'
+  | 'addMessage'
+  | 'getMessages'
+  | 'runAssistant'
+  | 'retrieveRun';
+
+export interface ClientRequest {
+  method: ClientMethod;
+  client: AIClientInterface;
+  metadata: Record<string, unknown>;
+  messages?: ChatMessage[];
+  options?: ChatOptions;
+  onChunk?: ((chunk: string) => void) | null;
+  tools?: ToolDefinition[];
+  functions?: FunctionDefinition[];
+  input?: string | string[];
+  embeddingModel?: string | null;
+  imageBase64?: string;
+  prompt?: string;
+  [param: string]: unknown;
+}
+
+export type MiddlewareHandle = (
+  request: ClientRequest,
+  next: (request?: ClientRequest) => Promise<unknown>
+) => Promise<unknown>;
+
+export interface ClientMiddleware {
+  name?: string;
+  methods?: ClientMethod[];
+  handle?: MiddlewareHandle;
+  onChunk?: (chunk: string, request: ClientRequest) => string | null | void;
+  onEvent?: (event: StreamEvent, request: ClientRequest) => StreamEvent | null | void;
+}
+
+export interface ComposedClient extends AIClientInterface {
+  client: AIClientInterface;
+  middleware: ClientMiddleware[];
+  use(middleware: ClientMiddleware | MiddlewareHandle): ComposedClient;
+  execute(method: ClientMethod, params: Record<string, unknown>): Promise<unknown>;
+}
+
+export function composeClient(
+  client: AIClientInterface,
+  middleware?: Array<ClientMiddleware | MiddlewareHandle>
+): ComposedClient;
+
+export function logging(
+  options?: Record<string, unknown> & { methods?: ClientMethod[] }
+): ClientMiddleware;
+export function retry(
+  options?: ResilientClientOptions & { methods?: ClientMethod[] }
+): ClientMiddleware & { getMetrics(): ResilientClientMetrics; reset(): void };
+export function cost(options?: {
+  onRequestTracked?: (request: Record<string, unknown>, stats: Record<string, unknown>) => void;
+  methods?: ClientMethod[];
+}): ClientMiddleware & {
+  getStats(): Record<string, unknown>;
+  printReport(): void;
+  reset(): void;
+};
+export function cache(options?: {
+  ttlMs?: number;
+  maxEntries?: number;
+  methods?: ClientMethod[];
+}): ClientMiddleware & {
+  getStats(): { hits: number; misses: number; size: number; hitRate: number };
+  clear(): void;
+};
+export function guardrails(options: {
+  validator: { validate(text: string, context?: Record<string, unknown>): Promise<unknown> };
+  checkInput?: boolean;
+  action?: 'block' | 'warn';
+  onResult?: (result: unknown, info: { stage: 'input' | 'output'; method: ClientMethod }) => void;
+  methods?: ClientMethod[];
+}): ClientMiddleware;
+
 // =============================================================================
 // Logger Types
 // =============================================================================
@@ -428,3 +819,155 @@ export interface PricingConfig {
 }
 
 export const PRICING: PricingConfig;
+
+/** One catalogue price entry, per 1M tokens */
+export interface PriceEntry {
+  effectiveFrom: string;
+  input: number;
+  output?: number;
+  cacheWrite?: number;
+  cacheRead?: number;
+  batchInput?: number;
+  batchOutput?: number;
+  image?: number;
+}
+
+/** A resolved model price */
+export interface ModelPrice extends PriceEntry {
+  provider: string;
+  model: string;
+  output: number;
+  image: number;
+}
+
+export interface PriceLookupOptions {
+  date?: Date | string | number;
+}
+
+export class PricingCatalogue {
+  constructor(data: Record<string, unknown>, source?: string);
+  readonly data: Record<string, unknown>;
+  readonly version: string;
+  resolveModel(provider: string | null, model: string): { provider: string; model: string } | null;
+  getPrice(provider: string | null, model: string, options?: PriceLookupOptions): ModelPrice | null;
+  getDefaultPrice(provider: string, options?: PriceLookupOptions): ModelPrice | null;
+  listModels(provider: string): string[];
+  withOverrides(overrides: Record<string, unknown>, source?: string): PricingCatalogue;
+}
+
+export function loadPricingCatalogue(
+  path?: string | URL,
+  overridesPath?: string | null
+): PricingCatalogue;
+export function getPricingCatalogue(): PricingCatalogue;
+export function setPricingCatalogue(catalogue: PricingCatalogue | null): void;
+export function getModelPricing(
+  provider: string | null,
+  model: string,
+  options?: PriceLookupOptions & { fallbackModel?: string }
+): ModelPrice;
+export function getCacheRates(pricing: {
+  input: number;
+  cacheWrite?: number;
+  cacheRead?: number;
+}): {
+  cacheWrite: number;
+  cacheRead: number;
+};
+
+// =============================================================================
+// Cost Attribution Types
+// =============================================================================
+
+/** Attribution tags such as tenant, feature, agent or conversation */
+export type CostTags = Record<string, string>;
+
+export function withCostTags<T>(tags: CostTags, fn: () => T): T;
+export function withCostTagsIterable<T>(
+  tags: CostTags,
+  createIterable: () => AsyncIterable<T>
+): AsyncGenerator<T>;
+export function getCostTags(): CostTags;
+
+/** A request tracked by CostTrackingClient */
+export interface TrackedRequest {
+  timestamp: string;
+  provider: string;
+  model: string;
+  inputTokens?: number;
+  outputTokens?: number;
+  totalTokens?: number;
+  totalCost: number;
+  sessionId?: string;
+  requestType?: string;
+  tags?: CostTags;
+  [key: string]: unknown;
+}
+
+export interface CostBucket {
+  count: number;
+  cost: number;
+  tokens: number;
+}
+
+export interface CostSummary {
+  totalRequests: number;
+  totalCost: number;
+  totalTokens: number;
+  from: string | null;
+  to: string | null;
+  byModel: Record<string, CostBucket>;
+  byDay: Record<string, CostBucket>;
+  byTag: Record<string, Record<string, CostBucket>>;
+}
+
+export interface CostReportOptions {
+  title?: string;
+  daysPerMonth?: number;
+  generatedAt?: Date;
+}
+
+export function summarizeCosts(requests: TrackedRequest[]): CostSummary;
+export function projectMonthlyCost(
+  requests: TrackedRequest[],
+  options?: { daysPerMonth?: number }
+): {
+  days: number;
+  daysPerMonth: number;
+  averageDailyCost: number;
+  projectedMonthlyCost: number;
+  byModel: Record<string, Record<string, unknown>>;
+};
+export function toCsv(requests: TrackedRequest[]): string;
+export function toJsonl(requests: TrackedRequest[]): string;
+export function toHtmlReport(requests: TrackedRequest[], options?: CostReportOptions): string;
+export function writeCostReport(
+  requests: TrackedRequest[],
+  path: string,
+  options?: CostReportOptions
+): Promise<string>;
+
+export interface LedgerFilter {
+  /** Earliest timestamp (inclusive) */
+  from?: Date | string | number;
+  /** Latest timestamp (exclusive); a YYYY-MM-DD date includes that whole UTC day */
+  to?: Date | string | number;
+  tags?: CostTags;
+  sessionId?: string;
+  provider?: string;
+  model?: string;
+}
+
+export class CostLedger {
+  constructor(path: string);
+  readonly path: string;
+  append(request: TrackedRequest): TrackedRequest;
+  read(offset?: number): { entries: TrackedRequest[]; offset: number; reset: boolean };
+  query(filter?: LedgerFilter): TrackedRequest[];
+  totalCost(filter?: LedgerFilter): number;
+  dailyTotals(filter?: LedgerFilter): Array<CostBucket & { date: string }>;
+  summarize(filter?: LedgerFilter): CostSummary;
+}
+
+export function getCostLedger(): CostLedger | null;
+export function setCostLedger(ledger: CostLedger | null): void;
@@ -0,0 +1,351 @@
+/**
+ * Config Profiles File
+ *
+ * Loads `ai-agents.config.json`, a declarative alternative to setting every
+ * option through environment variables. The file holds named profiles
+ * (dev, staging, prod, ...) that can extend one another, and config.js
+ * layers the selected profile between environment variables and the
+ * built-in defaults, so env vars always win.
+ *
+ * A profile is selected with `--profile <name>` on the command line, the
+ * AI_AGENTS_PROFILE environment variable, or the file's `defaultProfile`.
+ * AI_AGENTS_CONFIG points at a file outside the working directory.
+ *
+ * API keys are deliberately not accepted in the file; keep secrets in .env.
+ *
+ * @example
+ * {
+ *   "defaultProfile": "dev",
+ *   "profiles": {
+ *     "dev": { "fallbackOrder": ["local", "mock"], "local": { "baseUrl": "http://localhost:11434/v1" } },
+ *     "prod": {
+ *       "fallbackOrder": ["openai", "claude"],
+ *       "useCases": { "creative": { "temperature": 0.8, "models": { "openai": "gpt-4o" } } },
+ *       "budgets": { "dailyUsd": 50 },
+ *       "guardrails": { "preset": "strict" }
+ *     }
+ *   }
+ * }
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { validateJsonSchema } from './json-schema.js';
+
+/**
+ * File name looked up in the working directory
+ * @type {string}
+ */
+export const CONFIG_FILE_NAME = 'ai-agents.config.json';
+
+/**
+ * JSON Schema for the config file
+ * @type {Object}
+ */
+export const configFileSchema = {
+  type: 'object',
+  properties: {
+    $schema: { type: 'string' },
+    defaultProfile: { type: 'string' },
+    profiles: {
+      type: 'object',
+      additionalProperties: { $ref: '#/$defs/profile' },
+    },
+  },
+  required: ['profiles'],
+  additionalProperties: false,
+  $defs: {
+    profile: {
+      type: 'object',
+      properties: {
+        extends: { type: 'string' },
+        description: { type: 'string' },
+        openai: {
+          type: 'object',
+          properties: {
+            defaultProvider: { enum: ['azure-openai', 'openai-standard'] },
+            model: { type: 'string', minLength: 1 },
+            visionModel: { type: 'string', minLength: 1 },
+            azure: {
+              type: 'object',
+              properties: {
+                endpoint: { type: 'string', pattern: '^https://' },
+                apiVersion: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(-preview)?$' },
+                deployment: { type: 'string', minLength: 1 },
+                embeddingDeployment: { type: 'string', minLength: 1 },
+              },
+              additionalProperties: false,
+            },
+          },
+          additionalProperties: false,
+        },
+        claude: {
+          type: 'object',
+          properties: {
+            model: { type: 'string', minLength: 1 },
+            apiVersion: { type: 'string' },
+            promptCache: { type: 'boolean' },
+          },
+          additionalProperties: false,
+        },
+        local: {
+          type: 'object',
+          properties: {
+            baseUrl: { type: 'string', pattern: '^https?://' },
+            model: { type: 'string', minLength: 1 },
+            embeddingModel: { type: 'string', minLength: 1 },
+            visionModel: { type: 'string', minLength: 1 },
+          },
+          additionalProperties: false,
+        },
+        fallbackOrder: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          uniqueItems: true,
+        },
+        useCases: {
+          type: 'object',
+          additionalProperties: { $ref: '#/$defs/useCase' },
+        },
+        budgets: {
+          type: 'object',
+          properties: {
+            perRequestUsd: { type: 'number', minimum: 0 },
+            sessionUsd: { type: 'number', minimum: 0 },
+            dailyUsd: { type: 'number', minimum: 0 },
+            monthlyUsd: { type: 'number', minimum: 0 },
+            warnAt: { type: 'number', minimum: 0, maximum: 1 },
+          },
+          additionalProperties: false,
+        },
+        pricing: {
+          type: 'object',
+          properties: {
+            overridesFile: { type: 'string', minLength: 1 },
+          },
+          additionalProperties: false,
+        },
+        costLedger: {
+          type: 'object',
+          properties: {
+            file: { type: 'string', minLength: 1 },
+          },
+          additionalProperties: false,
+        },
+        guardrails: {
+          type: 'object',
+          properties: {
+            preset: { enum: ['off', 'default', 'strict'] },
+            action: { enum: ['block', 'warn'] },
+            checkInput: { type: 'boolean' },
+          },
+          additionalProperties: false,
+        },
+        logger: {
+          type: 'object',
+          properties: {
+            level: { enum: ['debug', 'info', 'warn', 'error', 'none'] },
+            format: { enum: ['text', 'json'] },
+          },
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+    // Request options for a use case, plus the model to use per provider
+    useCase: {
+      type: 'object',
+      properties: {
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        max_tokens: { type: 'integer', minimum: 1 },
+        top_p: { type: 'number', minimum: 0, maximum: 1 },
+        models: { type: 'object', additionalProperties: { type: 'string' } },
+      },
+    },
+  },
+};
+
+/**
+ * Error for a missing, unreadable or invalid config file
+ */
+export class ConfigFileError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details
+   * @param {string} [details.path] - Config file path
+   * @param {string[]} [details.errors=[]] - Individual validation errors
+   */
+  constructor(message, { path, errors = [] } = {}) {
+    super(errors.length > 0 ? `${message}:\n${errors.map((e) => `  - ${e}`).join('\n')}` : message);
+    this.name = 'ConfigFileError';
+    this.path = path;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Get the profile requested on the command line or through the environment
+ * Accepts `--profile name` and `--profile=name`; the command line wins.
+ * @param {string[]} [argv=process.argv] - Process arguments
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string|null} Profile name, or null when none was requested
+ */
+export function getProfileName(argv = process.argv, env = process.env) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile' && argv[i + 1]) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith('--profile=')) {
+      return argv[i].slice('--profile='.length);
+    }
+  }
+  return env.AI_AGENTS_PROFILE || null;
+}
+
+/**
+ * Find the config file to load
+ * @param {Object} [options={}] - Lookup options
+ * @param {string} [options.cwd=process.cwd()] - Directory to look in
+ * @param {Object} [options.env=process.env] - Environment variables (AI_AGENTS_CONFIG)
+ * @returns {string|null} Absolute path, or null when there is no config file
+ * @throws {ConfigFileError} If AI_AGENTS_CONFIG names a file that does not exist
+ */
+export function findConfigFile({ cwd = process.cwd(), env = process.env } = {}) {
+  if (env.AI_AGENTS_CONFIG) {
+    const path = resolve(cwd, env.AI_AGENTS_CONFIG);
+    if (!existsSync(path)) {
+      throw new ConfigFileError(`AI_AGENTS_CONFIG points to a missing file: ${path}`, { path });
+    }
+    return path;
+  }
+  const path = resolve(cwd, CONFIG_FILE_NAME);
+  return existsSync(path) ? path : null;
+}
+
+/**
+ * Parse and validate config file contents
+ * Besides the schema, checks that `defaultProfile` and every `extends` name an
+ * existing profile.
+ * @param {string} text - File contents
+ * @param {string} [path=CONFIG_FILE_NAME] - Path used in error messages
+ * @returns {Object} Parsed config file
+ * @throws {ConfigFileError} If the contents are not valid JSON or fail validation
+ */
+export function parseConfigFile(text, path = CONFIG_FILE_NAME) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new ConfigFileError(`${path} is not valid JSON: ${error.message}`, { path });
+  }
+
+  const errors = validateJsonSchema(parsed, configFileSchema).map((error) =>
+    /unexpected property '\w*(key|secret)'$/i.test(error)
+      ? `${error} (keep secrets in .env)`
+      : error
+  );
+  if (errors.length === 0) {
+    const names = Object.keys(parsed.profiles);
+    if (parsed.defaultProfile && !names.includes(parsed.defaultProfile)) {
+      errors.push(`$.defaultProfile: unknown profile '${parsed.defaultProfile}'`);
+    }
+    for (const [name, profile] of Object.entries(parsed.profiles)) {
+      if (profile.extends && !names.includes(profile.extends)) {
+        errors.push(`$.profiles.${name}.extends: unknown profile '${profile.extends}'`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigFileError(`Invalid config file ${path}`, { path, errors });
+  }
+  return parsed;
+}
+
+/**
+ * Merge plain objects, with `override` winning; arrays and scalars are replaced
+ * @param {Object} base - Base values
+ * @param {Object} override - Overriding values
+ * @returns {Object} Merged copy
+ */
+function mergeSettings(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && merged[key] ? mergeSettings(merged[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Resolve a profile's settings, applying its `extends` chain
+ * @param {Object} file - Parsed config file
+ * @param {string} name - Profile name
+ * @returns {Object} Profile settings (without `extends` and `description`)
+ * @throws {ConfigFileError} If the profile does not exist or extends itself
+ */
+export function resolveProfile(file, name) {
+  const chain = [];
+  for (let current = name; current; current = file.profiles[current].extends) {
+    if (!file.profiles[current]) {
+      const available = Object.keys(file.profiles).join(', ');
+      throw new ConfigFileError(`Unknown profile '${current}'. Available profiles: ${available}`);
+    }
+    if (chain.includes(current)) {
+      throw new ConfigFileError(
+        `Profile '${name}' has circular extends: ${[...chain, current].join(' -> ')}`
+      );
+    }
+    chain.push(current);
+  }
+
+  return chain.reduceRight((settings, current) => {
+    const { extends: _extends, description: _description, ...own } = file.profiles[current];
+    return mergeSettings(settings, own);
+  }, {});
+}
+
+/**
+ * @typedef {Object} LoadedProfile
+ * @property {string|null} name - Selected profile, or null when no profile applies
+ * @property {string|null} path - Config file path, or null when there is no file
+ * @property {Object} settings - Resolved profile settings ({} when no profile applies)
+ */
+
+/**
+ * Load the selected profile from the config file
+ * @param {Object} [options={}] - Load options
+ * @param {string[]} [options.argv=process.argv] - Process arguments
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.cwd=process.cwd()] - Directory to look in
+ * @returns {LoadedProfile} Selected profile
+ * @throws {ConfigFileError} If the file is invalid, or a profile was requested that cannot be loaded
+ */
+export function loadProfile({ argv = process.argv, env = process.env, cwd = process.cwd() } = {}) {
+  const requested = getProfileName(argv, env);
+  const path = findConfigFile({ cwd, env });
+
+  if (!path) {
+    if (requested) {
+      throw new ConfigFileError(
+        `Profile '${requested}' was requested but no ${CONFIG_FILE_NAME} was found in ${cwd}`
+      );
+    }
+    return { name: null, path: null, settings: {} };
+  }
+
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (error) {
+    throw new ConfigFileError(`Could not read ${path}: ${error.message}`, { path });
+  }
+
+  const file = parseConfigFile(text, path);
+  const name = requested || file.defaultProfile || null;
+  if (!name) {
+    return { name: null, path, settings: {} };
+  }
+  return { name, path, settings: resolveProfile(file, name) };
+}
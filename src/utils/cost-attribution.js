@@ -0,0 +1,67 @@
+/**
+ * Cost Attribution
+ *
+ * Tags such as tenant, feature, agent and conversation follow a request from
+ * the code that starts it down to CostTrackingClient, without being threaded
+ * through every call's options. Tags set with withCostTags() apply to every
+ * tracked call made inside the callback, including calls in nested agents and
+ * after awaits. Nested scopes add to (and override) the outer tags.
+ *
+ * @example
+ * import { withCostTags } from './utils/cost-attribution.js';
+ *
+ * app.post('/chat', (req, res) =>
+ *   withCostTags({ tenant: req.user.orgId, feature: 'support-chat' }, async () => {
+ *     res.json(await agent.chat(req.body.message)); // tracked with tenant and feature
+ *   })
+ * );
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with cost attribution tags
+ * @template T
+ * @param {Object<string, string>} tags - Tags for every tracked call made by fn
+ * @param {() => T} fn - Function to run
+ * @returns {T} Result of fn
+ */
+export function withCostTags(tags, fn) {
+  return storage.run({ ...getCostTags(), ...tags }, fn);
+}
+
+/**
+ * Iterate an async iterable with cost attribution tags
+ * Async generators run in the context of whoever calls next(), so each step
+ * is resumed inside the tag scope. The enclosing tags are captured when this
+ * is called, not when iteration starts.
+ * @template T
+ * @param {Object<string, string>} tags - Tags for every tracked call made while iterating
+ * @param {() => AsyncIterable<T>} createIterable - Creates the iterable (e.g. calls a generator)
+ * @returns {AsyncGenerator<T>} The iterable's values
+ */
+export function withCostTagsIterable(tags, createIterable) {
+  const scope = { ...getCostTags(), ...tags };
+  return (async function* () {
+    const iterator = storage.run(scope, () => createIterable()[Symbol.asyncIterator]());
+    try {
+      while (true) {
+        const step = await storage.run(scope, () => iterator.next());
+        if (step.done) return step.value;
+        yield step.value;
+      }
+    } finally {
+      await iterator.return?.();
+    }
+  })();
+}
+
+/**
+ * Tags of the current attribution scope
+ * @returns {Object<string, string>} Tags (empty outside withCostTags)
+ */
+export function getCostTags() {
+  return storage.getStore() ?? {};
+}
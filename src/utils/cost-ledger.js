@@ -0,0 +1,212 @@
+/**
+ * Cost Ledger
+ *
+ * Append-only JSON Lines file with one line per tracked request, so spend
+ * survives restarts and can be shared by several processes. Each append is a
+ * single write to a file opened in append mode, so on a local filesystem lines
+ * from concurrent writers never interleave. Readers pick up lines appended by other processes
+ * the next time they query the ledger.
+ *
+ * Pass a ledger to CostTrackingClient (or CostTracker) to record every request,
+ * and to BudgetManager to enforce budgets against everything in the ledger
+ * rather than the current process's spend. Set AI_COST_LEDGER (or
+ * costLedger.file in a config profile) to do both for every tracked client.
+ *
+ * @example
+ * const ledger = new CostLedger('data/cost-ledger.jsonl');
+ * const client = new CostTrackingClient(createAIClient('openai'), { ledger });
+ *
+ * ledger.query({ from: '2026-10-01', to: '2026-10-31', tags: { tenant: 'acme' } });
+ * ledger.dailyTotals({ from: '2026-10-01' }); // [{ date, count, cost, tokens }, ...]
+ */
+
+import { appendFileSync, closeSync, fstatSync, mkdirSync, openSync, readSync } from 'fs';
+import { dirname } from 'path';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+import { summarizeCosts } from './cost-report.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} LedgerFilter
+ * @property {Date|string|number} [from] - Earliest timestamp (inclusive)
+ * @property {Date|string|number} [to] - Latest timestamp (exclusive); a YYYY-MM-DD date
+ *   includes that whole UTC day
+ * @property {Object<string, string>} [tags] - Tags every entry must have, with these values
+ * @property {string} [sessionId] - Only this CostTrackingClient session
+ * @property {string} [provider] - Only this provider
+ * @property {string} [model] - Only this model
+ */
+
+/**
+ * Timestamp in milliseconds for a filter bound
+ */
+function toTime(value, { endOfDay = false } = {}) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ledger date '${value}'`);
+  }
+  return endOfDay && DATE_ONLY.test(value) ? time + DAY_MS : time;
+}
+
+/**
+ * Append-only ledger of tracked requests
+ */
+export class CostLedger {
+  /**
+   * @param {string} path - Ledger file (created on first append, with its directory)
+   */
+  constructor(path) {
+    this.path = path;
+    // The directory is created by the first append only
+    this.directoryCreated = false;
+    this.logger = createLogger('CostLedger');
+  }
+
+  /**
+   * Append a tracked request
+   * @param {Object} request - Tracked request (needs a timestamp and totalCost)
+   * @returns {Object} The request
+   */
+  append(request) {
+    if (!this.directoryCreated) {
+      mkdirSync(dirname(this.path), { recursive: true });
+      this.directoryCreated = true;
+    }
+    appendFileSync(this.path, `${JSON.stringify(request)}\n`);
+    return request;
+  }
+
+  /**
+   * Read the entries after a byte offset, appended by this or any other process
+   * The ledger keeps no entries in memory: consumers such as BudgetManager
+   * keep the returned offset and fold each batch of new entries into their
+   * own running totals.
+   * @param {number} [offset=0] - Offset returned by the previous read (0 for the whole file)
+   * @returns {{entries: Object[], offset: number, reset: boolean}} New entries, the offset to
+   *   read from next time, and whether the file was replaced or truncated (entries then
+   *   start from the beginning of the file)
+   */
+  read(offset = 0) {
+    let fd;
+    try {
+      fd = openSync(this.path, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { entries: [], offset: 0, reset: offset > 0 };
+      }
+      throw error;
+    }
+
+    const entries = [];
+    let reset = false;
+    try {
+      const { size } = fstatSync(fd);
+      if (size < offset) {
+        reset = true;
+        offset = 0;
+      }
+      if (size === offset) {
+        return { entries, offset, reset };
+      }
+      const buffer = Buffer.alloc(size - offset);
+      const bytesRead = readSync(fd, buffer, 0, buffer.length, offset);
+      // A line without its newline is still being written; read it next time
+      const end = buffer.subarray(0, bytesRead).lastIndexOf(0x0a) + 1;
+      offset += end;
+
+      for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          this.logger.warn('Skipping unreadable cost ledger line', { path: this.path });
+        }
+      }
+    } finally {
+      closeSync(fd);
+    }
+    return { entries, offset, reset };
+  }
+
+  /**
+   * Entries matching a filter, oldest first
+   * Reads the whole file, so use it for reports rather than on every request.
+   * @param {LedgerFilter} [filter={}] - Entries to include
+   * @returns {Object[]} Tracked requests
+   */
+  query({ from, to, tags = {}, sessionId, provider, model } = {}) {
+    const fromTime = toTime(from);
+    const toTimeExclusive = toTime(to, { endOfDay: true });
+    const tagEntries = Object.entries(tags);
+
+    return this.read().entries.filter((entry) => {
+      const time = new Date(entry.timestamp).getTime();
+      return (
+        (fromTime === undefined || time >= fromTime) &&
+        (toTimeExclusive === undefined || time < toTimeExclusive) &&
+        (sessionId === undefined || entry.sessionId === sessionId) &&
+        (provider === undefined || entry.provider === provider) &&
+        (model === undefined || entry.model === model) &&
+        tagEntries.every(([name, value]) => entry.tags?.[name] === value)
+      );
+    });
+  }
+
+  /**
+   * Total cost of the entries matching a filter
+   * @param {LedgerFilter} [filter={}] - Entries to include
+   * @returns {number} Cost in USD
+   */
+  totalCost(filter = {}) {
+    return this.query(filter).reduce((sum, entry) => sum + (entry.totalCost || 0), 0);
+  }
+
+  /**
+   * Spend per UTC day
+   * @param {LedgerFilter} [filter={}] - Entries to include
+   * @returns {Array<{date: string, count: number, cost: number, tokens: number}>} Daily totals,
+   *   in date order (days without requests are omitted)
+   */
+  dailyTotals(filter = {}) {
+    return Object.entries(this.summarize(filter).byDay).map(([date, totals]) => ({
+      date,
+      ...totals,
+    }));
+  }
+
+  /**
+   * Breakdowns by model, day and tag, as summarizeCosts() returns them
+   * @param {LedgerFilter} [filter={}] - Entries to include
+   * @returns {import('./cost-report.js').CostSummary} Summary
+   */
+  summarize(filter = {}) {
+    return summarizeCosts(this.query(filter));
+  }
+}
+
+let sharedLedger = null;
+
+/**
+ * Get the process-wide ledger configured with AI_COST_LEDGER or costLedger.file
+ * @returns {CostLedger|null} Shared ledger, or null when none is configured
+ */
+export function getCostLedger() {
+  if (!sharedLedger && config.costLedger.file) {
+    sharedLedger = new CostLedger(config.costLedger.file);
+  }
+  return sharedLedger;
+}
+
+/**
+ * Replace the process-wide ledger, or pass null to rebuild it from configuration
+ * @param {CostLedger|null} ledger - Ledger to share
+ */
+export function setCostLedger(ledger) {
+  sharedLedger = ledger;
+}
@@ -0,0 +1,348 @@
+/**
+ * Cost Reports
+ *
+ * Breakdowns and exports of tracked requests (CostTrackingClient.requests or
+ * CostTracker.requests) for charging AI spend back to the teams that used it:
+ *
+ *   summarizeCosts()       - Totals by model, by UTC day and by each attribution tag
+ *   projectMonthlyCost()   - Monthly projection from the observed daily usage
+ *   toCsv() / toJsonl()    - One row per request, one column per tag
+ *   toHtmlReport()         - Self-contained HTML page with every breakdown
+ *   writeCostReport()      - Write any of the above, picking the format from the file extension
+ *
+ * @example
+ * await writeCostReport(tracker.requests, 'reports/ai-spend-2026-10.html');
+ * await writeCostReport(tracker.requests, 'reports/ai-spend-2026-10.csv');
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname, extname } from 'path';
+import { estimateMonthlyCost } from './cost-utils.js';
+
+/**
+ * @typedef {Object} CostBucket
+ * @property {number} count - Requests
+ * @property {number} cost - Cost in USD
+ * @property {number} tokens - Total tokens
+ */
+
+/**
+ * @typedef {Object} CostSummary
+ * @property {number} totalRequests - Requests
+ * @property {number} totalCost - Cost in USD
+ * @property {number} totalTokens - Total tokens
+ * @property {string|null} from - First request day (YYYY-MM-DD)
+ * @property {string|null} to - Last request day (YYYY-MM-DD)
+ * @property {Object<string, CostBucket>} byModel - Spend per model
+ * @property {Object<string, CostBucket>} byDay - Spend per UTC day, in date order
+ * @property {Object<string, Object<string, CostBucket>>} byTag - Spend per tag name and value
+ *   (requests without the tag are counted under "(untagged)")
+ */
+
+const UNTAGGED = '(untagged)';
+const CSV_COLUMNS = [
+  'timestamp',
+  'sessionId',
+  'provider',
+  'model',
+  'requestType',
+  'inputTokens',
+  'outputTokens',
+  'totalTokens',
+  'totalCost',
+];
+
+/**
+ * UTC day of a tracked request
+ * @param {Object} request - Tracked request
+ * @returns {string} YYYY-MM-DD
+ */
+function dayOf(request) {
+  return new Date(request.timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Add a request to a bucket in a breakdown
+ */
+function addTo(breakdown, key, request) {
+  const bucket = (breakdown[key] ??= { count: 0, cost: 0, tokens: 0 });
+  bucket.count++;
+  bucket.cost += request.totalCost || 0;
+  bucket.tokens += request.totalTokens || 0;
+}
+
+/**
+ * Names of every tag used by the requests, sorted
+ * @param {Object[]} requests - Tracked requests
+ * @returns {string[]} Tag names
+ */
+function tagNames(requests) {
+  return [...new Set(requests.flatMap((request) => Object.keys(request.tags || {})))].sort();
+}
+
+/**
+ * Summarize tracked requests by model, day and tag
+ * @param {Object[]} requests - Tracked requests
+ * @returns {CostSummary} Summary
+ */
+export function summarizeCosts(requests) {
+  const names = tagNames(requests);
+  const summary = {
+    totalRequests: requests.length,
+    totalCost: 0,
+    totalTokens: 0,
+    from: null,
+    to: null,
+    byModel: {},
+    byDay: {},
+    byTag: Object.fromEntries(names.map((name) => [name, {}])),
+  };
+
+  const sorted = [...requests].sort((a, b) => dayOf(a).localeCompare(dayOf(b)));
+  for (const request of sorted) {
+    summary.totalCost += request.totalCost || 0;
+    summary.totalTokens += request.totalTokens || 0;
+    addTo(summary.byModel, request.model, request);
+    addTo(summary.byDay, dayOf(request), request);
+    for (const name of names) {
+      addTo(summary.byTag[name], request.tags?.[name] ?? UNTAGGED, request);
+    }
+  }
+
+  const days = Object.keys(summary.byDay);
+  summary.from = days[0] ?? null;
+  summary.to = days[days.length - 1] ?? null;
+  return summary;
+}
+
+/**
+ * Project monthly cost from the observed usage
+ * Usage per model is averaged over the days with requests and priced with
+ * estimateMonthlyCost(), using the observed prompt/completion split.
+ * @param {Object[]} requests - Tracked requests
+ * @param {Object} [options={}] - Projection options
+ * @param {number} [options.daysPerMonth=30] - Days to project
+ * @returns {{days: number, daysPerMonth: number, averageDailyCost: number, projectedMonthlyCost: number, byModel: Object<string, Object>}}
+ *   Projection; byModel holds each model's estimateMonthlyCost() result
+ */
+export function projectMonthlyCost(requests, { daysPerMonth = 30 } = {}) {
+  const days = Math.max(1, new Set(requests.map(dayOf)).size);
+  const requestsByModel = new Map();
+  for (const request of requests) {
+    requestsByModel.set(request.model, [...(requestsByModel.get(request.model) ?? []), request]);
+  }
+
+  const byModel = {};
+  for (const [model, modelRequests] of requestsByModel) {
+    const inputTokens = modelRequests.reduce((sum, r) => sum + (r.inputTokens || 0), 0);
+    const totalTokens = modelRequests.reduce((sum, r) => sum + (r.totalTokens || 0), 0);
+    byModel[model] = estimateMonthlyCost(
+      {
+        averageCallsPerDay: modelRequests.length / days,
+        averageTokensPerCall: totalTokens / modelRequests.length,
+        averagePromptRatio: totalTokens > 0 ? inputTokens / totalTokens : undefined,
+        model,
+      },
+      daysPerMonth
+    );
+  }
+
+  const averageDailyCost =
+    requests.reduce((sum, request) => sum + (request.totalCost || 0), 0) / days;
+  return {
+    days,
+    daysPerMonth,
+    averageDailyCost,
+    projectedMonthlyCost: averageDailyCost * daysPerMonth,
+    byModel,
+  };
+}
+
+/**
+ * Format a CSV field, quoting it when needed
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ */
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Export tracked requests as CSV
+ * One row per request, with a `tag.<name>` column for every tag used.
+ * @param {Object[]} requests - Tracked requests
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv(requests) {
+  const names = tagNames(requests);
+  const header = [...CSV_COLUMNS, ...names.map((name) => `tag.${name}`)];
+  const rows = requests.map((request) =>
+    [...CSV_COLUMNS.map((column) => request[column]), ...names.map((name) => request.tags?.[name])]
+      .map(csvField)
+      .join(',')
+  );
+  return `${[header.join(','), ...rows].join('\n')}\n`;
+}
+
+/**
+ * Export tracked requests as JSON Lines, one request per line
+ * @param {Object[]} requests - Tracked requests
+ * @returns {string} JSONL text
+ */
+export function toJsonl(requests) {
+  return requests.map((request) => `${JSON.stringify(request)}\n`).join('');
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+/**
+ * Format a USD amount for the report
+ */
+function usd(amount) {
+  return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+}
+
+/**
+ * HTML table for one breakdown, with a bar showing each row's share of the cost
+ */
+function breakdownTable(title, breakdown, totalCost, { sortByCost = true } = {}) {
+  const entries = Object.entries(breakdown);
+  if (sortByCost) {
+    entries.sort(([, a], [, b]) => b.cost - a.cost);
+  }
+  const rows = entries
+    .map(([key, bucket]) => {
+      const share = totalCost > 0 ? (bucket.cost / totalCost) * 100 : 0;
+      return (
+        `<tr><td>${escapeHtml(key)}</td><td class="num">${bucket.count}</td>` +
+        `<td class="num">${bucket.tokens.toLocaleString('en-US')}</td>` +
+        `<td class="num">${usd(bucket.cost)}</td>` +
+        `<td class="share"><div class="bar" style="width:${share.toFixed(1)}%"></div>` +
+        `<span>${share.toFixed(1)}%</span></td></tr>`
+      );
+    })
+    .join('\n');
+  return `<section>
+<h2>${escapeHtml(title)}</h2>
+<table>
+<thead><tr><th></th><th>Requests</th><th>Tokens</th><th>Cost</th><th>Share</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</section>`;
+}
+
+/**
+ * Render a self-contained HTML cost report
+ * Contains totals, a monthly projection and breakdowns by tag, model and day.
+ * The page has no external assets, so it can be mailed or archived as is.
+ * @param {Object[]} requests - Tracked requests
+ * @param {Object} [options={}] - Report options
+ * @param {string} [options.title='AI Cost Report'] - Page title
+ * @param {number} [options.daysPerMonth=30] - Days used for the monthly projection
+ * @param {Date} [options.generatedAt=new Date()] - Timestamp shown in the footer
+ * @returns {string} HTML document
+ */
+export function toHtmlReport(
+  requests,
+  { title = 'AI Cost Report', daysPerMonth = 30, generatedAt = new Date() } = {}
+) {
+  const summary = summarizeCosts(requests);
+  const projection = projectMonthlyCost(requests, { daysPerMonth });
+  const period = summary.from ? `${summary.from} to ${summary.to}` : 'no requests';
+
+  const projectionRows = Object.entries(projection.byModel)
+    .map(
+      ([model, estimate]) =>
+        `<tr><td>${escapeHtml(model)}</td><td class="num">${Math.round(estimate.monthlyCalls)}</td>` +
+        `<td class="num">${Math.round(estimate.monthlyTokens).toLocaleString('en-US')}</td>` +
+        `<td class="num">${usd(Number(estimate.totalCost))}</td></tr>`
+    )
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+h1 { margin-bottom: 0.25rem; }
+.period { color: #616e7c; margin-top: 0; }
+.cards { display: flex; gap: 1rem; margin: 1.5rem 0; }
+.card { border: 1px solid #d9e2ec; border-radius: 6px; padding: 0.75rem 1rem; min-width: 10rem; }
+.card strong { display: block; font-size: 1.4rem; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; min-width: 40rem; }
+th, td { border-bottom: 1px solid #e4e7eb; padding: 0.35rem 0.75rem; text-align: left; }
+.num { text-align: right; font-variant-numeric: tabular-nums; }
+.share { position: relative; width: 12rem; }
+.bar { position: absolute; inset: 0.35rem auto 0.35rem 0; background: #bcccdc; }
+.share span { position: relative; }
+footer { color: #9aa5b1; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="period">${escapeHtml(period)}</p>
+<div class="cards">
+<div class="card">Total cost<strong>${usd(summary.totalCost)}</strong></div>
+<div class="card">Requests<strong>${summary.totalRequests}</strong></div>
+<div class="card">Tokens<strong>${summary.totalTokens.toLocaleString('en-US')}</strong></div>
+<div class="card">Projected monthly<strong>${usd(projection.projectedMonthlyCost)}</strong></div>
+</div>
+<section>
+<h2>Monthly projection (${projection.daysPerMonth} days, from ${projection.days} observed)</h2>
+<table>
+<thead><tr><th>Model</th><th>Requests</th><th>Tokens</th><th>Estimated cost</th></tr></thead>
+<tbody>
+${projectionRows}
+</tbody>
+</table>
+</section>
+${Object.entries(summary.byTag)
+  .map(([name, breakdown]) => breakdownTable(`By ${name}`, breakdown, summary.totalCost))
+  .join('\n')}
+${breakdownTable('By model', summary.byModel, summary.totalCost)}
+${breakdownTable('By day', summary.byDay, summary.totalCost, { sortByCost: false })}
+<footer>Generated ${escapeHtml(generatedAt.toISOString())}</footer>
+</body>
+</html>
+`;
+}
+
+const FORMATS = { '.csv': toCsv, '.jsonl': toJsonl, '.html': toHtmlReport };
+
+/**
+ * Write a cost report, choosing the format from the file extension
+ * @param {Object[]} requests - Tracked requests
+ * @param {string} path - Output file ending in .csv, .jsonl or .html
+ * @param {Object} [options={}] - Options for toHtmlReport()
+ * @returns {Promise<string>} The path written
+ * @throws {Error} If the extension is not a supported format
+ */
+export async function writeCostReport(requests, path, options = {}) {
+  const format = FORMATS[extname(path).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unsupported report format '${path}' (use .csv, .jsonl or .html)`);
+  }
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, format(requests, options));
+  return path;
+}
@@ -3,52 +3,20 @@
  * Common functions for calculating API costs
  */
 
-/**
- * Default pricing per 1K tokens (as of 2024, adjust as needed)
- */
-const DEFAULT_PRICING = {
-  'gpt-4': { input: 0.03, output: 0.06 },
-  'gpt-4-turbo': { input: 0.01, output: 0.03 },
-  'gpt-4o': { input: 0.005, output: 0.015 },
-  'gpt-3.5-turbo': { input: 0.0015, output: 0.002 },
-  'claude-3-opus': { input: 0.015, output: 0.075 },
-  'claude-3-sonnet': { input: 0.003, output: 0.015 },
-  'claude-3-haiku': { input: 0.00025, output: 0.00125 },
-  'claude-3-5-sonnet': { input: 0.003, output: 0.015 },
-};
-
-/**
- * Normalize model name for pricing lookup
- * @param {string} model - Model name
- * @returns {string} Normalized model key
- */
-function normalizeModelName(model) {
-  if (!model) return 'gpt-3.5-turbo';
-  return model.toLowerCase().replace(/[^a-z0-9-]/g, '');
-}
+import { getCacheRates, getModelPricing, getPricingCatalogue } from './pricing.js';
 
 /**
  * Get pricing for a model
- * @param {string} model - Model name
+ * Looks the model up in the pricing catalogue across providers, falling back
+ * to gpt-3.5-turbo for unknown models.
+ * @param {string} model - Model name, alias or Azure deployment
  * @returns {Object} Pricing object with input and output rates per 1K tokens
  */
 export function getPricing(model) {
-  const normalized = normalizeModelName(model);
-
-  // Try exact match first
-  if (DEFAULT_PRICING[normalized]) {
-    return DEFAULT_PRICING[normalized];
-  }
-
-  // Try partial matches
-  for (const [key, pricing] of Object.entries(DEFAULT_PRICING)) {
-    if (normalized.includes(key) || key.includes(normalized)) {
-      return pricing;
-    }
-  }
-
-  // Default to gpt-3.5-turbo pricing
-  return DEFAULT_PRICING['gpt-3.5-turbo'];
+  const pricing = getModelPricing(null, model || 'gpt-3.5-turbo', {
+    fallbackModel: 'gpt-3.5-turbo',
+  });
+  return { input: pricing.input / 1000, output: pricing.output / 1000 };
 }
 
 /**
@@ -69,7 +37,7 @@ export function calculateCost(promptTokens, completionTokens, model) {
     promptTokens,
     completionTokens,
     totalTokens: promptTokens + completionTokens,
-    model: normalizeModelName(model),
+    model: getPricingCatalogue().resolveModel(null, model || 'gpt-3.5-turbo')?.model ?? model,
     inputCost: inputCost.toFixed(6),
     outputCost: outputCost.toFixed(6),
     totalCost: totalCost.toFixed(6),
@@ -148,16 +116,21 @@ export function calculateTotalCost(calls) {
 
 /**
  * Estimate monthly cost based on usage patterns
- * @param {Object} dailyUsage - Daily usage stats
+ * @param {Object} dailyUsage - Daily usage stats (averageCallsPerDay, averageTokensPerCall,
+ *   averagePromptRatio, model)
  * @param {number} daysPerMonth - Days in month (default 30)
  * @returns {Object} Monthly cost estimate
  */
 export function estimateMonthlyCost(dailyUsage, daysPerMonth = 30) {
-  const { averageCallsPerDay = 0, averageTokensPerCall = 0, model = 'gpt-3.5-turbo' } = dailyUsage;
+  const {
+    averageCallsPerDay = 0,
+    averageTokensPerCall = 0,
+    averagePromptRatio: avgPromptRatio = 0.7, // Assume 70% prompt, 30% completion
+    model = 'gpt-3.5-turbo',
+  } = dailyUsage;
 
   const monthlyCalls = averageCallsPerDay * daysPerMonth;
   const monthlyTokens = monthlyCalls * averageTokensPerCall;
-  const avgPromptRatio = 0.7; // Assume 70% prompt, 30% completion
   const promptTokens = Math.floor(monthlyTokens * avgPromptRatio);
   const completionTokens = Math.floor(monthlyTokens * (1 - avgPromptRatio));
 
@@ -170,3 +143,65 @@ export function estimateMonthlyCost(dailyUsage, daysPerMonth = 30) {
     daysPerMonth,
   };
 }
+
+/**
+ * Normalize Claude usage to token counts
+ * Claude reports uncached input, cache writes and cache reads separately;
+ * inputTokens here is their sum, so it matches OpenAI's prompt_tokens.
+ * @param {Object} usage - Claude usage (input_tokens, output_tokens, cache_*_input_tokens)
+ * @returns {{inputTokens: number, outputTokens: number, cacheCreationTokens: number, cacheReadTokens: number}} Token counts
+ */
+export function fromClaudeUsage(usage) {
+  const cacheCreationTokens = usage.cache_creation_input_tokens || 0;
+  const cacheReadTokens = usage.cache_read_input_tokens || 0;
+  return {
+    inputTokens: (usage.input_tokens || 0) + cacheCreationTokens + cacheReadTokens,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens,
+    cacheReadTokens,
+  };
+}
+
+/**
+ * Price token counts with a per-1M-token pricing entry from pricing.js
+ * Cached input tokens are priced at the cache write/read rates instead of the
+ * input rate; their share is reported in cacheCreationCost and cacheReadCost
+ * (both included in inputCost) whenever the call used the prompt cache.
+ * @param {Object} tokens - Token counts
+ * @param {number} tokens.inputTokens - All input tokens, cached ones included
+ * @param {number} tokens.outputTokens - Output tokens
+ * @param {number} [tokens.cacheCreationTokens=0] - Input tokens written to the cache
+ * @param {number} [tokens.cacheReadTokens=0] - Input tokens read from the cache
+ * @param {{input: number, output: number, cacheWrite?: number, cacheRead?: number}} pricing - Rates per 1M tokens
+ * @returns {Object} Cost calculation result with inputTokens, outputTokens, totalTokens, inputCost, outputCost, totalCost
+ */
+export function calculateTokenCost(
+  { inputTokens, outputTokens, cacheCreationTokens = 0, cacheReadTokens = 0 },
+  pricing
+) {
+  const { cacheWrite, cacheRead } = getCacheRates(pricing);
+  const uncachedTokens = inputTokens - cacheCreationTokens - cacheReadTokens;
+  const cacheCreationCost = (cacheCreationTokens / 1_000_000) * cacheWrite;
+  const cacheReadCost = (cacheReadTokens / 1_000_000) * cacheRead;
+  const inputCost =
+    (uncachedTokens / 1_000_000) * pricing.input + cacheCreationCost + cacheReadCost;
+  const outputCost = (outputTokens / 1_000_000) * pricing.output;
+
+  const result = {
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    inputCost,
+    outputCost,
+    totalCost: inputCost + outputCost,
+  };
+  if (cacheCreationTokens || cacheReadTokens) {
+    Object.assign(result, {
+      cacheCreationTokens,
+      cacheReadTokens,
+      cacheCreationCost,
+      cacheReadCost,
+    });
+  }
+  return result;
+}
@@ -3,9 +3,17 @@
  *
  * Validates environment configuration and provides clear error messages
  * for missing or invalid configuration.
+ *
+ * `runDoctor` goes further than presence checks: it validates value formats
+ * against the known-model catalogue, detects conflicting settings, reports
+ * which menu demos can run, and can probe a local OpenAI-compatible server.
+ * Run it with `npm run doctor`.
  */
 
 import { config } from '../config.js';
+import { getProvider, getRegisteredProviders } from '../clients/provider-registry.js';
+import { getPricingCatalogue, loadPricingCatalogue } from './pricing.js';
+import { categories } from '../menu-catalog.js';
 
 /**
  * @typedef {Object} ValidationResult
@@ -33,25 +41,23 @@ export function validateEnvironment(options = {}) {
 
   const errors = [];
   const warnings = [];
-  const providers = {
-    'azure-openai': validateAzureOpenAI(),
-    'openai-standard': validateStandardOpenAI(),
-    claude: validateClaude(),
-    langfuse: validateLangfuse(),
-    chroma: validateChroma(),
-  };
+  const aiProviders = getValidatedProviders();
+  const providers = {};
+  for (const name of aiProviders) {
+    providers[name] = getProvider(name).validateEnv();
+  }
+  providers.langfuse = validateLangfuse();
+  providers.chroma = validateChroma();
 
   // Check if at least one AI provider is available
-  const aiProviders = ['azure-openai', 'openai-standard', 'claude'];
   const availableAIProviders = aiProviders.filter((p) => providers[p].available);
 
   if (requireAtLeastOne && availableAIProviders.length === 0) {
-    errors.push(
-      'No AI provider configured. Please set at least one of:\n' +
-        '  - AZURE_OPENAI_API_KEY and AZURE_OPENAI_ENDPOINT (for Azure OpenAI)\n' +
-        '  - OPENAI_API_KEY (for standard OpenAI)\n' +
-        '  - ANTHROPIC_API_KEY (for Claude)'
+    const hints = aiProviders.map(
+      (name) =>
+        `  - ${providers[name].missing.join(' and ')} (for ${getProvider(name).displayName})`
     );
+    errors.push(`No AI provider configured. Please set at least one of:\n${hints.join('\n')}`);
   }
 
   // Check required providers
@@ -94,57 +100,11 @@ export function validateEnvironment(options = {}) {
 }
 
 /**
- * Validate Azure OpenAI configuration
- * @returns {ProviderStatus} Provider status
+ * Get registered AI providers that define an environment check
+ * @returns {string[]} Provider names in registration order
  */
-function validateAzureOpenAI() {
-  const missing = [];
-
-  if (!config.openai.azureApiKey) {
-    missing.push('AZURE_OPENAI_API_KEY');
-  }
-  if (!config.openai.azure.endpoint) {
-    missing.push('AZURE_OPENAI_ENDPOINT');
-  }
-
-  return {
-    available: missing.length === 0,
-    missing,
-  };
-}
-
-/**
- * Validate Standard OpenAI configuration
- * @returns {ProviderStatus} Provider status
- */
-function validateStandardOpenAI() {
-  const missing = [];
-
-  if (!config.openai.standardApiKey) {
-    missing.push('OPENAI_API_KEY');
-  }
-
-  return {
-    available: missing.length === 0,
-    missing,
-  };
-}
-
-/**
- * Validate Claude configuration
- * @returns {ProviderStatus} Provider status
- */
-function validateClaude() {
-  const missing = [];
-
-  if (!config.claude.apiKey) {
-    missing.push('ANTHROPIC_API_KEY');
-  }
-
-  return {
-    available: missing.length === 0,
-    missing,
-  };
+function getValidatedProviders() {
+  return getRegisteredProviders().filter((name) => getProvider(name).validateEnv);
 }
 
 /**
@@ -222,14 +182,9 @@ export function printEnvironmentStatus() {
   // AI Providers
   console.log('\n🤖 AI Providers:\n');
 
-  const providerNames = {
-    'azure-openai': 'Azure OpenAI',
-    'openai-standard': 'Standard OpenAI',
-    claude: 'Claude (Anthropic)',
-  };
-
-  for (const [key, name] of Object.entries(providerNames)) {
+  for (const key of getValidatedProviders()) {
     const status = result.providers[key];
+    const name = getProvider(key).displayName;
     if (status.available) {
       console.log(`  ✅ ${name}: Configured`);
     } else {
@@ -265,3 +220,458 @@ export function printEnvironmentStatus() {
 
   return result;
 }
+
+// ============================================================
+// Doctor
+// ============================================================
+
+const API_VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}(-preview)?$/;
+const AZURE_HOST_SUFFIXES = [
+  '.openai.azure.com',
+  '.cognitiveservices.azure.com',
+  '.services.ai.azure.com',
+];
+// Azure allows letters, digits, '-', '_' and '.' in deployment names
+const DEPLOYMENT_NAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,63}$/;
+const LOG_LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR', 'NONE'];
+const LOG_FORMATS = ['text', 'json'];
+const GUARDRAIL_PRESETS = ['off', 'default', 'strict'];
+
+/**
+ * Requirements an example in the menu catalog can list, with how to satisfy them
+ * @type {Object<string, {label: string, met: () => boolean}>}
+ */
+const DEMO_REQUIREMENTS = {
+  chat: {
+    label: 'an AI provider',
+    met: () =>
+      getRegisteredProviders().some((name) => name !== 'mock' && getProvider(name).isAvailable()),
+  },
+  openai: {
+    label: 'OpenAI or Azure OpenAI',
+    met: () => !!getProvider('openai').isAvailable(),
+  },
+  claude: {
+    label: 'ANTHROPIC_API_KEY',
+    met: () => !!getProvider('claude').isAvailable(),
+  },
+  assistants: {
+    label: 'OPENAI_API_KEY (the Assistants API is not available on Azure)',
+    met: () => !!config.openai.standardApiKey,
+  },
+  embeddings: {
+    label: 'OpenAI, Azure OpenAI or a local server',
+    met: () => !!(getProvider('openai').isAvailable() || getProvider('local').isAvailable()),
+  },
+  vision: {
+    label: 'OpenAI, Claude or LOCAL_AI_VISION_MODEL',
+    met: () =>
+      !!(
+        config.openai.azureApiKey ||
+        config.openai.standardApiKey ||
+        config.claude.apiKey ||
+        (config.local.baseUrl && config.local.visionModel)
+      ),
+  },
+  langfuse: {
+    label: 'LANGFUSE_SECRET_KEY and LANGFUSE_PUBLIC_KEY',
+    met: () => validateLangfuse().available,
+  },
+};
+
+/**
+ * Parse a URL, returning null when it is malformed
+ * @param {string} value - URL string
+ * @returns {URL|null} Parsed URL
+ */
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a model name against the pricing catalogue
+ * Aliases, dated snapshots and mapped Azure deployments count as known.
+ * @param {import('./pricing.js').PricingCatalogue} catalogue - Pricing catalogue
+ * @param {'openai'|'claude'} provider - Catalogue provider
+ * @param {string} model - Model name
+ * @returns {boolean} True if the model has known pricing
+ */
+function isKnownModel(catalogue, provider, model) {
+  return catalogue.resolveModel(provider, model) !== null;
+}
+
+/**
+ * Validate the format of configured values
+ * Model names are only checked for providers that are configured.
+ * @param {Object} [cfg=config] - Configuration to check
+ * @returns {{errors: string[], warnings: string[]}} Problems found
+ */
+export function validateConfigFormats(cfg = config) {
+  const errors = [];
+  const warnings = [];
+  const { azure } = cfg.openai;
+
+  let catalogue;
+  try {
+    catalogue = getPricingCatalogue();
+  } catch (error) {
+    errors.push(error.message);
+    // Check model names against the bundled prices instead
+    catalogue = loadPricingCatalogue();
+  }
+
+  if (azure.endpoint) {
+    const url = parseUrl(azure.endpoint);
+    if (!url || url.protocol !== 'https:') {
+      errors.push(`AZURE_OPENAI_ENDPOINT must be an https:// URL, got '${azure.endpoint}'`);
+    } else {
+      if (!AZURE_HOST_SUFFIXES.some((suffix) => url.hostname.endsWith(suffix))) {
+        warnings.push(
+          `AZURE_OPENAI_ENDPOINT host '${url.hostname}' is not an Azure OpenAI host ` +
+            '(expected https://<resource>.openai.azure.com/)'
+        );
+      }
+      if (url.pathname !== '/') {
+        warnings.push(
+          `AZURE_OPENAI_ENDPOINT should be the resource URL only; remove the path '${url.pathname}'`
+        );
+      }
+    }
+  }
+
+  if (!API_VERSION_PATTERN.test(azure.apiVersion)) {
+    errors.push(
+      `AZURE_OPENAI_API_VERSION '${azure.apiVersion}' is not an API version like 2024-02-15-preview`
+    );
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(cfg.claude.apiVersion)) {
+    errors.push(
+      `ANTHROPIC_API_VERSION '${cfg.claude.apiVersion}' is not an API version like 2023-06-01`
+    );
+  }
+
+  if (cfg.openai.azureApiKey && azure.endpoint) {
+    for (const [name, value] of [
+      ['AZURE_OPENAI_DEPLOYMENT', azure.deployment],
+      ['AZURE_OPENAI_EMBEDDING_DEPLOYMENT', azure.embeddingDeployment],
+    ]) {
+      if (!DEPLOYMENT_NAME_PATTERN.test(value)) {
+        errors.push(
+          `${name} '${value}' is not a valid deployment name ` +
+            "(letters, digits, '-', '_' and '.', up to 64 characters)"
+        );
+      }
+    }
+    if (!isKnownModel(catalogue, 'openai', azure.deployment)) {
+      warnings.push(
+        `Azure deployment '${azure.deployment}' is not a known model name; map it under ` +
+          'azureDeployments in AI_PRICING_OVERRIDES or cost tracking will use default pricing'
+      );
+    }
+  }
+
+  if (cfg.openai.standardApiKey) {
+    for (const model of new Set([cfg.openai.model, cfg.openai.visionModel])) {
+      if (!isKnownModel(catalogue, 'openai', model)) {
+        warnings.push(`OpenAI model '${model}' is not in the known-model catalogue`);
+      }
+    }
+  }
+
+  if (cfg.claude.apiKey && !isKnownModel(catalogue, 'claude', cfg.claude.model)) {
+    warnings.push(`Claude model '${cfg.claude.model}' is not in the known-model catalogue`);
+  }
+
+  if (cfg.local.baseUrl) {
+    const url = parseUrl(cfg.local.baseUrl);
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push(`LOCAL_AI_BASE_URL must be an http(s) URL, got '${cfg.local.baseUrl}'`);
+    } else if (!url.pathname.replace(/\/$/, '').endsWith('/v1')) {
+      warnings.push(
+        `LOCAL_AI_BASE_URL '${cfg.local.baseUrl}' does not end in /v1; ` +
+          'OpenAI-compatible servers usually serve the API there'
+      );
+    }
+  }
+
+  if (cfg.logger.level && !LOG_LEVELS.includes(cfg.logger.level.toUpperCase())) {
+    errors.push(`LOG_LEVEL '${cfg.logger.level}' must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (cfg.logger.format && !LOG_FORMATS.includes(cfg.logger.format)) {
+    errors.push(`LOG_FORMAT '${cfg.logger.format}' must be one of ${LOG_FORMATS.join(', ')}`);
+  }
+
+  for (const [name, value] of Object.entries(cfg.budgets)) {
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`Budget '${name}' must be a non-negative number, got '${value}'`);
+    }
+  }
+  if (!GUARDRAIL_PRESETS.includes(cfg.guardrails.preset)) {
+    errors.push(
+      `Guardrails preset '${cfg.guardrails.preset}' must be one of ${GUARDRAIL_PRESETS.join(', ')}`
+    );
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Detect settings that contradict each other
+ * @param {Object} [cfg=config] - Configuration to check
+ * @returns {{errors: string[], warnings: string[]}} Problems found
+ */
+export function detectConfigConflicts(cfg = config) {
+  const errors = [];
+  const warnings = [];
+  const { defaultProvider, azure } = cfg.openai;
+
+  if (!['azure-openai', 'openai-standard'].includes(defaultProvider)) {
+    errors.push(
+      `OPENAI_DEFAULT_PROVIDER '${defaultProvider}' must be 'azure-openai' or 'openai-standard'`
+    );
+  } else if (defaultProvider === 'azure-openai') {
+    const missing = [
+      !azure.endpoint && 'AZURE_OPENAI_ENDPOINT',
+      !cfg.openai.azureApiKey && 'AZURE_OPENAI_API_KEY',
+    ].filter(Boolean);
+    if (missing.length > 0) {
+      errors.push(
+        `OPENAI_DEFAULT_PROVIDER is 'azure-openai' but ${missing.join(' and ')} ` +
+          `${missing.length > 1 ? 'are' : 'is'} not set, so createAIClient('openai') will fail`
+      );
+    }
+  } else if (!cfg.openai.standardApiKey && cfg.openai.azureApiKey) {
+    errors.push(
+      "OPENAI_DEFAULT_PROVIDER is 'openai-standard' but only Azure credentials are set; " +
+        'set OPENAI_API_KEY or use OPENAI_DEFAULT_PROVIDER=azure-openai'
+    );
+  }
+
+  const unknown = cfg.fallbackOrder.filter((name) => !getProvider(name));
+  if (unknown.length > 0) {
+    errors.push(`Fallback order names unknown providers: ${unknown.join(', ')}`);
+  } else if (!cfg.fallbackOrder.some((name) => getProvider(name).isAvailable())) {
+    warnings.push(
+      `None of the providers in the fallback order (${cfg.fallbackOrder.join(', ')}) is configured`
+    );
+  }
+
+  for (const [useCase, settings] of Object.entries(cfg.useCases)) {
+    for (const provider of Object.keys(settings.models || {})) {
+      if (!getProvider(provider)) {
+        warnings.push(`Use case '${useCase}' sets a model for unknown provider '${provider}'`);
+      }
+    }
+  }
+
+  if (cfg.local.visionModel && !cfg.local.baseUrl) {
+    warnings.push('LOCAL_AI_VISION_MODEL is set but LOCAL_AI_BASE_URL is not; it has no effect');
+  }
+  if (cfg.claude.promptCache && !cfg.claude.apiKey) {
+    warnings.push('CLAUDE_PROMPT_CACHE is enabled but ANTHROPIC_API_KEY is not set');
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * @typedef {Object} DemoStatus
+ * @property {string} category - Category title
+ * @property {string} name - Example name
+ * @property {string} file - Script path relative to src/examples
+ * @property {boolean} runnable - Whether every requirement is met
+ * @property {string[]} missing - Descriptions of the unmet requirements
+ */
+
+/**
+ * Report which menu demos can run with the current configuration
+ * @param {import('../menu-catalog.js').MenuCategory[]} [catalog] - Menu categories (default: menu.js's)
+ * @returns {DemoStatus[]} One entry per example, in menu order
+ */
+export function getDemoStatus(catalog = categories) {
+  return catalog.flatMap((category) =>
+    category.examples.map((example) => {
+      const missing = (example.requires ?? ['chat'])
+        .map(
+          (requirement) =>
+            DEMO_REQUIREMENTS[requirement] ?? { label: requirement, met: () => false }
+        )
+        .filter((requirement) => !requirement.met())
+        .map((requirement) => requirement.label);
+      return {
+        category: category.title,
+        name: example.name,
+        file: `${category.id}/${example.file}`,
+        runnable: missing.length === 0,
+        missing,
+      };
+    })
+  );
+}
+
+/**
+ * @typedef {Object} ConnectivityResult
+ * @property {boolean} ok - Whether the server answered
+ * @property {string|null} url - URL probed
+ * @property {number} [status] - HTTP status
+ * @property {number} [latencyMs] - Time to respond
+ * @property {string[]} [models] - Model IDs the server lists
+ * @property {string} [error] - Why the probe failed
+ */
+
+/**
+ * Probe an OpenAI-compatible server by listing its models
+ * This is a dry check: no completion is requested and no tokens are spent.
+ * Point it at a local server or stand-in, not a paid API.
+ * @param {string} [baseUrl=config.local.baseUrl] - API base URL (e.g. http://localhost:11434/v1)
+ * @param {Object} [options={}] - Probe options
+ * @param {number} [options.timeoutMs=5000] - Give up after this long
+ * @returns {Promise<ConnectivityResult>} Probe result
+ */
+export async function probeConnectivity(baseUrl = config.local.baseUrl, { timeoutMs = 5000 } = {}) {
+  if (!baseUrl) {
+    return { ok: false, url: null, error: 'No URL to probe; set LOCAL_AI_BASE_URL or pass one' };
+  }
+
+  const url = `${baseUrl.replace(/\/+$/, '')}/models`;
+  const started = Date.now();
+  try {
+    const response = await fetch(url, {
+      headers: { authorization: `Bearer ${config.local.apiKey}` },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const latencyMs = Date.now() - started;
+    if (!response.ok) {
+      return {
+        ok: false,
+        url,
+        status: response.status,
+        latencyMs,
+        error: `HTTP ${response.status}`,
+      };
+    }
+    const body = await response.json().catch(() => ({}));
+    const models = Array.isArray(body.data) ? body.data.map((model) => model.id) : [];
+    return { ok: true, url, status: response.status, latencyMs, models };
+  } catch (error) {
+    return {
+      ok: false,
+      url,
+      latencyMs: Date.now() - started,
+      error:
+        error.name === 'TimeoutError'
+          ? `No response within ${timeoutMs}ms`
+          : (error.cause?.message ?? error.message),
+    };
+  }
+}
+
+/**
+ * @typedef {Object} DoctorReport
+ * @property {boolean} valid - No errors were found
+ * @property {{name: string|null, path: string|null}} profile - Config profile in use
+ * @property {string[]} errors - Problems that will break requests
+ * @property {string[]} warnings - Suspicious settings
+ * @property {Object} providers - Provider status from validateEnvironment
+ * @property {DemoStatus[]} demos - Which menu demos can run
+ * @property {ConnectivityResult|null} connectivity - Probe result, when requested
+ */
+
+/**
+ * Run every configuration check
+ * @param {Object} [options={}] - Doctor options
+ * @param {boolean} [options.probe=false] - Also probe a local OpenAI-compatible server
+ * @param {string} [options.probeUrl] - URL to probe (default: LOCAL_AI_BASE_URL)
+ * @param {number} [options.timeoutMs] - Probe timeout
+ * @returns {Promise<DoctorReport>} Report
+ */
+export async function runDoctor({ probe = false, probeUrl, timeoutMs } = {}) {
+  const environment = validateEnvironment();
+  const formats = validateConfigFormats();
+  const conflicts = detectConfigConflicts();
+  const errors = [...environment.errors, ...formats.errors, ...conflicts.errors];
+  const warnings = [...environment.warnings, ...formats.warnings, ...conflicts.warnings];
+
+  let connectivity = null;
+  if (probe) {
+    connectivity = await probeConnectivity(probeUrl ?? config.local.baseUrl, { timeoutMs });
+    if (!connectivity.ok) {
+      errors.push(`Connectivity probe failed for ${connectivity.url}: ${connectivity.error}`);
+    } else if (
+      connectivity.models.length > 0 &&
+      !connectivity.models.includes(config.local.model)
+    ) {
+      warnings.push(
+        `LOCAL_AI_MODEL '${config.local.model}' is not served by ${connectivity.url} ` +
+          `(available: ${connectivity.models.join(', ')})`
+      );
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    profile: config.profile,
+    errors,
+    warnings,
+    providers: environment.providers,
+    demos: getDemoStatus(),
+    connectivity,
+  };
+}
+
+/**
+ * Print a doctor report to the console
+ * @param {DoctorReport} report - Report from runDoctor
+ */
+export function printDoctorReport(report) {
+  console.log('\n🩺 Configuration Doctor\n');
+  console.log('='.repeat(50));
+
+  if (report.profile.name) {
+    console.log(`\n📄 Profile: ${report.profile.name} (${report.profile.path})`);
+  }
+
+  console.log('\n🤖 AI Providers:\n');
+  for (const key of getValidatedProviders()) {
+    const status = report.providers[key];
+    const name = getProvider(key).displayName;
+    console.log(
+      status.available
+        ? `  ✅ ${name}: Configured`
+        : `  ⚪ ${name}: Not configured (missing: ${status.missing.join(', ')})`
+    );
+  }
+
+  if (report.connectivity) {
+    const { ok, url, latencyMs, models, error } = report.connectivity;
+    console.log('\n🔌 Connectivity:\n');
+    console.log(
+      ok
+        ? `  ✅ ${url} answered in ${latencyMs}ms (${models.length} models)`
+        : `  ❌ ${url ?? 'No URL'}: ${error}`
+    );
+  }
+
+  const runnable = report.demos.filter((demo) => demo.runnable);
+  console.log(`\n🎬 Demos: ${runnable.length} of ${report.demos.length} runnable\n`);
+  for (const demo of report.demos.filter((d) => !d.runnable)) {
+    console.log(`  ⚪ ${demo.name} (${demo.file}) needs ${demo.missing.join(' and ')}`);
+  }
+
+  if (report.warnings.length > 0) {
+    console.log('\n⚠️  Warnings:\n');
+    report.warnings.forEach((w) => console.log(`  - ${w}`));
+  }
+
+  if (report.errors.length > 0) {
+    console.log('\n❌ Errors:\n');
+    report.errors.forEach((e) => console.log(`  - ${e}`));
+  }
+
+  console.log(`\n${'='.repeat(50)}`);
+  console.log(report.valid ? '✅ No problems found\n' : '❌ Fix the errors above\n');
+}
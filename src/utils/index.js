@@ -9,9 +9,43 @@ export * from './token-utils.js';
 export * from './cost-utils.js';
 export * from './similarity-utils.js';
 export { SimpleVectorStore } from './simple-vector-store.js';
-export { PRICING } from './pricing.js';
+export {
+  PRICING,
+  PricingCatalogue,
+  getCacheRates,
+  getModelPricing,
+  getPricingCatalogue,
+  loadPricingCatalogue,
+  setPricingCatalogue,
+} from './pricing.js';
 export {
   validateEnvironment,
   assertValidEnvironment,
   printEnvironmentStatus,
+  validateConfigFormats,
+  detectConfigConflicts,
+  getDemoStatus,
+  probeConnectivity,
+  runDoctor,
+  printDoctorReport,
 } from './env-validator.js';
+export { normalizeRequest, hashRequest, normalizeMessages } from './request-hash.js';
+export { validateJsonSchema } from './json-schema.js';
+export {
+  loadProfile,
+  getProfileName,
+  parseConfigFile,
+  resolveProfile,
+  ConfigFileError,
+  CONFIG_FILE_NAME,
+} from './config-file.js';
+export { withCostTags, withCostTagsIterable, getCostTags } from './cost-attribution.js';
+export {
+  summarizeCosts,
+  projectMonthlyCost,
+  toCsv,
+  toJsonl,
+  toHtmlReport,
+  writeCostReport,
+} from './cost-report.js';
+export { CostLedger, getCostLedger, setCostLedger } from './cost-ledger.js';
@@ -0,0 +1,217 @@
+/**
+ * JSON Schema Validation
+ *
+ * A small validator for the JSON Schema subset used to describe structured
+ * model output: type (including type arrays and nullable), properties,
+ * required, additionalProperties, items, enum, const, string/number/array
+ * bounds, pattern, anyOf/oneOf/allOf and local $ref (#/$defs, #/definitions).
+ * Unknown keywords are ignored.
+ *
+ * Errors are reported as readable strings with a JSONPath-style location,
+ * suitable for sending back to a model in a repair prompt.
+ *
+ * @example
+ * const errors = validateJsonSchema({ age: '30' }, {
+ *   type: 'object',
+ *   properties: { name: { type: 'string' }, age: { type: 'integer' } },
+ *   required: ['name', 'age'],
+ * });
+ * // ["$: missing required property 'name'", '$.age: expected integer, got string']
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against one JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolve a local $ref against the root schema
+ * @param {string} ref - Reference such as '#/$defs/Address'
+ * @param {Object} root - Root schema
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref: ${ref} (only local references are supported)`);
+  }
+  const target = ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+  if (!target) {
+    throw new Error(`Unresolvable $ref: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Format a property access for error paths
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Child path
+ */
+export function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a value against a schema, collecting errors
+ * @private
+ */
+function validate(value, schema, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push(`${path}: no value is allowed here`);
+    return;
+  }
+  if (schema.$ref) {
+    validate(value, resolveRef(schema.$ref, root), path, root, errors);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type, schema.nullable ? ['null'] : []);
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => deepEqual(option, value))) {
+    errors.push(
+      `${path}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`
+    );
+  }
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  const type = typeOf(value);
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map((item) => JSON.stringify(item)));
+      if (seen.size !== value.length) {
+        errors.push(`${path}: items must be unique`);
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validate(item, schema.items, `${path}[${index}]`, root, errors)
+      );
+    }
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property '${key}'`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (key in properties) {
+        validate(propertyValue, properties[key], childPath(path, key), root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property '${key}'`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(propertyValue, schema.additionalProperties, childPath(path, key), root, errors);
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    validate(value, subschema, path, root, errors);
+  }
+  if (schema.anyOf && !schema.anyOf.some((option) => isValid(value, option, path, root))) {
+    errors.push(`${path}: must match at least one of the allowed schemas`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((option) => isValid(value, option, path, root)).length;
+    if (matches !== 1) {
+      errors.push(`${path}: must match exactly one of the allowed schemas (matched ${matches})`);
+    }
+  }
+}
+
+/**
+ * Check a value against a subschema without collecting errors
+ * @private
+ */
+function isValid(value, schema, path, root) {
+  const errors = [];
+  validate(value, schema, path, root, errors);
+  return errors.length === 0;
+}
+
+/**
+ * Structural equality for enum/const checks
+ * @private
+ */
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate (e.g. parsed model output)
+ * @param {Object|boolean} schema - JSON Schema
+ * @returns {string[]} Validation errors; empty when the value is valid
+ */
+export function validateJsonSchema(value, schema) {
+  const errors = [];
+  validate(value, schema, '$', schema, errors);
+  return errors;
+}
@@ -25,12 +25,26 @@ const LEVEL_MAP = new Map([
   ['NONE', LOG_LEVELS.NONE],
 ]);
 
+/**
+ * Logger settings from config
+ * Falls back to the environment alone when the config profile cannot be
+ * loaded, so the error can still be logged.
+ * @returns {{level?: string, format?: string}} Logger settings
+ */
+function getLoggerConfig() {
+  try {
+    return config.logger;
+  } catch {
+    return { level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT };
+  }
+}
+
 /**
  * Get log level from environment or default to INFO
  * @returns {number} Log level
  */
 function getLogLevel() {
-  const envLevel = config.logger.level?.toUpperCase();
+  const envLevel = getLoggerConfig().level?.toUpperCase();
   return LEVEL_MAP.get(envLevel) ?? LOG_LEVELS.INFO;
 }
 
@@ -53,7 +67,7 @@ function formatLog(level, context, message, metadata = {}) {
   };
 
   // Use JSON format if LOG_FORMAT=json, otherwise use readable format
-  if (config.logger.format === 'json') {
+  if (getLoggerConfig().format === 'json') {
     return JSON.stringify(logEntry);
   }
 
@@ -68,8 +82,12 @@ function formatLog(level, context, message, metadata = {}) {
  * @returns {Object} Logger instance with level methods
  */
 export function createLogger(context = 'App') {
-  const minLevel = getLogLevel();
-  const enabled = minLevel < LOG_LEVELS.NONE;
+  // Resolved on first use, so loggers created at import do not load the config profile
+  let minLevel;
+  const isEnabled = (level) => {
+    minLevel ??= getLogLevel();
+    return minLevel < LOG_LEVELS.NONE && minLevel <= level;
+  };
 
   return {
     /**
@@ -78,7 +96,7 @@ export function createLogger(context = 'App') {
      * @param {Object} [metadata={}] - Additional metadata
      */
     debug(message, metadata = {}) {
-      if (enabled && minLevel <= LOG_LEVELS.DEBUG) {
+      if (isEnabled(LOG_LEVELS.DEBUG)) {
         console.debug(formatLog('DEBUG', context, message, metadata));
       }
     },
@@ -89,7 +107,7 @@ export function createLogger(context = 'App') {
      * @param {Object} [metadata={}] - Additional metadata
      */
     info(message, metadata = {}) {
-      if (enabled && minLevel <= LOG_LEVELS.INFO) {
+      if (isEnabled(LOG_LEVELS.INFO)) {
         console.info(formatLog('INFO', context, message, metadata));
       }
     },
@@ -100,7 +118,7 @@ export function createLogger(context = 'App') {
      * @param {Object} [metadata={}] - Additional metadata
      */
     warn(message, metadata = {}) {
-      if (enabled && minLevel <= LOG_LEVELS.WARN) {
+      if (isEnabled(LOG_LEVELS.WARN)) {
         console.warn(formatLog('WARN', context, message, metadata));
       }
     },
@@ -111,7 +129,7 @@ export function createLogger(context = 'App') {
      * @param {Error|Object} [error] - Error object or metadata
      */
     error(message, error = {}) {
-      if (enabled && minLevel <= LOG_LEVELS.ERROR) {
+      if (isEnabled(LOG_LEVELS.ERROR)) {
         const metadata =
           error instanceof Error ? { error: error.message, stack: error.stack, ...error } : error;
         console.error(formatLog('ERROR', context, message, metadata));
@@ -1,52 +1,419 @@
 /**
- * Pricing configuration per 1M tokens (as of January 2026)
- * @see https://openai.com/pricing
- * @see https://www.anthropic.com/pricing
- */
-export const PRICING = {
-  openai: {
-    // GPT-4o models
-    'gpt-4o': { input: 2.5, output: 10.0 },
-    'gpt-4o-2024-11-20': { input: 2.5, output: 10.0 },
-    'gpt-4o-2024-08-06': { input: 2.5, output: 10.0 },
-    'gpt-4o-mini': { input: 0.15, output: 0.6 },
-    'gpt-4o-mini-2024-07-18': { input: 0.15, output: 0.6 },
-    // GPT-4 Turbo
-    'gpt-4-turbo': { input: 10.0, output: 30.0 },
-    'gpt-4-turbo-preview': { input: 10.0, output: 30.0 },
-    'gpt-4-turbo-2024-04-09': { input: 10.0, output: 30.0 },
-    // GPT-4 (legacy)
-    'gpt-4': { input: 30.0, output: 60.0 },
-    'gpt-4-32k': { input: 60.0, output: 120.0 },
-    // GPT-3.5
-    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
-    'gpt-3.5-turbo-0125': { input: 0.5, output: 1.5 },
-    // o1 reasoning models
-    o1: { input: 15.0, output: 60.0 },
-    'o1-preview': { input: 15.0, output: 60.0 },
-    'o1-mini': { input: 3.0, output: 12.0 },
-    // Mock for testing
-    'mock-model': { input: 0.1, output: 0.1 },
-  },
-  claude: {
-    // Claude 4 models
-    'claude-sonnet-4-5-20250929': { input: 3.0, output: 15.0 },
-    // Claude 3.5 models
-    'claude-3-5-sonnet-20241022': { input: 3.0, output: 15.0 },
-    'claude-3-5-sonnet-20240620': { input: 3.0, output: 15.0 },
-    'claude-3-5-haiku-20241022': { input: 0.8, output: 4.0 },
-    // Claude 3 models
-    'claude-3-opus-20240229': { input: 15.0, output: 75.0 },
-    'claude-3-opus': { input: 15.0, output: 75.0 },
-    'claude-3-sonnet-20240229': { input: 3.0, output: 15.0 },
-    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
-    // Mock for testing
-    'mock-model': { input: 0.1, output: 0.1 },
+ * Pricing Catalogue
+ *
+ * Model prices live in one versioned data file, pricing-catalogue.json. Each
+ * model lists its aliases and a history of prices with the date they took
+ * effect, so costs can be computed for any point in time. Prices are per 1M
+ * tokens, split into input, output, cache write/read, batch input/output and
+ * image input. Embedding models only have an input price.
+ *
+ * Model names are resolved by exact name, then alias, then Azure deployment
+ * mapping (`azureDeployments`), then with a dated snapshot suffix removed
+ * (`gpt-4o-2025-01-01` prices as `gpt-4o`).
+ *
+ * Negotiated enterprise rates go in an overrides file with the same shape,
+ * loaded from AI_PRICING_OVERRIDES or the config profile's
+ * `pricing.overridesFile`. Override prices may be partial; missing fields are
+ * taken from the catalogue price in effect on the same date.
+ *
+ * @example
+ * // pricing-overrides.json
+ * {
+ *   "providers": {
+ *     "openai": { "models": { "gpt-4o": { "prices": [{ "effectiveFrom": "2025-07-01", "input": 2.0 }] } } }
+ *   },
+ *   "azureDeployments": { "support-bot-prod": "gpt-4o-mini" }
+ * }
+ */
+
+import { readFileSync } from 'fs';
+import { config } from '../config-values.js';
+import { ConfigFileError } from './config-file.js';
+import { childPath, validateJsonSchema } from './json-schema.js';
+
+const price = { type: 'number', minimum: 0 };
+
+/**
+ * JSON Schema for the catalogue and for overrides files
+ * Overrides are validated with `required` lists removed.
+ * @type {Object}
+ */
+export const pricingCatalogueSchema = {
+  type: 'object',
+  properties: {
+    version: { type: 'string' },
+    currency: { const: 'USD' },
+    unit: { type: 'string' },
+    sources: { type: 'array', items: { type: 'string' } },
+    providers: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          defaultModel: { type: 'string' },
+          models: { type: 'object', additionalProperties: { $ref: '#/$defs/model' } },
+        },
+        required: ['models'],
+        additionalProperties: false,
+      },
+    },
+    azureDeployments: { type: 'object', additionalProperties: { type: 'string' } },
   },
-  // Embedding models
-  embeddings: {
-    'text-embedding-3-small': { input: 0.02 },
-    'text-embedding-3-large': { input: 0.13 },
-    'text-embedding-ada-002': { input: 0.1 },
+  required: ['version', 'providers'],
+  additionalProperties: false,
+  $defs: {
+    model: {
+      type: 'object',
+      properties: {
+        kind: { enum: ['chat', 'embedding'] },
+        aliases: { type: 'array', items: { type: 'string' } },
+        prices: { type: 'array', minItems: 1, items: { $ref: '#/$defs/price' } },
+      },
+      required: ['prices'],
+      additionalProperties: false,
+    },
+    price: {
+      type: 'object',
+      properties: {
+        effectiveFrom: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        input: price,
+        output: price,
+        cacheWrite: price,
+        cacheRead: price,
+        batchInput: price,
+        batchOutput: price,
+        image: price,
+      },
+      required: ['effectiveFrom', 'input'],
+      additionalProperties: false,
+    },
   },
 };
+
+/**
+ * Copy a schema without its `required` lists, for validating partial overrides
+ * @param {*} schema - Schema node
+ * @returns {*} Relaxed copy
+ */
+function withoutRequired(schema) {
+  if (Array.isArray(schema) || !schema || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => key !== 'required')
+      .map(([key, value]) => [key, withoutRequired(value)])
+  );
+}
+
+const overridesSchema = withoutRequired(pricingCatalogueSchema);
+
+// Dated snapshot suffixes: -2024-08-06 (OpenAI) and -20241022 (Anthropic)
+const SNAPSHOT_SUFFIX = /-(\d{4}-\d{2}-\d{2}|\d{8})$/;
+
+/**
+ * Catalogue section for a provider name
+ * @param {string} provider - Provider name
+ * @returns {string} 'openai' for every OpenAI-compatible provider, else the name
+ */
+function catalogueProvider(provider) {
+  return ['openai', 'openai-standard', 'azure-openai'].includes(provider) ? 'openai' : provider;
+}
+
+/**
+ * @typedef {Object} ModelPrice
+ * @property {string} provider - Catalogue provider
+ * @property {string} model - Canonical model name
+ * @property {string} effectiveFrom - Date the price took effect (YYYY-MM-DD)
+ * @property {number} input - Input tokens
+ * @property {number} output - Output tokens (0 for embedding models)
+ * @property {number} [cacheWrite] - Input tokens written to the prompt cache
+ * @property {number} [cacheRead] - Input tokens read from the prompt cache
+ * @property {number} [batchInput] - Input tokens in batch jobs
+ * @property {number} [batchOutput] - Output tokens in batch jobs
+ * @property {number} image - Image input tokens (defaults to the input price)
+ */
+
+/**
+ * Versioned model pricing with aliases, effective dates and Azure deployment mappings
+ */
+export class PricingCatalogue {
+  /**
+   * @param {Object} data - Catalogue data (see pricing-catalogue.json)
+   * @param {string} [source='pricing catalogue'] - Name used in error messages
+   * @throws {ConfigFileError} If the data does not match the schema
+   */
+  constructor(data, source = 'pricing catalogue') {
+    const errors = validateJsonSchema(data, pricingCatalogueSchema);
+    if (errors.length > 0) {
+      throw new ConfigFileError(`Invalid ${source}`, { errors });
+    }
+    this.data = data;
+    // provider -> lowercased name or alias -> canonical name
+    this.names = new Map(
+      Object.entries(data.providers).map(([provider, { models }]) => {
+        const names = new Map();
+        for (const [model, entry] of Object.entries(models)) {
+          names.set(model.toLowerCase(), model);
+          for (const alias of entry.aliases || []) {
+            names.set(alias.toLowerCase(), model);
+          }
+        }
+        return [provider, names];
+      })
+    );
+  }
+
+  /**
+   * Catalogue version (the date it was last updated)
+   * @type {string}
+   */
+  get version() {
+    return this.data.version;
+  }
+
+  /**
+   * Providers to search for a model
+   * @private
+   */
+  _providers(provider) {
+    return provider ? [catalogueProvider(provider)] : [...this.names.keys()];
+  }
+
+  /**
+   * Resolve a model, alias or Azure deployment name to its catalogue entry
+   * @param {string|null} provider - Provider name, or null to search every provider
+   * @param {string} model - Model, alias or deployment name
+   * @returns {{provider: string, model: string}|null} Catalogue provider and canonical model
+   */
+  resolveModel(provider, model) {
+    if (!model) {
+      return null;
+    }
+    const candidates = [model, this.data.azureDeployments?.[model]].filter(Boolean);
+    const undated = model.replace(SNAPSHOT_SUFFIX, '');
+    if (undated !== model) {
+      candidates.push(undated);
+    }
+
+    for (const candidate of candidates) {
+      for (const name of this._providers(provider)) {
+        const canonical = this.names.get(name)?.get(candidate.toLowerCase());
+        if (canonical) {
+          return { provider: name, model: canonical };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get a model's price on a date
+   * Dates before the first known price use the earliest price.
+   * @param {string|null} provider - Provider name, or null to search every provider
+   * @param {string} model - Model, alias or deployment name
+   * @param {Object} [options={}] - Lookup options
+   * @param {Date|string|number} [options.date=new Date()] - When the tokens were used
+   * @returns {ModelPrice|null} Price, or null for an unknown model
+   */
+  getPrice(provider, model, { date = new Date() } = {}) {
+    const resolved = this.resolveModel(provider, model);
+    if (!resolved) {
+      return null;
+    }
+
+    const entry = this._entryAt(resolved, new Date(date).toISOString().slice(0, 10));
+    return { ...resolved, output: 0, image: entry.input, ...entry };
+  }
+
+  /**
+   * Price entry in effect on a day, or the earliest one
+   * @private
+   */
+  _entryAt({ provider, model }, day) {
+    const { prices } = this.data.providers[provider].models[model];
+    const sorted = [...prices].sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+    return sorted.find((entry) => entry.effectiveFrom <= day) ?? sorted[sorted.length - 1];
+  }
+
+  /**
+   * Get the price of the provider's default model
+   * @param {string} provider - Provider name
+   * @param {Object} [options={}] - Lookup options (date)
+   * @returns {ModelPrice|null} Price, or null if the provider has no default model
+   */
+  getDefaultPrice(provider, options = {}) {
+    const section = this.data.providers[catalogueProvider(provider)];
+    return section?.defaultModel ? this.getPrice(provider, section.defaultModel, options) : null;
+  }
+
+  /**
+   * List the canonical model names for a provider
+   * @param {string} provider - Provider name
+   * @returns {string[]} Model names
+   */
+  listModels(provider) {
+    return Object.keys(this.data.providers[catalogueProvider(provider)]?.models || {});
+  }
+
+  /**
+   * Create a catalogue with negotiated rates and deployment mappings applied
+   * @param {Object} overrides - Overrides in the catalogue's shape (all fields optional)
+   * @param {string} [source='pricing overrides'] - Name used in error messages
+   * @returns {PricingCatalogue} New catalogue
+   * @throws {ConfigFileError} If the overrides do not match the schema or name unknown models
+   */
+  withOverrides(overrides, source = 'pricing overrides') {
+    const errors = validateJsonSchema(overrides, overridesSchema);
+    const data = structuredClone(this.data);
+
+    for (const [provider, section] of Object.entries(overrides.providers || {})) {
+      data.providers[provider] ??= { models: {} };
+      if (section.defaultModel) {
+        data.providers[provider].defaultModel = section.defaultModel;
+      }
+      for (const [model, entry] of Object.entries(section.models || {})) {
+        const resolved = this.resolveModel(provider, model);
+        const canonical = resolved?.model ?? model;
+        const target = (data.providers[provider].models[canonical] ??= { prices: [] });
+        if (entry.aliases) {
+          target.aliases = [...(target.aliases || []), ...entry.aliases];
+        }
+        for (const override of entry.prices || []) {
+          if (!resolved && override.input === undefined) {
+            errors.push(
+              `${childPath(`$.providers.${provider}.models`, model)}: new models need an input price`
+            );
+            continue;
+          }
+          // Partial overrides inherit the catalogue price in effect on their date
+          const base = resolved ? this._entryAt(resolved, override.effectiveFrom) : {};
+          target.prices = target.prices.filter((p) => p.effectiveFrom !== override.effectiveFrom);
+          target.prices.push({ ...base, ...override });
+        }
+      }
+    }
+    Object.assign((data.azureDeployments ??= {}), overrides.azureDeployments);
+
+    if (errors.length > 0) {
+      throw new ConfigFileError(`Invalid ${source}`, { errors });
+    }
+    if (overrides.version) {
+      data.version = `${data.version}+${overrides.version}`;
+    }
+    return new PricingCatalogue(data, source);
+  }
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string|URL} path - File path
+ * @returns {Object} Parsed contents
+ * @throws {ConfigFileError} If the file cannot be read or parsed
+ */
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new ConfigFileError(`Could not load ${path}: ${error.message}`, { path: String(path) });
+  }
+}
+
+/**
+ * Load a pricing catalogue file, optionally applying an overrides file
+ * @param {string|URL} [path] - Catalogue file (default: the bundled pricing-catalogue.json)
+ * @param {string} [overridesPath] - Overrides file for negotiated rates
+ * @returns {PricingCatalogue} Catalogue
+ * @throws {ConfigFileError} If either file is missing or invalid
+ */
+export function loadPricingCatalogue(
+  path = new URL('./pricing-catalogue.json', import.meta.url),
+  overridesPath = null
+) {
+  const catalogue = new PricingCatalogue(readJson(path), String(path));
+  return overridesPath
+    ? catalogue.withOverrides(readJson(overridesPath), overridesPath)
+    : catalogue;
+}
+
+let activeCatalogue = null;
+
+/**
+ * Get the catalogue used by every calculateCost implementation
+ * Loaded on first use from the bundled catalogue plus config.pricing.overridesFile.
+ * @returns {PricingCatalogue} Active catalogue
+ */
+export function getPricingCatalogue() {
+  activeCatalogue ??= loadPricingCatalogue(undefined, config.pricing.overridesFile);
+  return activeCatalogue;
+}
+
+/**
+ * Replace the active catalogue, or pass null to reload it from configuration
+ * @param {PricingCatalogue|null} catalogue - Catalogue to use
+ */
+export function setPricingCatalogue(catalogue) {
+  activeCatalogue = catalogue;
+}
+
+/**
+ * Look up a model's price in the active catalogue, falling back for unknown models
+ * @param {string|null} provider - Provider name, or null to search every provider
+ * @param {string} model - Model, alias or deployment name
+ * @param {Object} [options={}] - Lookup options
+ * @param {string} [options.fallbackModel] - Model to price unknown models as
+ *   (default: the provider's defaultModel)
+ * @param {Date|string|number} [options.date] - When the tokens were used
+ * @returns {ModelPrice} Price
+ * @throws {Error} If neither the model nor a fallback is in the catalogue
+ */
+export function getModelPricing(provider, model, { fallbackModel, date } = {}) {
+  const catalogue = getPricingCatalogue();
+  const found =
+    catalogue.getPrice(provider, model, { date }) ??
+    catalogue.getPrice(provider, fallbackModel, { date }) ??
+    catalogue.getDefaultPrice(provider ?? 'openai', { date });
+  if (!found) {
+    throw new Error(`No price for model '${model}' (provider: ${provider ?? 'any'})`);
+  }
+  return found;
+}
+
+/**
+ * Current prices by model name, derived from the bundled catalogue
+ * Kept for code that indexes prices directly; prefer getModelPricing, which
+ * also resolves aliases, deployments, effective dates and overrides.
+ * @type {{openai: Object<string, ModelPrice>, claude: Object<string, ModelPrice>, embeddings: Object<string, ModelPrice>}}
+ */
+export const PRICING = (() => {
+  const catalogue = loadPricingCatalogue();
+  const byModel = (provider, kind) =>
+    Object.fromEntries(
+      Object.entries(catalogue.data.providers[provider].models)
+        .filter(([, entry]) => (entry.kind ?? 'chat') === kind)
+        .map(([model]) => [model, catalogue.getPrice(provider, model)])
+    );
+  return {
+    openai: byModel('openai', 'chat'),
+    claude: byModel('claude', 'chat'),
+    embeddings: byModel('openai', 'embedding'),
+  };
+})();
+
+/**
+ * Prompt cache rates relative to the input rate, used when a model has no
+ * explicit cacheWrite/cacheRead entry
+ */
+export const CACHE_PRICING_MULTIPLIERS = { write: 1.25, read: 0.1 };
+
+/**
+ * Get the prompt cache rates for a pricing entry
+ * @param {{input: number, cacheWrite?: number, cacheRead?: number}} pricing - Pricing entry
+ * @returns {{cacheWrite: number, cacheRead: number}} Rates per 1M tokens
+ */
+export function getCacheRates(pricing) {
+  return {
+    cacheWrite: pricing.cacheWrite ?? pricing.input * CACHE_PRICING_MULTIPLIERS.write,
+    cacheRead: pricing.cacheRead ?? pricing.input * CACHE_PRICING_MULTIPLIERS.read,
+  };
+}
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+
+/**
+ * Request Hashing Utilities
+ * Stable keys for client requests, used by record/replay cassettes and response caches
+ */
+
+/**
+ * Recursively sort object keys and drop undefined values and functions
+ * so that semantically equal requests serialize identically
+ * @param {*} value - Value to normalize
+ * @returns {*} Normalized value
+ */
+export function normalizeRequest(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => normalizeRequest(item));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+      const entry = value[key];
+      if (entry !== undefined && typeof entry !== 'function') {
+        result[key] = normalizeRequest(entry);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Hash a request into a stable sha256 hex key
+ * @param {*} value - Request to hash (normalized first)
+ * @returns {string} Hex digest
+ */
+export function hashRequest(value) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalizeRequest(value)))
+    .digest('hex');
+}
+
+const MESSAGE_KEY_FIELDS = [
+  'role',
+  'content',
+  'name',
+  'tool_calls',
+  'tool_call_id',
+  'function_call',
+];
+
+/**
+ * Reduce chat messages to the fields a provider sees, dropping local
+ * bookkeeping (timestamps, ids) so equal conversations share a key
+ * @param {Array<Object>} [messages=[]] - Chat messages
+ * @returns {Array<Object>} Messages with only role, content and tool fields
+ */
+export function normalizeMessages(messages = []) {
+  return messages.map((message) => {
+    const normalized = {};
+    for (const field of MESSAGE_KEY_FIELDS) {
+      if (message[field] !== undefined) {
+        normalized[field] = message[field];
+      }
+    }
+    return normalized;
+  });
+}
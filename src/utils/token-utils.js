@@ -32,6 +32,26 @@ export function countMessages(messages) {
   }, 0);
 }
 
+/**
+ * Estimate the tokens a chat request counts against a tokens-per-minute limit
+ * Providers reserve the prompt plus the requested output tokens up front.
+ * @param {Array<{role: string, content: *}>} messages - Request messages
+ * @param {Object} [options={}] - Estimation options
+ * @param {Array<Object>} [options.tools=[]] - Tool definitions sent with the request
+ * @param {number} [options.maxOutputTokens=0] - Output tokens requested (max_tokens)
+ * @returns {number} Estimated number of tokens
+ */
+export function estimateRequestTokens(messages, { tools = [], maxOutputTokens = 0 } = {}) {
+  const promptTokens = (messages || []).reduce(
+    (total, msg) =>
+      total +
+      estimateTokens(typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)),
+    0
+  );
+  const toolTokens = tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0;
+  return promptTokens + toolTokens + maxOutputTokens;
+}
+
 /**
  * Get actual token count from API response
  * @param {Object} response - API response object
@@ -97,3 +97,25 @@ test('FunctionCallingAgent - conversation history', async () => {
 
   assert.strictEqual(agent.conversationHistory.length, 4); // 2 user + 2 assistant messages
 });
+
+test('FunctionCallingAgent - provider name does not decide the message format', async () => {
+  // An OpenAI-family provider name backed by a client that speaks the Claude format
+  let callCount = 0;
+  const mockClient = createMockClient({ responseFormat: 'claude' });
+  mockClient.chatWithToolsHandler = async (messages, tools) => {
+    callCount++;
+    return callCount === 1
+      ? mockClient._createToolResponse(tools[0])
+      : mockClient._createResponse(`Saw ${messages.at(-1).content[0].type}`);
+  };
+  const agent = new FunctionCallingAgent('azure-openai', mockClient);
+  agent.registerFunction('lookup', 'Look something up', { type: 'object' }, async () => 'found');
+
+  const response = await agent.chat('Look it up');
+
+  assert.strictEqual(response, 'Saw tool_result');
+  assert.deepStrictEqual(
+    agent.getConversationHistory().map((m) => m.role),
+    ['user', 'assistant', 'tool', 'assistant']
+  );
+});
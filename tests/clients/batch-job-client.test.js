@@ -0,0 +1,164 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BatchJobClient, BATCH_DISCOUNT } from '../../src/clients/batch-job-client.js';
+import { StandardOpenAIClient } from '../../src/clients/standard-openai-client.js';
+import { ClaudeClient } from '../../src/clients/claude-client.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { AbortError } from '../../src/clients/cancellation.js';
+import { SentimentAnalyzer } from '../../src/examples/customer-experience/sentiment-analyzer.js';
+import { startFakeProviderServer, withConfig } from '../helpers/fake-provider-server.js';
+
+const analysis = { sentiment: { label: 'positive', score: 0.9 }, urgency: { level: 'low' } };
+const server = await startFakeProviderServer({
+  text: JSON.stringify(analysis),
+  visionText: '',
+  toolArguments: { label: 'positive' },
+  usage: { input: 20, output: 2 },
+  batchPolls: 2,
+});
+after(() => server.close());
+
+const targets = {
+  openai: () =>
+    withConfig(
+      { env: { OPENAI_BASE_URL: `${server.url}/v1` }, openai: { standardApiKey: 'sk-batch' } },
+      () => new StandardOpenAIClient('gpt-4o-mini')
+    ),
+  claude: () =>
+    withConfig(
+      { env: { ANTHROPIC_BASE_URL: server.url }, claude: { apiKey: 'sk-ant-batch' } },
+      () => new ClaudeClient('claude-3-5-haiku-20241022')
+    ),
+};
+
+const reviews = ['Great product', 'Broke after a day', 'It is fine'];
+
+describe('BatchJobClient', () => {
+  for (const [provider, create] of Object.entries(targets)) {
+    it(`should run a ${provider} batch and map results back by custom id`, async () => {
+      const client = create();
+      const batches = new BatchJobClient(client, { pollIntervalMs: 1 });
+      server.failInBatch(`${provider}-1`);
+      const progress = [];
+
+      const results = await batches.run(
+        reviews.map((text, index) => ({
+          customId: `${provider}-${index}`,
+          messages: [
+            { role: 'system', content: 'Reply with the sentiment.' },
+            { role: 'user', content: text },
+          ],
+          options: { temperature: 0 },
+        })),
+        { onProgress: (job) => progress.push(job.status) }
+      );
+
+      assert.deepStrictEqual(progress, ['in_progress', 'in_progress', 'completed']);
+      assert.deepStrictEqual(
+        results.map((result) => result.customId),
+        [`${provider}-0`, `${provider}-1`, `${provider}-2`]
+      );
+      assert.deepStrictEqual(JSON.parse(client.getTextContent(results[0].response)), analysis);
+      assert.deepStrictEqual(JSON.parse(client.getTextContent(results[2].response)), analysis);
+      assert.strictEqual(results[1].response, undefined);
+      assert.strictEqual(results[1].error.type, 'invalid_request_error');
+
+      const live = client.calculateCost(results[0].response);
+      const batch = batches.calculateCost(results[0].response);
+      assert.strictEqual(batch.inputTokens, 20);
+      assert.strictEqual(batch.totalCost, live.totalCost * BATCH_DISCOUNT);
+    });
+  }
+
+  it('should serialize requests in the provider batch formats', () => {
+    const request = {
+      customId: 'r1',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+      ],
+      tools: [{ name: 'lookup', parameters: { type: 'object' } }],
+      options: { max_tokens: 50, response_format: { type: 'json_object' } },
+    };
+
+    const [openai] = new BatchJobClient(targets.openai()).toBatchRequests([request]);
+    assert.deepStrictEqual(openai, {
+      custom_id: 'r1',
+      method: 'POST',
+      url: '/v1/chat/completions',
+      body: {
+        model: 'gpt-4o-mini',
+        messages: request.messages,
+        tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }],
+        max_tokens: 50,
+        response_format: { type: 'json_object' },
+      },
+    });
+
+    const [claude] = new BatchJobClient(targets.claude()).toBatchRequests([request]);
+    assert.deepStrictEqual(claude, {
+      custom_id: 'r1',
+      params: {
+        model: 'claude-3-5-haiku-20241022',
+        max_tokens: 50,
+        messages: [{ role: 'user', content: 'Hi' }],
+        tools: [{ name: 'lookup', description: undefined, input_schema: { type: 'object' } }],
+        system: 'Be brief.',
+      },
+    });
+  });
+
+  it('should reject bad custom ids and unsupported clients', () => {
+    const batches = new BatchJobClient(targets.openai());
+    const messages = [{ role: 'user', content: 'Hi' }];
+
+    assert.deepStrictEqual(
+      batches.toBatchRequests([{ messages }, { messages }]).map((r) => r.custom_id),
+      ['request-0', 'request-1']
+    );
+    assert.throws(
+      () =>
+        batches.toBatchRequests([
+          { customId: 'a', messages },
+          { customId: 'a', messages },
+        ]),
+      /Duplicate batch customId "a"/
+    );
+    assert.throws(
+      () => batches.toBatchRequests([{ customId: 'has space', messages }]),
+      /Invalid batch customId/
+    );
+    assert.throws(() => new BatchJobClient(new MockAIClient()), /got MockAIClient/);
+  });
+
+  it('should report cancelled jobs and stop waiting when aborted', async () => {
+    const batches = new BatchJobClient(targets.claude(), { pollIntervalMs: 1 });
+    const messages = [{ role: 'user', content: 'Hi' }];
+
+    const job = await batches.submit([{ customId: 'slow', messages }]);
+    const controller = new AbortController();
+    const waiting = batches.wait(job.id, { pollIntervalMs: 60_000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(waiting, AbortError);
+
+    const cancelled = await batches.cancel(job.id);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.deepStrictEqual(await batches.results(cancelled), []);
+  });
+
+  it('should let SentimentAnalyzer.analyzeBatch score feedback through the batch API', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const analyzer = new SentimentAnalyzer(targets.claude());
+    server.failInBatch('feedback-2');
+
+    const { results, summary } = await analyzer.analyzeBatch(
+      [{ text: 'Love it' }, { text: 'Works well' }, { text: 'Meh' }],
+      { batchApi: true, pollIntervalMs: 1 }
+    );
+
+    assert.deepStrictEqual(results[0].analysis, analysis);
+    assert.strictEqual(results[2].analysis.parseError, true);
+    assert.strictEqual(results[2].batchError.type, 'invalid_request_error');
+    assert.strictEqual(summary.sentimentBreakdown.positive, 2);
+  });
+});
@@ -0,0 +1,309 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BudgetExceededError,
+  BudgetManager,
+  budgetsFromConfig,
+} from '../../src/clients/budget-manager.js';
+import { CostTrackingClient } from '../../src/clients/cost-tracking-client.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { composeClient } from '../../src/clients/compose-client.js';
+import { cache, cost } from '../../src/clients/middleware.js';
+import { AutonomousAgent } from '../../src/examples/strategies/autonomous-agent/autonomous-agent.js';
+
+const messages = [{ role: 'user', content: 'Summarize our refund policy' }];
+
+/**
+ * Mock chat response that reports the given usage
+ */
+function responseWithUsage(content, promptTokens, completionTokens) {
+  return {
+    choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    },
+  };
+}
+
+describe('BudgetManager', () => {
+  it('should enforce hard budgets per tag value and ignore soft ones', () => {
+    const budgets = new BudgetManager({
+      budgets: [
+        { name: 'tenant-daily', scope: 'tenant', window: 'day', limitUsd: 1 },
+        { name: 'support', scope: 'agent', match: 'support', limitUsd: 0.5, hard: false },
+      ],
+    });
+
+    budgets.record(0.9, { tenant: 'acme', agent: 'support' });
+
+    assert.throws(
+      () => budgets.check(0.2, { tenant: 'acme' }),
+      (error) =>
+        error instanceof BudgetExceededError &&
+        error.code === 'BUDGET_EXCEEDED' &&
+        error.budget === 'tenant-daily' &&
+        error.key === 'acme' &&
+        error.spentUsd === 0.9 &&
+        error.message ===
+          "Budget 'tenant-daily' for acme exceeded: $0.9000 of $1.00 spent, request needs ~$0.2000"
+    );
+    // Other tenants, and requests without a tenant, have their own spend
+    budgets.check(0.2, { tenant: 'globex' });
+    budgets.check(0.2, {});
+    // The support agent is over its soft budget but is not blocked
+    budgets.check(0.05, { tenant: 'acme', agent: 'support' });
+  });
+
+  it('should warn once per threshold and reset spend with each window', () => {
+    let now = Date.parse('2026-03-31T23:00:00Z');
+    const budgets = new BudgetManager({
+      budgets: [{ name: 'daily', window: 'day', limitUsd: 10, warnAt: [0.5, 0.9] }],
+      now: () => now,
+    });
+
+    assert.deepStrictEqual(budgets.record(4), []);
+    const warnings = budgets.record(2);
+    assert.deepStrictEqual(warnings, [
+      {
+        budget: 'daily',
+        scope: 'global',
+        key: null,
+        period: '2026-03-31',
+        threshold: 0.5,
+        spentUsd: 6,
+        limitUsd: 10,
+        hard: true,
+        exceeded: false,
+      },
+    ]);
+    assert.deepStrictEqual(budgets.record(1), []);
+    assert.deepStrictEqual(
+      budgets.record(4).map((warning) => [warning.threshold, warning.exceeded]),
+      [
+        [0.9, true],
+        [1, true],
+      ]
+    );
+
+    now = Date.parse('2026-04-01T00:30:00Z');
+    assert.deepStrictEqual(budgets.getStatus(), [
+      {
+        budget: 'daily',
+        scope: 'global',
+        key: null,
+        period: '2026-04-01',
+        hard: true,
+        limitUsd: 10,
+        spentUsd: 0,
+        remainingUsd: 10,
+      },
+    ]);
+  });
+
+  it('should hold reserved estimates until they are released', () => {
+    const budgets = new BudgetManager({ budgets: [{ name: 'daily', window: 'day', limitUsd: 1 }] });
+
+    const first = budgets.reserve(0.6);
+    assert.throws(
+      () => budgets.reserve(0.6),
+      (error) => error instanceof BudgetExceededError && error.spentUsd === 0.6
+    );
+    budgets.release(first);
+    budgets.release(first);
+    budgets.release(budgets.reserve(0.6));
+    assert.strictEqual(budgets.getStatus()[0].spentUsd, 0);
+  });
+
+  it('should keep reservations in flight across reset()', () => {
+    const budgets = new BudgetManager({ budgets: [{ name: 'daily', window: 'day', limitUsd: 1 }] });
+
+    const inFlight = budgets.reserve(0.6);
+    budgets.record(0.3);
+    budgets.reset();
+    assert.strictEqual(budgets.getStatus()[0].spentUsd, 0);
+    assert.throws(() => budgets.reserve(0.6), BudgetExceededError);
+    budgets.release(inFlight);
+    budgets.release(budgets.reserve(1));
+  });
+
+  it('should build budgets from config.budgets', () => {
+    assert.deepStrictEqual(
+      budgetsFromConfig({ perRequestUsd: 0.5, dailyUsd: 10, monthlyUsd: 200, warnAt: 0.75 }),
+      [
+        { name: 'per-request', scope: 'request', limitUsd: 0.5, warnAt: [0.75] },
+        { name: 'daily', window: 'day', limitUsd: 10, warnAt: [0.75] },
+        { name: 'monthly', window: 'month', limitUsd: 200, warnAt: [0.75] },
+      ]
+    );
+    const perRequest = new BudgetManager({ budgets: budgetsFromConfig({ perRequestUsd: 0.5 }) });
+    assert.throws(() => perRequest.check(0.6), /Budget 'per-request' exceeded/);
+    assert.throws(
+      () => new BudgetManager({ budgets: [{ limitUsd: 1, window: 'week' }] }),
+      /unknown window 'week'/
+    );
+  });
+});
+
+describe('CostTrackingClient budgets', () => {
+  it('should downgrade requests that would exceed a budget, then reject them', async () => {
+    const primary = new MockAIClient({ model: 'gpt-4o' });
+    const cheaper = new MockAIClient({ model: 'gpt-4o-mini' });
+    const client = new CostTrackingClient(primary, {
+      budgets: [{ scope: 'tenant', limitUsd: 0.005 }],
+      downgradeTo: cheaper,
+    });
+
+    // ~1000 output tokens cost $0.01 on gpt-4o but $0.0006 on gpt-4o-mini
+    assert.ok(client.estimateCost('chat', { messages, options: { max_tokens: 1000 } }) > 0.01);
+    await client.chat(messages, { max_tokens: 1000, tags: { tenant: 'acme' } });
+
+    assert.strictEqual(primary.callHistory.length, 0);
+    assert.strictEqual(cheaper.callHistory.length, 1);
+    // Tags are consumed by the tracker, not sent to the provider
+    assert.deepStrictEqual(cheaper.callHistory[0].options, { max_tokens: 1000 });
+    const [tracked] = client.requests;
+    assert.strictEqual(tracked.model, 'gpt-4o-mini');
+    assert.strictEqual(tracked.downgradedFrom, 'gpt-4o');
+    assert.deepStrictEqual(tracked.tags, { tenant: 'acme' });
+
+    // Untagged requests are outside the tenant budget
+    await client.chat(messages, { max_tokens: 1000 });
+    assert.strictEqual(primary.callHistory.length, 1);
+
+    await assert.rejects(
+      client.chat(messages, { max_tokens: 100_000, tags: { tenant: 'acme' } }),
+      (error) => error instanceof BudgetExceededError && error.key === 'acme'
+    );
+    assert.strictEqual(cheaper.callHistory.length, 1);
+  });
+
+  it('should report budget warnings with the request that crossed them', async () => {
+    const warnings = [];
+    const client = new CostTrackingClient(
+      new MockAIClient({
+        model: 'gpt-4o',
+        chatHandler: async () => responseWithUsage('Done', 1000, 1000),
+      }),
+      {
+        budgets: [{ name: 'session', scope: 'session', limitUsd: 0.05, warnAt: [0.2] }],
+        tags: { agent: 'support' },
+        onBudgetWarning: (warning, request) => warnings.push([warning.threshold, request.tags]),
+      }
+    );
+
+    await client.chat(messages);
+
+    // 1000 input tokens at $2.50/1M + 1000 output tokens at $10/1M
+    assert.strictEqual(client.totalCost, 0.0125);
+    assert.deepStrictEqual(warnings, [[0.2, { agent: 'support' }]]);
+    assert.deepStrictEqual(
+      client.getBudgetStatus().map(({ budget, key, spentUsd }) => [budget, key, spentUsd]),
+      [['session', client.sessionId, 0.0125]]
+    );
+  });
+
+  it('should reserve estimates so concurrent requests cannot overshoot a budget', async () => {
+    const base = new MockAIClient({
+      model: 'gpt-4o',
+      chatHandler: async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return responseWithUsage('Done', 1000, 1000);
+      },
+    });
+    // Each call is estimated at just over $0.01, so only one fits at a time
+    const client = new CostTrackingClient(base, { budgets: [{ name: 'run', limitUsd: 0.015 }] });
+
+    const results = await Promise.allSettled(
+      [1, 2, 3].map(() => client.chat(messages, { max_tokens: 1000 }))
+    );
+
+    assert.deepStrictEqual(
+      results.map(({ status }) => status),
+      ['fulfilled', 'rejected', 'rejected']
+    );
+    assert.ok(results[1].reason instanceof BudgetExceededError);
+    assert.strictEqual(base.callHistory.length, 1);
+    assert.strictEqual(client.getBudgetStatus()[0].spentUsd, 0.0125);
+
+    // Failed calls give their reservation back
+    const failing = new CostTrackingClient(
+      new MockAIClient({ model: 'gpt-4o', faults: { sequence: ['server_error'] } }),
+      { budgets: [{ name: 'run', limitUsd: 0.015 }] }
+    );
+    await assert.rejects(failing.chat(messages, { max_tokens: 1000 }), { status: 500 });
+    await failing.chat(messages, { max_tokens: 1000 });
+  });
+
+  it('should reject over-budget calls in the cost() middleware', async () => {
+    const base = new MockAIClient({ model: 'gpt-4o' });
+    const client = composeClient(base, [cost({ budgets: [{ limitUsd: 0.001 }] })]);
+
+    await assert.rejects(client.chat(messages), BudgetExceededError);
+    assert.strictEqual(base.callHistory.length, 0);
+  });
+
+  it('should attribute cost() middleware calls to their own tags without sending them', async () => {
+    const base = new MockAIClient({ model: 'gpt-4o' });
+    const costs = cost({
+      budgets: [{ name: 'acme', scope: 'tenant', match: 'acme', limitUsd: 0.001 }],
+    });
+    const client = composeClient(base, [costs]);
+
+    await client.chat(messages, { temperature: 0, tags: { tenant: 'globex' } });
+    await assert.rejects(client.chat(messages, { tags: { tenant: 'acme' } }), {
+      budget: 'acme',
+    });
+
+    assert.strictEqual(base.callHistory.length, 1);
+    assert.deepStrictEqual(base.callHistory[0].options, { temperature: 0 });
+    assert.strictEqual(costs.tracker.requests[0].tags.tenant, 'globex');
+  });
+
+  it('should serve cached answers in the cost() middleware once the budget is nearly spent', async () => {
+    const base = new MockAIClient({ model: 'gpt-4o' });
+    const costs = cost({ budgets: [{ name: 'run', limitUsd: 0.015 }] });
+    const client = composeClient(base, [costs, cache()]);
+
+    await client.chat(messages, { max_tokens: 1000 });
+    costs.tracker.budgetManager.record(0.01);
+
+    const cached = await client.chat(messages, { max_tokens: 1000 });
+    assert.strictEqual(client.getTextContent(cached), 'Mock response');
+    await assert.rejects(
+      client.chat([{ role: 'user', content: 'Something new' }], {
+        max_tokens: 1000,
+      }),
+      BudgetExceededError
+    );
+    assert.strictEqual(base.callHistory.length, 1);
+  });
+
+  it('should stop AutonomousAgent.run gracefully when the budget runs out', async () => {
+    const thought = JSON.stringify({
+      assessment: 'Working on it',
+      nextAction: { type: 'think', reasoning: 'Keep going' },
+      confidence: 0.5,
+      shouldContinue: true,
+    });
+    const base = new MockAIClient({
+      model: 'gpt-4o',
+      chatHandler: async () => responseWithUsage(thought, 1000, 1000),
+    });
+    const client = new CostTrackingClient(base, {
+      budgets: [{ name: 'agent-run', limitUsd: 0.02 }],
+    });
+    const agent = new AutonomousAgent('openai', { client, verbose: false, maxIterations: 10 });
+
+    const result = await agent.run('Research refund policies');
+
+    // Two $0.0125 think steps fit in $0.02; the third is rejected before it is sent
+    assert.strictEqual(base.callHistory.length, 2);
+    assert.strictEqual(result.iterations, 3);
+    assert.strictEqual(result.achieved, false);
+    assert.ok(result.budgetExceeded instanceof BudgetExceededError);
+    assert.strictEqual(result.budgetExceeded.budget, 'agent-run');
+    assert.strictEqual(agent.isRunning, false);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { LocalAIClient } from '../../src/clients/local-client.js';
+import { ResilientClient, isRetryableError } from '../../src/clients/resilient-client.js';
+import { FallbackClient } from '../../src/clients/fallback-client.js';
+import { composeClient } from '../../src/clients/compose-client.js';
+import { retry } from '../../src/clients/middleware.js';
+import { AbortError, TimeoutError } from '../../src/clients/cancellation.js';
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+/**
+ * Handler that never settles on its own, but rejects when its signal aborts
+ */
+function hangingHandler(seen = []) {
+  return (_messages, options) =>
+    new Promise((_, reject) => {
+      seen.push(options.signal);
+      options.signal?.addEventListener('abort', () => reject(new Error('socket closed')));
+    });
+}
+
+describe('cancellation', () => {
+  it('should reject with TimeoutError and abort the underlying request', async () => {
+    const signals = [];
+    const client = new MockAIClient({ chatHandler: hangingHandler(signals) });
+
+    await assert.rejects(() => client.chat(messages, { timeoutMs: 20 }), TimeoutError);
+    assert.strictEqual(signals[0].aborted, true);
+  });
+
+  it('should reject with AbortError when the caller aborts', async () => {
+    const controller = new AbortController();
+    const client = new MockAIClient({ chatHandler: () => new Promise(() => {}) });
+
+    const pending = client.chat(messages, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(pending, AbortError);
+    await assert.rejects(
+      () => client.chat(messages, { signal: AbortSignal.abort() }),
+      (error) => error instanceof AbortError && error.code === 'ABORT_ERR'
+    );
+  });
+
+  it('should forward the signal to the SDK and strip it from the request body', async () => {
+    const client = new LocalAIClient('llama3', { baseUrl: 'http://localhost:1/v1' });
+    let body;
+    let requestOptions;
+    client.client.chat.completions.create = async (params, options) => {
+      body = params;
+      requestOptions = options;
+      return { choices: [{ message: { content: 'ok' } }] };
+    };
+
+    await client.chat(messages, { temperature: 0, timeoutMs: 1000 });
+
+    assert.deepStrictEqual(Object.keys(body).sort(), ['messages', 'model', 'temperature']);
+    assert.ok(requestOptions.signal instanceof AbortSignal);
+  });
+
+  it('should never retry cancellations and bound retries by the deadline', async () => {
+    assert.strictEqual(isRetryableError(new AbortError()), false);
+    assert.strictEqual(isRetryableError(new TimeoutError(10)), false);
+
+    let attempts = 0;
+    const flaky = new MockAIClient({
+      chatHandler: async () => {
+        attempts++;
+        throw Object.assign(new Error('Service unavailable'), { status: 503 });
+      },
+    });
+    const client = new ResilientClient(flaky, { maxRetries: 10, baseDelayMs: 15, jitterFactor: 0 });
+
+    const started = Date.now();
+    await assert.rejects(() => client.chat(messages, { timeoutMs: 40 }), TimeoutError);
+    assert.ok(Date.now() - started < 500);
+    assert.ok(attempts >= 1 && attempts < 10);
+
+    const controller = new AbortController();
+    const pending = client.chat(messages, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, AbortError);
+    // A caller giving up is not a provider failure
+    assert.strictEqual(client.getMetrics().failedRequests, 1);
+  });
+
+  it('should cancel streams mid-way', async () => {
+    const client = new MockAIClient({
+      async *streamHandler() {
+        yield { type: 'text_delta', text: 'Hello' };
+        await new Promise(() => {});
+      },
+    });
+
+    const controller = new AbortController();
+    const seen = [];
+    await assert.rejects(async () => {
+      for await (const event of client.stream(messages, { signal: controller.signal })) {
+        seen.push(event.text);
+        controller.abort();
+      }
+    }, AbortError);
+    assert.deepStrictEqual(seen, ['Hello']);
+
+    const resilient = new ResilientClient(client);
+    await assert.rejects(async () => {
+      for await (const _event of resilient.stream(messages, { timeoutMs: 20 })) {
+        // drain
+      }
+    }, TimeoutError);
+  });
+
+  it('should not fail over or retry through middleware once the caller gives up', async () => {
+    const secondary = new MockAIClient();
+    const fallback = new FallbackClient([
+      new MockAIClient({ chatHandler: hangingHandler() }),
+      secondary,
+    ]);
+
+    await assert.rejects(() => fallback.chat(messages, { timeoutMs: 20 }), TimeoutError);
+    assert.strictEqual(secondary.getCallHistory().length, 0);
+
+    const retries = retry({ maxRetries: 3, baseDelayMs: 1 });
+    const composed = composeClient(new MockAIClient({ chatHandler: hangingHandler() }), [retries]);
+
+    await assert.rejects(() => composed.chat(messages, { timeoutMs: 20 }), TimeoutError);
+    assert.strictEqual(retries.getMetrics().retriedRequests, 0);
+  });
+
+  it('should abort a timed-out fallback attempt before failing over', async () => {
+    const signals = [];
+    const client = new FallbackClient(
+      [
+        new MockAIClient({ chatHandler: hangingHandler(signals) }),
+        new MockAIClient({ defaultResponse: 'backup' }),
+      ],
+      { timeoutMs: 20 }
+    );
+
+    const response = await client.chat(messages);
+
+    assert.strictEqual(client.getTextContent(response), 'backup');
+    assert.strictEqual(signals[0].aborted, true);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ClaudeClient } from '../../src/clients/claude-client.js';
+import { CostTrackingClient } from '../../src/clients/cost-tracking-client.js';
+import { calculateTokenCost } from '../../src/utils/cost-utils.js';
+import { config } from '../../src/config.js';
+
+const EPHEMERAL = { type: 'ephemeral' };
+const messages = [
+  { role: 'system', content: 'You answer from the product manual.' },
+  { role: 'user', content: 'How do I reset it?' },
+];
+const tools = [
+  { name: 'search', description: 'Search', parameters: { type: 'object' } },
+  { name: 'lookup', description: 'Lookup', parameters: { type: 'object' } },
+];
+
+function createClient(options) {
+  const previousKey = config.claude.apiKey;
+  config.claude.apiKey = 'test-key';
+  const client = new ClaudeClient('claude-3-5-haiku-20241022', options);
+  config.claude.apiKey = previousKey;
+
+  client.requests = [];
+  client.client.messages.create = async (request) => {
+    client.requests.push(request);
+    return {
+      content: [{ type: 'text', text: 'Hold the button.' }],
+      usage: {
+        input_tokens: 20,
+        output_tokens: 50,
+        cache_creation_input_tokens: 1000,
+        cache_read_input_tokens: 3000,
+      },
+    };
+  };
+  return client;
+}
+
+describe('Claude prompt caching', () => {
+  it('should not add cache_control unless enabled', async () => {
+    const client = createClient();
+    await client.chatWithTools(messages, tools);
+
+    assert.doesNotMatch(JSON.stringify(client.requests[0]), /cache_control/);
+  });
+
+  it('should mark tools, system prompt and conversation prefix as cacheable', async () => {
+    const client = createClient({ promptCache: true });
+    await client.chatWithTools(messages, tools);
+    const [request] = client.requests;
+
+    assert.deepStrictEqual(
+      request.tools.map((tool) => tool.cache_control),
+      [undefined, EPHEMERAL]
+    );
+    assert.deepStrictEqual(request.system, [
+      { type: 'text', text: 'You answer from the product manual.', cache_control: EPHEMERAL },
+    ]);
+    assert.deepStrictEqual(request.messages, [
+      {
+        role: 'user',
+        content: [{ type: 'text', text: 'How do I reset it?', cache_control: EPHEMERAL }],
+      },
+    ]);
+    assert.strictEqual('promptCache' in request, false);
+    // The caller's messages are left untouched
+    assert.strictEqual(messages[1].content, 'How do I reset it?');
+  });
+
+  it('should let a call pick which parts to cache', async () => {
+    const client = createClient({ promptCache: true });
+    await client.chat(messages, { promptCache: { system: true } });
+    await client.chat(messages, { promptCache: false });
+    const [partial, disabled] = client.requests;
+
+    assert.deepStrictEqual(partial.system[0].cache_control, EPHEMERAL);
+    assert.strictEqual(partial.messages[0].content, 'How do I reset it?');
+    assert.strictEqual(disabled.system, 'You answer from the product manual.');
+  });
+
+  it('should price cache writes and reads at their own rates', async () => {
+    const client = createClient();
+    const cost = client.calculateCost(await client.chat(messages));
+
+    // Haiku 3.5: input $0.80, output $4.00, cache write $1.00, cache read $0.08 per 1M tokens
+    assert.strictEqual(cost.inputTokens, 4020);
+    assert.strictEqual(cost.totalTokens, 4070);
+    assert.strictEqual(cost.cacheCreationTokens, 1000);
+    assert.strictEqual(cost.cacheReadTokens, 3000);
+    assert.ok(Math.abs(cost.cacheCreationCost - 0.001) < 1e-12);
+    assert.ok(Math.abs(cost.cacheReadCost - 0.00024) < 1e-12);
+    assert.ok(Math.abs(cost.inputCost - (0.000016 + 0.001 + 0.00024)) < 1e-12);
+    assert.ok(Math.abs(cost.totalCost - (cost.inputCost + 0.0002)) < 1e-12);
+  });
+
+  it('should fall back to cache multipliers for models without cache rates', () => {
+    const cost = calculateTokenCost(
+      { inputTokens: 2_000_000, outputTokens: 0, cacheCreationTokens: 1_000_000 },
+      { input: 2, output: 8 }
+    );
+
+    assert.strictEqual(cost.cacheCreationCost, 2.5);
+    assert.strictEqual(cost.cacheReadCost, 0);
+    assert.strictEqual(cost.inputCost, 4.5);
+    assert.deepStrictEqual(
+      Object.keys(calculateTokenCost({ inputTokens: 1, outputTokens: 1 }, { input: 1, output: 1 })),
+      ['inputTokens', 'outputTokens', 'totalTokens', 'inputCost', 'outputCost', 'totalCost']
+    );
+  });
+
+  it('should report cache usage on streams and track its cost', async () => {
+    const client = createClient({ promptCache: true });
+    client.client.messages.create = async function* (request) {
+      client.requests.push(request);
+      yield {
+        type: 'message_start',
+        message: {
+          usage: { input_tokens: 20, output_tokens: 1, cache_read_input_tokens: 3000 },
+        },
+      };
+      yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } };
+      yield {
+        type: 'message_delta',
+        delta: { stop_reason: 'end_turn' },
+        usage: { output_tokens: 5 },
+      };
+    };
+    const tracked = new CostTrackingClient(client);
+
+    let done;
+    for await (const event of tracked.stream(messages)) {
+      done = event;
+    }
+
+    assert.deepStrictEqual(done.usage, {
+      inputTokens: 3020,
+      outputTokens: 5,
+      totalTokens: 3025,
+      cacheReadTokens: 3000,
+    });
+    assert.deepStrictEqual(client.requests[0].system[0].cache_control, EPHEMERAL);
+    const [request] = tracked.requests;
+    assert.strictEqual(request.cacheReadTokens, 3000);
+    assert.ok(Math.abs(request.totalCost - (20 * 0.8 + 3000 * 0.08 + 5 * 4) / 1_000_000) < 1e-12);
+    assert.strictEqual(tracked.getStats().cacheReadTokens, 3000);
+  });
+});
@@ -0,0 +1,145 @@
+import { after } from 'node:test';
+import { rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { AzureOpenAIClient } from '../../src/clients/azure-openai-client.js';
+import { StandardOpenAIClient } from '../../src/clients/standard-openai-client.js';
+import { ClaudeClient } from '../../src/clients/claude-client.js';
+import { LocalAIClient } from '../../src/clients/local-client.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { ResilientClient } from '../../src/clients/resilient-client.js';
+import { LoggingClient } from '../../src/clients/logging-client.js';
+import { CostTrackingClient } from '../../src/clients/cost-tracking-client.js';
+import { RecordReplayClient } from '../../src/clients/record-replay-client.js';
+import { FallbackClient } from '../../src/clients/fallback-client.js';
+import { CoalescingClient } from '../../src/clients/coalescing-client.js';
+import { HedgingClient } from '../../src/clients/hedging-client.js';
+import { RateLimitedClient } from '../../src/clients/rate-limited-client.js';
+import { RateLimiter } from '../../src/clients/rate-limiter.js';
+import { composeClient } from '../../src/clients/compose-client.js';
+import { cache, cost, retry } from '../../src/clients/middleware.js';
+import { config } from '../../src/config.js';
+import { startFakeProviderServer, withConfig } from '../helpers/fake-provider-server.js';
+import { describeClientContract } from '../helpers/client-contract.js';
+
+const serverFixture = {
+  text: 'Hello from the contract server',
+  visionText: 'A single red pixel',
+  toolArguments: { query: 'contract' },
+  usage: { input: 12, output: 5 },
+  embeddingDimensions: 4,
+};
+const server = await startFakeProviderServer(serverFixture);
+const cassettePath = join(tmpdir(), `client-contract-${process.pid}.json`);
+// analyzeImage() on the local client needs a multimodal model to be configured
+const localVisionModel = config.local.visionModel;
+config.local.visionModel = 'llava';
+
+after(async () => {
+  await server.close();
+  await rm(cassettePath, { force: true });
+  config.local.visionModel = localVisionModel;
+});
+
+const failServer = (type) => server.failNext(type);
+
+describeClientContract({
+  name: 'StandardOpenAIClient',
+  fixture: serverFixture,
+  failNext: failServer,
+  create: () =>
+    withConfig(
+      { env: { OPENAI_BASE_URL: `${server.url}/v1` }, openai: { standardApiKey: 'sk-contract' } },
+      () => new StandardOpenAIClient('gpt-4o-mini')
+    ),
+});
+
+describeClientContract({
+  name: 'AzureOpenAIClient',
+  fixture: serverFixture,
+  failNext: failServer,
+  create: () =>
+    withConfig(
+      {
+        openai: { azureApiKey: 'azure-contract' },
+        azure: { enabled: true, endpoint: `${server.url}/`, deployment: 'gpt-4o' },
+      },
+      () => new AzureOpenAIClient()
+    ),
+});
+
+describeClientContract({
+  name: 'LocalAIClient',
+  fixture: serverFixture,
+  failNext: failServer,
+  create: () => new LocalAIClient('llama3.1', { baseUrl: `${server.url}/v1` }),
+});
+
+describeClientContract({
+  name: 'ClaudeClient',
+  fixture: serverFixture,
+  failNext: failServer,
+  embeddings: false,
+  create: () =>
+    withConfig(
+      { env: { ANTHROPIC_BASE_URL: server.url }, claude: { apiKey: 'sk-ant-contract' } },
+      () => new ClaudeClient('claude-3-5-haiku-20241022')
+    ),
+});
+
+// Mock-backed targets: the fixture mirrors MockAIClient's default responses
+const mockFixture = {
+  text: 'Mock contract response',
+  visionText: 'This is a test image analysis result',
+  toolArguments: { query: 'mock query' },
+  usage: { input: 10, output: 3 },
+};
+let currentMock = null;
+
+function mockTarget(name, wrap) {
+  return {
+    name,
+    fixture: mockFixture,
+    failNext: (type) => currentMock.setFaults({ sequence: [type] }),
+    create: () => {
+      currentMock = new MockAIClient({ defaultResponse: mockFixture.text });
+      return wrap(currentMock);
+    },
+  };
+}
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describeClientContract(mockTarget('MockAIClient', (mock) => mock));
+describeClientContract(
+  mockTarget('ResilientClient', (mock) => new ResilientClient(mock, { maxRetries: 0 }))
+);
+describeClientContract(
+  mockTarget('LoggingClient', (mock) =>
+    Object.assign(new LoggingClient(mock), { logger: quietLogger })
+  )
+);
+describeClientContract(mockTarget('CostTrackingClient', (mock) => new CostTrackingClient(mock)));
+describeClientContract(
+  mockTarget(
+    'RecordReplayClient',
+    (mock) => new RecordReplayClient(mock, { cassettePath, mode: 'record' })
+  )
+);
+describeClientContract(mockTarget('FallbackClient', (mock) => new FallbackClient([mock])));
+describeClientContract(mockTarget('CoalescingClient', (mock) => new CoalescingClient(mock)));
+describeClientContract(mockTarget('HedgingClient', (mock) => new HedgingClient(mock)));
+describeClientContract(
+  mockTarget(
+    'RateLimitedClient',
+    (mock) =>
+      new RateLimitedClient(mock, {
+        limiter: new RateLimiter({ requestsPerMinute: 6000, tokensPerMinute: 1_000_000 }),
+      })
+  )
+);
+describeClientContract(
+  mockTarget('ComposedClient', (mock) =>
+    composeClient(mock, [retry({ maxRetries: 0 }), cost(), cache()])
+  )
+);
@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { CoalescingClient } from '../../src/clients/coalescing-client.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { CostTrackingClient } from '../../src/clients/cost-tracking-client.js';
+import { AbortError } from '../../src/clients/cancellation.js';
+import { ResponseCache } from '../../src/examples/strategies/caching/response-cache.js';
+
+const messages = [{ role: 'user', content: 'Summarize the report' }];
+
+function slowMock(config = {}) {
+  return new MockAIClient({
+    defaultResponse: 'The report is fine',
+    faults: { latency: 20 },
+    ...config,
+  });
+}
+
+describe('CoalescingClient', () => {
+  it('should send concurrent identical requests once and share the response', async () => {
+    const mock = slowMock();
+    const coalesced = [];
+    const client = new CoalescingClient(mock, { onCoalesce: (event) => coalesced.push(event) });
+
+    const responses = await Promise.all([
+      client.chat(messages, { temperature: 0 }),
+      // Local bookkeeping fields do not change the key
+      client.chat([{ ...messages[0], timestamp: Date.now() }], { temperature: 0 }),
+      client.chat(messages, { temperature: 0, timeoutMs: 5000 }),
+      client.chat(messages, { temperature: 1 }),
+    ]);
+
+    assert.strictEqual(mock.getCallHistory().length, 2);
+    assert.deepStrictEqual(responses[1], responses[0]);
+    assert.deepStrictEqual(responses[2], responses[0]);
+    // Each caller gets its own copy to modify
+    responses[1].choices[0].message.content = 'Changed';
+    assert.strictEqual(client.getTextContent(responses[0]), 'The report is fine');
+    assert.deepStrictEqual(
+      coalesced.map(({ method, waiters }) => [method, waiters]),
+      [
+        ['chat', 2],
+        ['chat', 3],
+      ]
+    );
+    assert.deepStrictEqual(client.getStats(), {
+      calls: 4,
+      executed: 2,
+      coalesced: 2,
+      inFlight: 0,
+      coalesceRate: 0.5,
+      byMethod: { chat: { calls: 4, coalesced: 2 } },
+    });
+
+    // Settled requests are not cached
+    await client.chat(messages, { temperature: 0 });
+    assert.strictEqual(mock.getCallHistory().length, 3);
+  });
+
+  it('should expose the wrapped client model to outer wrappers', async () => {
+    const client = new CoalescingClient(new MockAIClient({ model: 'gpt-4o' }));
+    const tracked = new CostTrackingClient(client);
+
+    await tracked.chat(messages);
+
+    assert.strictEqual(client.model, 'gpt-4o');
+    assert.strictEqual(tracked.requests[0].model, 'gpt-4o');
+  });
+
+  it('should share failures with every waiting caller', async () => {
+    const mock = slowMock();
+    mock.setFaults({ latency: 20, sequence: ['rate_limit'] });
+    const client = new CoalescingClient(mock);
+
+    const results = await Promise.allSettled([client.chat(messages), client.chat(messages)]);
+
+    assert.deepStrictEqual(
+      results.map((result) => result.reason?.status),
+      [429, 429]
+    );
+    assert.strictEqual(mock.getCallHistory().length, 1);
+  });
+
+  it('should fan chatStream chunks out to late joiners', async () => {
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    const mock = new MockAIClient({
+      chatStreamHandler: async (_messages, onChunk) => {
+        onChunk('Hello');
+        await gate;
+        onChunk(' world');
+        return 'Hello world';
+      },
+    });
+    const client = new CoalescingClient(mock);
+    const first = [];
+    const second = [];
+
+    const firstCall = client.chatStream(messages, (chunk) => first.push(chunk));
+    await new Promise((resolve) => setImmediate(resolve));
+    const secondCall = client.chatStream(messages, (chunk) => second.push(chunk));
+    release();
+
+    assert.deepStrictEqual(await Promise.all([firstCall, secondCall]), [
+      'Hello world',
+      'Hello world',
+    ]);
+    assert.deepStrictEqual(first, ['Hello', ' world']);
+    assert.deepStrictEqual(second, ['Hello', ' world']);
+    assert.strictEqual(mock.getCallHistory().length, 1);
+  });
+
+  it('should replay the shared event stream to every subscriber', async () => {
+    const mock = slowMock();
+    const client = new CoalescingClient(mock);
+    const collect = async () => {
+      const events = [];
+      for await (const event of client.stream(messages)) {
+        events.push(event);
+      }
+      return events;
+    };
+
+    const [first, second] = await Promise.all([collect(), collect()]);
+
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(first.at(-1).type, 'done');
+    assert.strictEqual(mock.getCallHistory().length, 1);
+    assert.strictEqual(client.getStats().byMethod.stream.coalesced, 1);
+  });
+
+  it('should only abort the shared request once every caller has given up', async () => {
+    const mock = slowMock();
+    const client = new CoalescingClient(mock);
+    const controller = new AbortController();
+
+    const aborted = client.chat(messages, { signal: controller.signal });
+    const kept = client.chat(messages);
+    controller.abort();
+
+    await assert.rejects(aborted, AbortError);
+    assert.strictEqual(mock.getTextContent(await kept), 'The report is fine');
+
+    const lone = new AbortController();
+    const abandoned = client.chat(messages, { signal: lone.signal });
+    const [entry] = client.inFlight.values();
+    lone.abort();
+
+    await assert.rejects(abandoned, AbortError);
+    assert.strictEqual(entry.controller.signal.aborted, true);
+    assert.strictEqual(client.getStats().inFlight, 0);
+  });
+
+  it('should pass excluded methods straight through', async () => {
+    const mock = slowMock();
+    const client = new CoalescingClient(mock, { methods: ['chat'] });
+
+    await Promise.all([client.getEmbeddings('text'), client.getEmbeddings('text')]);
+
+    assert.strictEqual(mock.getCallHistory().length, 2);
+    assert.strictEqual(client.getStats().calls, 0);
+  });
+
+  it('should share message normalization with ResponseCache', () => {
+    const cache = new ResponseCache();
+
+    assert.strictEqual(
+      cache.generateKey([{ role: 'user', content: 'Hi', timestamp: 1 }]),
+      cache.generateKey([{ role: 'user', content: 'Hi', timestamp: 2 }])
+    );
+    assert.notStrictEqual(
+      cache.generateKey([{ role: 'tool', content: 'ok', tool_call_id: 'a' }]),
+      cache.generateKey([{ role: 'tool', content: 'ok', tool_call_id: 'b' }])
+    );
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { composeClient, ComposedClient } from '../../src/clients/compose-client.js';
+import { logging, retry, cost, cache, guardrails } from '../../src/clients/middleware.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { implementsAIClientInterface } from '../../src/clients/ai-client-interface.js';
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+describe('composeClient', () => {
+  it('should implement the interface and run middleware outermost first', async () => {
+    const order = [];
+    const trace = (name) => async (request, next) => {
+      order.push(`${name}:in`);
+      const result = await next(request);
+      order.push(`${name}:out`);
+      return result;
+    };
+
+    const client = composeClient(new MockAIClient(), [trace('a'), trace('b')]);
+    await client.chat(messages);
+
+    assert.ok(client instanceof ComposedClient);
+    assert.strictEqual(implementsAIClientInterface(client), true);
+    assert.deepStrictEqual(order, ['a:in', 'b:in', 'b:out', 'a:out']);
+  });
+
+  it('should route every method through the pipeline', async () => {
+    const base = new MockAIClient();
+    base.chatWithFunctions = async (msgs, functions) => base._createResponse(functions[0].name);
+    const seen = [];
+    const client = composeClient(base, [
+      (request, next) => {
+        seen.push(request.method);
+        return next(request);
+      },
+    ]);
+
+    const response = await client.chatWithFunctions(messages, [{ name: 'lookup' }]);
+    await client.getEmbeddings('text');
+    await client.createThread();
+
+    assert.strictEqual(client.getTextContent(response), 'lookup');
+    assert.deepStrictEqual(seen, ['chatWithFunctions', 'getEmbeddings', 'createThread']);
+  });
+
+  it('should let middleware mutate requests and short-circuit', async () => {
+    const base = new MockAIClient();
+    const client = composeClient(base, [
+      {
+        name: 'lowTemperature',
+        methods: ['chat'],
+        handle: (request, next) => next({ ...request, options: { temperature: 0 } }),
+      },
+      {
+        name: 'blockEmbeddings',
+        methods: ['getEmbeddings'],
+        handle: async () => [[0]],
+      },
+    ]);
+
+    await client.chat(messages, { temperature: 1 });
+    const embeddings = await client.getEmbeddings('text');
+
+    assert.deepStrictEqual(base.getCallHistory()[0].options, { temperature: 0 });
+    assert.deepStrictEqual(embeddings, [[0]]);
+    assert.strictEqual(base.getCallHistory().length, 1);
+  });
+
+  it('should pass stream chunks through onChunk observers', async () => {
+    const client = composeClient(new MockAIClient({ defaultResponse: 'one two three' }), [
+      { onChunk: (chunk) => chunk.toUpperCase() },
+      { onChunk: (chunk) => (chunk.startsWith('two') ? null : undefined) },
+    ]);
+
+    const chunks = [];
+    await client.chatStream(messages, (chunk) => chunks.push(chunk));
+
+    assert.deepStrictEqual(chunks, ['ONE ', 'THREE']);
+  });
+
+  it('should report methods the base client does not implement', async () => {
+    const client = composeClient(new MockAIClient());
+    await assert.rejects(() => client.chatWithFunctions(messages, []), {
+      message: /chatWithFunctions\(\) is not implemented by MockAIClient/,
+    });
+  });
+
+  it('should reject invalid middleware', () => {
+    assert.throws(
+      () => composeClient(new MockAIClient(), [{}]),
+      /handle\(\), onChunk\(\), onEvent\(\) or beforeCall\(\)/
+    );
+    assert.throws(() => composeClient(null), /requires a base client/);
+  });
+});
+
+describe('built-in middleware', () => {
+  it('retry() should retry transient errors', async () => {
+    let calls = 0;
+    const base = new MockAIClient({
+      chatHandler: async () => {
+        calls++;
+        if (calls === 1) {
+          throw Object.assign(new Error('Service unavailable'), { status: 503 });
+        }
+        return base._createResponse('recovered');
+      },
+    });
+    const retries = retry({ maxRetries: 2, baseDelayMs: 1 });
+    const client = composeClient(base, [retries]);
+
+    const response = await client.chat(messages);
+
+    assert.strictEqual(client.getTextContent(response), 'recovered');
+    assert.strictEqual(retries.getMetrics().retriedRequests, 1);
+  });
+
+  it('retry() should retry streams that fail before the first event', async () => {
+    const base = new MockAIClient({ faults: { sequence: ['connection_reset'] } });
+    const retries = retry({ maxRetries: 2, baseDelayMs: 1 });
+    const client = composeClient(base, [retries]);
+
+    const text = [];
+    for await (const event of client.stream(messages)) {
+      if (event.type === 'text_delta') text.push(event.text);
+    }
+
+    assert.strictEqual(text.join(''), 'Mock response');
+    assert.strictEqual(retries.getMetrics().retriedRequests, 1);
+    assert.strictEqual(base.getCallHistory().length, 2);
+  });
+
+  it('cache() should replay chatStream hits through onChunk observers', async () => {
+    const shout = { name: 'shout', onChunk: (chunk) => chunk.toUpperCase() };
+    const base = new MockAIClient();
+    const client = composeClient(base, [shout, cache({ methods: ['chatStream'] })]);
+
+    await client.chatStream(messages, () => {});
+    const chunks = [];
+    await client.chatStream(messages, (chunk) => chunks.push(chunk));
+
+    assert.deepStrictEqual(chunks, ['MOCK RESPONSE']);
+    assert.strictEqual(base.getCallHistory().length, 1);
+  });
+
+  it('cache() should serve repeats and cost() should not bill cache hits', async () => {
+    const base = new MockAIClient();
+    const costs = cost();
+    const responses = cache();
+    const client = composeClient(base, [costs, responses]);
+
+    await client.chat(messages);
+    await client.chat(messages);
+    await client.chat(messages, { temperature: 0 });
+
+    assert.strictEqual(base.getCallHistory().length, 2);
+    assert.deepStrictEqual(
+      { hits: responses.getStats().hits, misses: responses.getStats().misses },
+      { hits: 1, misses: 2 }
+    );
+    assert.strictEqual(costs.getStats().totalRequests, 2);
+  });
+
+  it('cache() should evict least recently used entries', async () => {
+    const base = new MockAIClient();
+    const client = composeClient(base, [cache({ maxEntries: 1 })]);
+
+    await client.chat([{ role: 'user', content: 'a' }]);
+    await client.chat([{ role: 'user', content: 'b' }]);
+    await client.chat([{ role: 'user', content: 'a' }]);
+
+    assert.strictEqual(base.getCallHistory().length, 3);
+  });
+
+  it('guardrails() should block invalid outputs', async () => {
+    const validator = {
+      validate: async (text) => ({ valid: !text.includes('secret'), issues: ['Leaks secret'] }),
+    };
+    const client = composeClient(new MockAIClient({ defaultResponse: 'the secret is 42' }), [
+      guardrails({ validator }),
+    ]);
+
+    await assert.rejects(
+      () => client.chat(messages),
+      (error) => {
+        assert.match(error.message, /Guardrails blocked output: Leaks secret/);
+        assert.strictEqual(error.guardrails.valid, false);
+        return true;
+      }
+    );
+  });
+
+  it('logging() should log requests and responses', async () => {
+    const events = [];
+    const client = composeClient(new MockAIClient(), [
+      logging({
+        onRequest: (data) => events.push(['request', data.method]),
+        onResponse: (data) => events.push(['response', data.response.contentPreview]),
+      }),
+    ]);
+
+    await client.chat(messages);
+
+    assert.deepStrictEqual(events, [
+      ['request', 'chat'],
+      ['response', 'Mock response'],
+    ]);
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { FallbackClient } from '../../src/clients/fallback-client.js';
+import { ResilientClient } from '../../src/clients/resilient-client.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { toClaudeMessages, toOpenAIMessages } from '../../src/clients/message-format.js';
+import { FunctionCallingAgent } from '../../src/agents/function-calling-agent.js';
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+function failingClient(status, message = `HTTP ${status}`) {
+  return new MockAIClient({
+    chatHandler: async () => {
+      throw Object.assign(new Error(message), { status });
+    },
+    chatWithToolsHandler: async () => {
+      throw Object.assign(new Error(message), { status });
+    },
+  });
+}
+
+describe('FallbackClient', () => {
+  it('should fail over on retryable errors', async () => {
+    const events = [];
+    const secondary = new MockAIClient({ defaultResponse: 'from secondary' });
+    const client = new FallbackClient(
+      [
+        { client: failingClient(503), name: 'primary' },
+        { client: secondary, name: 'secondary' },
+      ],
+      { onFallback: ({ from, to }) => events.push(`${from}->${to}`) }
+    );
+
+    const response = await client.chat(messages);
+
+    assert.strictEqual(client.getTextContent(response), 'from secondary');
+    assert.deepStrictEqual(events, ['primary->secondary']);
+    assert.deepStrictEqual(client.getStats(), {
+      totalRequests: 1,
+      fallbacks: 1,
+      servedBy: { primary: 0, secondary: 1 },
+    });
+  });
+
+  it('should throw non-retryable errors without failing over', async () => {
+    const secondary = new MockAIClient();
+    const client = new FallbackClient([failingClient(400, 'Invalid request'), secondary]);
+
+    await assert.rejects(() => client.chat(messages), { message: 'Invalid request' });
+    assert.strictEqual(secondary.getCallHistory().length, 0);
+  });
+
+  it('should fail over when a circuit breaker is open', async () => {
+    const primary = new ResilientClient(failingClient(503), {
+      maxRetries: 0,
+      circuitBreakerThreshold: 1,
+    });
+    const secondary = new MockAIClient({ defaultResponse: 'backup' });
+    const client = new FallbackClient([primary, secondary]);
+
+    await client.chat(messages);
+    const response = await client.chat(messages);
+
+    assert.strictEqual(primary.getMetrics().circuitState, 'OPEN');
+    assert.strictEqual(client.getTextContent(response), 'backup');
+  });
+
+  it('should fail over on per-attempt timeouts', async () => {
+    const slow = new MockAIClient({
+      chatHandler: () => new Promise((resolve) => setTimeout(resolve, 200)),
+    });
+    const client = new FallbackClient([slow, new MockAIClient({ defaultResponse: 'fast' })], {
+      timeoutMs: 20,
+    });
+
+    const response = await client.chat(messages);
+    assert.strictEqual(client.getTextContent(response), 'fast');
+  });
+
+  it('should report every attempt when the whole chain fails', async () => {
+    const client = new FallbackClient([failingClient(503), failingClient(429, 'Rate limit')]);
+
+    await assert.rejects(
+      () => client.chat(messages),
+      (error) => {
+        assert.match(error.message, /Fallback chain failed for chat/);
+        assert.strictEqual(error.attempts.length, 2);
+        assert.strictEqual(error.cause.status, 429);
+        return true;
+      }
+    );
+  });
+
+  it('should not fail over a stream that already produced output', async () => {
+    const secondary = new MockAIClient();
+    const primary = new MockAIClient({
+      chatStreamHandler: async (_messages, onChunk) => {
+        onChunk('partial');
+        throw Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' });
+      },
+    });
+    const client = new FallbackClient([primary, secondary]);
+
+    const chunks = [];
+    await assert.rejects(() => client.chatStream(messages, (c) => chunks.push(c)));
+
+    assert.deepStrictEqual(chunks, ['partial']);
+    assert.strictEqual(secondary.getCallHistory().length, 0);
+  });
+
+  it('should translate between OpenAI and Claude formats for agents', async () => {
+    let calls = 0;
+    const claude = new MockAIClient({
+      responseFormat: 'claude',
+      chatWithToolsHandler: async (history, tools) => {
+        calls++;
+        return calls === 1 ? claude._createToolResponse(tools[0]) : claude._createResponse('Done');
+      },
+    });
+    const client = new FallbackClient([failingClient(503), claude]);
+    const agent = new FunctionCallingAgent('openai', client);
+    agent.registerFunction('search', 'Search', { type: 'object' }, async () => ({ hits: 1 }));
+
+    const answer = await agent.chat('Find it');
+
+    assert.strictEqual(answer, 'Done');
+    const [, secondCall] = claude.getCallHistory();
+    const [, assistant, toolResult] = secondCall.messages;
+    assert.strictEqual(assistant.content[0].type, 'tool_use');
+    assert.strictEqual(toolResult.content[0].type, 'tool_result');
+
+    const history = agent.getConversationHistory();
+    assert.strictEqual(history[1].content[0].name, 'search');
+    assert.strictEqual(history[2].content[0].type, 'tool_result');
+  });
+});
+
+describe('message format translation', () => {
+  it('should round-trip tool conversations between formats', () => {
+    const openai = [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Weather?' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [
+          { id: 'a', type: 'function', function: { name: 'w', arguments: '{"c":"Oslo"}' } },
+          { id: 'b', type: 'function', function: { name: 'w', arguments: '{"c":"Rome"}' } },
+        ],
+      },
+      { role: 'tool', tool_call_id: 'a', content: '4C' },
+      { role: 'tool', tool_call_id: 'b', content: '20C' },
+    ];
+
+    const claude = toClaudeMessages(openai);
+
+    assert.strictEqual(claude.length, 4);
+    assert.deepStrictEqual(claude[2].content[1], {
+      type: 'tool_use',
+      id: 'b',
+      name: 'w',
+      input: { c: 'Rome' },
+    });
+    assert.deepStrictEqual(
+      claude[3].content.map((block) => block.tool_use_id),
+      ['a', 'b']
+    );
+    assert.deepStrictEqual(toOpenAIMessages(claude), openai);
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getEventListeners } from 'node:events';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { HedgingClient } from '../../src/clients/hedging-client.js';
+import { CostTrackingClient } from '../../src/clients/cost-tracking-client.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { AbortError } from '../../src/clients/cancellation.js';
+
+const messages = [{ role: 'user', content: 'Where is my order?' }];
+
+/**
+ * Mock whose calls take the given latencies in turn, honouring the abort signal
+ */
+function timedMock(latencies, config = {}) {
+  const mock = new MockAIClient({ model: 'gpt-4o-mini', ...config });
+  const aborted = [];
+  let call = 0;
+  const wait = async (options) => {
+    const index = call++;
+    try {
+      await sleep(latencies[index] ?? 0, undefined, { signal: options.signal });
+    } catch (error) {
+      aborted.push(index);
+      throw error;
+    }
+    return index;
+  };
+  mock.chatHandler = async (_messages, options) => {
+    const index = await wait(options);
+    return {
+      choices: [{ message: { role: 'assistant', content: `answer ${index}` } }],
+      usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 },
+    };
+  };
+  mock.chatStreamHandler = async (_messages, onChunk, options) => {
+    const index = await wait(options);
+    onChunk(`stream ${index}`);
+    return `stream ${index}`;
+  };
+  return Object.assign(mock, { aborted });
+}
+
+describe('HedgingClient', () => {
+  it('should not hedge calls that finish before the delay', async () => {
+    const mock = timedMock([5]);
+    const client = new HedgingClient(mock, { delayMs: 200 });
+
+    const response = await client.chat(messages);
+
+    assert.strictEqual(client.getTextContent(response), 'answer 0');
+    assert.strictEqual(mock.getCallHistory().length, 1);
+    assert.deepStrictEqual(client.getStats(), {
+      requests: 1,
+      hedged: 0,
+      hedgeWins: 0,
+      cancelled: 0,
+      hedgeRate: 0,
+      hedgeDelayMs: 200,
+    });
+  });
+
+  it('should return the hedge when the primary is slow and charge the cancelled attempt', async () => {
+    const mock = timedMock([500, 5]);
+    const tracked = new CostTrackingClient(mock);
+    const hedges = [];
+    const client = new HedgingClient(tracked, {
+      delayMs: 20,
+      onHedge: (event) => hedges.push(event),
+    });
+
+    const response = await client.chat(messages);
+
+    assert.strictEqual(client.getTextContent(response), 'answer 1');
+    await sleep(10); // Let the cancelled attempt unwind
+    assert.deepStrictEqual(mock.aborted, [0]);
+    assert.deepStrictEqual(hedges, [{ method: 'chat', delayMs: 20 }]);
+    assert.deepStrictEqual(
+      tracked.requests.map((request) => request.hedge),
+      [undefined, 'cancelled']
+    );
+    assert.strictEqual(
+      tracked.requests[1].inputTokens,
+      tracked.estimateTokens(messages[0].content)
+    );
+    assert.strictEqual(tracked.requests[1].outputTokens, 0);
+    assert.strictEqual(client.getStats().hedgeWins, 1);
+    assert.strictEqual(client.getStats().cancelled, 1);
+  });
+
+  it('should hedge at a percentile of recent latencies per model', () => {
+    const client = new HedgingClient(new MockAIClient({ model: 'gpt-4o-mini' }), {
+      percentile: 90,
+      minSamples: 10,
+      initialDelayMs: 750,
+    });
+
+    assert.strictEqual(client.getHedgeDelay(), 750);
+    for (let latency = 10; latency <= 100; latency += 10) {
+      client.recordLatency('gpt-4o-mini', latency);
+    }
+    client.recordLatency('other-model', 5000);
+
+    assert.strictEqual(client.getHedgeDelay(), 90);
+    assert.strictEqual(client.getHedgeDelay('other-model'), 750);
+  });
+
+  it('should keep stream latencies apart from chat latencies', async () => {
+    const mock = timedMock([5, 5, 5, 5]);
+    const client = new HedgingClient(mock, { minSamples: 2, initialDelayMs: 750 });
+
+    for (let i = 0; i < 2; i++) {
+      for await (const event of client.stream(messages)) {
+        assert.ok(event);
+      }
+    }
+    assert.strictEqual(client.getHedgeDelay(), 750);
+    assert.ok(client.getHedgeDelay(undefined, 'stream') < 750);
+
+    await client.chat(messages);
+    await client.chatWithTools(messages, []);
+    assert.ok(client.getHedgeDelay() < 750);
+  });
+
+  it('should hedge to an alternate provider and translate its response', async () => {
+    const primary = timedMock([500]);
+    const claude = new MockAIClient({
+      responseFormat: 'claude',
+      model: 'claude-3-5-haiku-20241022',
+      defaultResponse: 'from claude',
+    });
+    const client = new HedgingClient(primary, { delayMs: 10, hedgeClient: claude });
+
+    const response = await client.chat([{ role: 'system', content: 'Be brief.' }, ...messages]);
+
+    assert.strictEqual(client.getTextContent(response), 'from claude');
+    assert.ok(response.choices, 'response is in the primary (OpenAI) format');
+    assert.strictEqual(claude.getCallHistory().length, 1);
+    assert.strictEqual(client.calculateCost(response).inputTokens, 10);
+  });
+
+  it('should commit a chatStream to the first attempt that produces output', async () => {
+    const mock = timedMock([500, 5]);
+    const client = new HedgingClient(mock, { delayMs: 10 });
+    const chunks = [];
+
+    const text = await client.chatStream(messages, (chunk) => chunks.push(chunk));
+
+    assert.strictEqual(text, 'stream 1');
+    assert.deepStrictEqual(chunks, ['stream 1']);
+    await sleep(10);
+    assert.deepStrictEqual(mock.aborted, [0]);
+  });
+
+  it('should hedge streams until the first event', async () => {
+    const mock = new MockAIClient({ defaultResponse: 'hello there' });
+    let call = 0;
+    mock.streamHandler = async function* (_messages, options) {
+      const index = call++;
+      await sleep(index === 0 ? 500 : 5, undefined, { signal: options.signal });
+      yield { type: 'text', text: `attempt ${index}` };
+      yield { type: 'done', text: `attempt ${index}`, stopReason: 'end', toolCalls: [] };
+    };
+    const client = new HedgingClient(mock, { delayMs: 10 });
+
+    const events = [];
+    for await (const event of client.stream(messages)) {
+      events.push(event.text);
+    }
+
+    assert.deepStrictEqual(events, ['attempt 1', 'attempt 1']);
+    assert.strictEqual(client.getStats().cancelled, 1);
+  });
+
+  it('should fail fast when the primary fails before the hedge delay', async () => {
+    const mock = new MockAIClient({ faults: { sequence: ['server_error'] } });
+    const client = new HedgingClient(mock, { delayMs: 50 });
+
+    await assert.rejects(client.chat(messages), { status: 500 });
+    await sleep(80);
+    assert.strictEqual(client.getStats().hedged, 0);
+  });
+
+  it('should cancel every attempt when the caller aborts', async () => {
+    const mock = timedMock([500, 500]);
+    const client = new HedgingClient(mock, { delayMs: 10 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 40);
+
+    await assert.rejects(client.chat(messages, { signal: controller.signal }), AbortError);
+    await sleep(10);
+    assert.deepStrictEqual(mock.aborted, [0, 1]);
+    assert.strictEqual(client.getStats().cancelled, 0);
+  });
+
+  it('should remove its abort listeners once the attempts settle', async () => {
+    const mock = timedMock([5, 200, 5]);
+    const client = new HedgingClient(mock, { delayMs: 20 });
+    const controller = new AbortController();
+    const launch = (entry, signal) => entry.client.chat(messages, { signal });
+
+    await client.hedged('chat', 'Where is my order?', launch, controller.signal);
+    await client.hedged('chat', 'Where is my order?', launch, controller.signal);
+    await sleep(10);
+
+    assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { LocalAIClient } from '../../src/clients/local-client.js';
+import { createAIClient, isProviderAvailable } from '../../src/clients/client-factory.js';
+import { implementsAIClientInterface } from '../../src/clients/ai-client-interface.js';
+import { FunctionCallingAgent } from '../../src/agents/function-calling-agent.js';
+import { config } from '../../src/config.js';
+
+/**
+ * Minimal OpenAI-compatible server standing in for Ollama / llama.cpp / vLLM
+ */
+function startFakeServer(requests) {
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const payload = JSON.parse(body || '{}');
+      requests.push({ path: req.url, body: payload });
+
+      if (req.url === '/v1/embeddings') {
+        res.setHeader('content-type', 'application/json');
+        res.end(
+          JSON.stringify({
+            object: 'list',
+            data: payload.input.map((_, index) => ({ index, embedding: [0.1, 0.2, 0.3] })),
+            model: payload.model,
+          })
+        );
+        return;
+      }
+
+      if (payload.stream) {
+        res.setHeader('content-type', 'text/event-stream');
+        for (const word of ['Hello', ' from', ' local']) {
+          const chunk = { choices: [{ index: 0, delta: { content: word } }] };
+          res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+        return;
+      }
+
+      const message = payload.tools
+        ? {
+            role: 'assistant',
+            content: null,
+            tool_calls: [
+              {
+                id: 'call_1',
+                type: 'function',
+                function: { name: payload.tools[0].function.name, arguments: '{"city":"Oslo"}' },
+              },
+            ],
+          }
+        : { role: 'assistant', content: `echo:${payload.messages.at(-1).content}` };
+
+      res.setHeader('content-type', 'application/json');
+      res.setHeader('x-ratelimit-remaining-tokens', '4000');
+      res.end(
+        JSON.stringify({
+          id: 'chatcmpl-local',
+          object: 'chat.completion',
+          model: payload.model,
+          choices: [{ index: 0, message, finish_reason: payload.tools ? 'tool_calls' : 'stop' }],
+          usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 },
+        })
+      );
+    });
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('LocalAIClient', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+  const originalLocal = { ...config.local };
+
+  before(async () => {
+    server = await startFakeServer(requests);
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    config.local.baseUrl = baseUrl;
+    config.local.model = 'llama3.1';
+  });
+
+  after(() => {
+    Object.assign(config.local, originalLocal);
+    server.close();
+  });
+
+  it('should throw when no base URL is configured', () => {
+    config.local.baseUrl = undefined;
+    try {
+      assert.throws(() => new LocalAIClient(), { message: /LOCAL_AI_BASE_URL/ });
+    } finally {
+      config.local.baseUrl = baseUrl;
+    }
+  });
+
+  it('should be created by the factory and implement the interface', () => {
+    const client = createAIClient('local');
+    assert.ok(client instanceof LocalAIClient);
+    assert.strictEqual(implementsAIClientInterface(client), true);
+    assert.strictEqual(isProviderAvailable('local'), true);
+  });
+
+  it('should send chat requests in OpenAI wire format', async () => {
+    const client = new LocalAIClient();
+    const response = await client.chat([{ role: 'user', content: 'ping' }], { temperature: 0 });
+
+    assert.strictEqual(client.getTextContent(response), 'echo:ping');
+    const request = requests.at(-1);
+    assert.strictEqual(request.path, '/v1/chat/completions');
+    assert.strictEqual(request.body.model, 'llama3.1');
+    assert.strictEqual(request.body.temperature, 0);
+  });
+
+  it('should report response headers without sending the callback', async () => {
+    const client = new LocalAIClient();
+    let headers;
+    const response = await client.chat([{ role: 'user', content: 'ping' }], {
+      onResponseHeaders: (received) => (headers = received),
+    });
+
+    assert.strictEqual(client.getTextContent(response), 'echo:ping');
+    assert.strictEqual(headers.get('x-ratelimit-remaining-tokens'), '4000');
+    assert.strictEqual('onResponseHeaders' in requests.at(-1).body, false);
+  });
+
+  it('should stream chunks', async () => {
+    const client = new LocalAIClient();
+    const chunks = [];
+    const text = await client.chatStream([{ role: 'user', content: 'hi' }], (c) => chunks.push(c));
+
+    assert.strictEqual(text, 'Hello from local');
+    assert.deepStrictEqual(chunks, ['Hello', ' from', ' local']);
+  });
+
+  it('should convert Claude-style tools and return tool calls', async () => {
+    const client = new LocalAIClient();
+    const response = await client.chatWithTools(
+      [{ role: 'user', content: 'Weather in Oslo?' }],
+      [{ name: 'get_weather', description: 'Weather', input_schema: { type: 'object' } }]
+    );
+
+    assert.strictEqual(client.hasToolUse(response), true);
+    assert.strictEqual(client.getToolUseBlocks(response)[0].function.name, 'get_weather');
+    assert.deepStrictEqual(requests.at(-1).body.tools[0].function.parameters, { type: 'object' });
+  });
+
+  it('should get embeddings using the configured embedding model', async () => {
+    const client = new LocalAIClient();
+    const embeddings = await client.getEmbeddings(['a', 'b']);
+
+    assert.strictEqual(embeddings.length, 2);
+    assert.strictEqual(requests.at(-1).path, '/v1/embeddings');
+    assert.strictEqual(requests.at(-1).body.model, config.local.embeddingModel);
+  });
+
+  it('should reject image analysis when no vision model is configured', async () => {
+    const client = new LocalAIClient();
+    await assert.rejects(() => client.analyzeImage('aGVsbG8=', 'Describe'), {
+      message: /LOCAL_AI_VISION_MODEL/,
+    });
+  });
+
+  it('should report token usage at zero cost', () => {
+    const client = new LocalAIClient();
+    const cost = client.calculateCost({
+      usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 },
+    });
+
+    assert.strictEqual(cost.totalTokens, 15);
+    assert.strictEqual(cost.totalCost, 0);
+  });
+
+  it('should drive FunctionCallingAgent with OpenAI-format tools', async () => {
+    const agent = new FunctionCallingAgent('local');
+    agent.registerFunction('get_weather', 'Weather', { type: 'object' }, async () => ({
+      temp: 4,
+    }));
+
+    assert.strictEqual(agent.functionDefinitions.length, 1);
+    assert.ok(agent.functionDefinitions[0].parameters);
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { LocalAIClient } from '../../src/clients/local-client.js';
+import { ClaudeClient } from '../../src/clients/claude-client.js';
+import {
+  fromCanonicalMessages,
+  toCanonicalMessages,
+  responseToMessage,
+} from '../../src/clients/message-format.js';
+import { config } from '../../src/config.js';
+
+const canonical = [
+  { role: 'system', content: 'Be brief' },
+  {
+    role: 'user',
+    content: [
+      { type: 'text', text: 'Where is this?' },
+      { type: 'image', mediaType: 'image/png', data: 'iVBORw0' },
+    ],
+  },
+  {
+    role: 'assistant',
+    content: [
+      { type: 'text', text: 'Checking.' },
+      { type: 'tool_call', id: 'a', name: 'locate', arguments: { hint: 'tower' } },
+      { type: 'tool_call', id: 'b', name: 'weather', arguments: {} },
+    ],
+  },
+  {
+    role: 'tool',
+    content: [
+      { type: 'tool_result', toolCallId: 'a', content: 'Paris' },
+      { type: 'tool_result', toolCallId: 'b', content: { temperature: 20 } },
+    ],
+  },
+];
+
+describe('canonical messages', () => {
+  it('should translate to the OpenAI wire format and back', () => {
+    const openai = fromCanonicalMessages(canonical, 'openai');
+
+    assert.deepStrictEqual(
+      openai.map((m) => m.role),
+      ['system', 'user', 'assistant', 'tool', 'tool']
+    );
+    assert.deepStrictEqual(openai[1].content[1], {
+      type: 'image_url',
+      image_url: { url: 'data:image/png;base64,iVBORw0' },
+    });
+    assert.deepStrictEqual(openai[2].tool_calls[0].function, {
+      name: 'locate',
+      arguments: '{"hint":"tower"}',
+    });
+    assert.deepStrictEqual(openai[4], {
+      role: 'tool',
+      tool_call_id: 'b',
+      content: '{"temperature":20}',
+    });
+
+    const back = toCanonicalMessages(openai, 'openai');
+    assert.deepStrictEqual(back.slice(1, 3), canonical.slice(1, 3));
+    assert.deepStrictEqual(back[3].content[1].content, '{"temperature":20}');
+  });
+
+  it('should translate to the Claude wire format and back', () => {
+    const claude = fromCanonicalMessages(canonical, 'claude');
+
+    assert.deepStrictEqual(
+      claude.map((m) => m.role),
+      ['system', 'user', 'assistant', 'user']
+    );
+    assert.deepStrictEqual(claude[1].content[1].source, {
+      type: 'base64',
+      media_type: 'image/png',
+      data: 'iVBORw0',
+    });
+    assert.deepStrictEqual(claude[2].content[1], {
+      type: 'tool_use',
+      id: 'a',
+      name: 'locate',
+      input: { hint: 'tower' },
+    });
+    assert.deepStrictEqual(
+      claude[3].content.map((block) => block.tool_use_id),
+      ['a', 'b']
+    );
+
+    const back = toCanonicalMessages(claude, 'claude');
+    assert.deepStrictEqual(back.slice(1, 3), canonical.slice(1, 3));
+  });
+
+  it('should leave wire-format histories untouched', () => {
+    const wire = [
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'x', name: 'w', input: {} }] },
+    ];
+
+    assert.strictEqual(fromCanonicalMessages(wire, 'claude'), wire);
+    assert.deepStrictEqual(
+      fromCanonicalMessages([...wire, canonical[3]], 'claude').slice(0, 2),
+      wire
+    );
+  });
+
+  it('should return canonical assistant messages from either response format', () => {
+    const expected = {
+      role: 'assistant',
+      content: [{ type: 'tool_call', id: 'call_1', name: 'search', arguments: { q: 'x' } }],
+    };
+
+    assert.deepStrictEqual(
+      responseToMessage({
+        choices: [
+          {
+            message: {
+              role: 'assistant',
+              content: null,
+              tool_calls: [
+                {
+                  id: 'call_1',
+                  type: 'function',
+                  function: { name: 'search', arguments: '{"q":"x"}' },
+                },
+              ],
+            },
+          },
+        ],
+      }),
+      expected
+    );
+    assert.deepStrictEqual(
+      responseToMessage({
+        content: [{ type: 'tool_use', id: 'call_1', name: 'search', input: { q: 'x' } }],
+      }),
+      expected
+    );
+
+    const mock = new MockAIClient({ responseFormat: 'claude', defaultResponse: 'Hello' });
+    assert.deepStrictEqual(mock.getMessage(mock._createResponse('Hello')), {
+      role: 'assistant',
+      content: [{ type: 'text', text: 'Hello' }],
+    });
+  });
+
+  it('should be accepted by provider clients', async () => {
+    const local = new LocalAIClient('llama3', { baseUrl: 'http://localhost:1/v1' });
+    let openaiBody;
+    local.client.chat.completions.create = async (body) => {
+      openaiBody = body;
+      return { choices: [{ message: { role: 'assistant', content: 'ok' } }] };
+    };
+    await local.chatWithTools(canonical, []);
+    assert.strictEqual(openaiBody.messages[3].tool_call_id, 'a');
+
+    const previousKey = config.claude.apiKey;
+    config.claude.apiKey = 'test-key';
+    const claude = new ClaudeClient('claude-test');
+    config.claude.apiKey = previousKey;
+
+    let claudeBody;
+    claude.client.messages.create = async (body) => {
+      claudeBody = body;
+      return { content: [{ type: 'text', text: 'ok' }] };
+    };
+    await claude.chat(canonical);
+    assert.strictEqual(claudeBody.system, 'Be brief');
+    assert.strictEqual(claudeBody.messages[2].content[0].type, 'tool_result');
+  });
+});
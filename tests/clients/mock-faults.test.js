@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { ResilientClient, isRetryableError } from '../../src/clients/resilient-client.js';
+import { TimeoutError } from '../../src/clients/cancellation.js';
+import {
+  FaultInjector,
+  createProviderError,
+  sampleLatency,
+  seededRandom,
+} from '../../src/clients/mock-faults.js';
+import { classifyError } from '../../src/examples/strategies/error-handling/error-classifier.js';
+import { CircuitBreaker } from '../../src/examples/strategies/error-handling/circuit-breaker.js';
+import { BatchProcessor } from '../../src/examples/strategies/batch/batch-processor.js';
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+async function drain(events) {
+  const seen = [];
+  for await (const event of events) {
+    seen.push(event);
+  }
+  return seen;
+}
+
+describe('MockAIClient fault injection', () => {
+  it('should throw errors shaped like the provider SDKs', () => {
+    const openai = createProviderError('rate_limit', { retryAfterSeconds: 3 });
+    assert.strictEqual(openai.name, 'RateLimitError');
+    assert.strictEqual(openai.status, 429);
+    assert.strictEqual(openai.headers['retry-after'], '3');
+    assert.strictEqual(openai.error.code, 'rate_limit_exceeded');
+
+    const claude = createProviderError('overloaded', { format: 'claude' });
+    assert.strictEqual(claude.status, 529);
+    assert.strictEqual(claude.error.error.type, 'overloaded_error');
+    assert.strictEqual(createProviderError('overloaded').status, 503);
+
+    assert.strictEqual(classifyError(openai).type, 'RATE_LIMIT');
+    assert.strictEqual(classifyError(createProviderError('server_error')).type, 'SERVER_ERROR');
+    assert.strictEqual(classifyError(createProviderError('auth')).type, 'AUTH_ERROR');
+    assert.strictEqual(classifyError(createProviderError('bad_request')).type, 'BAD_REQUEST');
+
+    assert.strictEqual(isRetryableError(createProviderError('timeout')), true);
+    assert.strictEqual(isRetryableError(createProviderError('connection_reset')), true);
+    assert.strictEqual(isRetryableError(createProviderError('bad_request')), false);
+  });
+
+  it('should follow a fault sequence so retries can be tested', async () => {
+    const mock = new MockAIClient({
+      faults: { sequence: ['rate_limit', 'server_error', null, 'auth'] },
+    });
+    const client = new ResilientClient(mock, { baseDelayMs: 1, jitterFactor: 0 });
+
+    const response = await client.chat(messages);
+
+    assert.strictEqual(client.getTextContent(response), 'Mock response');
+    assert.strictEqual(client.getMetrics().retriedRequests, 2);
+    assert.deepStrictEqual(mock.getFaultStats(), {
+      calls: 3,
+      injected: { rate_limit: 1, server_error: 1 },
+    });
+
+    await assert.rejects(() => client.chat(messages), { status: 401 });
+    assert.strictEqual(mock.getCallHistory().length, 4);
+  });
+
+  it('should draw random faults reproducibly from a seed', async () => {
+    const outcomes = async () => {
+      const client = new MockAIClient({
+        faults: { rates: { server_error: 0.3, rate_limit: 0.2 }, seed: 11 },
+      });
+      const results = [];
+      for (let i = 0; i < 20; i++) {
+        results.push(
+          await client.chat(messages).then(
+            () => 'ok',
+            (error) => error.status
+          )
+        );
+      }
+      return results;
+    };
+
+    const first = await outcomes();
+    assert.deepStrictEqual(await outcomes(), first);
+    assert.ok(first.includes('ok') && first.includes(500) && first.includes(429));
+
+    const embeddingsOnly = new MockAIClient({
+      faults: { rates: { server_error: 1 }, methods: ['getEmbeddings'] },
+    });
+    await embeddingsOnly.chat(messages);
+    await assert.rejects(() => embeddingsOnly.getEmbeddings('text'), { status: 500 });
+  });
+
+  it('should inject latency that honours deadlines', async () => {
+    const random = seededRandom(1);
+    for (let i = 0; i < 50; i++) {
+      const uniform = sampleLatency({ type: 'uniform', minMs: 10, maxMs: 20 }, random);
+      assert.ok(uniform >= 10 && uniform <= 20);
+      assert.ok(sampleLatency({ type: 'normal', meanMs: 5, stdDevMs: 50 }, random) >= 0);
+    }
+
+    const client = new MockAIClient({ faults: { latency: 30 } });
+    const started = Date.now();
+    await client.chat(messages);
+    assert.ok(Date.now() - started >= 25);
+
+    await assert.rejects(() => client.chat(messages, { timeoutMs: 5 }), TimeoutError);
+
+    const controller = new AbortController();
+    controller.abort(new Error('gone'));
+    await assert.rejects(
+      () => new FaultInjector({ latency: 200 }).apply('chat', controller.signal),
+      /gone/
+    );
+  });
+
+  it('should break streams part-way', async () => {
+    const client = new MockAIClient({
+      defaultResponse: 'one two three four',
+      faults: { sequence: [{ type: 'truncate_stream', after: 2 }, 'truncate_stream'] },
+    });
+
+    const seen = [];
+    await assert.rejects(
+      async () => {
+        for await (const event of client.stream(messages)) {
+          seen.push(event.text);
+        }
+      },
+      { code: 'ECONNRESET' }
+    );
+    assert.deepStrictEqual(seen, ['one ', 'two ']);
+
+    const chunks = [];
+    await assert.rejects(
+      () => client.chatStream(messages, (chunk) => chunks.push(chunk)),
+      /Connection error/
+    );
+    assert.deepStrictEqual(chunks, ['one ']);
+  });
+
+  it('should produce malformed tool-call JSON', async () => {
+    const tools = [{ name: 'search', description: 'Search', parameters: { type: 'object' } }];
+    const client = new MockAIClient({
+      faults: { sequence: ['malformed_tool_call', 'malformed_tool_call'] },
+    });
+
+    const response = await client.chatWithTools(messages, tools);
+    const [call] = client.getMessage(response).content;
+    assert.ok(call.arguments._raw);
+    assert.throws(() => JSON.parse(call.arguments._raw), SyntaxError);
+
+    const events = await drain(client.stream(messages, { tools }));
+    const end = events.find((event) => event.type === 'tool_call_end');
+    const done = events.at(-1);
+    assert.ok(end.arguments._raw);
+    assert.deepStrictEqual(done.toolCalls[0].arguments, end.arguments);
+
+    const claude = new MockAIClient({
+      responseFormat: 'claude',
+      faults: { sequence: ['malformed_tool_call'] },
+    });
+    const [claudeCall] = claude.getMessage(await claude.chatWithTools(messages, tools)).content;
+    assert.ok(claudeCall.arguments._raw);
+    assert.throws(() => JSON.parse(claudeCall.arguments._raw), SyntaxError);
+  });
+
+  it('should trip circuit breakers and surface in batch results', async () => {
+    const client = new MockAIClient({ faults: { rates: { server_error: 1 } } });
+    const breaker = new CircuitBreaker(2, 60000);
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      for (let i = 0; i < 2; i++) {
+        await assert.rejects(() => breaker.execute(() => client.chat(messages)), { status: 500 });
+      }
+    } finally {
+      console.warn = originalWarn;
+    }
+    assert.strictEqual(breaker.state, 'OPEN');
+    await assert.rejects(() => breaker.execute(() => client.chat(messages)), /OPEN/);
+
+    client.setFaults({ sequence: [null, 'rate_limit', null] });
+    const processor = new BatchProcessor(client, 3);
+    const originalLog = console.log;
+    console.log = () => {};
+    let outcome;
+    try {
+      outcome = await processor.processBatch(['a', 'b', 'c'], (item) =>
+        client.chat([{ role: 'user', content: item }])
+      );
+    } finally {
+      console.log = originalLog;
+    }
+    assert.strictEqual(outcome.results.length, 2);
+    assert.deepStrictEqual(
+      outcome.errors.map((error) => error.item),
+      ['b']
+    );
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { ScriptMismatchError } from '../../src/clients/mock-script.js';
+import { FunctionCallingAgent } from '../../src/agents/function-calling-agent.js';
+
+const weatherParameters = { type: 'object', properties: { city: { type: 'string' } } };
+
+describe('MockAIClient.fromScript', () => {
+  it('should drive an agent through a scripted tool-calling turn', async () => {
+    const client = MockAIClient.fromScript([
+      {
+        expect: { method: 'chatWithTools', userMessage: /weather/, tools: ['get_weather'] },
+        respond: { toolCalls: [{ name: 'get_weather', arguments: { city: 'Paris' } }] },
+      },
+      {
+        expect: { method: 'chatWithTools', userMessage: 'Paris' },
+        respond: { text: 'Sunny in Paris' },
+      },
+    ]);
+    const agent = new FunctionCallingAgent('openai', client);
+    const cities = [];
+    agent.registerFunction('get_weather', 'Get weather', weatherParameters, async ({ city }) => {
+      cities.push(city);
+      return { sky: 'clear' };
+    });
+
+    const answer = await agent.chat('What is the weather in Paris?');
+
+    assert.strictEqual(answer, 'Sunny in Paris');
+    assert.deepStrictEqual(cities, ['Paris']);
+    assert.strictEqual(agent.getConversationHistory()[2].content[0].toolCallId, 'call_1_1');
+    client.assertScriptConsumed();
+  });
+
+  it('should report deviations with expected and received values', async () => {
+    const client = MockAIClient.fromScript([
+      {
+        expect: { system: /planner/, userMessage: (text) => text.startsWith('Plan') },
+        respond: { text: 'ok' },
+      },
+    ]);
+
+    const error = await client
+      .chat([
+        { role: 'system', content: 'You are a chef' },
+        { role: 'user', content: 'Cook dinner' },
+      ])
+      .catch((caught) => caught);
+
+    assert.ok(error instanceof ScriptMismatchError);
+    assert.strictEqual(error.step, 1);
+    assert.match(error.message, /step 1\/1 did not match the chat\(\) call/);
+    assert.match(error.message, /system:\n {4}expected \/planner\/\n {4}received "You are a chef"/);
+    assert.match(error.message, /userMessage:\n {4}expected <predicate/);
+    assert.deepStrictEqual(error.actual, { system: 'You are a chef', userMessage: 'Cook dinner' });
+
+    // Agents that swallow errors cannot hide the deviation
+    assert.throws(
+      () => client.assertScriptConsumed(),
+      (thrown) => thrown === error
+    );
+  });
+
+  it('should fail on extra calls and unused steps', async () => {
+    const extra = MockAIClient.fromScript([{ respond: { text: 'one' } }]);
+    await extra.chat([{ role: 'user', content: 'first' }]);
+    await assert.rejects(
+      () => extra.chat([{ role: 'user', content: 'second' }]),
+      /Mock script exhausted: unexpected chat\(\) call after all 1 steps \(last user message: "second"\)/
+    );
+
+    const unused = MockAIClient.fromScript([
+      { respond: { text: 'one' } },
+      { expect: { userMessage: 'summary' }, respond: { text: 'two' } },
+    ]);
+    await unused.chat([{ role: 'user', content: 'first' }]);
+    assert.throws(
+      () => unused.assertScriptConsumed(),
+      /not fully consumed: 1 of 2 steps never called \(next expected: \{"userMessage":"summary"\}\)/
+    );
+  });
+
+  it('should script streams, JSON, errors and Claude-format responses', async () => {
+    const client = MockAIClient.fromScript(
+      [
+        { expect: { method: 'stream' }, respond: { stream: ['Hel', 'lo'] } },
+        {
+          expect: { method: 'stream', tools: ['get_weather'] },
+          respond: { toolCalls: [{ id: 'w1', name: 'get_weather', arguments: { city: 'Oslo' } }] },
+        },
+        { expect: { method: 'chatStream' }, respond: { stream: ['a', 'b'] } },
+        { respond: { json: { ok: true } } },
+        { respond: { error: 'rate_limit' } },
+        { respond: { text: 'Calling', toolCalls: [{ name: 'get_weather' }] } },
+      ],
+      { responseFormat: 'claude' }
+    );
+    const messages = [{ role: 'user', content: 'Hi' }];
+    const collect = async (events) => {
+      const seen = [];
+      for await (const event of events) seen.push(event);
+      return seen;
+    };
+
+    const text = await collect(client.stream(messages));
+    assert.deepStrictEqual(
+      text.filter((event) => event.type === 'text_delta').map((event) => event.text),
+      ['Hel', 'lo']
+    );
+    assert.strictEqual(text.at(-1).text, 'Hello');
+
+    const tools = [{ name: 'get_weather', parameters: weatherParameters }];
+    const toolEvents = await collect(client.stream(messages, { tools }));
+    assert.deepStrictEqual(toolEvents.at(-1).toolCalls, [
+      { id: 'w1', name: 'get_weather', arguments: { city: 'Oslo' } },
+    ]);
+
+    const chunks = [];
+    assert.strictEqual(await client.chatStream(messages, (chunk) => chunks.push(chunk)), 'ab');
+    assert.deepStrictEqual(chunks, ['a', 'b']);
+
+    assert.deepStrictEqual(JSON.parse(client.getTextContent(await client.chat(messages))), {
+      ok: true,
+    });
+    await assert.rejects(() => client.chat(messages), { status: 429 });
+
+    const response = await client.chatWithTools(messages, tools);
+    assert.deepStrictEqual(
+      response.content.map((block) => block.type),
+      ['text', 'tool_use']
+    );
+    assert.strictEqual(response.content[1].id, 'call_6_1');
+    client.assertScriptConsumed();
+  });
+});
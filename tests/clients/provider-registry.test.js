@@ -0,0 +1,195 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  getRegisteredProviders,
+} from '../../src/clients/provider-registry.js';
+import {
+  createAIClient,
+  isValidProvider,
+  isProviderAvailable,
+  getAvailableProviders,
+} from '../../src/clients/client-factory.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { config, providerUtils } from '../../src/config.js';
+import { validateEnvironment, printEnvironmentStatus } from '../../src/utils/env-validator.js';
+
+describe('Provider registry', () => {
+  let configured = false;
+
+  const definition = {
+    create: (model) => new MockAIClient({ model: model || 'gateway-default' }),
+    isAvailable: () => configured,
+    validateEnv: () => ({ available: configured, missing: configured ? [] : ['GATEWAY_URL'] }),
+    defaultModel: 'gateway-default',
+    displayName: 'Test Gateway',
+  };
+
+  afterEach(() => {
+    unregisterProvider('test-gateway');
+    configured = false;
+  });
+
+  it('should register the built-in providers', () => {
+    for (const name of ['openai', 'openai-standard', 'azure-openai', 'claude', 'local', 'mock']) {
+      assert.ok(getRegisteredProviders().includes(name), `${name} should be registered`);
+    }
+  });
+
+  it('should create clients for a registered third-party provider', () => {
+    registerProvider('test-gateway', definition);
+
+    assert.strictEqual(isValidProvider('test-gateway'), true);
+    assert.strictEqual(createAIClient('test-gateway').model, 'gateway-default');
+    assert.strictEqual(createAIClient('test-gateway', 'custom').model, 'custom');
+    assert.strictEqual(providerUtils.getDefaultModel('test-gateway'), 'gateway-default');
+  });
+
+  it('should drive availability checks from the registry', () => {
+    registerProvider('test-gateway', definition);
+    assert.strictEqual(isProviderAvailable('test-gateway'), false);
+    assert.ok(!getAvailableProviders().includes('test-gateway'));
+
+    configured = true;
+    assert.strictEqual(isProviderAvailable('test-gateway'), true);
+    assert.strictEqual(providerUtils.isProviderAvailable('test-gateway'), true);
+    assert.ok(getAvailableProviders().includes('test-gateway'));
+  });
+
+  it('should let getDefaultProvider pick an available registered provider', () => {
+    const saved = {
+      azureApiKey: config.openai.azureApiKey,
+      standardApiKey: config.openai.standardApiKey,
+      claudeKey: config.claude.apiKey,
+      localUrl: config.local.baseUrl,
+    };
+    config.openai.azureApiKey = undefined;
+    config.openai.standardApiKey = undefined;
+    config.claude.apiKey = undefined;
+    config.local.baseUrl = undefined;
+
+    try {
+      registerProvider('test-gateway', definition);
+      assert.strictEqual(providerUtils.getDefaultProvider(), 'mock');
+
+      configured = true;
+      assert.strictEqual(providerUtils.getDefaultProvider(), 'test-gateway');
+    } finally {
+      config.openai.azureApiKey = saved.azureApiKey;
+      config.openai.standardApiKey = saved.standardApiKey;
+      config.claude.apiKey = saved.claudeKey;
+      config.local.baseUrl = saved.localUrl;
+    }
+  });
+
+  it('should include registered providers in environment validation', () => {
+    registerProvider('test-gateway', definition);
+
+    const result = validateEnvironment({ requiredProviders: ['test-gateway'] });
+    assert.deepStrictEqual(result.providers['test-gateway'], {
+      available: false,
+      missing: ['GATEWAY_URL'],
+    });
+    assert.ok(result.errors.some((e) => e.includes("'test-gateway'")));
+
+    const lines = [];
+    const originalLog = console.log;
+    console.log = (line = '') => lines.push(line);
+    try {
+      printEnvironmentStatus();
+    } finally {
+      console.log = originalLog;
+    }
+    assert.ok(lines.some((line) => line.includes('Test Gateway: Not configured')));
+  });
+
+  it('should let getDefaultVisionProvider pick a registered vision provider', () => {
+    const saved = {
+      azureApiKey: config.openai.azureApiKey,
+      standardApiKey: config.openai.standardApiKey,
+      claudeKey: config.claude.apiKey,
+      localUrl: config.local.baseUrl,
+    };
+    config.openai.azureApiKey = undefined;
+    config.openai.standardApiKey = undefined;
+    config.claude.apiKey = undefined;
+    config.local.baseUrl = undefined;
+
+    try {
+      registerProvider('test-gateway', {
+        ...definition,
+        visionModel: 'gateway-vision',
+        isVisionAvailable: () => configured,
+      });
+      assert.strictEqual(providerUtils.getDefaultVisionProvider(), 'mock');
+
+      configured = true;
+      assert.strictEqual(providerUtils.getDefaultVisionProvider(), 'test-gateway');
+      assert.strictEqual(providerUtils.getVisionModel('test-gateway'), 'gateway-vision');
+      assert.throws(() => providerUtils.getVisionModel('mock'), /Unsupported provider/);
+    } finally {
+      config.openai.azureApiKey = saved.azureApiKey;
+      config.openai.standardApiKey = saved.standardApiKey;
+      config.claude.apiKey = saved.claudeKey;
+      config.local.baseUrl = saved.localUrl;
+    }
+  });
+
+  it('should reject duplicate names unless replace is set', () => {
+    registerProvider('test-gateway', definition);
+    assert.throws(() => registerProvider('test-gateway', definition), /already registered/);
+
+    registerProvider('test-gateway', { ...definition, displayName: 'Replaced' }, { replace: true });
+    assert.strictEqual(getProvider('test-gateway').displayName, 'Replaced');
+  });
+
+  it('should reject definitions without create()', () => {
+    assert.throws(() => registerProvider('test-gateway', {}), /create\(model\)/);
+    assert.strictEqual(isValidProvider('test-gateway'), false);
+  });
+
+  it('should know the built-in providers when only config.js is imported', (t) => {
+    const cwd = mkdtempSync(join(tmpdir(), 'ai-agents-registry-'));
+    t.after(() => rmSync(cwd, { recursive: true, force: true }));
+    const configUrl = new URL('../../src/config.js', import.meta.url).href;
+    // A fresh process outside the repo, so no .env, config file or test runner settings apply
+    const output = execFileSync(
+      process.execPath,
+      [
+        '--input-type=module',
+        '-e',
+        `const { providerUtils } = await import(${JSON.stringify(configUrl)});
+         console.log(providerUtils.getDefaultProvider(), providerUtils.isProviderAvailable('claude'));`,
+      ],
+      {
+        cwd,
+        env: { PATH: process.env.PATH, OPENAI_API_KEY: 'sk-test' },
+        encoding: 'utf8',
+      }
+    );
+    assert.strictEqual(output.trim(), 'openai false');
+  });
+
+  it('should create built-in clients whichever client module is imported first', () => {
+    const baseUrl = new URL('../../src/clients/base-openai-client.js', import.meta.url).href;
+    const registryUrl = new URL('../../src/clients/provider-registry.js', import.meta.url).href;
+    const output = execFileSync(
+      process.execPath,
+      [
+        '--input-type=module',
+        '-e',
+        `await import(${JSON.stringify(baseUrl)});
+         const { getProvider } = await import(${JSON.stringify(registryUrl)});
+         console.log(getProvider('mock').create('registry-model').model);`,
+      ],
+      { encoding: 'utf8' }
+    );
+    assert.strictEqual(output.trim(), 'registry-model');
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RateLimitedClient } from '../../src/clients/rate-limited-client.js';
+import {
+  RateLimiter,
+  getRateLimiter,
+  parseRateLimitHeaders,
+} from '../../src/clients/rate-limiter.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { AbortError } from '../../src/clients/cancellation.js';
+
+const messages = [{ role: 'user', content: 'Classify this ticket' }];
+
+describe('RateLimiter', () => {
+  it('should make callers wait for tokens-per-minute capacity', async () => {
+    // 600k TPM refills 10 tokens per millisecond
+    const limiter = new RateLimiter({ tokensPerMinute: 600_000 });
+    await limiter.acquire(600_000);
+
+    const started = Date.now();
+    await limiter.acquire(300);
+
+    assert.ok(Date.now() - started >= 25, 'waited for the bucket to refill');
+    assert.strictEqual(limiter.getStats().granted, 2);
+    assert.strictEqual(limiter.getStats().waited, 1);
+  });
+
+  it('should serve higher priorities first, in arrival order within a priority', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1000 });
+    limiter.pauseFor(20);
+    const order = [];
+
+    await Promise.all(
+      [
+        ['background', 0],
+        ['interactive', 10],
+        ['batch', 0],
+        ['urgent', 10],
+      ].map(([name, priority]) => limiter.acquire(0, { priority }).then(() => order.push(name)))
+    );
+
+    assert.deepStrictEqual(order, ['interactive', 'urgent', 'background', 'batch']);
+  });
+
+  it('should reconcile reservations with actual usage', () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 60 });
+    return limiter.acquire(50).then((permit) => {
+      assert.strictEqual(limiter.getStats().tokensAvailable, 10);
+      limiter.settle(permit, 20);
+      assert.strictEqual(limiter.getStats().tokensAvailable, 40);
+    });
+  });
+
+  it('should drop aborted waiters and reject when the queue is full', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 100, maxQueueSize: 1 });
+    limiter.pauseFor(1000);
+    const controller = new AbortController();
+
+    const waiting = limiter.acquire(0, { signal: controller.signal });
+    await assert.rejects(limiter.acquire(0), { code: 'RATE_LIMIT_QUEUE_FULL' });
+    controller.abort(new AbortError());
+
+    await assert.rejects(waiting, AbortError);
+    assert.strictEqual(limiter.getStats().queued, 0);
+    assert.strictEqual(limiter.getStats().rejected, 1);
+  });
+
+  it('should parse OpenAI and Anthropic rate-limit headers', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+
+    assert.deepStrictEqual(
+      parseRateLimitHeaders(
+        {
+          'retry-after': '2',
+          'x-ratelimit-remaining-requests': '0',
+          'x-ratelimit-remaining-tokens': '1500',
+          'x-ratelimit-reset-requests': '1m30.5s',
+          'x-ratelimit-reset-tokens': '120ms',
+        },
+        now
+      ),
+      {
+        retryAfterMs: 2000,
+        remainingRequests: 0,
+        remainingTokens: 1500,
+        requestsResetMs: 90_500,
+        tokensResetMs: 120,
+      }
+    );
+    assert.deepStrictEqual(
+      parseRateLimitHeaders(
+        new Headers({
+          'anthropic-ratelimit-requests-remaining': '12',
+          'anthropic-ratelimit-tokens-reset': '2025-01-01T00:00:03Z',
+        }),
+        now
+      ),
+      { remainingRequests: 12, tokensResetMs: 3000 }
+    );
+  });
+
+  it('should pause when the provider reports an exhausted window', () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 100, tokensPerMinute: 10_000 });
+    limiter.updateFromHeaders({
+      'x-ratelimit-remaining-requests': '0',
+      'x-ratelimit-reset-requests': '5s',
+      'x-ratelimit-remaining-tokens': '250',
+    });
+
+    const stats = limiter.getStats();
+    assert.strictEqual(stats.tokensAvailable, 250);
+    assert.ok(stats.pausedForMs > 4000 && stats.pausedForMs <= 5000);
+  });
+});
+
+describe('RateLimitedClient', () => {
+  it('should share one limiter per model across clients', () => {
+    const options = { requestsPerMinute: 100, key: 'shared-model-test' };
+    const first = new RateLimitedClient(new MockAIClient(), options);
+    const second = new RateLimitedClient(new MockAIClient(), { ...options, requestsPerMinute: 5 });
+
+    assert.strictEqual(first.limiter, second.limiter);
+    assert.strictEqual(first.limiter, getRateLimiter('shared-model-test'));
+    assert.strictEqual(first.limiter.getStats().requestsAvailable, 100);
+  });
+
+  it('should reserve estimated tokens and settle to the reported usage', async () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 60 });
+    const mock = new MockAIClient({ defaultResponse: 'billing' });
+    const client = new RateLimitedClient(mock, { limiter });
+
+    assert.strictEqual(client.estimateTokens(messages, { max_tokens: 10 }), 5 + 10);
+    const response = await client.chat(messages, { max_tokens: 10, priority: 5 });
+
+    const used = mock.calculateCost(response).totalTokens;
+    assert.ok(used > 0);
+    assert.ok(Math.abs(limiter.getStats().tokensAvailable - (60 - used)) <= 1);
+    // priority is consumed by the limiter, not sent to the provider
+    assert.strictEqual('priority' in mock.getCallHistory()[0].options, false);
+  });
+
+  it('should pause every caller for retry-after on a 429', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1000 });
+    const mock = new MockAIClient({
+      faults: { sequence: ['rate_limit'], retryAfterSeconds: 0.05 },
+    });
+    const client = new RateLimitedClient(mock, { limiter });
+
+    await assert.rejects(client.chat(messages), { status: 429 });
+    assert.strictEqual(limiter.getStats().throttled, 1);
+    assert.ok(limiter.getStats().pausedForMs > 0);
+
+    const started = Date.now();
+    await client.chat(messages);
+    assert.ok(Date.now() - started >= 35, 'the next call waited out retry-after');
+  });
+
+  it('should pause when a successful response reports no tokens left', async () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 100_000 });
+    let seen;
+    const mock = new MockAIClient({
+      chatHandler: async (_messages, options) => {
+        options.onResponseHeaders?.({
+          'x-ratelimit-remaining-tokens': '0',
+          'x-ratelimit-reset-tokens': '50ms',
+        });
+        return { choices: [{ message: { content: 'ok' } }] };
+      },
+    });
+    const client = new RateLimitedClient(mock, { limiter });
+
+    await client.chat(messages, { onResponseHeaders: (headers) => (seen = headers) });
+    assert.strictEqual(seen['x-ratelimit-remaining-tokens'], '0');
+    assert.ok(limiter.getStats().pausedForMs > 0);
+
+    const started = Date.now();
+    await client.chat(messages);
+    assert.ok(Date.now() - started >= 35, 'the next call waited for the token window to reset');
+  });
+
+  it('should settle streams with the usage on the done event', async () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 6000 });
+    const client = new RateLimitedClient(new MockAIClient(), { limiter });
+
+    let done;
+    for await (const event of client.stream(messages)) {
+      done = event;
+    }
+
+    const expected = 6000 - done.usage.totalTokens;
+    assert.ok(Math.abs(limiter.getStats().tokensAvailable - expected) <= 1);
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { RecordReplayClient } from '../../src/clients/record-replay-client.js';
+import { FunctionCallingAgent } from '../../src/agents/function-calling-agent.js';
+import { createMockClient } from '../helpers/test-helpers.js';
+
+describe('RecordReplayClient', () => {
+  let dir;
+  let cassettePath;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'cassettes-'));
+    cassettePath = join(dir, 'nested', 'cassette.json');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should record interactions and replay them without the wrapped client', async () => {
+    const messages = [{ role: 'user', content: 'Hello' }];
+    const recorder = new RecordReplayClient(createMockClient({ defaultResponse: 'Recorded' }), {
+      cassettePath,
+      mode: 'record',
+    });
+    await recorder.chat(messages, { temperature: 0 });
+
+    const cassette = JSON.parse(await readFile(cassettePath, 'utf-8'));
+    assert.strictEqual(cassette.interactions.length, 1);
+    assert.strictEqual(cassette.meta.responseFormat, 'openai');
+
+    const player = new RecordReplayClient(null, { cassettePath, mode: 'replay' });
+    const response = await player.chat(messages, { temperature: 0 });
+
+    assert.strictEqual(player.getTextContent(response), 'Recorded');
+    assert.strictEqual(player.model, 'test-model');
+    assert.deepStrictEqual(player.getStats(), {
+      recorded: 0,
+      replayed: 1,
+      mode: 'replay',
+      interactions: 1,
+    });
+  });
+
+  it('should match requests regardless of key order and ignored options', async () => {
+    const recorder = new RecordReplayClient(createMockClient(), {
+      cassettePath,
+      mode: 'record',
+      ignoreOptions: ['user'],
+    });
+    await recorder.chat([{ role: 'user', content: 'Hi' }], { temperature: 0, user: 'a' });
+
+    const player = new RecordReplayClient(null, {
+      cassettePath,
+      ignoreOptions: ['user'],
+    });
+    const response = await player.chat([{ content: 'Hi', role: 'user' }], {
+      user: 'b',
+      temperature: 0,
+    });
+    assert.strictEqual(player.getTextContent(response), 'Test response');
+  });
+
+  it('should replay stream chunks in order', async () => {
+    const recorder = new RecordReplayClient(createMockClient({ defaultResponse: 'one two' }), {
+      cassettePath,
+      mode: 'record',
+    });
+    await recorder.chatStream([{ role: 'user', content: 'Stream' }], () => {});
+
+    const player = new RecordReplayClient(null, { cassettePath });
+    const chunks = [];
+    const text = await player.chatStream([{ role: 'user', content: 'Stream' }], (chunk) =>
+      chunks.push(chunk)
+    );
+
+    assert.strictEqual(text, 'one two');
+    assert.deepStrictEqual(chunks, ['one ', 'two']);
+  });
+
+  it('should replay identical requests in recorded order', async () => {
+    let count = 0;
+    const client = createMockClient({
+      chatHandler: async () => client._createResponse(`answer ${++count}`),
+    });
+    const recorder = new RecordReplayClient(client, { cassettePath, mode: 'record' });
+    const messages = [{ role: 'user', content: 'Again' }];
+    await recorder.chat(messages);
+    await recorder.chat(messages);
+
+    const player = new RecordReplayClient(null, { cassettePath });
+    assert.strictEqual(player.getTextContent(await player.chat(messages)), 'answer 1');
+    assert.strictEqual(player.getTextContent(await player.chat(messages)), 'answer 2');
+    await assert.rejects(() => player.chat(messages), { message: /No recorded interaction/ });
+  });
+
+  it('should record and replay errors', async () => {
+    const recorder = new RecordReplayClient(createMockClient({ simulateErrors: true }), {
+      cassettePath,
+      mode: 'record',
+    });
+    await assert.rejects(() => recorder.chat([{ role: 'user', content: 'x' }]));
+
+    const player = new RecordReplayClient(null, { cassettePath });
+    await assert.rejects(() => player.chat([{ role: 'user', content: 'x' }]), {
+      message: 'Mock error: Simulated API error',
+    });
+  });
+
+  it('should keep saving after a failed write without hiding call errors', async () => {
+    // A file where the cassette directory should be makes every write fail
+    const blocked = join(dir, 'blocked');
+    await writeFile(blocked, '');
+    const recorder = new RecordReplayClient(createMockClient({ defaultResponse: 'Saved' }), {
+      cassettePath: join(blocked, 'cassette.json'),
+      mode: 'record',
+    });
+
+    await assert.rejects(() => recorder.chat([{ role: 'user', content: 'a' }]), {
+      code: 'EEXIST',
+    });
+    recorder.client.simulateErrors = true;
+    await assert.rejects(() => recorder.chat([{ role: 'user', content: 'b' }]), {
+      message: 'Mock error: Simulated API error',
+    });
+
+    recorder.client.simulateErrors = false;
+    recorder.cassettePath = cassettePath;
+    await recorder.chat([{ role: 'user', content: 'c' }]);
+    const cassette = JSON.parse(await readFile(cassettePath, 'utf-8'));
+    assert.strictEqual(cassette.interactions.length, 3);
+  });
+
+  it('should record new requests and replay known ones in auto mode', async () => {
+    const client = createMockClient();
+    const auto = new RecordReplayClient(client, { cassettePath, mode: 'auto' });
+    await auto.chat([{ role: 'user', content: 'first' }]);
+
+    const again = new RecordReplayClient(client, { cassettePath, mode: 'auto' });
+    await again.chat([{ role: 'user', content: 'first' }]);
+    await again.chat([{ role: 'user', content: 'second' }]);
+
+    assert.strictEqual(client.getCallHistory().length, 2);
+    assert.deepStrictEqual(again.getStats(), {
+      recorded: 1,
+      replayed: 1,
+      mode: 'auto',
+      interactions: 2,
+    });
+  });
+
+  it('should fail clearly when the cassette is missing in replay mode', async () => {
+    const player = new RecordReplayClient(null, { cassettePath });
+    await assert.rejects(() => player.chat([{ role: 'user', content: 'x' }]), {
+      message: /Cassette not found/,
+    });
+  });
+
+  it('should replay a full tool-calling agent workflow offline', async () => {
+    let callCount = 0;
+    const client = createMockClient({
+      chatWithToolsHandler: async (_messages, tools) => {
+        callCount++;
+        return callCount === 1
+          ? client._createToolResponse(tools[0])
+          : client._createResponse('Done');
+      },
+    });
+    // Stable tool call ids keep the follow-up request hash deterministic
+    const originalToolResponse = client._createToolResponse.bind(client);
+    client._createToolResponse = (tool) => {
+      const response = originalToolResponse(tool);
+      response.choices[0].message.tool_calls[0].id = 'call_fixed';
+      return response;
+    };
+
+    const run = async (aiClient) => {
+      const agent = new FunctionCallingAgent('openai', aiClient);
+      agent.registerFunction('lookup', 'Lookup', { type: 'object' }, async () => ({ ok: true }));
+      return agent.chat('Look it up');
+    };
+
+    const recorded = await run(new RecordReplayClient(client, { cassettePath, mode: 'record' }));
+    const replayed = await run(new RecordReplayClient(null, { cassettePath }));
+
+    assert.strictEqual(recorded, 'Done');
+    assert.strictEqual(replayed, 'Done');
+  });
+});
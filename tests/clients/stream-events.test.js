@@ -0,0 +1,287 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { LocalAIClient } from '../../src/clients/local-client.js';
+import { ClaudeClient } from '../../src/clients/claude-client.js';
+import { ResilientClient } from '../../src/clients/resilient-client.js';
+import { CostTrackingClient } from '../../src/clients/cost-tracking-client.js';
+import { FallbackClient } from '../../src/clients/fallback-client.js';
+import { HedgingClient } from '../../src/clients/hedging-client.js';
+import { composeClient } from '../../src/clients/compose-client.js';
+import { cost } from '../../src/clients/middleware.js';
+import { StreamEventBuilder } from '../../src/clients/stream-events.js';
+import { FunctionCallingAgent } from '../../src/agents/function-calling-agent.js';
+import { config } from '../../src/config.js';
+
+const messages = [{ role: 'user', content: 'Weather in Oslo?' }];
+const tools = [{ name: 'weather', description: 'Get weather', parameters: { type: 'object' } }];
+
+async function collect(events) {
+  const result = [];
+  for await (const event of events) {
+    result.push(event);
+  }
+  return result;
+}
+
+async function* fromArray(items) {
+  yield* items;
+}
+
+/**
+ * Events every provider should produce for "Checking." plus one weather tool call
+ */
+function assertToolTurn(events) {
+  assert.deepStrictEqual(
+    events.map((event) => event.type),
+    [
+      'text_delta',
+      'tool_call_start',
+      'tool_call_delta',
+      'tool_call_delta',
+      'tool_call_end',
+      'usage',
+      'done',
+    ]
+  );
+  assert.deepStrictEqual(events[4], {
+    type: 'tool_call_end',
+    index: 0,
+    id: 'call_1',
+    name: 'weather',
+    arguments: { city: 'Oslo' },
+  });
+  assert.deepStrictEqual(events.at(-1), {
+    type: 'done',
+    stopReason: 'tool_calls',
+    text: 'Checking.',
+    toolCalls: [{ id: 'call_1', name: 'weather', arguments: { city: 'Oslo' } }],
+    usage: { inputTokens: 12, outputTokens: 8, totalTokens: 20 },
+  });
+}
+
+describe('stream()', () => {
+  it('should normalize OpenAI-compatible chunks', async () => {
+    const client = new LocalAIClient('llama3', { baseUrl: 'http://localhost:1/v1' });
+    let request;
+    client.client.chat.completions.create = async (options) => {
+      request = options;
+      return fromArray([
+        { choices: [{ index: 0, delta: { role: 'assistant', content: 'Checking.' } }] },
+        {
+          choices: [
+            {
+              index: 0,
+              delta: {
+                tool_calls: [
+                  { index: 0, id: 'call_1', function: { name: 'weather', arguments: '{"ci' } },
+                ],
+              },
+            },
+          ],
+        },
+        {
+          choices: [
+            {
+              index: 0,
+              delta: { tool_calls: [{ index: 0, function: { arguments: 'ty":"Oslo"}' } }] },
+            },
+          ],
+        },
+        { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+        { choices: [], usage: { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 } },
+      ]);
+    };
+
+    assertToolTurn(await collect(client.stream(messages, { tools })));
+    assert.strictEqual(request.stream, true);
+    assert.strictEqual(request.tools[0].function.name, 'weather');
+    assert.strictEqual(request.model, 'llama3');
+
+    // Like chat(), a per-call model wins over the client's
+    await collect(client.stream(messages, { model: 'mistral' }));
+    assert.strictEqual(request.model, 'mistral');
+  });
+
+  it('should normalize Claude stream events', async () => {
+    const previousKey = config.claude.apiKey;
+    config.claude.apiKey = 'test-key';
+    const client = new ClaudeClient('claude-test');
+    config.claude.apiKey = previousKey;
+
+    let request;
+    client.client.messages.create = async (options) => {
+      request = options;
+      return fromArray([
+        { type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking.' } },
+        { type: 'content_block_stop', index: 0 },
+        {
+          type: 'content_block_start',
+          index: 1,
+          content_block: { type: 'tool_use', id: 'call_1', name: 'weather', input: {} },
+        },
+        {
+          type: 'content_block_delta',
+          index: 1,
+          delta: { type: 'input_json_delta', partial_json: '{"ci' },
+        },
+        {
+          type: 'content_block_delta',
+          index: 1,
+          delta: { type: 'input_json_delta', partial_json: 'ty":"Oslo"}' },
+        },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 8 } },
+        { type: 'message_stop' },
+      ]);
+    };
+
+    assertToolTurn(await collect(client.stream(messages, { tools })));
+    assert.strictEqual(request.stream, true);
+    assert.strictEqual(request.tools[0].input_schema.type, 'object');
+  });
+
+  it('should stream mock text and tool turns', async () => {
+    const client = new MockAIClient({ defaultResponse: 'Hello there' });
+
+    const text = await collect(client.stream(messages));
+    assert.deepStrictEqual(
+      text.filter((e) => e.type === 'text_delta').map((e) => e.text),
+      ['Hello ', 'there']
+    );
+    assert.strictEqual(text.at(-1).stopReason, 'stop');
+
+    const toolTurn = await collect(client.stream(messages, { tools }));
+    assert.strictEqual(toolTurn.at(-1).stopReason, 'tool_calls');
+    assert.strictEqual(toolTurn.at(-1).toolCalls[0].name, 'weather');
+  });
+
+  it('should retry and fail over only before the first event', async () => {
+    let attempts = 0;
+    const flaky = new MockAIClient({
+      async *streamHandler() {
+        attempts++;
+        if (attempts === 1) {
+          throw Object.assign(new Error('Service unavailable'), { status: 503 });
+        }
+        yield* new MockAIClient({ defaultResponse: 'recovered' }).stream(messages);
+      },
+    });
+    const resilient = new ResilientClient(flaky, { maxRetries: 2, baseDelayMs: 1 });
+
+    const events = await collect(resilient.stream(messages));
+    assert.strictEqual(events.at(-1).text, 'recovered');
+    assert.strictEqual(attempts, 2);
+
+    const broken = new MockAIClient({
+      async *streamHandler() {
+        yield { type: 'text_delta', text: 'partial' };
+        throw Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' });
+      },
+    });
+    const secondary = new MockAIClient();
+    const fallback = new FallbackClient([broken, secondary]);
+
+    const seen = [];
+    await assert.rejects(async () => {
+      for await (const event of fallback.stream(messages)) {
+        seen.push(event.text);
+      }
+    });
+    assert.deepStrictEqual(seen, ['partial']);
+    assert.strictEqual(secondary.getCallHistory().length, 0);
+  });
+
+  it('should close the provider stream when the consumer stops early', async () => {
+    const wrappers = {
+      resilient: (client) => new ResilientClient(client, { maxRetries: 1, baseDelayMs: 1 }),
+      fallback: (client) => new FallbackClient([client, new MockAIClient()]),
+      hedging: (client) => new HedgingClient(client, { delayMs: 1000 }),
+    };
+
+    for (const [name, wrap] of Object.entries(wrappers)) {
+      let closed = false;
+      const provider = new MockAIClient({
+        async *streamHandler() {
+          try {
+            yield { type: 'text_delta', text: 'first' };
+            yield { type: 'text_delta', text: 'second' };
+          } finally {
+            closed = true;
+          }
+        },
+      });
+
+      for await (const event of wrap(provider).stream(messages)) {
+        assert.strictEqual(event.text, 'first');
+        break;
+      }
+      assert.ok(closed, `${name} should close the provider stream`);
+    }
+  });
+
+  it('should track cost and run middleware on stream events', async () => {
+    const tracker = new CostTrackingClient(new MockAIClient({ defaultResponse: 'a b c' }));
+    await collect(tracker.stream(messages));
+    assert.strictEqual(tracker.getStats().totalRequests, 1);
+    assert.strictEqual(tracker.requests[0].outputTokens, 3);
+
+    const costs = cost();
+    const client = composeClient(new MockAIClient({ defaultResponse: 'a b c' }), [
+      costs,
+      { name: 'upper', onChunk: (chunk) => chunk.toUpperCase() },
+    ]);
+
+    const events = await collect(client.stream(messages));
+    assert.deepStrictEqual(
+      events.filter((e) => e.type === 'text_delta').map((e) => e.text),
+      ['A ', 'B ', 'C']
+    );
+    assert.strictEqual(costs.getStats().totalRequests, 1);
+  });
+
+  it('should let agents stream tool-using turns', async () => {
+    const turns = [
+      function* () {
+        const builder = new StreamEventBuilder();
+        const start = builder.startToolCall('call_1', 'weather');
+        yield start;
+        yield builder.toolCallDelta(start.index, '{"city":"Oslo"}');
+        yield* builder.finish('tool_calls');
+      },
+      function* () {
+        const builder = new StreamEventBuilder();
+        yield builder.textDelta('It is 4C.');
+        yield* builder.finish('stop');
+      },
+    ];
+    const client = new MockAIClient({
+      async *streamHandler() {
+        yield* turns.shift()();
+      },
+    });
+    const agent = new FunctionCallingAgent('openai', client);
+    agent.registerFunction('weather', 'Get weather', { type: 'object' }, async ({ city }) => ({
+      city,
+      temperature: 4,
+    }));
+
+    const events = await collect(agent.stream('Weather in Oslo?'));
+
+    const toolResult = events.find((e) => e.type === 'tool_result');
+    assert.deepStrictEqual(toolResult.result, { city: 'Oslo', temperature: 4 });
+    assert.strictEqual(events.at(-1).text, 'It is 4C.');
+
+    const history = agent.getConversationHistory();
+    assert.deepStrictEqual(
+      history.map((m) => m.role),
+      ['user', 'assistant', 'tool', 'assistant']
+    );
+    assert.deepStrictEqual(history[1].content, [
+      { type: 'tool_call', id: 'call_1', name: 'weather', arguments: { city: 'Oslo' } },
+    ]);
+    assert.strictEqual(client.getCallHistory()[1].options.tools[0].name, 'weather');
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * AIClientInterface Contract Tests
+ * implementsAIClientInterface() only checks that methods exist; this suite
+ * checks that they behave the same way. Run it against any client or wrapper:
+ *
+ *   describeClientContract({
+ *     name: 'MyClient',
+ *     create: () => new MyClient(),
+ *     failNext: (type) => server.failNext(type),
+ *     fixture: { text: 'Hello', visionText: 'A cat', toolArguments: { q: 'x' }, usage: { input: 3, output: 1 } },
+ *   });
+ *
+ * `failNext(type)` must make the next provider call fail with the fault type
+ * (see createProviderError in src/clients/mock-faults.js), and `fixture`
+ * describes what the provider behind the client answers.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { isRetryableError } from '../../src/clients/resilient-client.js';
+import { AbortError } from '../../src/clients/cancellation.js';
+
+/**
+ * @typedef {Object} ContractFixture
+ * @property {string} text - Assistant text for chat and streams
+ * @property {string} visionText - Result of analyzeImage()
+ * @property {Object} toolArguments - Arguments of the tool call made when tools are offered
+ * @property {{input: number, output: number}} usage - Token usage of a chat() response
+ */
+
+/**
+ * @typedef {Object} ContractTarget
+ * @property {string} name - Suite name
+ * @property {() => import('../../src/clients/ai-client-interface.js').AIClientInterface} create -
+ *   Creates the client under test (called once per test)
+ * @property {(type: string) => void} failNext - Makes the next provider call fail
+ * @property {ContractFixture} fixture - What the provider answers
+ * @property {boolean} [embeddings=true] - Whether getEmbeddings() is supported
+ */
+
+const IMAGE =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+const TOOLS = [
+  {
+    name: 'lookup',
+    description: 'Look something up',
+    parameters: { type: 'object', properties: { query: { type: 'string' } } },
+  },
+];
+
+let probe = 0;
+
+/**
+ * Messages that no cache or cassette has seen before
+ * @returns {Array} Chat messages
+ */
+function freshMessages() {
+  probe++;
+  return [
+    { role: 'system', content: 'You are a contract test.' },
+    { role: 'user', content: `Contract probe ${probe}` },
+  ];
+}
+
+/**
+ * Collect a normalized event stream
+ * @param {AsyncIterable} events - Events
+ * @returns {Promise<Array>} Events in order
+ */
+async function collect(events) {
+  const seen = [];
+  for await (const event of events) {
+    seen.push(event);
+  }
+  return seen;
+}
+
+/**
+ * Register the contract tests for a client
+ * @param {ContractTarget} target - Client under test
+ */
+export function describeClientContract(target) {
+  const { fixture } = target;
+
+  describe(`${target.name} contract`, () => {
+    it('chat() returns the assistant text through the response helpers', async () => {
+      const client = target.create();
+      const response = await client.chat(freshMessages());
+
+      assert.strictEqual(client.getTextContent(response), fixture.text);
+      assert.strictEqual(client.hasToolUse(response), false);
+      assert.deepStrictEqual(client.getToolUseBlocks(response), []);
+      assert.deepStrictEqual(client.getMessage(response), {
+        role: 'assistant',
+        content: [{ type: 'text', text: fixture.text }],
+      });
+    });
+
+    it('chatStream() delivers chunks that add up to the returned text', async () => {
+      const client = target.create();
+      const chunks = [];
+      const text = await client.chatStream(freshMessages(), (chunk) => chunks.push(chunk));
+
+      assert.strictEqual(text, fixture.text);
+      assert.ok(chunks.length > 0);
+      assert.strictEqual(chunks.join(''), text);
+    });
+
+    it('stream() yields text deltas, usage and a final done event', async () => {
+      const events = await collect(target.create().stream(freshMessages()));
+      const done = events.at(-1);
+      const text = events.filter((event) => event.type === 'text_delta').map((e) => e.text);
+
+      assert.strictEqual(done.type, 'done');
+      assert.strictEqual(done.stopReason, 'stop');
+      assert.strictEqual(text.join(''), fixture.text);
+      assert.strictEqual(done.text, fixture.text);
+      assert.deepStrictEqual(done.toolCalls, []);
+      assert.ok(events.some((event) => event.type === 'usage'));
+    });
+
+    it('chatWithTools() returns a tool call readable through the helpers', async () => {
+      const client = target.create();
+      const response = await client.chatWithTools(freshMessages(), TOOLS);
+
+      assert.strictEqual(client.hasToolUse(response), true);
+      assert.strictEqual(client.getToolUseBlocks(response).length, 1);
+      const [call] = client.getMessage(response).content.filter((p) => p.type === 'tool_call');
+      assert.strictEqual(call.name, 'lookup');
+      assert.ok(call.id);
+      assert.deepStrictEqual(call.arguments, fixture.toolArguments);
+    });
+
+    it('stream() with tools yields tool call events', async () => {
+      const events = await collect(target.create().stream(freshMessages(), { tools: TOOLS }));
+      const types = events.map((event) => event.type);
+      const end = events.find((event) => event.type === 'tool_call_end');
+      const done = events.at(-1);
+
+      assert.ok(types.indexOf('tool_call_start') < types.indexOf('tool_call_end'));
+      assert.strictEqual(end.name, 'lookup');
+      assert.deepStrictEqual(end.arguments, fixture.toolArguments);
+      assert.strictEqual(done.stopReason, 'tool_calls');
+      assert.deepStrictEqual(done.toolCalls, [
+        { id: end.id, name: 'lookup', arguments: fixture.toolArguments },
+      ]);
+    });
+
+    it('getEmbeddings() returns one vector per input', async () => {
+      const client = target.create();
+      if (target.embeddings === false) {
+        await assert.rejects(() => client.getEmbeddings('text'), /does not support embeddings/);
+        return;
+      }
+
+      const vectors = await client.getEmbeddings(['first', 'second']);
+      assert.strictEqual(vectors.length, 2);
+      assert.ok(vectors.every((v) => v.length > 0 && v.every((n) => typeof n === 'number')));
+      assert.strictEqual((await client.getEmbeddings('single')).length, 1);
+    });
+
+    it('analyzeImage() returns the description text', async () => {
+      const result = await target.create().analyzeImage(IMAGE, `Describe it (${++probe})`);
+      assert.strictEqual(result, fixture.visionText);
+    });
+
+    it('surfaces provider errors with status, retry-after and retryability', async () => {
+      const client = target.create();
+
+      target.failNext('rate_limit');
+      const rateLimit = await client.chat(freshMessages()).then(
+        () => assert.fail('expected a rate limit error'),
+        (error) => error
+      );
+      assert.strictEqual(rateLimit.status, 429);
+      assert.ok(Number(rateLimit.headers['retry-after']) >= 0);
+      assert.strictEqual(isRetryableError(rateLimit), true);
+
+      target.failNext('bad_request');
+      await assert.rejects(
+        () => client.chatWithTools(freshMessages(), TOOLS),
+        (error) => error.status === 400 && !isRetryableError(error)
+      );
+
+      // The client is still usable afterwards
+      assert.strictEqual(client.getTextContent(await client.chat(freshMessages())), fixture.text);
+    });
+
+    it('calculateCost() agrees with the reported usage', async () => {
+      const client = target.create();
+      const cost = client.calculateCost(await client.chat(freshMessages()));
+
+      assert.strictEqual(cost.inputTokens, fixture.usage.input);
+      assert.strictEqual(cost.outputTokens, fixture.usage.output);
+      assert.strictEqual(cost.totalTokens, fixture.usage.input + fixture.usage.output);
+      assert.ok(cost.inputCost >= 0 && cost.outputCost >= 0);
+      assert.ok(Math.abs(cost.totalCost - (cost.inputCost + cost.outputCost)) < 1e-12);
+      assert.deepStrictEqual(client.calculateCost({}).totalCost, 0);
+    });
+
+    it('rejects with AbortError when the signal is already aborted', async () => {
+      await assert.rejects(
+        () => target.create().chat(freshMessages(), { signal: AbortSignal.abort() }),
+        AbortError
+      );
+    });
+  });
+}
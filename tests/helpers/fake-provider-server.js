@@ -0,0 +1,551 @@
+/**
+ * Fake Provider Server
+ * A local HTTP server that speaks enough of the OpenAI (and Azure OpenAI) and
+ * Anthropic APIs for the real SDK-based clients to run against it: chat
+ * completions and messages (plain, streamed over SSE and with tool calls),
+ * embeddings, vision input, batch jobs (OpenAI files + batches, Anthropic
+ * message batches) and provider-shaped error responses.
+ *
+ * Responses come from the fixture passed to startFakeProviderServer(), so the
+ * same expectations can be checked against every client.
+ */
+
+import http from 'node:http';
+import { createProviderError } from '../../src/clients/mock-faults.js';
+import { config } from '../../src/config.js';
+
+/**
+ * @typedef {Object} FakeProviderFixture
+ * @property {string} text - Assistant text for chat and streams
+ * @property {string} visionText - Assistant text when the request contains an image
+ * @property {Object} toolArguments - Arguments of the tool call made when tools are offered
+ * @property {{input: number, output: number}} usage - Token usage reported for chat calls
+ * @property {number} embeddingDimensions - Length of each embedding vector
+ * @property {number} [batchPolls=1] - Status checks a batch job stays in progress for
+ */
+
+/**
+ * Read a request body; JSON is parsed and multipart uploads yield their file
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body ({ file } for multipart uploads)
+ */
+async function readBody(request) {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+  }
+  const boundary = request.headers['content-type']?.match(/boundary=(.+)$/)?.[1];
+  if (boundary) {
+    const filePart = body.split(`--${boundary}`).find((part) => part.includes('name="file"'));
+    return { file: filePart.slice(filePart.indexOf('\r\n\r\n') + 4, -2) };
+  }
+  return body ? JSON.parse(body) : {};
+}
+
+/**
+ * Parse a JSONL document
+ * @param {string} text - One JSON value per line
+ * @returns {Array} Parsed lines
+ */
+function parseJsonl(text) {
+  return text
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * @param {Array} messages - Request messages (either provider format)
+ * @returns {boolean} True if any message carries an image
+ */
+function hasImage(messages = []) {
+  return messages.some(
+    (message) =>
+      Array.isArray(message.content) &&
+      message.content.some((part) => part.type === 'image' || part.type === 'image_url')
+  );
+}
+
+/**
+ * Split text into a few stream chunks (keeping spaces)
+ * @param {string} text - Text
+ * @returns {string[]} Chunks
+ */
+function chunkText(text) {
+  return text.match(/\S+\s*/g) || [text];
+}
+
+/**
+ * Write server-sent events and end the response
+ * @param {http.ServerResponse} response - Response
+ * @param {Array<{event?: string, data: *}>} events - Events
+ */
+function writeSse(response, events) {
+  response.writeHead(200, { 'content-type': 'text/event-stream' });
+  for (const { event, data } of events) {
+    if (event) response.write(`event: ${event}\n`);
+    response.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  }
+  response.end();
+}
+
+/**
+ * Build the pieces of a chat completion for a request
+ * @private
+ */
+function openaiTurn(body, fixture) {
+  const tool = body.tools?.[0]?.function;
+  return {
+    tool,
+    text: hasImage(body.messages) ? fixture.visionText : fixture.text,
+    usage: {
+      prompt_tokens: fixture.usage.input,
+      completion_tokens: fixture.usage.output,
+      total_tokens: fixture.usage.input + fixture.usage.output,
+    },
+    toolCall: tool && {
+      id: 'call_contract',
+      type: 'function',
+      function: { name: tool.name, arguments: JSON.stringify(fixture.toolArguments) },
+    },
+    base: { id: 'chatcmpl-contract', created: 0, model: body.model },
+  };
+}
+
+/**
+ * Non-streamed chat completion for a request
+ * @private
+ */
+function openaiCompletion(body, fixture) {
+  const { tool, text, usage, toolCall, base } = openaiTurn(body, fixture);
+  const message = tool
+    ? { role: 'assistant', content: null, tool_calls: [toolCall] }
+    : { role: 'assistant', content: text };
+  return {
+    ...base,
+    object: 'chat.completion',
+    choices: [{ index: 0, message, finish_reason: tool ? 'tool_calls' : 'stop' }],
+    usage,
+  };
+}
+
+/**
+ * Respond to POST .../chat/completions
+ * @private
+ */
+function openaiChat(body, response, fixture) {
+  if (!body.stream) {
+    sendJson(response, 200, openaiCompletion(body, fixture));
+    return;
+  }
+
+  const { tool, text, usage, toolCall, base } = openaiTurn(body, fixture);
+
+  const chunk = (delta, finishReason = null) => ({
+    data: {
+      ...base,
+      object: 'chat.completion.chunk',
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    },
+  });
+  const events = [chunk({ role: 'assistant', content: '' })];
+  if (tool) {
+    const { arguments: args, ...start } = toolCall.function;
+    events.push(
+      chunk({ tool_calls: [{ index: 0, ...toolCall, function: { ...start, arguments: '' } }] })
+    );
+    events.push(chunk({ tool_calls: [{ index: 0, function: { arguments: args } }] }));
+  } else {
+    events.push(...chunkText(text).map((content) => chunk({ content })));
+  }
+  events.push(chunk({}, tool ? 'tool_calls' : 'stop'));
+  if (body.stream_options?.include_usage) {
+    events.push({ data: { ...base, object: 'chat.completion.chunk', choices: [], usage } });
+  }
+  events.push({ data: '[DONE]' });
+  writeSse(response, events);
+}
+
+/**
+ * Respond to POST .../embeddings
+ * @private
+ */
+function openaiEmbeddings(body, response, fixture) {
+  const inputs = Array.isArray(body.input) ? body.input : [body.input];
+  sendJson(response, 200, {
+    object: 'list',
+    model: body.model,
+    data: inputs.map((input, index) => ({
+      object: 'embedding',
+      index,
+      embedding: Array.from({ length: fixture.embeddingDimensions }, (_, i) => (i + 1) / 10),
+    })),
+    usage: { prompt_tokens: inputs.length, total_tokens: inputs.length },
+  });
+}
+
+/**
+ * Non-streamed message for a request
+ * @private
+ */
+function anthropicMessage(body, fixture) {
+  const tool = body.tools?.[0];
+  return {
+    id: 'msg_contract',
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    stop_sequence: null,
+    content: [
+      tool
+        ? { type: 'tool_use', id: 'toolu_contract', name: tool.name, input: fixture.toolArguments }
+        : { type: 'text', text: hasImage(body.messages) ? fixture.visionText : fixture.text },
+    ],
+    stop_reason: tool ? 'tool_use' : 'end_turn',
+    usage: { input_tokens: fixture.usage.input, output_tokens: fixture.usage.output },
+  };
+}
+
+/**
+ * Respond to POST /v1/messages
+ * @private
+ */
+function anthropicMessages(body, response, fixture) {
+  if (!body.stream) {
+    sendJson(response, 200, anthropicMessage(body, fixture));
+    return;
+  }
+
+  const tool = body.tools?.[0];
+  const text = hasImage(body.messages) ? fixture.visionText : fixture.text;
+  const stopReason = tool ? 'tool_use' : 'end_turn';
+  const message = {
+    id: 'msg_contract',
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    stop_sequence: null,
+  };
+  const toolUse = tool && {
+    type: 'tool_use',
+    id: 'toolu_contract',
+    name: tool.name,
+    input: fixture.toolArguments,
+  };
+
+  const event = (type, data) => ({ event: type, data: { type, ...data } });
+  const block = tool
+    ? [
+        event('content_block_start', { index: 0, content_block: { ...toolUse, input: {} } }),
+        event('content_block_delta', {
+          index: 0,
+          delta: { type: 'input_json_delta', partial_json: JSON.stringify(fixture.toolArguments) },
+        }),
+      ]
+    : [
+        event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+        ...chunkText(text).map((chunk) =>
+          event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: chunk } })
+        ),
+      ];
+  writeSse(response, [
+    event('message_start', {
+      message: {
+        ...message,
+        content: [],
+        stop_reason: null,
+        usage: { input_tokens: fixture.usage.input, output_tokens: 1 },
+      },
+    }),
+    ...block,
+    event('content_block_stop', { index: 0 }),
+    event('message_delta', {
+      delta: { stop_reason: stopReason, stop_sequence: null },
+      usage: { output_tokens: fixture.usage.output },
+    }),
+    event('message_stop', {}),
+  ]);
+}
+
+/**
+ * In-memory OpenAI batches and Anthropic message batches
+ * Jobs stay in progress for `fixture.batchPolls` status checks, then answer
+ * every request like the live endpoint would (or with a per-request error).
+ * @private
+ */
+function createBatchStore(fixture) {
+  const files = new Map();
+  const batches = new Map();
+  const failures = new Map();
+  let counter = 0;
+
+  const errorBody = (customId, format) =>
+    createProviderError(failures.get(customId), { format }).error;
+
+  const openaiLine = ({ custom_id: customId, body }) => {
+    if (failures.has(customId)) {
+      const error = createProviderError(failures.get(customId), { format: 'openai' });
+      return {
+        failed: true,
+        line: {
+          id: `batch_req_${customId}`,
+          custom_id: customId,
+          response: { status_code: error.status, body: { error: error.error } },
+          error: null,
+        },
+      };
+    }
+    return {
+      failed: false,
+      line: {
+        id: `batch_req_${customId}`,
+        custom_id: customId,
+        response: { status_code: 200, body: openaiCompletion(body, fixture) },
+        error: null,
+      },
+    };
+  };
+
+  const anthropicLine = ({ custom_id: customId, params }) =>
+    failures.has(customId)
+      ? { custom_id: customId, result: { type: 'errored', error: errorBody(customId, 'claude') } }
+      : {
+          custom_id: customId,
+          result: { type: 'succeeded', message: anthropicMessage(params, fixture) },
+        };
+
+  /** Advance a job by one status check */
+  const poll = (batch) => {
+    if (batch.pollsLeft > 0) {
+      batch.pollsLeft--;
+      return;
+    }
+    if (batch.done) return;
+    batch.done = true;
+
+    if (batch.openai) {
+      const lines = parseJsonl(files.get(batch.job.input_file_id)).map(openaiLine);
+      const store = (subset) => {
+        if (subset.length === 0) return null;
+        const id = `file-${++counter}`;
+        files.set(id, subset.map(({ line }) => JSON.stringify(line)).join('\n'));
+        return id;
+      };
+      const failed = lines.filter((line) => line.failed);
+      Object.assign(batch.job, {
+        status: 'completed',
+        output_file_id: store(lines.filter((line) => !line.failed)),
+        error_file_id: store(failed),
+        request_counts: {
+          total: lines.length,
+          completed: lines.length - failed.length,
+          failed: failed.length,
+        },
+      });
+    } else {
+      batch.results = batch.requests.map(anthropicLine);
+      const errored = batch.results.filter((line) => line.result.type === 'errored').length;
+      Object.assign(batch.job, {
+        processing_status: 'ended',
+        ended_at: new Date(0).toISOString(),
+        request_counts: {
+          processing: 0,
+          succeeded: batch.results.length - errored,
+          errored,
+          canceled: 0,
+          expired: 0,
+        },
+      });
+    }
+  };
+
+  return {
+    failures,
+
+    /**
+     * Handle a batch API request
+     * @returns {boolean} False if the path is not a batch endpoint
+     */
+    handle(method, pathname, body, response) {
+      let match;
+      if (method === 'POST' && pathname === '/v1/files') {
+        const id = `file-${++counter}`;
+        files.set(id, body.file);
+        sendJson(response, 200, { id, object: 'file', purpose: 'batch', bytes: body.file.length });
+      } else if ((match = pathname.match(/^\/v1\/files\/([^/]+)\/content$/))) {
+        response.writeHead(200, { 'content-type': 'application/octet-stream' });
+        response.end(files.get(match[1]));
+      } else if (method === 'POST' && pathname === '/v1/batches') {
+        const id = `batch_${++counter}`;
+        const total = parseJsonl(files.get(body.input_file_id)).length;
+        const job = {
+          id,
+          object: 'batch',
+          status: 'validating',
+          endpoint: body.endpoint,
+          input_file_id: body.input_file_id,
+          completion_window: body.completion_window,
+          request_counts: { total, completed: 0, failed: 0 },
+        };
+        batches.set(id, { openai: true, job, pollsLeft: fixture.batchPolls ?? 1 });
+        sendJson(response, 200, job);
+      } else if (method === 'POST' && pathname === '/v1/messages/batches') {
+        const id = `msgbatch_${++counter}`;
+        const job = {
+          id,
+          type: 'message_batch',
+          processing_status: 'in_progress',
+          request_counts: {
+            processing: body.requests.length,
+            succeeded: 0,
+            errored: 0,
+            canceled: 0,
+            expired: 0,
+          },
+          cancel_initiated_at: null,
+          ended_at: null,
+        };
+        batches.set(id, { job, requests: body.requests, pollsLeft: fixture.batchPolls ?? 1 });
+        sendJson(response, 200, job);
+      } else if ((match = pathname.match(/^\/v1\/(?:messages\/)?batches\/([^/]+)(\/\w+)?$/))) {
+        const batch = batches.get(match[1]);
+        if (!batch) {
+          sendJson(response, 404, { error: { message: `Unknown batch ${match[1]}` } });
+        } else if (match[2] === '/results') {
+          response.writeHead(200, { 'content-type': 'application/binary' });
+          response.end(batch.results.map((line) => JSON.stringify(line)).join('\n'));
+        } else if (match[2] === '/cancel') {
+          batch.done = true;
+          Object.assign(
+            batch.job,
+            batch.openai
+              ? { status: 'cancelled' }
+              : { processing_status: 'ended', cancel_initiated_at: new Date(0).toISOString() }
+          );
+          batch.results = [];
+          sendJson(response, 200, batch.job);
+        } else {
+          poll(batch);
+          sendJson(response, 200, batch.job);
+        }
+      } else {
+        return false;
+      }
+      return true;
+    },
+  };
+}
+
+/**
+ * @private
+ */
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { 'content-type': 'application/json', ...headers });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Start a fake provider server on a random local port
+ * @param {FakeProviderFixture} fixture - Canned response content
+ * @returns {Promise<{url: string, requests: Array<{path: string, body: Object}>,
+ *   failNext: (type: string) => void, failInBatch: (customId: string, type?: string) => void,
+ *   close: () => Promise<void>}>} Running server
+ */
+export async function startFakeProviderServer(fixture) {
+  const requests = [];
+  const failures = [];
+  const batches = createBatchStore(fixture);
+
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const body = await readBody(request);
+    requests.push({ path: pathname, body });
+    const anthropic = pathname.includes('/messages');
+
+    if (failures.length > 0) {
+      const error = createProviderError(failures.shift(), {
+        format: anthropic ? 'claude' : 'openai',
+      });
+      // Stop the SDKs' built-in retries so the error reaches the client under test
+      sendJson(response, error.status, anthropic ? error.error : { error: error.error }, {
+        ...error.headers,
+        'x-should-retry': 'false',
+      });
+      return;
+    }
+
+    if (batches.handle(request.method, pathname, body, response)) {
+      return;
+    }
+    if (pathname.endsWith('/chat/completions')) {
+      openaiChat(body, response, fixture);
+    } else if (pathname.endsWith('/embeddings')) {
+      openaiEmbeddings(body, response, fixture);
+    } else if (anthropic) {
+      anthropicMessages(body, response, fixture);
+    } else {
+      sendJson(response, 404, { error: { message: `Unknown path ${pathname}` } });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    /**
+     * Answer the next request with a provider error (rate_limit, server_error, auth, ...)
+     * @param {string} type - Fault type understood by createProviderError()
+     */
+    failNext(type) {
+      failures.push(type);
+    },
+    /**
+     * Make one request of later batch jobs fail with a provider error
+     * @param {string} customId - Custom id of the request
+     * @param {string} [type='bad_request'] - Fault type understood by createProviderError()
+     */
+    failInBatch(customId, type = 'bad_request') {
+      batches.failures.set(customId, type);
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+/**
+ * Construct a client with temporary config and environment overrides
+ * The SDKs read OPENAI_BASE_URL / ANTHROPIC_BASE_URL when constructed, so
+ * this is how clients are pointed at the fake server.
+ * @param {{env?: Object, openai?: Object, azure?: Object, claude?: Object}} overrides - Overrides
+ * @param {() => T} create - Creates the client
+ * @returns {T} The client
+ * @template T
+ */
+export function withConfig({ env = {}, openai = {}, azure = {}, claude = {} }, create) {
+  const saved = {
+    env: Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]])),
+    openai: { ...config.openai },
+    azure: { ...config.openai.azure },
+    claude: { ...config.claude },
+  };
+  Object.assign(process.env, env);
+  Object.assign(config.openai, openai);
+  Object.assign(config.openai.azure, azure);
+  Object.assign(config.claude, claude);
+  try {
+    return create();
+  } finally {
+    for (const [key, value] of Object.entries(saved.env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    Object.assign(config.openai, saved.openai);
+    Object.assign(config.openai.azure, saved.azure);
+    Object.assign(config.claude, saved.claude);
+  }
+}
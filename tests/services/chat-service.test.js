@@ -1,6 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { ChatService } from '../../src/services/chat-service.js';
+import { ChatService, StructuredOutputError } from '../../src/services/chat-service.js';
+import { FallbackClient } from '../../src/clients/fallback-client.js';
 import { MockAIClient } from '../../src/clients/mock-client.js';
 
 test('ChatService - constructor with explicit provider', () => {
@@ -248,3 +249,93 @@ test('ChatService - get text content', () => {
   assert.strictEqual(mockClient.getTextContent(openaiResponse), 'OpenAI text');
   assert.strictEqual(claudeMockClient.getTextContent(claudeResponse), 'Claude text');
 });
+
+const personSchema = {
+  type: 'object',
+  properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } },
+  required: ['name', 'age'],
+  additionalProperties: false,
+};
+
+test('ChatService - schema output uses json_schema and repairs invalid responses', async () => {
+  const replies = ['{"name": "John", "age": "30"}', '{"name": "John", "age": 30}'];
+  const calls = [];
+  const mockClient = new MockAIClient({
+    chatHandler: async (messages, options) => {
+      calls.push({ messages, options });
+      return { choices: [{ message: { role: 'assistant', content: replies.shift() } }] };
+    },
+  });
+  const service = new ChatService('mock');
+  service.client = mockClient;
+
+  const result = await service.getStructuredOutput([{ role: 'user', content: 'John is 30' }], {
+    schema: personSchema,
+    schemaName: 'person',
+  });
+
+  assert.deepStrictEqual(result, { name: 'John', age: 30 });
+  assert.strictEqual(calls.length, 2);
+  assert.deepStrictEqual(calls[0].options.response_format, {
+    type: 'json_schema',
+    json_schema: { name: 'person', schema: personSchema, strict: false },
+  });
+  assert.strictEqual(calls[0].options.schema, undefined);
+  const repair = calls[1].messages.at(-1);
+  assert.strictEqual(repair.role, 'user');
+  assert.match(repair.content, /\$\.age: expected integer, got string/);
+});
+
+test('ChatService - schema output forces tool use for Claude', async () => {
+  const inputs = [{ name: 'John' }, { name: 'John', age: 30 }];
+  const calls = [];
+  const mockClient = new MockAIClient({
+    responseFormat: 'claude',
+    chatWithToolsHandler: async (messages, tools, options) => {
+      calls.push({ messages, tools, options });
+      return {
+        content: [
+          { type: 'tool_use', id: `toolu_${calls.length}`, name: 'person', input: inputs.shift() },
+        ],
+      };
+    },
+  });
+  // The format comes from the client, so a Claude client behind wrappers is detected too
+  const service = new ChatService('mock');
+  service.client = new FallbackClient([mockClient]);
+
+  const result = await service.getStructuredOutput([{ role: 'user', content: 'John is 30' }], {
+    schema: personSchema,
+    schemaName: 'person',
+  });
+
+  assert.deepStrictEqual(result, { name: 'John', age: 30 });
+  assert.deepStrictEqual(calls[0].options.tool_choice, { type: 'tool', name: 'person' });
+  assert.deepStrictEqual(calls[0].tools[0].parameters, personSchema);
+  // The repair is sent as the result of the rejected tool call
+  const [toolResult] = calls[1].messages.at(-1).content;
+  assert.strictEqual(toolResult.tool_use_id, 'toolu_1');
+  assert.match(toolResult.content, /missing required property 'age'/);
+});
+
+test('ChatService - schema output fails with details after repair attempts', async () => {
+  const mockClient = new MockAIClient({
+    chatHandler: async () => ({
+      choices: [{ message: { role: 'assistant', content: 'I cannot answer that' } }],
+    }),
+  });
+  const service = new ChatService('mock');
+  service.client = mockClient;
+
+  await assert.rejects(
+    () => service.getStructuredOutput([], { schema: personSchema, maxRepairAttempts: 1 }),
+    (error) => {
+      assert.ok(error instanceof StructuredOutputError);
+      assert.strictEqual(error.attempts.length, 2);
+      assert.match(error.errors[0], /not valid JSON/);
+      assert.strictEqual(error.attempts[0].text, 'I cannot answer that');
+      return true;
+    }
+  );
+  assert.strictEqual(mockClient.getCallHistory().length, 2);
+});
@@ -0,0 +1,192 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { createRequire } from 'module';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  FileCacheStore,
+  MemoryCacheStore,
+  SqliteCacheStore,
+} from '../../src/examples/strategies/caching/cache-stores.js';
+import { ResponseCache } from '../../src/examples/strategies/caching/response-cache.js';
+import { CachedAIClient } from '../../src/examples/strategies/caching/cached-ai-client.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+
+const tempDirs = [];
+
+after(() => {
+  tempDirs.forEach((dir) => rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * Whether the optional better-sqlite3 package can be loaded
+ */
+function hasSqlite() {
+  try {
+    createRequire(import.meta.url)('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fresh temporary directory, removed after the tests
+ */
+function tempDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'ai-agents-cache-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Checks every store must pass: namespaces, pruning and clearing
+ */
+function checkStore(store) {
+  const faq = new ResponseCache(1000, { store, namespace: 'faq' });
+  const docs = new ResponseCache(1000, { store, namespace: 'docs' });
+  faq.set('a', { content: 'A' });
+  faq.set('b', { content: 'B' });
+  docs.set('a', { content: 'Docs A' });
+
+  assert.deepStrictEqual(faq.get('a'), { content: 'A' });
+  assert.deepStrictEqual(docs.get('a'), { content: 'Docs A' });
+  assert.strictEqual(store.size, 3);
+
+  assert.strictEqual(faq.invalidateNamespace(), 2);
+  assert.strictEqual(faq.get('a'), null);
+  assert.deepStrictEqual(docs.get('a'), { content: 'Docs A' });
+
+  store.set('old', { response: 'x', cachedAt: 0, expiresAt: 0, staleUntil: 0 });
+  assert.strictEqual(docs.prune(), 1);
+  assert.strictEqual(store.size, 1);
+
+  docs.clear();
+  assert.strictEqual(store.size, 0);
+}
+
+describe('MemoryCacheStore', () => {
+  it('should evict the least recently used entries beyond maxEntries', () => {
+    const cache = new ResponseCache(60000, { maxEntries: 2 });
+    cache.set('first', 'one');
+    cache.set('second', 'two');
+    cache.get('first');
+    cache.set('third', 'three');
+
+    assert.strictEqual(cache.get('second'), null);
+    assert.strictEqual(cache.get('first'), 'one');
+    assert.strictEqual(cache.get('third'), 'three');
+    assert.strictEqual(cache.getStats().evictions, 1);
+    assert.strictEqual(cache.getStats().size, 2);
+  });
+
+  it('should evict by size and skip entries larger than maxBytes', () => {
+    const entry = (response) => ({ response, cachedAt: 0, expiresAt: 1, staleUntil: 1 });
+    const size = 'a'.length + JSON.stringify(entry('x'.repeat(60))).length;
+    const store = new MemoryCacheStore({ maxBytes: size * 2 + 10 });
+
+    store.set('a', entry('x'.repeat(60)));
+    store.set('b', entry('y'.repeat(60)));
+    assert.strictEqual(store.bytes, size * 2);
+    assert.strictEqual(store.set('c', entry('z'.repeat(60))), 1);
+    assert.deepStrictEqual([...store.entries.keys()], ['b', 'c']);
+
+    assert.strictEqual(store.set('huge', entry('w'.repeat(300))), 0);
+    assert.strictEqual(store.get('huge'), undefined);
+    assert.strictEqual(store.size, 2);
+  });
+
+  it('should support namespaces and pruning', () => {
+    checkStore(new MemoryCacheStore());
+  });
+});
+
+describe('FileCacheStore', () => {
+  it('should support namespaces and pruning', () => {
+    checkStore(new FileCacheStore(tempDir()));
+  });
+
+  it('should share entries between processes and across restarts', () => {
+    const dir = tempDir();
+    const storeUrl = new URL(
+      '../../src/examples/strategies/caching/cache-stores.js',
+      import.meta.url
+    ).href;
+    const cacheUrl = new URL(
+      '../../src/examples/strategies/caching/response-cache.js',
+      import.meta.url
+    ).href;
+    execFileSync(process.execPath, [
+      '--input-type=module',
+      '-e',
+      `const { FileCacheStore } = await import(${JSON.stringify(storeUrl)});
+       const { ResponseCache } = await import(${JSON.stringify(cacheUrl)});
+       const cache = new ResponseCache(60000, { store: new FileCacheStore(${JSON.stringify(dir)}) });
+       cache.set('user/42: "hello"', { content: 'Hi there!' });`,
+    ]);
+
+    const cache = new ResponseCache(60000, { store: new FileCacheStore(dir) });
+    assert.deepStrictEqual(cache.get('user/42: "hello"'), { content: 'Hi there!' });
+    assert.strictEqual(cache.cache.size, 1);
+  });
+});
+
+describe('SqliteCacheStore', { skip: !hasSqlite() && 'better-sqlite3 is not installed' }, () => {
+  it('should support namespaces and pruning', () => {
+    const store = new SqliteCacheStore(join(tempDir(), 'cache.db'));
+    try {
+      checkStore(store);
+    } finally {
+      store.close();
+    }
+  });
+
+  it('should keep entries across reopening the database', () => {
+    const path = join(tempDir(), 'nested', 'cache.db');
+    const first = new SqliteCacheStore(path);
+    new ResponseCache(60000, { store: first }).set('greeting', { content: 'Hello' });
+    first.close();
+
+    const second = new SqliteCacheStore(path);
+    try {
+      assert.deepStrictEqual(new ResponseCache(60000, { store: second }).get('greeting'), {
+        content: 'Hello',
+      });
+    } finally {
+      second.close();
+    }
+  });
+});
+
+describe('stale-while-revalidate', () => {
+  it('should serve stale answers while refreshing them once in the background', async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(console, 'log', () => {});
+    let version = 0;
+    const client = new MockAIClient({
+      chatHandler: async () => ({ choices: [{ message: { content: `v${++version}` } }] }),
+    });
+    const cache = new ResponseCache(1000, { staleWhileRevalidate: 5000 });
+    const cached = new CachedAIClient(client, cache);
+    const messages = [{ role: 'user', content: 'What are your opening hours?' }];
+    const answer = async () => (await cached.chat(messages)).choices[0].message.content;
+
+    assert.strictEqual(await answer(), 'v1');
+    now += 2000;
+    assert.strictEqual(await answer(), 'v1');
+    assert.strictEqual(await answer(), 'v1');
+    assert.strictEqual(cached.revalidations.size, 1);
+
+    await Promise.all(cached.revalidations.values());
+    assert.strictEqual(await answer(), 'v2');
+    assert.strictEqual(cache.getStats().staleHits, 2);
+
+    // Past the stale window the entry is gone
+    now += 10000;
+    assert.strictEqual(await answer(), 'v3');
+    assert.strictEqual(client.callHistory.length, 3);
+  });
+});
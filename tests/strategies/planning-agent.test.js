@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { PlanningAgent } from '../../src/examples/strategies/planning-agent/planning-agent.js';
+
+const step = (id, fields) => ({ id, expectedOutput: 'a result', dependsOn: [], ...fields });
+
+describe('PlanningAgent', () => {
+  it('should plan, execute tool and reasoning steps, then summarize', async () => {
+    const client = MockAIClient.fromScript([
+      {
+        expect: { system: /planning expert/, userMessage: /GOAL: Compare prices[\s\S]*- lookup:/ },
+        respond: {
+          json: {
+            goal: 'Compare prices',
+            reasoning: 'Look up, then compare',
+            steps: [
+              step(1, { description: 'Find prices', tool: 'lookup', input: 'widgets' }),
+              step(2, { description: 'Compare', tool: null, input: 'prices', dependsOn: [1] }),
+            ],
+          },
+        },
+      },
+      {
+        expect: { system: /executing a planned step/, userMessage: /Execute this step: Compare/ },
+        respond: { text: 'Shop A is cheaper' },
+      },
+      {
+        expect: { system: /Summarize/, userMessage: /Step 2: completed - Shop A is cheaper/ },
+        respond: { text: 'Bought from Shop A' },
+      },
+    ]);
+    const agent = new PlanningAgent('openai', { client, verbose: false });
+    agent.registerTool('lookup', 'Look up prices', async (input) => `prices for ${input}`);
+
+    const outcome = await agent.execute('Compare prices');
+
+    assert.strictEqual(outcome.success, true);
+    assert.strictEqual(outcome.summary, 'Bought from Shop A');
+    assert.deepStrictEqual(
+      outcome.executionHistory.map((h) => h.result),
+      ['prices for widgets', 'Shop A is cheaper']
+    );
+    client.assertScriptConsumed();
+  });
+
+  it('should re-plan when a step fails', async () => {
+    const client = MockAIClient.fromScript([
+      {
+        expect: { system: /planning expert/ },
+        respond: {
+          json: { goal: 'Fetch', steps: [step(1, { description: 'Fetch', tool: 'fetch' })] },
+        },
+      },
+      {
+        expect: {
+          system: /Adjust plans/,
+          userMessage: /REASON FOR RE-PLANNING: Step 1 failed: offline/,
+        },
+        respond: {
+          json: { goal: 'Fetch', steps: [step(1, { description: 'Use cache', tool: 'cache' })] },
+        },
+      },
+      { expect: { system: /Summarize/ }, respond: { text: 'Used the cache' } },
+    ]);
+    const agent = new PlanningAgent('openai', { client, verbose: false });
+    agent.registerTool('fetch', 'Fetch live data', async () => {
+      throw new Error('offline');
+    });
+    agent.registerTool('cache', 'Read cached data', async () => 'cached');
+
+    const outcome = await agent.execute('Fetch');
+
+    assert.strictEqual(outcome.success, true);
+    assert.strictEqual(outcome.plan.replanCount, 1);
+    assert.deepStrictEqual(
+      outcome.executionHistory.map((h) => h.status),
+      ['failed', 'completed']
+    );
+    client.assertScriptConsumed();
+  });
+});
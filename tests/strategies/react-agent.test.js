@@ -0,0 +1,59 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { ReactAgent } from '../../src/examples/strategies/react-agent/react-agent.js';
+
+describe('ReactAgent', () => {
+  const originalLog = console.log;
+  before(() => {
+    console.log = () => {};
+  });
+  after(() => {
+    console.log = originalLog;
+  });
+
+  it('should reason, act and observe until complete', async () => {
+    const client = MockAIClient.fromScript([
+      {
+        expect: { system: /Previous observations:\n {2}None yet/, userMessage: 'What is 6 * 7?' },
+        respond: {
+          json: { thought: 'Calculate', tool: 'calculator', params: { expression: '6 * 7' } },
+        },
+      },
+      {
+        expect: { system: /1\. calculator: 42/, userMessage: /^Based on the observations/ },
+        respond: { json: { thought: 'Done', isComplete: true, answer: '42' } },
+      },
+    ]);
+    const agent = new ReactAgent('openai', client);
+
+    assert.strictEqual(await agent.reactLoop('What is 6 * 7?'), '42');
+    client.assertScriptConsumed();
+  });
+
+  it('should answer with tool results in a single tool-calling round', async () => {
+    const client = MockAIClient.fromScript([
+      {
+        expect: { method: 'chatWithTools', tools: ['search', 'calculator'] },
+        respond: { toolCalls: [{ name: 'search', arguments: { query: 'capital of France' } }] },
+      },
+      {
+        expect: { system: /web search agent/, userMessage: 'capital of France' },
+        respond: { text: 'Paris' },
+      },
+      {
+        expect: {
+          method: 'chat',
+          userMessage: 'Based on the tool results, provide the final answer.',
+        },
+        respond: { text: 'The capital of France is Paris.' },
+      },
+    ]);
+    const agent = new ReactAgent('openai', client);
+
+    const answer = await agent.executeWithTools('What is the capital of France?');
+
+    assert.strictEqual(answer, 'The capital of France is Paris.');
+    client.assertScriptConsumed();
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  SemanticCache,
+  containsPersonalData,
+} from '../../src/examples/strategies/caching/semantic-cache.js';
+import { CachedAIClient } from '../../src/examples/strategies/caching/cached-ai-client.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+
+const VOCABULARY = ['how', 'do', 'can', 'i', 'my', 'reset', 'password', 'payment', 'methods'];
+
+/**
+ * Mock client with bag-of-words embeddings over a small vocabulary
+ */
+function embeddingClient(config = {}) {
+  return new MockAIClient({
+    ...config,
+    getEmbeddingsHandler: async (input) =>
+      [input].flat().map((text) => {
+        const words = text.split(' ');
+        return VOCABULARY.map((word) => words.filter((w) => w === word).length);
+      }),
+  });
+}
+
+/**
+ * Chat messages for a support question
+ */
+function ask(question, system = 'You are a support assistant.') {
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: question },
+  ];
+}
+
+/**
+ * OpenAI-shaped chat response
+ */
+function answer(content, toolCalls) {
+  return {
+    choices: [{ message: { role: 'assistant', content, tool_calls: toolCalls } }],
+  };
+}
+
+describe('SemanticCache', () => {
+  it('should serve reworded questions with their similarity score', async () => {
+    const client = embeddingClient();
+    const cache = new SemanticCache(client, { threshold: 0.8 });
+    const reset = answer('Click "Forgot Password" on the login page.');
+
+    assert.strictEqual(await cache.lookup(ask('How do I reset my password?')), null);
+    assert.strictEqual(await cache.store(ask('How do I reset my password?'), reset), true);
+
+    // "how do i reset my password" vs "how can i reset my password": 5 of 6 words shared
+    const hit = await cache.lookup(ask('how can I reset my password'));
+    assert.strictEqual(hit.response, reset);
+    assert.strictEqual(hit.query, 'how do i reset my password');
+    assert.strictEqual(hit.similarity.toFixed(4), (5 / 6).toFixed(4));
+
+    // Case, punctuation and spacing are ignored, without another embedding call
+    const embeddingCalls = client.callHistory.length;
+    assert.strictEqual((await cache.lookup(ask('HOW do I  reset my password'))).similarity, 1);
+    assert.strictEqual(client.callHistory.length, embeddingCalls);
+
+    assert.strictEqual(await cache.lookup(ask('What payment methods can I use?')), null);
+    assert.deepStrictEqual(cache.getStats(), {
+      hits: 2,
+      misses: 2,
+      evictions: 0,
+      skipped: 0,
+      hitRate: '50.00%',
+      size: 1,
+    });
+  });
+
+  it('should only match the same system prompt, history, model and tools', async () => {
+    const cache = new SemanticCache(embeddingClient(), { threshold: 0.8 });
+    const question = 'How do I reset my password?';
+    await cache.store(ask(question), answer('Use the reset link.'));
+
+    assert.ok(await cache.lookup(ask(question)));
+    assert.strictEqual(await cache.lookup(ask(question, 'You are a pirate.')), null);
+    assert.strictEqual(await cache.lookup(ask(question), { model: 'gpt-4o-mini' }), null);
+    // Without options.model, requests are scoped to the client's model
+    assert.ok(await cache.lookup(ask(question), { model: cache.client.model }));
+    cache.client.model = 'gpt-4o';
+    assert.strictEqual(await cache.lookup(ask(question)), null);
+    cache.client.model = 'mock-model';
+    assert.strictEqual(
+      await cache.lookup([
+        ...ask('What payment methods do you accept?'),
+        { role: 'assistant', content: 'Cards and PayPal.' },
+        { role: 'user', content: question },
+      ]),
+      null
+    );
+    const tools = [{ name: 'lookup_account', parameters: { type: 'object' } }];
+    assert.strictEqual(await cache.lookup(ask(question), { tools }, { userId: 'u-1' }), null);
+  });
+
+  it('should never serve personalized or tool-based answers to another user', async () => {
+    const cache = new SemanticCache(embeddingClient(), { threshold: 0.8 });
+    const tools = [{ name: 'lookup_account', parameters: { type: 'object' } }];
+    const personal = answer('We sent a reset link to jane@example.com.');
+    const toolCall = answer(null, [
+      { id: 'call_1', type: 'function', function: { name: 'lookup_account', arguments: '{}' } },
+    ]);
+
+    // Private answers need an owner
+    assert.strictEqual(await cache.store(ask('How do I reset my password?'), personal), false);
+    assert.strictEqual(cache.getStats().skipped, 1);
+
+    await cache.store(ask('How do I reset my password?'), personal, {}, { userId: 'u-1' });
+    await cache.store(ask('How do I reset my password?'), toolCall, { tools }, { userId: 'u-1' });
+    await cache.store(
+      ask('What payment methods do you accept?'),
+      answer('Your saved Visa card.'),
+      {},
+      { userId: 'u-1', personalized: true }
+    );
+
+    for (const [messages, options] of [
+      [ask('how can I reset my password'), {}],
+      [ask('how can I reset my password'), { tools }],
+      [ask('What payment methods do you accept?'), {}],
+    ]) {
+      assert.strictEqual(await cache.lookup(messages, options, { userId: 'u-2' }), null);
+      assert.strictEqual(await cache.lookup(messages, options), null);
+      assert.ok(await cache.lookup(messages, options, { userId: 'u-1' }));
+    }
+
+    assert.ok(containsPersonalData('Where is order 4815162342?', answer('Shipped.')));
+    assert.ok(!containsPersonalData('How do I reset my password?', answer('Click the link.')));
+  });
+
+  it('should cache CachedAIClient chats per user', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const client = embeddingClient({
+      chatHandler: async (messages) => answer(`Answer to: ${messages[1].content}`),
+    });
+    const cached = new CachedAIClient(client, new SemanticCache(client, { threshold: 0.8 }));
+
+    const first = await cached.chat(ask('How do I reset my password?'), {
+      temperature: 0.3,
+      cacheUserId: 'u-1',
+    });
+    const second = await cached.chat(ask('how can I reset my password'), { cacheUserId: 'u-2' });
+
+    assert.strictEqual(second, first);
+    assert.ok(cached.lastCacheHit.similarity > 0.8);
+    const chats = client.callHistory.filter((call) => call.method === 'chat');
+    assert.strictEqual(chats.length, 1);
+    // The cache user is not sent to the provider
+    assert.deepStrictEqual(chats[0].options, { temperature: 0.3 });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { createDefaultSupervisor } from '../../src/examples/strategies/supervisor-agent/supervisor-agent.js';
+
+describe('SupervisorAgent', () => {
+  it('should route, run workers in sequence and aggregate their results', async () => {
+    const client = MockAIClient.fromScript([
+      {
+        expect: { system: /task routing supervisor/, userMessage: /TASK: Write a report/ },
+        respond: {
+          json: {
+            analysis: 'Research first, then write',
+            workers: [
+              { name: 'ResearchWorker', instructions: 'Gather facts' },
+              { name: 'WritingWorker', instructions: 'Draft the report' },
+            ],
+            executionMode: 'sequential',
+            aggregationNeeded: true,
+          },
+        },
+      },
+      {
+        expect: { system: /You are ResearchWorker/, userMessage: /Task: Gather facts/ },
+        respond: { text: 'Three facts' },
+      },
+      {
+        expect: {
+          system: /You are WritingWorker/,
+          userMessage: /Previous results from other workers: .*Three facts/,
+        },
+        respond: { text: 'A short report' },
+      },
+      {
+        expect: {
+          system: /synthesizing results/,
+          userMessage: /WritingWorker \(.*\):\nA short report/,
+        },
+        respond: { text: 'Final report' },
+      },
+    ]);
+    const supervisor = createDefaultSupervisor('openai', { client, verbose: false });
+
+    const outcome = await supervisor.delegate('Write a report');
+
+    assert.deepStrictEqual(
+      outcome.workerResults.map((r) => r.result),
+      ['Three facts', 'A short report']
+    );
+    assert.deepStrictEqual(outcome.finalResult, {
+      aggregated: true,
+      result: 'Final report',
+      sourceWorkers: ['ResearchWorker', 'WritingWorker'],
+    });
+    client.assertScriptConsumed();
+  });
+
+  it('should handle tasks itself when no worker is assigned', async () => {
+    const client = MockAIClient.fromScript([
+      {
+        expect: { system: /routing/ },
+        respond: { json: { workers: [], executionMode: 'single' } },
+      },
+      {
+        expect: { system: /no specialized workers/, userMessage: 'Say hi' },
+        respond: { text: 'Hi' },
+      },
+    ]);
+    const supervisor = createDefaultSupervisor('openai', { client, verbose: false });
+
+    const outcome = await supervisor.delegate('Say hi');
+
+    assert.deepStrictEqual(outcome, { task: 'Say hi', handledBy: 'supervisor', result: 'Hi' });
+    client.assertScriptConsumed();
+  });
+});
@@ -0,0 +1,211 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  ConfigFileError,
+  getProfileName,
+  loadProfile,
+  parseConfigFile,
+  resolveProfile,
+} from '../../src/utils/config-file.js';
+import { config, defaultOptions } from '../../src/config.js';
+
+const file = {
+  defaultProfile: 'dev',
+  profiles: {
+    base: {
+      useCases: { creative: { temperature: 0.8, models: { openai: 'gpt-4o' } } },
+      budgets: { dailyUsd: 5 },
+    },
+    dev: { extends: 'base', fallbackOrder: ['local', 'mock'] },
+    prod: {
+      extends: 'base',
+      description: 'Production',
+      useCases: { creative: { max_tokens: 1000 } },
+      budgets: { dailyUsd: 100, warnAt: 0.8 },
+    },
+  },
+};
+
+const tempDirs = [];
+
+after(() => {
+  tempDirs.forEach((dir) => rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * Fresh temporary directory, removed after the tests
+ */
+function tempDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'ai-agents-config-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Write a config file to a fresh temporary directory
+ */
+function writeConfig(contents) {
+  const dir = tempDir();
+  writeFileSync(join(dir, 'ai-agents.config.json'), contents);
+  return dir;
+}
+
+describe('config file', () => {
+  it('should read --profile from the command line before AI_AGENTS_PROFILE', () => {
+    const env = { AI_AGENTS_PROFILE: 'staging' };
+
+    assert.strictEqual(getProfileName(['node', 'demo.js', '--profile', 'prod'], env), 'prod');
+    assert.strictEqual(getProfileName(['node', 'demo.js', '--profile=dev'], env), 'dev');
+    assert.strictEqual(getProfileName(['node', 'demo.js'], env), 'staging');
+    assert.strictEqual(getProfileName(['node', 'demo.js'], {}), null);
+  });
+
+  it('should merge a profile over the profiles it extends', () => {
+    assert.deepStrictEqual(resolveProfile(file, 'prod'), {
+      useCases: {
+        creative: { temperature: 0.8, max_tokens: 1000, models: { openai: 'gpt-4o' } },
+      },
+      budgets: { dailyUsd: 100, warnAt: 0.8 },
+    });
+  });
+
+  it('should report every schema problem with its location', () => {
+    const error = captureError(() =>
+      parseConfigFile(
+        JSON.stringify({
+          profiles: {
+            prod: {
+              openai: { apiKey: 'sk-secret', azure: { endpoint: 'http://example.com' } },
+              useCases: { creative: { temperature: 3 } },
+              budgets: { dailyUsd: -1 },
+              guardrails: { preset: 'paranoid' },
+            },
+          },
+        })
+      )
+    );
+
+    assert.ok(error instanceof ConfigFileError);
+    assert.match(error.message, /^Invalid config file ai-agents.config.json:\n {2}- /);
+    assert.deepStrictEqual(error.errors, [
+      "$.profiles.prod.openai: unexpected property 'apiKey' (keep secrets in .env)",
+      '$.profiles.prod.openai.azure.endpoint: must match pattern ^https://',
+      '$.profiles.prod.useCases.creative.temperature: must be <= 2',
+      '$.profiles.prod.budgets.dailyUsd: must be >= 0',
+      '$.profiles.prod.guardrails.preset: must be one of "off", "default", "strict"',
+    ]);
+  });
+
+  it('should reject unknown and circular profile references', () => {
+    const unknown = captureError(() =>
+      parseConfigFile(JSON.stringify({ defaultProfile: 'qa', profiles: { dev: {} } }))
+    );
+    assert.deepStrictEqual(unknown.errors, ["$.defaultProfile: unknown profile 'qa'"]);
+
+    const circular = { profiles: { a: { extends: 'b' }, b: { extends: 'a' } } };
+    assert.throws(() => resolveProfile(circular, 'a'), /circular extends: a -> b -> a/);
+    assert.throws(() => resolveProfile(file, 'qa'), /Available profiles: base, dev, prod/);
+  });
+
+  it('should load the default or requested profile from the working directory', () => {
+    const cwd = writeConfig(JSON.stringify(file));
+
+    const dev = loadProfile({ argv: [], env: {}, cwd });
+    assert.strictEqual(dev.name, 'dev');
+    assert.strictEqual(dev.path, join(cwd, 'ai-agents.config.json'));
+    assert.deepStrictEqual(dev.settings.fallbackOrder, ['local', 'mock']);
+
+    const prod = loadProfile({ argv: ['--profile', 'prod'], env: {}, cwd });
+    assert.strictEqual(prod.settings.budgets.dailyUsd, 100);
+  });
+
+  it('should explain missing and malformed files', () => {
+    const empty = tempDir();
+    assert.deepStrictEqual(loadProfile({ argv: [], env: {}, cwd: empty }), {
+      name: null,
+      path: null,
+      settings: {},
+    });
+    assert.throws(
+      () => loadProfile({ argv: ['--profile', 'prod'], env: {}, cwd: empty }),
+      /Profile 'prod' was requested but no ai-agents.config.json was found/
+    );
+    assert.throws(
+      () => loadProfile({ argv: [], env: {}, cwd: writeConfig('{ "profiles": ') }),
+      /ai-agents.config.json is not valid JSON/
+    );
+  });
+});
+
+describe('defaultOptions with profile use cases', () => {
+  it('should merge profile use cases over the built-in presets', (t) => {
+    const original = config.useCases;
+    t.after(() => {
+      config.useCases = original;
+    });
+    config.useCases = {
+      creative: { temperature: 0.6, models: { openai: 'gpt-4o', claude: 'claude-opus' } },
+      summarize: { temperature: 0.1, max_tokens: 256 },
+    };
+
+    assert.deepStrictEqual(defaultOptions.getUseCaseOptions('creative', 'openai'), {
+      temperature: 0.6,
+      max_tokens: 2048,
+    });
+    assert.deepStrictEqual(
+      defaultOptions.getUseCaseOptions('summarize', null, { max_tokens: 100 }),
+      { temperature: 0.1, max_tokens: 100 }
+    );
+    assert.strictEqual(defaultOptions.getUseCaseModel('creative', 'azure-openai'), 'gpt-4o');
+    assert.strictEqual(defaultOptions.getUseCaseModel('creative', 'claude'), 'claude-opus');
+    assert.strictEqual(defaultOptions.getUseCaseModel('summarize', 'claude'), null);
+  });
+});
+
+describe('config.js profile loading', () => {
+  it('should load the profile on first use, not at import', () => {
+    const configUrl = new URL('../../src/config.js', import.meta.url).href;
+    // A fresh process in a directory with a broken config file, asking for a profile
+    const output = execFileSync(
+      process.execPath,
+      [
+        '--input-type=module',
+        '-e',
+        `const { config } = await import(${JSON.stringify(configUrl)});
+         for (let i = 0; i < 2; i++) {
+           try { config.claude.model; } catch (error) { console.log(error.name, error.message); }
+         }
+         console.log(config.langfuse.host);`,
+        '--',
+        '--profile',
+        'prod',
+      ],
+      {
+        cwd: writeConfig('{ "profiles": '),
+        env: { PATH: process.env.PATH, ANTHROPIC_API_KEY: 'sk-ant-test' },
+        encoding: 'utf8',
+      }
+    );
+
+    const lines = output.trim().split('\n');
+    assert.match(lines[0], /^ConfigFileError .*ai-agents.config.json is not valid JSON/);
+    assert.strictEqual(lines[1], lines[0]);
+    assert.strictEqual(lines[2], 'https://cloud.langfuse.com');
+  });
+});
+
+/**
+ * Run a function that should throw and return the error
+ */
+function captureError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error');
+}
@@ -0,0 +1,220 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'child_process';
+import { appendFileSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CostLedger } from '../../src/utils/cost-ledger.js';
+import { BudgetExceededError, BudgetManager } from '../../src/clients/budget-manager.js';
+import { CostTrackingClient } from '../../src/clients/cost-tracking-client.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+
+const messages = [{ role: 'user', content: 'Draft a reply to this ticket' }];
+
+const tempDirs = [];
+
+after(() => {
+  tempDirs.forEach((dir) => rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * Fresh temporary directory, removed after the tests
+ */
+function tempDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'ai-agents-ledger-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Path for a ledger in a fresh temporary directory
+ */
+function ledgerPath() {
+  return join(tempDir(), 'ledger', 'costs.jsonl');
+}
+
+/**
+ * Ledger entry with the fields tracked requests have
+ */
+function entry(timestamp, totalCost, tags = {}, sessionId = 'session_a') {
+  return {
+    timestamp,
+    provider: 'openai',
+    model: 'gpt-4o',
+    totalTokens: 100,
+    totalCost,
+    sessionId,
+    tags,
+  };
+}
+
+/**
+ * Mock client whose chats cost $0.0125 on gpt-4o (1000 prompt + 1000 completion tokens)
+ */
+function mockClient() {
+  return new MockAIClient({
+    model: 'gpt-4o',
+    chatHandler: async () => ({
+      choices: [{ message: { role: 'assistant', content: 'Done' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 1000, completion_tokens: 1000, total_tokens: 2000 },
+    }),
+  });
+}
+
+describe('CostLedger', () => {
+  it('should query entries by date range and tags and roll up daily totals', () => {
+    const ledger = new CostLedger(ledgerPath());
+    assert.deepStrictEqual(ledger.query(), []);
+
+    ledger.append(entry('2026-09-30T23:59:00.000Z', 1, { tenant: 'acme' }));
+    ledger.append(entry('2026-10-01T08:00:00.000Z', 2, { tenant: 'acme', feature: 'search' }));
+    ledger.append(entry('2026-10-01T20:00:00.000Z', 4, { tenant: 'globex' }));
+    ledger.append(entry('2026-10-02T00:00:00.000Z', 8, { tenant: 'acme' }));
+
+    assert.deepStrictEqual(
+      ledger.query({ from: '2026-10-01', to: '2026-10-01' }).map((e) => e.totalCost),
+      [2, 4]
+    );
+    assert.strictEqual(ledger.totalCost({ tags: { tenant: 'acme' } }), 11);
+    assert.strictEqual(ledger.totalCost({ from: '2026-10-01T12:00:00Z' }), 12);
+    assert.deepStrictEqual(ledger.dailyTotals({ tags: { tenant: 'acme' } }), [
+      { date: '2026-09-30', count: 1, cost: 1, tokens: 100 },
+      { date: '2026-10-01', count: 1, cost: 2, tokens: 100 },
+      { date: '2026-10-02', count: 1, cost: 8, tokens: 100 },
+    ]);
+    assert.strictEqual(ledger.summarize().byTag.feature.search.cost, 2);
+    assert.throws(() => ledger.query({ from: 'last week' }), /Invalid ledger date/);
+  });
+
+  it('should read lines appended by other processes and skip unfinished ones', () => {
+    const path = ledgerPath();
+    const ledger = new CostLedger(path);
+    ledger.append(entry('2026-10-01T08:00:00.000Z', 1));
+    assert.strictEqual(ledger.query().length, 1);
+
+    const moduleUrl = new URL('../../src/utils/cost-ledger.js', import.meta.url).href;
+    execFileSync(process.execPath, [
+      '--input-type=module',
+      '-e',
+      `const { CostLedger } = await import(${JSON.stringify(moduleUrl)});
+       new CostLedger(${JSON.stringify(path)}).append(${JSON.stringify(entry('2026-10-01T09:00:00.000Z', 2))});`,
+    ]);
+    appendFileSync(path, 'not json\n{"timestamp":"2026-10-01T10:00:00.000Z","totalC');
+
+    assert.deepStrictEqual(
+      ledger.query().map((e) => e.totalCost),
+      [1, 2]
+    );
+    appendFileSync(path, 'ost":4}\n');
+    assert.deepStrictEqual(
+      ledger.query().map((e) => e.totalCost),
+      [1, 2, 4]
+    );
+  });
+});
+
+describe('ledger-backed budgets', () => {
+  it('should enforce budgets across restarts', async () => {
+    const path = ledgerPath();
+    const budgets = [{ name: 'tenant', scope: 'tenant', limitUsd: 0.02 }];
+    const first = new CostTrackingClient(mockClient(), { ledger: new CostLedger(path), budgets });
+    await first.chat(messages, { tags: { tenant: 'acme' } });
+
+    // A new process: fresh ledger reader, budget manager and session
+    const base = mockClient();
+    const second = new CostTrackingClient(base, { ledger: new CostLedger(path), budgets });
+    assert.deepStrictEqual(
+      second.getBudgetStatus({ tenant: 'acme' }).map(({ spentUsd }) => spentUsd),
+      [0.0125]
+    );
+    await assert.rejects(
+      second.chat(messages, { max_tokens: 1000, tags: { tenant: 'acme' } }),
+      (error) => error instanceof BudgetExceededError && error.spentUsd === 0.0125
+    );
+    await second.chat(messages, { max_tokens: 1000, tags: { tenant: 'globex' } });
+    assert.strictEqual(base.callHistory.length, 1);
+    assert.strictEqual(new CostLedger(path).query().length, 2);
+  });
+
+  it('should count spend from clients that opted out of the ledger', async () => {
+    const ledger = new CostLedger(ledgerPath());
+    const budgetManager = new BudgetManager({
+      budgets: [{ name: 'daily', window: 'day', limitUsd: 0.03 }],
+      ledger,
+    });
+    const logged = new CostTrackingClient(mockClient(), { ledger, budgetManager });
+    const unlogged = new CostTrackingClient(mockClient(), { ledger: null, budgetManager });
+
+    await logged.chat(messages);
+    await unlogged.chat(messages);
+    // Adding a budget counts the ledger again; the unlogged spend is kept
+    budgetManager.addBudget({ name: 'total', limitUsd: 1 });
+
+    assert.strictEqual(ledger.query().length, 1);
+    assert.strictEqual(budgetManager.getStatus()[0].spentUsd, 0.025);
+    await assert.rejects(unlogged.chat(messages), BudgetExceededError);
+  });
+
+  it('should count ledger spend per window and session', () => {
+    const ledger = new CostLedger(ledgerPath());
+    ledger.append(entry('2026-10-18T23:00:00.000Z', 3));
+    ledger.append(entry('2026-10-19T01:00:00.000Z', 2, {}, 'session_b'));
+    ledger.append(entry('2026-10-19T02:00:00.000Z', 4));
+    const manager = new BudgetManager({
+      budgets: [
+        { name: 'daily', window: 'day', limitUsd: 10, warnAt: [0.5] },
+        { name: 'session', scope: 'session', limitUsd: 5, warnAt: [] },
+      ],
+      now: () => Date.parse('2026-10-19T12:00:00.000Z'),
+      ledger,
+    });
+
+    assert.deepStrictEqual(
+      manager.getStatus({ session: 'session_a' }).map(({ budget, spentUsd }) => [budget, spentUsd]),
+      [
+        ['daily', 6],
+        ['session', 7],
+      ]
+    );
+    // record() reports warnings for spend already in the ledger instead of adding it again
+    ledger.append(entry('2026-10-19T12:00:00.000Z', 1, {}, 'session_b'));
+    assert.deepStrictEqual(
+      manager.record(1, { session: 'session_b' }).map(({ budget, spentUsd }) => [budget, spentUsd]),
+      [['daily', 7]]
+    );
+    assert.throws(() => manager.check(4), /Budget 'daily' exceeded/);
+  });
+
+  it('should only read entries appended since the last check', (t) => {
+    const path = ledgerPath();
+    const ledger = new CostLedger(path);
+    ledger.append(entry('2026-10-19T01:00:00.000Z', 2, { tenant: 'acme' }));
+    const manager = new BudgetManager({
+      budgets: [{ name: 'tenant-daily', scope: 'tenant', window: 'day', limitUsd: 10 }],
+      now: () => Date.parse('2026-10-19T12:00:00.000Z'),
+      ledger,
+    });
+    const reads = t.mock.method(ledger, 'read');
+    const spent = () => manager.getStatus({ tenant: 'acme' })[0].spentUsd;
+
+    assert.strictEqual(spent(), 2);
+    ledger.append(entry('2026-10-19T02:00:00.000Z', 3, { tenant: 'acme' }));
+    ledger.append(entry('2026-10-19T03:00:00.000Z', 4, { tenant: 'globex' }));
+    assert.strictEqual(spent(), 5);
+    assert.strictEqual(spent(), 5);
+
+    const results = reads.mock.calls.map((call) => call.result);
+    assert.deepStrictEqual(
+      results.map(({ entries }) => entries.length),
+      [1, 2, 0]
+    );
+    assert.strictEqual(reads.mock.calls[2].arguments[0], results[1].offset);
+
+    // A truncated ledger is counted again from the start
+    writeFileSync(
+      path,
+      `${JSON.stringify(entry('2026-10-19T04:00:00.000Z', 1, { tenant: 'acme' }))}\n`
+    );
+    assert.strictEqual(spent(), 1);
+  });
+});
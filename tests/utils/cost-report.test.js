@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getCostTags, withCostTags } from '../../src/utils/cost-attribution.js';
+import {
+  projectMonthlyCost,
+  summarizeCosts,
+  toCsv,
+  toHtmlReport,
+  toJsonl,
+  writeCostReport,
+} from '../../src/utils/cost-report.js';
+import { CostTrackingClient } from '../../src/clients/cost-tracking-client.js';
+import { BudgetManager } from '../../src/clients/budget-manager.js';
+import { MockAIClient } from '../../src/clients/mock-client.js';
+import { FunctionCallingAgent } from '../../src/agents/function-calling-agent.js';
+
+const requests = [
+  {
+    timestamp: '2026-10-01T09:00:00.000Z',
+    provider: 'openai',
+    model: 'gpt-4o',
+    inputTokens: 700,
+    outputTokens: 300,
+    totalTokens: 1000,
+    totalCost: 0.00475,
+    requestType: 'chat',
+    tags: { tenant: 'acme', feature: 'search' },
+  },
+  {
+    timestamp: '2026-10-01T17:00:00.000Z',
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+    inputTokens: 1400,
+    outputTokens: 600,
+    totalTokens: 2000,
+    totalCost: 0.00057,
+    requestType: 'chat',
+    tags: { tenant: '=HYPERLINK("http://evil")' },
+  },
+  {
+    timestamp: '2026-10-02T09:00:00.000Z',
+    provider: 'openai',
+    model: 'gpt-4o',
+    inputTokens: 700,
+    outputTokens: 300,
+    totalTokens: 1000,
+    totalCost: 0.00475,
+    requestType: 'chat',
+    tags: { tenant: 'acme', feature: 'chat, "beta"' },
+  },
+];
+
+const messages = [{ role: 'user', content: 'Where is my order?' }];
+
+describe('cost attribution', () => {
+  it('should tag tracked calls with the enclosing scopes', async () => {
+    const client = new CostTrackingClient(new MockAIClient({ model: 'gpt-4o' }), {
+      budgetManager: new BudgetManager(),
+      tags: { app: 'helpdesk' },
+    });
+
+    await withCostTags({ tenant: 'acme', feature: 'search' }, async () => {
+      await Promise.resolve();
+      await withCostTags({ feature: 'summaries' }, () =>
+        client.chat(messages, { tags: { conversation: 'c-1' } })
+      );
+      await client.chat(messages);
+    });
+    await client.chat(messages);
+
+    assert.deepStrictEqual(
+      client.requests.map((request) => request.tags),
+      [
+        { app: 'helpdesk', tenant: 'acme', feature: 'summaries', conversation: 'c-1' },
+        { app: 'helpdesk', tenant: 'acme', feature: 'search' },
+        { app: 'helpdesk' },
+      ]
+    );
+    assert.deepStrictEqual(getCostTags(), {});
+    assert.deepStrictEqual(Object.keys(client.getStats().byTag.tenant), ['acme', '(untagged)']);
+  });
+
+  it('should propagate agent tags to tenant budgets and tool-calling turns', async () => {
+    const client = new CostTrackingClient(new MockAIClient({ model: 'gpt-4o' }), {
+      budgets: [{ scope: 'tenant', limitUsd: 1 }],
+    });
+    const agent = new FunctionCallingAgent('openai', client, { costTags: { agent: 'support' } });
+
+    await withCostTags({ tenant: 'acme' }, () => agent.chat('Hello'));
+    for await (const event of withCostTags({ tenant: 'globex' }, () => agent.stream('Hi'))) {
+      assert.ok(event.type);
+    }
+
+    assert.deepStrictEqual(
+      client.requests.map((request) => request.tags),
+      [
+        { agent: 'support', tenant: 'acme' },
+        { agent: 'support', tenant: 'globex' },
+      ]
+    );
+    assert.deepStrictEqual(
+      client.getBudgetStatus({ tenant: 'acme' }).map(({ key, spentUsd }) => [key, spentUsd]),
+      [['acme', client.requests[0].totalCost]]
+    );
+  });
+});
+
+describe('cost reports', () => {
+  it('should summarize spend by tag, model and day', () => {
+    const summary = summarizeCosts(requests);
+
+    assert.strictEqual(summary.totalRequests, 3);
+    assert.strictEqual(summary.totalTokens, 4000);
+    assert.strictEqual(summary.from, '2026-10-01');
+    assert.strictEqual(summary.to, '2026-10-02');
+    assert.deepStrictEqual(summary.byModel['gpt-4o'], { count: 2, cost: 0.0095, tokens: 2000 });
+    assert.deepStrictEqual(Object.keys(summary.byDay), ['2026-10-01', '2026-10-02']);
+    assert.deepStrictEqual(summary.byTag.feature['(untagged)'], {
+      count: 1,
+      cost: 0.00057,
+      tokens: 2000,
+    });
+    assert.strictEqual(summary.byTag.tenant.acme.count, 2);
+  });
+
+  it('should project monthly cost from the observed days', () => {
+    const projection = projectMonthlyCost(requests, { daysPerMonth: 30 });
+
+    assert.strictEqual(projection.days, 2);
+    assert.strictEqual(projection.averageDailyCost, (0.00475 * 2 + 0.00057) / 2);
+    // gpt-4o: one 1000-token call a day, 70% prompt, at $2.50/$10 per 1M tokens
+    const gpt4o = projection.byModel['gpt-4o'];
+    assert.strictEqual(gpt4o.monthlyCalls, 30);
+    assert.strictEqual(gpt4o.monthlyTokens, 30_000);
+    assert.strictEqual(gpt4o.totalCost, '0.142500');
+  });
+
+  it('should export CSV with escaped values and formula guards', () => {
+    const lines = toCsv(requests).trimEnd().split('\n');
+
+    assert.strictEqual(
+      lines[0],
+      'timestamp,sessionId,provider,model,requestType,inputTokens,outputTokens,totalTokens,' +
+        'totalCost,tag.feature,tag.tenant'
+    );
+    assert.strictEqual(
+      lines[2],
+      '2026-10-01T17:00:00.000Z,,openai,gpt-4o-mini,chat,1400,600,2000,0.00057,,' +
+        `"'=HYPERLINK(""http://evil"")"`
+    );
+    assert.ok(lines[3].endsWith(',"chat, ""beta""",acme'));
+    assert.deepStrictEqual(
+      toJsonl(requests)
+        .trimEnd()
+        .split('\n')
+        .map((line) => JSON.parse(line)),
+      requests
+    );
+  });
+
+  it('should render a self-contained HTML report and write files by extension', async (t) => {
+    const html = toHtmlReport(requests, {
+      title: 'October <spend>',
+      generatedAt: new Date('2026-10-03T00:00:00Z'),
+    });
+
+    assert.match(html, /<title>October &lt;spend&gt;<\/title>/);
+    assert.match(html, /<h2>By tenant<\/h2>/);
+    assert.match(html, /<h2>By model<\/h2>/);
+    assert.match(html, /<td>2026-10-02<\/td>/);
+    assert.match(html, /=HYPERLINK\(&quot;http:\/\/evil&quot;\)/);
+    assert.doesNotMatch(html, /<(script|link)\b|src=/);
+
+    const dir = mkdtempSync(join(tmpdir(), 'ai-agents-cost-report-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    await writeCostReport(requests, join(dir, 'nested', 'spend.csv'));
+    assert.strictEqual(readFileSync(join(dir, 'nested', 'spend.csv'), 'utf8'), toCsv(requests));
+    await assert.rejects(writeCostReport(requests, join(dir, 'spend.xlsx')), /Unsupported/);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import {
+  detectConfigConflicts,
+  getDemoStatus,
+  probeConnectivity,
+  runDoctor,
+  validateConfigFormats,
+} from '../../src/utils/env-validator.js';
+import { categories } from '../../src/menu-catalog.js';
+
+/**
+ * A fully valid configuration, with every provider configured
+ */
+function validConfig(overrides = {}) {
+  return {
+    openai: {
+      defaultProvider: 'azure-openai',
+      standardApiKey: 'sk-test',
+      azureApiKey: 'azure-test',
+      model: 'gpt-4o',
+      visionModel: 'gpt-4o',
+      azure: {
+        enabled: true,
+        endpoint: 'https://contoso.openai.azure.com/',
+        apiVersion: '2024-02-15-preview',
+        deployment: 'gpt-4o-mini',
+        embeddingDeployment: 'text-embedding-3-small',
+      },
+      ...overrides.openai,
+    },
+    claude: {
+      apiKey: 'sk-ant-test',
+      model: 'claude-sonnet-4-5-20250929',
+      apiVersion: '2023-06-01',
+      promptCache: false,
+      ...overrides.claude,
+    },
+    local: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', ...overrides.local },
+    logger: { level: 'info', format: 'json', ...overrides.logger },
+    fallbackOrder: ['openai', 'claude'],
+    useCases: {},
+    budgets: { dailyUsd: 10 },
+    guardrails: { preset: 'default', action: 'block', checkInput: false },
+    ...overrides.root,
+  };
+}
+
+describe('config doctor', () => {
+  it('should accept a valid configuration', () => {
+    assert.deepStrictEqual(validateConfigFormats(validConfig()), { errors: [], warnings: [] });
+    assert.deepStrictEqual(detectConfigConflicts(validConfig()), { errors: [], warnings: [] });
+  });
+
+  it('should validate endpoint, API version, deployment and model formats', () => {
+    const cfg = validConfig({
+      openai: {
+        model: 'gpt-4o-mni',
+        visionModel: 'gpt-4o-mni',
+        azure: {
+          endpoint: 'https://contoso.example.com/openai',
+          apiVersion: 'latest',
+          deployment: 'my deployment',
+          embeddingDeployment: 'embeddings',
+        },
+      },
+      claude: { apiVersion: '2023-6-1' },
+      local: { baseUrl: 'localhost:11434' },
+      logger: { level: 'verbose' },
+      root: { budgets: { dailyUsd: Number('ten') } },
+    });
+
+    const { errors, warnings } = validateConfigFormats(cfg);
+
+    assert.deepStrictEqual(errors, [
+      "AZURE_OPENAI_API_VERSION 'latest' is not an API version like 2024-02-15-preview",
+      "ANTHROPIC_API_VERSION '2023-6-1' is not an API version like 2023-06-01",
+      "AZURE_OPENAI_DEPLOYMENT 'my deployment' is not a valid deployment name " +
+        "(letters, digits, '-', '_' and '.', up to 64 characters)",
+      "LOCAL_AI_BASE_URL must be an http(s) URL, got 'localhost:11434'",
+      "LOG_LEVEL 'verbose' must be one of DEBUG, INFO, WARN, ERROR, NONE",
+      "Budget 'dailyUsd' must be a non-negative number, got 'NaN'",
+    ]);
+    assert.deepStrictEqual(warnings, [
+      "AZURE_OPENAI_ENDPOINT host 'contoso.example.com' is not an Azure OpenAI host " +
+        '(expected https://<resource>.openai.azure.com/)',
+      "AZURE_OPENAI_ENDPOINT should be the resource URL only; remove the path '/openai'",
+      "Azure deployment 'my deployment' is not a known model name; map it under " +
+        'azureDeployments in AI_PRICING_OVERRIDES or cost tracking will use default pricing',
+      "OpenAI model 'gpt-4o-mni' is not in the known-model catalogue",
+    ]);
+  });
+
+  it('should detect conflicting settings', () => {
+    const cfg = validConfig({
+      openai: { azure: { endpoint: undefined } },
+      local: { baseUrl: undefined, visionModel: 'llava' },
+      claude: { apiKey: undefined, promptCache: true },
+      root: {
+        fallbackOrder: ['openai', 'gemini'],
+        useCases: { creative: { models: { bard: 'x' } } },
+      },
+    });
+
+    const { errors, warnings } = detectConfigConflicts(cfg);
+
+    assert.deepStrictEqual(errors, [
+      "OPENAI_DEFAULT_PROVIDER is 'azure-openai' but AZURE_OPENAI_ENDPOINT is not set, " +
+        "so createAIClient('openai') will fail",
+      'Fallback order names unknown providers: gemini',
+    ]);
+    assert.deepStrictEqual(warnings, [
+      "Use case 'creative' sets a model for unknown provider 'bard'",
+      'LOCAL_AI_VISION_MODEL is set but LOCAL_AI_BASE_URL is not; it has no effect',
+      'CLAUDE_PROMPT_CACHE is enabled but ANTHROPIC_API_KEY is not set',
+    ]);
+  });
+
+  it('should flag a standard-only default provider with only Azure credentials', () => {
+    const cfg = validConfig({ openai: { defaultProvider: 'openai-standard', standardApiKey: '' } });
+
+    assert.match(detectConfigConflicts(cfg).errors[0], /only Azure credentials are set/);
+  });
+
+  it('should report which demos can run and what the others need', () => {
+    const demos = getDemoStatus([
+      {
+        id: 'sdk-usage',
+        title: 'SDK',
+        examples: [
+          { name: 'MCP', file: 'mcp.js', requires: [] },
+          { name: 'Tracing', file: 'tracing.js', requires: ['unknown-service'] },
+        ],
+      },
+    ]);
+
+    assert.deepStrictEqual(demos, [
+      { category: 'SDK', name: 'MCP', file: 'sdk-usage/mcp.js', runnable: true, missing: [] },
+      {
+        category: 'SDK',
+        name: 'Tracing',
+        file: 'sdk-usage/tracing.js',
+        runnable: false,
+        missing: ['unknown-service'],
+      },
+    ]);
+    // Every menu demo is covered
+    const menuDemos = categories.reduce((sum, category) => sum + category.examples.length, 0);
+    assert.strictEqual(getDemoStatus().length, menuDemos);
+  });
+
+  it('should probe an OpenAI-compatible server without requesting completions', async (t) => {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+      requests.push(`${request.method} ${request.url}`);
+      response.setHeader('content-type', 'application/json');
+      response.end(JSON.stringify({ data: [{ id: 'llama3.1' }, { id: 'nomic-embed-text' }] }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+
+    const result = await probeConnectivity(baseUrl);
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.url, `http://127.0.0.1:${server.address().port}/v1/models`);
+    assert.deepStrictEqual(result.models, ['llama3.1', 'nomic-embed-text']);
+    assert.deepStrictEqual(requests, ['GET /v1/models']);
+  });
+
+  it('should report a failed probe as an error', async () => {
+    const report = await runDoctor({ probe: true, probeUrl: 'http://127.0.0.1:9/v1' });
+
+    assert.strictEqual(report.valid, false);
+    assert.strictEqual(report.connectivity.ok, false);
+    assert.ok(report.errors.some((error) => error.startsWith('Connectivity probe failed')));
+    assert.ok(report.demos.length > 0);
+  });
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { validateJsonSchema } from '../../src/utils/json-schema.js';
+
+const orderSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', pattern: '^ord_' },
+    status: { enum: ['open', 'shipped'] },
+    total: { type: 'number', minimum: 0 },
+    note: { type: ['string', 'null'] },
+    items: { type: 'array', minItems: 1, items: { $ref: '#/$defs/item' } },
+  },
+  required: ['id', 'status', 'items'],
+  additionalProperties: false,
+  $defs: {
+    item: {
+      type: 'object',
+      properties: { sku: { type: 'string' }, quantity: { type: 'integer', minimum: 1 } },
+      required: ['sku', 'quantity'],
+    },
+  },
+};
+
+test('validateJsonSchema - accepts valid values', () => {
+  const order = {
+    id: 'ord_1',
+    status: 'open',
+    total: 12.5,
+    note: null,
+    items: [{ sku: 'A', quantity: 2 }],
+  };
+
+  assert.deepStrictEqual(validateJsonSchema(order, orderSchema), []);
+});
+
+test('validateJsonSchema - reports every error with its path', () => {
+  const order = {
+    id: 'order-1',
+    status: 'lost',
+    total: -1,
+    items: [{ sku: 'A', quantity: 1.5 }, { quantity: 1 }],
+    extra: true,
+  };
+
+  assert.deepStrictEqual(validateJsonSchema(order, orderSchema), [
+    '$.id: must match pattern ^ord_',
+    '$.status: must be one of "open", "shipped"',
+    '$.total: must be >= 0',
+    '$.items[0].quantity: expected integer, got number',
+    "$.items[1]: missing required property 'sku'",
+    "$: unexpected property 'extra'",
+  ]);
+});
+
+test('validateJsonSchema - supports anyOf and oneOf', () => {
+  const schema = { anyOf: [{ type: 'string' }, { type: 'integer' }] };
+
+  assert.deepStrictEqual(validateJsonSchema(3, schema), []);
+  assert.deepStrictEqual(validateJsonSchema(true, schema), [
+    '$: must match at least one of the allowed schemas',
+  ]);
+  assert.deepStrictEqual(
+    validateJsonSchema(2, { oneOf: [{ type: 'number' }, { type: 'integer' }] }),
+    ['$: must match exactly one of the allowed schemas (matched 2)']
+  );
+});
@@ -0,0 +1,179 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  PRICING,
+  getModelPricing,
+  loadPricingCatalogue,
+  setPricingCatalogue,
+} from '../../src/utils/pricing.js';
+import { ConfigFileError } from '../../src/utils/config-file.js';
+import { getPricing } from '../../src/utils/cost-utils.js';
+import { BatchJobClient } from '../../src/clients/batch-job-client.js';
+import { StandardOpenAIClient } from '../../src/clients/standard-openai-client.js';
+import { withConfig } from '../helpers/fake-provider-server.js';
+
+const catalogue = loadPricingCatalogue();
+
+const overrides = {
+  version: 'contoso',
+  providers: {
+    openai: {
+      models: {
+        'gpt-4o-2024-08-06': { prices: [{ effectiveFrom: '2026-01-01', input: 2 }] },
+        'ft:gpt-4o-mini:contoso': { prices: [{ effectiveFrom: '2025-01-01', input: 0.3 }] },
+      },
+    },
+  },
+  azureDeployments: { 'prod-chat': 'gpt-4o' },
+};
+
+const tempDirs = [];
+
+after(() => {
+  tempDirs.forEach((dir) => rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * Fresh temporary directory, removed after the tests
+ */
+function tempDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'ai-agents-pricing-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Write an overrides file to a fresh temporary directory
+ */
+function writeOverrides(contents) {
+  const path = join(tempDir(), 'overrides.json');
+  writeFileSync(path, JSON.stringify(contents));
+  return path;
+}
+
+describe('pricing catalogue', () => {
+  it('should resolve aliases, dated snapshots and Azure deployments', () => {
+    const withDeployments = catalogue.withOverrides(overrides);
+
+    assert.deepStrictEqual(catalogue.resolveModel('openai', 'gpt-4o-2024-08-06'), {
+      provider: 'openai',
+      model: 'gpt-4o',
+    });
+    assert.strictEqual(
+      catalogue.resolveModel('azure-openai', 'gpt-35-turbo').model,
+      'gpt-3.5-turbo'
+    );
+    assert.strictEqual(
+      catalogue.resolveModel('openai', 'gpt-4o-mini-2030-01-01').model,
+      'gpt-4o-mini'
+    );
+    assert.deepStrictEqual(catalogue.resolveModel(null, 'claude-3-5-haiku-latest'), {
+      provider: 'claude',
+      model: 'claude-3-5-haiku-20241022',
+    });
+    assert.strictEqual(catalogue.resolveModel('openai', 'prod-chat'), null);
+    assert.strictEqual(withDeployments.resolveModel('openai', 'prod-chat').model, 'gpt-4o');
+    assert.strictEqual(catalogue.resolveModel('claude', 'gpt-4o'), null);
+  });
+
+  it('should price usage with the rates in effect on its date', () => {
+    const june2024 = catalogue.getPrice('openai', 'gpt-4o', { date: '2024-06-01' });
+    const today = catalogue.getPrice('openai', 'gpt-4o');
+
+    assert.strictEqual(june2024.input, 5);
+    assert.strictEqual(june2024.output, 15);
+    assert.strictEqual(today.input, 2.5);
+    assert.strictEqual(today.cacheRead, 1.25);
+    // Before the first known price, the earliest price applies
+    assert.strictEqual(catalogue.getPrice('openai', 'gpt-4o', { date: '2020-01-01' }).input, 5);
+    // Embedding models have no output price
+    assert.strictEqual(catalogue.getPrice('openai', 'text-embedding-3-small').output, 0);
+    assert.strictEqual(PRICING.openai['gpt-4o'].input, 2.5);
+    assert.strictEqual(PRICING.embeddings['text-embedding-3-large'].input, 0.13);
+  });
+
+  it('should apply partial overrides on top of the catalogue price', () => {
+    const contoso = catalogue.withOverrides(overrides);
+    const negotiated = contoso.getPrice('openai', 'gpt-4o', { date: '2026-02-01' });
+
+    assert.strictEqual(contoso.version, `${catalogue.version}+contoso`);
+    assert.strictEqual(negotiated.input, 2);
+    assert.strictEqual(negotiated.output, 10);
+    assert.strictEqual(negotiated.batchOutput, 5);
+    assert.strictEqual(contoso.getPrice('openai', 'gpt-4o', { date: '2025-01-01' }).input, 2.5);
+    assert.deepStrictEqual(contoso.getPrice('openai', 'ft:gpt-4o-mini:contoso'), {
+      provider: 'openai',
+      model: 'ft:gpt-4o-mini:contoso',
+      effectiveFrom: '2025-01-01',
+      input: 0.3,
+      output: 0,
+      image: 0.3,
+    });
+    // The base catalogue is unchanged
+    assert.strictEqual(catalogue.getPrice('openai', 'gpt-4o', { date: '2026-02-01' }).input, 2.5);
+  });
+
+  it('should report every problem in an overrides file', () => {
+    const path = writeOverrides({
+      providers: {
+        openai: {
+          models: {
+            'gpt-4o': { prices: [{ effectiveFrom: 'January', input: -1 }] },
+            'my-model': { prices: [{ effectiveFrom: '2025-01-01', output: 1 }] },
+          },
+        },
+      },
+      discount: 0.2,
+    });
+
+    assert.throws(
+      () => loadPricingCatalogue(undefined, path),
+      (error) => {
+        assert.ok(error instanceof ConfigFileError);
+        assert.match(error.message, new RegExp(`^Invalid ${path}:\\n`));
+        assert.deepStrictEqual(error.errors, [
+          '$.providers.openai.models["gpt-4o"].prices[0].effectiveFrom: ' +
+            'must match pattern ^\\d{4}-\\d{2}-\\d{2}$',
+          '$.providers.openai.models["gpt-4o"].prices[0].input: must be >= 0',
+          "$: unexpected property 'discount'",
+          '$.providers.openai.models["my-model"]: new models need an input price',
+        ]);
+        return true;
+      }
+    );
+    assert.throws(() => loadPricingCatalogue(undefined, `${path}.missing`), /Could not load/);
+  });
+
+  it('should price every calculateCost with the active catalogue', (t) => {
+    t.after(() => setPricingCatalogue(null));
+    setPricingCatalogue(catalogue.withOverrides({ azureDeployments: { 'prod-chat': 'gpt-4o' } }));
+    const client = withConfig(
+      { openai: { standardApiKey: 'sk-pricing' } },
+      () => new StandardOpenAIClient('prod-chat')
+    );
+    const response = {
+      usage: {
+        prompt_tokens: 1_000_000,
+        completion_tokens: 100_000,
+        total_tokens: 1_100_000,
+        prompt_tokens_details: { cached_tokens: 400_000 },
+      },
+    };
+
+    const live = client.calculateCost(response);
+    // 600K uncached at $2.50 + 400K cached at $1.25, 100K output at $10
+    assert.strictEqual(live.inputCost, 1.5 + 0.5);
+    assert.strictEqual(live.cacheReadTokens, 400_000);
+    assert.strictEqual(live.totalCost, 3);
+
+    const batch = new BatchJobClient(client).calculateCost(response);
+    assert.strictEqual(batch.batchDiscount, 0.5);
+    assert.strictEqual(batch.totalCost, 1.5);
+
+    assert.strictEqual(getModelPricing('openai', 'no-such-model').model, 'gpt-4-turbo');
+    assert.deepStrictEqual(getPricing('claude-3-haiku'), { input: 0.00025, output: 0.00125 });
+  });
+});